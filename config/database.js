@@ -1,9 +1,13 @@
 const mongoose = require('mongoose');
+const { migrateIndexes } = require('../utils/indexMigrations');
 
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/employee_management');
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+    
+    // Indexes changed in a way Mongoose does not apply by itself
+    await migrateIndexes();
   } catch (error) {
     console.error(`Error: ${error.message}`);
     process.exit(1);
@@ -1,8 +1,126 @@
+const mongoose = require('mongoose');
 const Costing = require('../models/Costing');
+const CostingVersion = require('../models/CostingVersion');
 const Item = require('../models/Item');
 const RawMaterial = require('../models/RawMaterial');
 const DimensionWeight = require('../models/DimensionWeight');
 const Process = require('../models/Process');
+const Customer = require('../models/Customer');
+const CostingTemplate = require('../models/CostingTemplate');
+const CostingPolicy = require('../models/CostingPolicy');
+const {
+  DEFAULT_COST_HEADS,
+  describeCostHeads,
+  calculateCostingRates,
+  calculateSlabRate,
+  calculateRoutingCost
+} = require('../utils/calculations');
+const { diffFields } = require('../utils/diff');
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// Error in the costing's input (routing, template) to report as 400
+const createInputError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Process cost of an item from its own routing. Throws when the item has no routing
+// or a routed process is no longer active.
+const getRoutingCost = async (item, rmWeight) => {
+  if (!item.Routing || item.Routing.length === 0) {
+    throw createInputError(`No process routing defined for ${item.PartNo}. Define the item routing or provide ProcessCost`);
+  }
+  
+  const processIds = item.Routing.map((operation) => operation.ProcessID);
+  const processes = await Process.find({ _id: { $in: processIds }, IsActive: true });
+  const processMap = new Map(processes.map((process) => [process._id.toString(), process]));
+  
+  const missing = item.Routing.find((operation) => !processMap.has(operation.ProcessID.toString()));
+  if (missing) {
+    throw createInputError(`Process in operation ${missing.Sequence} of the ${item.PartNo} routing is inactive or not found`);
+  }
+  
+  return calculateRoutingCost(item.Routing, processMap, rmWeight);
+};
+
+// Costing template by precedence: the one given, the customer's, the item's, then
+// the default template. Null means overhead and margin on the sub cost.
+const resolveCostingTemplate = async ({ templateId, customerId, item }) => {
+  if (templateId) {
+    const template = mongoose.isValidObjectId(templateId)
+      ? await CostingTemplate.findOne({ _id: templateId, IsActive: true })
+      : null;
+    if (!template) {
+      throw createInputError('Costing template not found or inactive');
+    }
+    return template;
+  }
+  
+  const customer = customerId ? await Customer.findById(customerId).select('CostingTemplateID') : null;
+  const assignedId = customer?.CostingTemplateID || item?.CostingTemplateID;
+  const assigned = assignedId ? await CostingTemplate.findOne({ _id: assignedId, IsActive: true }) : null;
+  
+  return assigned || CostingTemplate.findOne({ IsDefault: true, IsActive: true });
+};
+
+// Costing fields for a template's cost heads (none for the built-in heads)
+const getTemplateFields = (template) => ({
+  CostingTemplateID: template ? template._id : null,
+  CostingTemplateName: template ? template.TemplateName : '',
+  CostHeads: template ? template.Heads.map((head) => head.toObject()) : []
+});
+
+// Overhead/margin % of a template when the costing does not give one
+const getTemplatePercentage = (template, kind) => {
+  const heads = template ? template.Heads : DEFAULT_COST_HEADS;
+  return heads.find((head) => head.Kind === kind).Percentage;
+};
+
+// Overhead and margin % of a new costing with their sources: as given, else the
+// costing policy's, else the template's default
+const getPercentageFields = ({ overheadPercentage, marginPercentage, policy, template }) => {
+  const fields = {
+    OverheadPercentage: hasValue(overheadPercentage) ? Number(overheadPercentage) : getTemplatePercentage(template, 'Overhead'),
+    OverheadSource: hasValue(overheadPercentage) ? 'Manual' : 'Template',
+    MarginPercentage: hasValue(marginPercentage) ? Number(marginPercentage) : getTemplatePercentage(template, 'Margin'),
+    MarginSource: hasValue(marginPercentage) ? 'Manual' : 'Template',
+    CostingPolicyID: null,
+    CostingPolicyName: ''
+  };
+  
+  const overhead = !hasValue(overheadPercentage);
+  const margin = !hasValue(marginPercentage);
+  if (policy && (overhead || margin)) {
+    Object.assign(fields, CostingPolicy.getCostingFields(policy, { overhead, margin }));
+  }
+  return fields;
+};
+
+// Which policy set the overhead/margin %, for the costing response
+const describeCostingPolicy = (fields) => {
+  if (!fields.CostingPolicyID) {
+    return 'None';
+  }
+  const applied = [
+    fields.OverheadSource === 'Policy' ? `Overhead ${fields.OverheadPercentage}%` : null,
+    fields.MarginSource === 'Policy' ? `Margin ${fields.MarginPercentage}%` : null
+  ].filter(Boolean);
+  return `${fields.CostingPolicyName} (${applied.join(', ')})`;
+};
+
+// Formula text of the cost heads: overhead (with allowances) and margin as before,
+// plus one line per head
+const getCostHeadFormulas = (costHeads) => {
+  const formatHead = (head) => `₹${head.Base.toFixed(2)} × ${head.Percentage}% = ₹${head.Amount.toFixed(2)}`;
+  
+  return {
+    overheadCost: costHeads.filter((head) => head.Kind !== 'Margin').map(formatHead).join(' + '),
+    marginCost: costHeads.filter((head) => head.Kind === 'Margin').map(formatHead).join(' + '),
+    costHeads: costHeads.map((head) => `${head.Name} on ${head.BasedOn.join(' + ')}: ${formatHead(head)}`)
+  };
+};
 
 // @desc    Get all costings
 // @route   GET /api/costings
@@ -114,6 +232,11 @@ const getCosting = async (req, res) => {
     // Get associated dimension weight
     const dimensionWeight = await DimensionWeight.findOne({ PartNo: costing.PartNo });
     
+    // Heads with amounts (costings from before templates have none stored)
+    const costHeadFormulas = getCostHeadFormulas(
+      costing.CostHeads.length > 0 ? costing.CostHeads : calculateCostingRates(costing).CostHeads
+    );
+    
     const responseData = {
       ...costing.toObject(),
       DimensionWeight: dimensionWeight || null,
@@ -127,9 +250,13 @@ const getCosting = async (req, res) => {
       FormulaDetails: {
         rawMaterialCost: `${costing.RMWeight?.toFixed(3)} Kg × ₹${costing.RMRate?.toFixed(2)} = ₹${costing.RMCost?.toFixed(2)}`,
         subCost: `₹${costing.RMCost?.toFixed(2)} + ₹${costing.ProcessCost?.toFixed(2)} + ₹${costing.FinishingCost?.toFixed(2)} + ₹${costing.PackingCost?.toFixed(2)} = ₹${costing.SubCost?.toFixed(2)}`,
-        overheadCost: `₹${costing.SubCost?.toFixed(2)} × ${costing.OverheadPercentage}% = ₹${costing.OverheadCost?.toFixed(2)}`,
-        marginCost: `₹${costing.SubCost?.toFixed(2)} × ${costing.MarginPercentage}% = ₹${costing.MarginCost?.toFixed(2)}`,
-        finalRate: `₹${costing.SubCost?.toFixed(2)} + ₹${costing.OverheadCost?.toFixed(2)} + ₹${costing.MarginCost?.toFixed(2)} = ₹${costing.FinalRate?.toFixed(2)}`
+        overheadCost: costHeadFormulas.overheadCost,
+        marginCost: costHeadFormulas.marginCost,
+        costHeads: costHeadFormulas.costHeads,
+        finalRate: `₹${costing.SubCost?.toFixed(2)} + ₹${costing.OverheadCost?.toFixed(2)} + ₹${costing.MarginCost?.toFixed(2)} = ₹${costing.FinalRate?.toFixed(2)}`,
+        processOperations: costing.ProcessOperations.map((operation) => 
+          `${operation.Sequence}. ${operation.ProcessName}: ${operation.Formula} = ₹${operation.Cost?.toFixed(2)}`
+        )
       }
     };
     
@@ -166,10 +293,21 @@ const createCosting = async (req, res) => {
       ProcessCost,
       FinishingCost,
       PackingCost,
-      OverheadPercentage = 10,
-      MarginPercentage = 15
+      SetupCost,
+      OverheadPercentage,
+      MarginPercentage,
+      CostingTemplateID,
+      CustomerID,
+      OrderQuantity
     } = req.body;
     
+    if (hasValue(CustomerID) && !mongoose.isValidObjectId(CustomerID)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid CustomerID' 
+      });
+    }
+    
     // 1. Check if item exists and is active
     const item = await Item.findOne({ 
       PartNo: PartNo.toUpperCase(),
@@ -216,52 +354,54 @@ const createCosting = async (req, res) => {
       });
     }
     
-    // 4. Calculate process cost if not provided
-    let processCost = ProcessCost || 0;
-    let processSource = ProcessCost ? 'Manual Input' : 'Default';
-    
-    if (!ProcessCost) {
-      // Get processes for this item type and calculate
-      const processes = await Process.find({ IsActive: true });
-      if (processes.length > 0) {
-        processCost = processes.reduce((total, process) => {
-          let cost = 0;
-          switch (process.RateType) {
-            case 'Per Nos':
-              cost = process.Rate * 1; // Assuming 1 quantity
-              break;
-            case 'Per Kg':
-              cost = process.Rate * rmWeight;
-              break;
-            case 'Per Hour':
-              cost = process.Rate * 1; // Assuming 1 hour
-              break;
-            case 'Fixed':
-              cost = process.Rate;
-              break;
-          }
-          return total + cost;
-        }, 0);
-        processSource = 'Auto from Process Master';
-      }
+    // 4. Process cost from the item's routing unless given
+    let processCost = Number(ProcessCost);
+    let processOperations = [];
+    let routingSetupCost = 0;
+    let processSource = 'Manual Input';
+    
+    if (!hasValue(ProcessCost)) {
+      const routingCost = await getRoutingCost(item, rmWeight);
+      processCost = routingCost.ProcessCost;
+      processOperations = routingCost.Operations;
+      routingSetupCost = routingCost.SetupCost;
+      processSource = 'Item Routing';
     }
     
-    // 5. Create costing
+    // 5. Cost heads from the customer's or item's costing template
+    const template = await resolveCostingTemplate({ templateId: CostingTemplateID, customerId: CustomerID, item });
+    
+    // 6. Overhead and margin % from the costing policy for the customer, item and volume
+    const policy = await CostingPolicy.findApplicable({ customerId: CustomerID, item, quantity: OrderQuantity });
+    const percentageFields = getPercentageFields({
+      overheadPercentage: OverheadPercentage,
+      marginPercentage: MarginPercentage,
+      policy,
+      template
+    });
+    
+    // 7. Create costing
     const costing = await Costing.create({
       ItemID: item._id,
       PartNo: item.PartNo,
       RMWeight: rmWeight,
       RMRate: effectiveRMRate,
       ProcessCost: processCost,
+      ProcessCostSource: hasValue(ProcessCost) ? 'Manual' : 'Routing',
+      ProcessOperations: processOperations,
+      RoutingSetupCost: routingSetupCost,
       FinishingCost: FinishingCost || 0,
       PackingCost: PackingCost || 0,
-      OverheadPercentage: OverheadPercentage,
-      MarginPercentage: MarginPercentage,
+      SetupCost: SetupCost || 0,
+      ...percentageFields,
+      ...getTemplateFields(template),
+      CustomerID: CustomerID || null,
+      OrderQuantity: hasValue(OrderQuantity) ? Number(OrderQuantity) : null,
       CreatedBy: userId,
       UpdatedBy: userId
     });
     
-    // 6. Populate response
+    // 8. Populate response
     const populatedCosting = await Costing.findById(costing._id)
       .populate({
         path: 'ItemID',
@@ -278,6 +418,10 @@ const createCosting = async (req, res) => {
         weightSource: 'Dimension Weight Master',
         rawMaterialSource,
         processSource,
+        costingTemplate: template ? template.TemplateName : 'Default (overhead and margin on sub cost)',
+        costingPolicy: describeCostingPolicy(percentageFields),
+        overheadSource: percentageFields.OverheadSource,
+        marginSource: percentageFields.MarginSource,
         dimensionDetails: {
           thickness: dimensionWeight.Thickness,
           width: dimensionWeight.Width,
@@ -303,6 +447,13 @@ const createCosting = async (req, res) => {
   } catch (error) {
     console.error('Create costing error:', error);
     
+    if (error.statusCode === 400) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(val => val.message);
       return res.status(400).json({ 
@@ -318,31 +469,25 @@ const createCosting = async (req, res) => {
   }
 };
 
-// @desc    Update costing
+// Costing fields that can be changed after creation
+const COSTING_UPDATE_FIELDS = Costing.COSTING_INPUT_FIELDS.concat(['CustomerID', 'OrderQuantity', 'IsActive']);
+
+// @desc    Update costing (a change to its inputs creates a new version)
 // @route   PUT /api/costings/:id
 // @access  Private
 const updateCosting = async (req, res) => {
   try {
     const userId = req.user.id;
+    const { ChangeReason, UseRouting, CostingTemplateID, ApplyPolicy, CustomerID } = req.body;
     
-    const costing = await Costing.findByIdAndUpdate(
-      req.params.id,
-      { 
-        ...req.body, 
-        UpdatedAt: Date.now(),
-        UpdatedBy: userId 
-      },
-      { new: true, runValidators: true }
-    )
-    .populate({
-      path: 'ItemID',
-      select: 'PartNo PartName MaterialID',
-      populate: {
-        path: 'MaterialID',
-        select: 'MaterialName MaterialCode Density'
-      }
-    });
+    if (hasValue(CustomerID) && !mongoose.isValidObjectId(CustomerID)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid CustomerID' 
+      });
+    }
     
+    const costing = await Costing.findById(req.params.id);
     if (!costing) {
       return res.status(404).json({ 
         success: false, 
@@ -350,6 +495,94 @@ const updateCosting = async (req, res) => {
       });
     }
     
+    COSTING_UPDATE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        costing[field] = req.body[field];
+      }
+    });
+    
+    // Overhead/margin % entered here are kept when re-costing
+    const overheadGiven = req.body.OverheadPercentage !== undefined;
+    const marginGiven = req.body.MarginPercentage !== undefined;
+    if (overheadGiven) costing.OverheadSource = 'Manual';
+    if (marginGiven) costing.MarginSource = 'Manual';
+    
+    // Process cost re-costed from the item's current routing, or entered by hand
+    if (UseRouting) {
+      const item = await Item.findById(costing.ItemID);
+      if (!item) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Item not found' 
+        });
+      }
+      const routingCost = await getRoutingCost(item, costing.RMWeight);
+      costing.set({
+        ProcessCost: routingCost.ProcessCost,
+        ProcessCostSource: 'Routing',
+        ProcessOperations: routingCost.Operations,
+        RoutingSetupCost: routingCost.SetupCost
+      });
+    } else if (req.body.ProcessCost !== undefined) {
+      costing.set({ ProcessCostSource: 'Manual', ProcessOperations: [], RoutingSetupCost: 0 });
+    }
+    
+    // Cost heads of another template, or the template's current heads when the same
+    // one is given again; null returns to the built-in heads
+    let formulaChanged = false;
+    if (CostingTemplateID !== undefined) {
+      const template = CostingTemplateID ? await resolveCostingTemplate({ templateId: CostingTemplateID }) : null;
+      costing.set(getTemplateFields(template));
+      formulaChanged = describeCostHeads(template ? template.Heads : DEFAULT_COST_HEADS) !== costing.CostFormula;
+    }
+    
+    // Overhead and margin % re-defaulted from the costing policy now applicable
+    if (ApplyPolicy) {
+      const item = await Item.findById(costing.ItemID);
+      const policy = await CostingPolicy.findApplicable({ 
+        customerId: costing.CustomerID, 
+        item, 
+        quantity: costing.OrderQuantity 
+      });
+      if (!policy) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'No costing policy applies to this costing' 
+        });
+      }
+      costing.set(CostingPolicy.getCostingFields(policy, { overhead: !overheadGiven, margin: !marginGiven }));
+    }
+    if (costing.OverheadSource === 'Manual' && costing.MarginSource === 'Manual') {
+      costing.set({ CostingPolicyID: null, CostingPolicyName: '' });
+    }
+    
+    const inputsChanged = formulaChanged 
+      || Costing.COSTING_INPUT_FIELDS.some((field) => costing.isModified(field));
+    const changeReason = typeof ChangeReason === 'string' ? ChangeReason.trim() : '';
+    if (inputsChanged && !changeReason) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'ChangeReason is required when costing inputs change' 
+      });
+    }
+    
+    if (inputsChanged) {
+      costing.ChangeReason = changeReason;
+    }
+    costing.UpdatedBy = userId;
+    
+    // Save through the document so derived costs are recalculated and the version recorded
+    await costing.save();
+    
+    await costing.populate({
+      path: 'ItemID',
+      select: 'PartNo PartName MaterialID',
+      populate: {
+        path: 'MaterialID',
+        select: 'MaterialName MaterialCode Density'
+      }
+    });
+    
     res.json({ 
       success: true, 
       data: {
@@ -362,7 +595,9 @@ const updateCosting = async (req, res) => {
           finalRate: parseFloat(costing.FinalRate?.toFixed(2))
         }
       },
-      message: 'Costing updated successfully' 
+      message: inputsChanged 
+        ? `Costing updated to version ${costing.VersionNo}` 
+        : 'Costing updated successfully' 
     });
   } catch (error) {
     console.error('Update costing error:', error);
@@ -374,6 +609,21 @@ const updateCosting = async (req, res) => {
       });
     }
     
+    // Saved by someone else meanwhile (version already taken or document changed)
+    if (error.name === 'VersionError' || error.code === 11000) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Costing was changed by another user. Reload it and try again' 
+      });
+    }
+    
+    if (error.statusCode === 400) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(val => val.message);
       return res.status(400).json({ 
@@ -389,6 +639,111 @@ const updateCosting = async (req, res) => {
   }
 };
 
+// @desc    Get version history of a costing
+// @route   GET /api/costings/:id/versions
+// @access  Private
+const getCostingVersions = async (req, res) => {
+  try {
+    const versions = await CostingVersion.find({ CostingID: req.params.id })
+      .populate('CreatedBy', 'Username Email EmployeeID')
+      .sort({ VersionNo: -1 });
+    
+    if (versions.length === 0) {
+      const costing = await Costing.findById(req.params.id);
+      if (!costing) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Costing not found' 
+        });
+      }
+    }
+    
+    res.json({ 
+      success: true, 
+      data: versions,
+      count: versions.length
+    });
+  } catch (error) {
+    console.error('Get costing versions error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Compare two versions of a costing
+// @route   GET /api/costings/:id/versions/compare?from=1&to=2
+// @access  Private
+const compareCostingVersions = async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Both from and to version numbers are required' 
+      });
+    }
+    
+    const [fromVersion, toVersion] = await Promise.all([
+      CostingVersion.findOne({ CostingID: req.params.id, VersionNo: from }),
+      CostingVersion.findOne({ CostingID: req.params.id, VersionNo: to })
+    ]);
+    
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ 
+        success: false, 
+        message: `Costing version ${!fromVersion ? from : to} not found` 
+      });
+    }
+    
+    // Reasons of every version after "from" up to "to" explain the change
+    const between = await CostingVersion.find({
+      CostingID: req.params.id,
+      VersionNo: { $gt: Math.min(from, to), $lte: Math.max(from, to) }
+    })
+      .select('VersionNo ChangeReason CreatedBy CreatedAt')
+      .populate('CreatedBy', 'Username Email EmployeeID')
+      .sort({ VersionNo: 1 });
+    
+    res.json({ 
+      success: true, 
+      data: {
+        PartNo: toVersion.PartNo,
+        From: { VersionNo: fromVersion.VersionNo, CreatedAt: fromVersion.CreatedAt, FinalRate: fromVersion.FinalRate },
+        To: { VersionNo: toVersion.VersionNo, CreatedAt: toVersion.CreatedAt, FinalRate: toVersion.FinalRate },
+        Inputs: diffFields(fromVersion, toVersion, Costing.COSTING_VERSIONED_FIELDS),
+        Costs: diffFields(fromVersion, toVersion, Costing.COSTING_DERIVED_FIELDS),
+        Versions: between
+      }
+    });
+  } catch (error) {
+    console.error('Compare costing versions error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
 // @desc    Calculate costing without saving
 // @route   POST /api/costings/calculate
 // @access  Private
@@ -398,11 +753,15 @@ const calculateCosting = async (req, res) => {
       PartNo,
       RMWeight,
       RMRate,
-      ProcessCost = 0,
       FinishingCost = 0,
       PackingCost = 0,
-      OverheadPercentage = 10,
-      MarginPercentage = 15
+      SetupCost = 0,
+      OverheadPercentage,
+      MarginPercentage,
+      CostingTemplateID,
+      CustomerID,
+      OrderQuantity,
+      Quantities = []
     } = req.body;
     
     // Validate required fields
@@ -412,44 +771,116 @@ const calculateCosting = async (req, res) => {
         message: 'RMWeight and RMRate are required for calculation'
       });
     }
+    if (hasValue(CustomerID) && !mongoose.isValidObjectId(CustomerID)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid CustomerID'
+      });
+    }
+    
+    const item = PartNo ? await Item.findOne({ PartNo: PartNo.toUpperCase(), IsActive: true }) : null;
+    
+    // Process cost from the part's routing when not given
+    let processCost = hasValue(req.body.ProcessCost) ? Number(req.body.ProcessCost) : 0;
+    let processOperations = [];
+    let routingSetupCost = 0;
+    if (!hasValue(req.body.ProcessCost) && PartNo) {
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Item not found'
+        });
+      }
+      const routingCost = await getRoutingCost(item, Number(RMWeight));
+      processCost = routingCost.ProcessCost;
+      processOperations = routingCost.Operations;
+      routingSetupCost = routingCost.SetupCost;
+    }
+    
+    // Cost heads of the chosen, customer's, item's or default template; overhead and
+    // margin % from the costing policy when not given
+    const template = await resolveCostingTemplate({ templateId: CostingTemplateID, customerId: CustomerID, item });
+    const policy = await CostingPolicy.findApplicable({ customerId: CustomerID, item, quantity: OrderQuantity });
+    const percentageFields = getPercentageFields({
+      overheadPercentage: OverheadPercentage,
+      marginPercentage: MarginPercentage,
+      policy,
+      template
+    });
     
     // Perform calculations
-    const rmCost = RMWeight * RMRate;                    // RM Cost = Weight × Effective RM Rate
-    const subCost = rmCost + ProcessCost + FinishingCost + PackingCost; // Sub Cost = RM Cost + Process Cost + Finishing + Packing
-    const overheadCost = subCost * (OverheadPercentage / 100);  // Overhead Cost = Sub Cost × Overhead %
-    const marginCost = subCost * (MarginPercentage / 100);      // Margin Cost = Sub Cost × Margin %
-    const finalRate = subCost + overheadCost + marginCost;      // Final Rate = Sub Cost + Overhead Cost + Margin Cost
+    const inputs = {
+      RMWeight: Number(RMWeight),
+      RMRate: Number(RMRate),
+      ProcessCost: processCost,
+      FinishingCost: Number(FinishingCost),
+      PackingCost: Number(PackingCost),
+      SetupCost: Number(SetupCost),
+      OverheadPercentage: percentageFields.OverheadPercentage,
+      MarginPercentage: percentageFields.MarginPercentage
+    };
+    const rates = calculateCostingRates(inputs, template ? template.Heads : DEFAULT_COST_HEADS);
+    const costHeadFormulas = getCostHeadFormulas(rates.CostHeads);
+    
+    // Rates per quantity slab with the setup cost and routed setup spread over each quantity
+    const slabs = Quantities
+      .map(Number)
+      .filter((quantity) => quantity > 0)
+      .map((quantity) => ({
+        Quantity: quantity,
+        ...calculateSlabRate({
+          ...inputs,
+          ...rates,
+          ProcessCostSource: processOperations.length > 0 ? 'Routing' : 'Manual',
+          ProcessOperations: processOperations
+        }, quantity)
+      }));
     
     res.json({
       success: true,
       data: {
-        inputs: {
-          RMWeight: parseFloat(RMWeight),
-          RMRate: parseFloat(RMRate),
-          ProcessCost: parseFloat(ProcessCost),
-          FinishingCost: parseFloat(FinishingCost),
-          PackingCost: parseFloat(PackingCost),
-          OverheadPercentage: parseFloat(OverheadPercentage),
-          MarginPercentage: parseFloat(MarginPercentage)
-        },
+        inputs,
+        costingTemplate: template ? { _id: template._id, TemplateName: template.TemplateName } : null,
+        costingPolicy: percentageFields.CostingPolicyID 
+          ? { _id: policy._id, PolicyName: policy.PolicyName, Description: describeCostingPolicy(percentageFields) } 
+          : null,
+        overheadSource: percentageFields.OverheadSource,
+        marginSource: percentageFields.MarginSource,
+        costFormula: describeCostHeads(rates.CostHeads),
+        costHeads: rates.CostHeads,
         calculations: {
-          rawMaterialCost: parseFloat(rmCost.toFixed(2)),
-          subCost: parseFloat(subCost.toFixed(2)),
-          overheadCost: parseFloat(overheadCost.toFixed(2)),
-          marginCost: parseFloat(marginCost.toFixed(2)),
-          finalRate: parseFloat(finalRate.toFixed(2))
+          rawMaterialCost: rates.RMCost,
+          subCost: rates.SubCost,
+          overheadCost: rates.OverheadCost,
+          marginCost: rates.MarginCost,
+          finalRate: rates.FinalRate
         },
         formulas: {
-          rawMaterialCost: `${RMWeight} Kg × ₹${RMRate} = ₹${rmCost.toFixed(2)}`,
-          subCost: `₹${rmCost.toFixed(2)} + ₹${ProcessCost} + ₹${FinishingCost} + ₹${PackingCost} = ₹${subCost.toFixed(2)}`,
-          overheadCost: `₹${subCost.toFixed(2)} × ${OverheadPercentage}% = ₹${overheadCost.toFixed(2)}`,
-          marginCost: `₹${subCost.toFixed(2)} × ${MarginPercentage}% = ₹${marginCost.toFixed(2)}`,
-          finalRate: `₹${subCost.toFixed(2)} + ₹${overheadCost.toFixed(2)} + ₹${marginCost.toFixed(2)} = ₹${finalRate.toFixed(2)}`
-        }
+          rawMaterialCost: `${RMWeight} Kg × ₹${RMRate} = ₹${rates.RMCost.toFixed(2)}`,
+          subCost: `₹${rates.RMCost.toFixed(2)} + ₹${processCost} + ₹${FinishingCost} + ₹${PackingCost} = ₹${rates.SubCost.toFixed(2)}`,
+          overheadCost: costHeadFormulas.overheadCost,
+          marginCost: costHeadFormulas.marginCost,
+          costHeads: costHeadFormulas.costHeads,
+          finalRate: `₹${rates.SubCost.toFixed(2)} + ₹${rates.OverheadCost.toFixed(2)} + ₹${rates.MarginCost.toFixed(2)} = ₹${rates.FinalRate.toFixed(2)}`,
+          slabRate: routingSetupCost > 0
+            ? `Final Rate + ((₹${SetupCost} + routed setup ₹${routingSetupCost} per batch × batches) ÷ Quantity) with the cost heads on SUB`
+            : `Final Rate + (₹${SetupCost} ÷ Quantity) with the cost heads on SUB`
+        },
+        processOperations,
+        routingSetupCost,
+        slabs
       }
     });
   } catch (error) {
     console.error('Calculate costing error:', error);
+    
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -510,5 +941,7 @@ module.exports = {
   createCosting,
   updateCosting,
   deleteCosting,
-  calculateCosting
+  calculateCosting,
+  getCostingVersions,
+  compareCostingVersions
 };
\ No newline at end of file
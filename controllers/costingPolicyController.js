@@ -0,0 +1,286 @@
+const CostingPolicy = require('../models/CostingPolicy');
+const Item = require('../models/Item');
+
+// Fields a user may set on a policy
+const POLICY_FIELDS = [
+  'PolicyName', 'Description', 'CustomerID', 'ItemCategory', 'MaterialID', 'MinQuantity', 'MaxQuantity',
+  'OverheadPercentage', 'MarginPercentage', 'EffectiveFrom', 'EffectiveTo', 'IsActive'
+];
+
+const pickPolicyFields = (body) => {
+  return POLICY_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+const populatePolicy = (query) => query
+  .populate('CustomerID', 'CustomerName CustomerCode')
+  .populate('MaterialID', 'MaterialName MaterialCode');
+
+// @desc    Get all costing policies
+// @route   GET /api/costing-policies
+// @access  Private
+const getCostingPolicies = async (req, res) => {
+  try {
+    const { search, customerId, itemCategory, materialId, includeInactive } = req.query;
+    
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.IsActive = true;
+    }
+    
+    if (search) {
+      query.PolicyName = new RegExp(search, 'i');
+    }
+    
+    if (customerId) {
+      query.CustomerID = customerId;
+    }
+    
+    if (itemCategory) {
+      query.ItemCategory = itemCategory;
+    }
+    
+    if (materialId) {
+      query.MaterialID = materialId;
+    }
+    
+    const policies = await populatePolicy(CostingPolicy.find(query))
+      .populate('CreatedBy', 'Username Email')
+      .sort({ PolicyName: 1, EffectiveFrom: -1 });
+    
+    res.json({ 
+      success: true, 
+      data: policies,
+      count: policies.length
+    });
+  } catch (error) {
+    console.error('Get costing policies error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get the costing policy applicable to a customer, part and order quantity
+// @route   GET /api/costing-policies/applicable
+// @access  Private
+const getApplicableCostingPolicy = async (req, res) => {
+  try {
+    const { customerId, partNo, quantity, date } = req.query;
+    
+    const item = partNo ? await Item.findOne({ PartNo: partNo.toUpperCase(), IsActive: true }) : null;
+    if (partNo && !item) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Item not found or inactive' 
+      });
+    }
+    
+    const onDate = date ? new Date(date) : new Date();
+    if (isNaN(onDate.getTime())) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid date' 
+      });
+    }
+    
+    const policy = await CostingPolicy.findApplicable({ customerId, item, quantity, date: onDate });
+    
+    res.json({ 
+      success: true, 
+      data: policy ? await populatePolicy(CostingPolicy.findById(policy._id)) : null,
+      message: policy
+        ? `${policy.PolicyName} applies`
+        : 'No costing policy applies; the costing template defaults are used'
+    });
+  } catch (error) {
+    console.error('Get applicable costing policy error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get single costing policy
+// @route   GET /api/costing-policies/:id
+// @access  Private
+const getCostingPolicy = async (req, res) => {
+  try {
+    const policy = await populatePolicy(CostingPolicy.findById(req.params.id))
+      .populate('CreatedBy', 'Username Email')
+      .populate('UpdatedBy', 'Username Email');
+    
+    if (!policy) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing policy not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: policy 
+    });
+  } catch (error) {
+    console.error('Get costing policy error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing policy not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Create costing policy
+// @route   POST /api/costing-policies
+// @access  Private
+const createCostingPolicy = async (req, res) => {
+  try {
+    const policy = await CostingPolicy.create({
+      ...pickPolicyFields(req.body),
+      CreatedBy: req.user.id,
+      UpdatedBy: req.user.id
+    });
+    
+    res.status(201).json({ 
+      success: true, 
+      data: policy,
+      message: 'Costing policy created successfully' 
+    });
+  } catch (error) {
+    console.error('Create costing policy error:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Costing policy with this name already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Update costing policy (costings keep their percentages until re-costed)
+// @route   PUT /api/costing-policies/:id
+// @access  Private
+const updateCostingPolicy = async (req, res) => {
+  try {
+    const policy = await CostingPolicy.findById(req.params.id);
+    
+    if (!policy) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing policy not found' 
+      });
+    }
+    
+    policy.set({ ...pickPolicyFields(req.body), UpdatedBy: req.user.id });
+    await policy.save();
+    
+    res.json({ 
+      success: true, 
+      data: policy,
+      message: 'Costing policy updated successfully' 
+    });
+  } catch (error) {
+    console.error('Update costing policy error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing policy not found' 
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Costing policy with this name already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Delete costing policy (soft delete)
+// @route   DELETE /api/costing-policies/:id
+// @access  Private
+const deleteCostingPolicy = async (req, res) => {
+  try {
+    const policy = await CostingPolicy.findByIdAndUpdate(
+      req.params.id,
+      { IsActive: false, UpdatedBy: req.user.id },
+      { new: true }
+    );
+    
+    if (!policy) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing policy not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Costing policy deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete costing policy error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing policy not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getCostingPolicies,
+  getApplicableCostingPolicy,
+  getCostingPolicy,
+  createCostingPolicy,
+  updateCostingPolicy,
+  deleteCostingPolicy
+};
@@ -0,0 +1,226 @@
+const CostingTemplate = require('../models/CostingTemplate');
+const { COST_BASES } = require('../utils/calculations');
+
+// Fields a user may set on a template
+const TEMPLATE_FIELDS = ['TemplateName', 'Description', 'Heads', 'IsDefault', 'IsActive'];
+
+const pickTemplateFields = (body) => {
+  return TEMPLATE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// @desc    Get all costing templates
+// @route   GET /api/costing-templates
+// @access  Private
+const getCostingTemplates = async (req, res) => {
+  try {
+    const { search, includeInactive } = req.query;
+    
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.IsActive = true;
+    }
+    
+    if (search) {
+      query.TemplateName = new RegExp(search, 'i');
+    }
+    
+    const templates = await CostingTemplate.find(query)
+      .populate('CreatedBy', 'Username Email')
+      .sort({ IsDefault: -1, TemplateName: 1 });
+    
+    res.json({ 
+      success: true, 
+      data: templates,
+      count: templates.length,
+      costBases: COST_BASES
+    });
+  } catch (error) {
+    console.error('Get costing templates error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get single costing template
+// @route   GET /api/costing-templates/:id
+// @access  Private
+const getCostingTemplate = async (req, res) => {
+  try {
+    const template = await CostingTemplate.findById(req.params.id)
+      .populate('CreatedBy', 'Username Email')
+      .populate('UpdatedBy', 'Username Email');
+    
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing template not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: template 
+    });
+  } catch (error) {
+    console.error('Get costing template error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing template not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Create costing template
+// @route   POST /api/costing-templates
+// @access  Private
+const createCostingTemplate = async (req, res) => {
+  try {
+    const template = await CostingTemplate.create({
+      ...pickTemplateFields(req.body),
+      CreatedBy: req.user.id,
+      UpdatedBy: req.user.id
+    });
+    
+    res.status(201).json({ 
+      success: true, 
+      data: template,
+      message: 'Costing template created successfully' 
+    });
+  } catch (error) {
+    console.error('Create costing template error:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Costing template with this name already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Update costing template (existing costings keep the heads they were costed with)
+// @route   PUT /api/costing-templates/:id
+// @access  Private
+const updateCostingTemplate = async (req, res) => {
+  try {
+    const template = await CostingTemplate.findById(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing template not found' 
+      });
+    }
+    
+    template.set({ ...pickTemplateFields(req.body), UpdatedBy: req.user.id });
+    await template.save();
+    
+    res.json({ 
+      success: true, 
+      data: template,
+      message: 'Costing template updated successfully' 
+    });
+  } catch (error) {
+    console.error('Update costing template error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing template not found' 
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Costing template with this name already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Delete costing template (soft delete)
+// @route   DELETE /api/costing-templates/:id
+// @access  Private
+const deleteCostingTemplate = async (req, res) => {
+  try {
+    const template = await CostingTemplate.findByIdAndUpdate(
+      req.params.id,
+      { IsActive: false, IsDefault: false, UpdatedBy: req.user.id },
+      { new: true }
+    );
+    
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing template not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Costing template deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete costing template error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Costing template not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getCostingTemplates,
+  getCostingTemplate,
+  createCostingTemplate,
+  updateCostingTemplate,
+  deleteCostingTemplate
+};
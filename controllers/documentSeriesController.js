@@ -0,0 +1,279 @@
+const DocumentSeries = require('../models/DocumentSeries');
+const Company = require('../models/Company');
+const { DEFAULT_SERIES, previewDocumentNumber } = require('../utils/documentNumbering');
+
+// Fields a user may set on a series
+const SERIES_FIELDS = ['DocumentType', 'Prefix', 'Pattern', 'Padding', 'ResetRule', 'StartNumber', 'IsActive'];
+
+const pickSeriesFields = (body) => {
+  return SERIES_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// Company from the request, falling back to the active company
+const resolveCompanyId = async (companyId) => {
+  if (companyId) return companyId;
+  
+  const company = await Company.findOne({ IsActive: true });
+  return company ? company._id : null;
+};
+
+// @desc    Get all document series
+// @route   GET /api/document-series
+// @access  Private
+const getDocumentSeries = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.companyId) query.CompanyID = req.query.companyId;
+    if (req.query.documentType) query.DocumentType = req.query.documentType;
+    
+    const series = await DocumentSeries.find(query)
+      .populate('CompanyID', 'CompanyName')
+      .sort({ DocumentType: 1 });
+    
+    res.json({ 
+      success: true, 
+      data: series,
+      count: series.length
+    });
+  } catch (error) {
+    console.error('Get document series error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Preview next document number (does not consume it)
+// @route   GET /api/document-series/preview
+// @access  Private
+const previewNextNumber = async (req, res) => {
+  try {
+    const documentType = req.query.documentType || 'Quotation';
+    const companyId = await resolveCompanyId(req.query.companyId);
+    
+    if (!companyId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No active company found' 
+      });
+    }
+    
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid date' 
+      });
+    }
+    
+    const nextNumber = await previewDocumentNumber(companyId, documentType, date);
+    
+    res.json({ 
+      success: true, 
+      data: {
+        DocumentType: documentType,
+        NextNumber: nextNumber
+      }
+    });
+  } catch (error) {
+    console.error('Preview document number error:', error);
+    
+    if (error.message.startsWith('Document series not found')) {
+      return res.status(404).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get single document series
+// @route   GET /api/document-series/:id
+// @access  Private
+const getDocumentSeriesById = async (req, res) => {
+  try {
+    const series = await DocumentSeries.findById(req.params.id)
+      .populate('CompanyID', 'CompanyName');
+    
+    if (!series) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Document series not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: series 
+    });
+  } catch (error) {
+    console.error('Get document series error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Document series not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Create document series
+// @route   POST /api/document-series
+// @access  Private
+const createDocumentSeries = async (req, res) => {
+  try {
+    const companyId = await resolveCompanyId(req.body.CompanyID);
+    
+    if (!companyId) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'No active company found' 
+      });
+    }
+    
+    const documentType = req.body.DocumentType;
+    const series = await DocumentSeries.create({
+      Prefix: DEFAULT_SERIES[documentType] ? DEFAULT_SERIES[documentType].Prefix : '',
+      ...pickSeriesFields(req.body),
+      CompanyID: companyId,
+      CreatedBy: req.user.id,
+      UpdatedBy: req.user.id
+    });
+    
+    res.status(201).json({ 
+      success: true, 
+      data: series,
+      message: 'Document series created successfully' 
+    });
+  } catch (error) {
+    console.error('Create document series error:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Document series already exists for this document type' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Update document series
+// @route   PUT /api/document-series/:id
+// @access  Private
+const updateDocumentSeries = async (req, res) => {
+  try {
+    const series = await DocumentSeries.findById(req.params.id);
+    
+    if (!series) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Document series not found' 
+      });
+    }
+    
+    // Document type is fixed once the series exists; counters are keyed by it
+    const { DocumentType, ...fields } = pickSeriesFields(req.body);
+    series.set({ ...fields, UpdatedBy: req.user.id });
+    await series.save();
+    
+    res.json({ 
+      success: true, 
+      data: series,
+      message: 'Document series updated successfully' 
+    });
+  } catch (error) {
+    console.error('Update document series error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Document series not found' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Delete document series (numbering falls back to the default series)
+// @route   DELETE /api/document-series/:id
+// @access  Private
+const deleteDocumentSeries = async (req, res) => {
+  try {
+    const series = await DocumentSeries.findByIdAndDelete(req.params.id);
+    
+    if (!series) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Document series not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Document series deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete document series error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Document series not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getDocumentSeries,
+  previewNextNumber,
+  getDocumentSeriesById,
+  createDocumentSeries,
+  updateDocumentSeries,
+  deleteDocumentSeries
+};
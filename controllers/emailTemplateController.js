@@ -0,0 +1,235 @@
+const EmailTemplate = require('../models/EmailTemplate');
+
+// Fields a user may set on an email template
+const TEMPLATE_FIELDS = ['TemplateName', 'DocumentType', 'Subject', 'Body', 'IsDefault', 'IsActive'];
+
+const pickTemplateFields = (body) => {
+  return TEMPLATE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// Only one default template per document type
+const clearOtherDefaults = async (template) => {
+  if (!template.IsDefault) return;
+  await EmailTemplate.updateMany(
+    { DocumentType: template.DocumentType, IsDefault: true, _id: { $ne: template._id } },
+    { IsDefault: false }
+  );
+};
+
+// @desc    Get all email templates
+// @route   GET /api/email-templates
+// @access  Private
+const getEmailTemplates = async (req, res) => {
+  try {
+    const { documentType, includeInactive } = req.query;
+    
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.IsActive = true;
+    }
+    
+    if (documentType) {
+      query.DocumentType = documentType;
+    }
+    
+    const templates = await EmailTemplate.find(query)
+      .populate('CreatedBy', 'Username Email')
+      .sort({ DocumentType: 1, TemplateName: 1 });
+    
+    res.json({ 
+      success: true, 
+      data: templates,
+      count: templates.length 
+    });
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get single email template
+// @route   GET /api/email-templates/:id
+// @access  Private
+const getEmailTemplate = async (req, res) => {
+  try {
+    const template = await EmailTemplate.findById(req.params.id)
+      .populate('CreatedBy', 'Username Email')
+      .populate('UpdatedBy', 'Username Email');
+    
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Email template not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: template 
+    });
+  } catch (error) {
+    console.error('Get email template error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Email template not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Create email template
+// @route   POST /api/email-templates
+// @access  Private
+const createEmailTemplate = async (req, res) => {
+  try {
+    const template = await EmailTemplate.create({
+      ...pickTemplateFields(req.body),
+      CreatedBy: req.user.id,
+      UpdatedBy: req.user.id
+    });
+    await clearOtherDefaults(template);
+    
+    res.status(201).json({ 
+      success: true, 
+      data: template,
+      message: 'Email template created successfully' 
+    });
+  } catch (error) {
+    console.error('Create email template error:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email template with this name already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Update email template
+// @route   PUT /api/email-templates/:id
+// @access  Private
+const updateEmailTemplate = async (req, res) => {
+  try {
+    const template = await EmailTemplate.findById(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Email template not found' 
+      });
+    }
+    
+    template.set({ ...pickTemplateFields(req.body), UpdatedBy: req.user.id });
+    await template.save();
+    await clearOtherDefaults(template);
+    
+    res.json({ 
+      success: true, 
+      data: template,
+      message: 'Email template updated successfully' 
+    });
+  } catch (error) {
+    console.error('Update email template error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Email template not found' 
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Email template with this name already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Delete email template (soft delete)
+// @route   DELETE /api/email-templates/:id
+// @access  Private
+const deleteEmailTemplate = async (req, res) => {
+  try {
+    const template = await EmailTemplate.findByIdAndUpdate(
+      req.params.id,
+      { IsActive: false, IsDefault: false, UpdatedBy: req.user.id },
+      { new: true }
+    );
+    
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Email template not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Email template deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete email template error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Email template not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getEmailTemplates,
+  getEmailTemplate,
+  createEmailTemplate,
+  updateEmailTemplate,
+  deleteEmailTemplate
+};
@@ -0,0 +1,264 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY, CURRENCIES } = require('../utils/calculations');
+
+// Fields a user may set on an exchange rate
+const RATE_FIELDS = ['Currency', 'Rate', 'EffectiveFrom', 'Remarks'];
+
+const pickRateFields = (body) => {
+  return RATE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// @desc    Get exchange rates (history, latest first)
+// @route   GET /api/exchange-rates
+// @access  Private
+const getExchangeRates = async (req, res) => {
+  try {
+    const { currency, includeInactive } = req.query;
+    
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.IsActive = true;
+    }
+    
+    if (currency) {
+      query.Currency = currency.toUpperCase();
+    }
+    
+    const rates = await ExchangeRate.find(query)
+      .populate('CreatedBy', 'Username Email')
+      .sort({ Currency: 1, EffectiveFrom: -1 });
+    
+    res.json({ 
+      success: true, 
+      data: rates,
+      count: rates.length 
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get the rate applicable on a date for every supported currency
+// @route   GET /api/exchange-rates/current
+// @access  Private
+const getCurrentExchangeRates = async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid date' 
+      });
+    }
+    
+    const currencies = CURRENCIES.filter((currency) => currency !== BASE_CURRENCY);
+    const rates = await Promise.all(currencies.map((currency) => ExchangeRate.getRateOn(currency, date)));
+    
+    res.json({ 
+      success: true, 
+      data: {
+        baseCurrency: BASE_CURRENCY,
+        date,
+        rates: currencies.map((currency, index) => ({
+          Currency: currency,
+          Rate: rates[index] ? rates[index].Rate : null,
+          EffectiveFrom: rates[index] ? rates[index].EffectiveFrom : null,
+          ExchangeRateID: rates[index] ? rates[index]._id : null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get current exchange rates error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get single exchange rate
+// @route   GET /api/exchange-rates/:id
+// @access  Private
+const getExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findById(req.params.id)
+      .populate('CreatedBy', 'Username Email')
+      .populate('UpdatedBy', 'Username Email');
+    
+    if (!rate) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Exchange rate not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: rate 
+    });
+  } catch (error) {
+    console.error('Get exchange rate error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Exchange rate not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Create exchange rate
+// @route   POST /api/exchange-rates
+// @access  Private
+const createExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.create({
+      ...pickRateFields(req.body),
+      CreatedBy: req.user.id,
+      UpdatedBy: req.user.id
+    });
+    
+    res.status(201).json({ 
+      success: true, 
+      data: rate,
+      message: 'Exchange rate created successfully' 
+    });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'An exchange rate for this currency and date already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Update exchange rate (quotations already made keep the rate they were made at)
+// @route   PUT /api/exchange-rates/:id
+// @access  Private
+const updateExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findById(req.params.id);
+    
+    if (!rate) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Exchange rate not found' 
+      });
+    }
+    
+    rate.set({ ...pickRateFields(req.body), UpdatedBy: req.user.id });
+    await rate.save();
+    
+    res.json({ 
+      success: true, 
+      data: rate,
+      message: 'Exchange rate updated successfully' 
+    });
+  } catch (error) {
+    console.error('Update exchange rate error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Exchange rate not found' 
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'An exchange rate for this currency and date already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Delete exchange rate (soft delete)
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findByIdAndUpdate(
+      req.params.id,
+      { IsActive: false, UpdatedBy: req.user.id },
+      { new: true }
+    );
+    
+    if (!rate) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Exchange rate not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Exchange rate deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Exchange rate not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  getCurrentExchangeRates,
+  getExchangeRate,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+};
@@ -0,0 +1,269 @@
+const FollowUp = require('../models/FollowUp');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Roles that may act on follow-ups assigned to other users
+const ADMIN_ROLES = ['SuperAdmin', 'Admin'];
+
+// Only the assignee or an admin may snooze or complete a follow-up
+const canActOnFollowUp = (followUp, user) => {
+  const roleName = user.RoleID && user.RoleID.RoleName;
+  return ADMIN_ROLES.includes(roleName) || followUp.AssignedTo.equals(user._id);
+};
+
+// @desc    Get follow-ups (the current user's open follow-ups by default)
+// @route   GET /api/follow-ups
+// @access  Private
+const getFollowUps = async (req, res) => {
+  try {
+    const { 
+      assignedTo, 
+      status, 
+      dueOnly, 
+      quotationId,
+      page = 1, 
+      limit = 20 
+    } = req.query;
+    
+    const query = {};
+    
+    // Current user unless another user (or "all") is requested
+    if (assignedTo !== 'all') {
+      query.AssignedTo = assignedTo || req.user.id;
+    }
+    
+    query.Status = status ? status : { $in: FollowUp.OPEN_STATUSES };
+    
+    // Only follow-ups that are due now
+    if (dueOnly === 'true') {
+      query.DueAt = { $lte: new Date() };
+    }
+    
+    if (quotationId) {
+      query.QuotationID = quotationId;
+    }
+    
+    const followUps = await FollowUp.find(query)
+      .populate('QuotationID', 'QuotationNo RevisionNo Status ValidTill GrandTotal VendorName VendorEmail')
+      .populate('AssignedTo', 'Username Email')
+      .populate('CompletedBy', 'Username Email')
+      .sort({ DueAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await FollowUp.countDocuments(query);
+    
+    res.json({ 
+      success: true, 
+      data: followUps,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get follow-ups error:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid filter value' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get pending follow-up counts per user
+// @route   GET /api/follow-ups/summary
+// @access  Private
+const getFollowUpSummary = async (req, res) => {
+  try {
+    const now = new Date();
+    
+    const summary = await FollowUp.aggregate([
+      { $match: { Status: { $in: FollowUp.OPEN_STATUSES } } },
+      {
+        $group: {
+          _id: '$AssignedTo',
+          pending: { $sum: { $cond: [{ $eq: ['$Status', 'Pending'] }, 1, 0] } },
+          snoozed: { $sum: { $cond: [{ $eq: ['$Status', 'Snoozed'] }, 1, 0] } },
+          due: { $sum: { $cond: [{ $lte: ['$DueAt', now] }, 1, 0] } },
+          nextDueAt: { $min: '$DueAt' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'user'
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          UserID: '$_id',
+          Username: { $arrayElemAt: ['$user.Username', 0] },
+          Email: { $arrayElemAt: ['$user.Email', 0] },
+          pending: 1,
+          snoozed: 1,
+          due: 1,
+          nextDueAt: 1
+        }
+      },
+      { $sort: { due: -1, pending: -1 } }
+    ]);
+    
+    res.json({ 
+      success: true, 
+      data: summary 
+    });
+  } catch (error) {
+    console.error('Get follow-up summary error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Snooze a follow-up until a later date
+// @route   PUT /api/follow-ups/:id/snooze
+// @access  Private
+const snoozeFollowUp = async (req, res) => {
+  try {
+    const { Until, Days, Remarks } = req.body;
+    
+    const until = Until ? new Date(Until) : new Date(Date.now() + (parseInt(Days) || 1) * DAY);
+    if (isNaN(until.getTime()) || until <= new Date()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Snooze date must be in the future' 
+      });
+    }
+    
+    const followUp = await FollowUp.findById(req.params.id);
+    if (!followUp) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Follow-up not found' 
+      });
+    }
+    
+    if (!canActOnFollowUp(followUp, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the assigned user can snooze this follow-up' 
+      });
+    }
+    
+    if (!FollowUp.OPEN_STATUSES.includes(followUp.Status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Follow-up is already ${followUp.Status.toLowerCase()}` 
+      });
+    }
+    
+    followUp.set({
+      Status: 'Snoozed',
+      SnoozedUntil: until,
+      DueAt: until,
+      SnoozeCount: followUp.SnoozeCount + 1
+    });
+    if (Remarks !== undefined) followUp.Remarks = Remarks;
+    await followUp.save();
+    
+    res.json({ 
+      success: true, 
+      data: followUp,
+      message: 'Follow-up snoozed' 
+    });
+  } catch (error) {
+    console.error('Snooze follow-up error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Follow-up not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Mark a follow-up as completed
+// @route   PUT /api/follow-ups/:id/complete
+// @access  Private
+const completeFollowUp = async (req, res) => {
+  try {
+    const { Remarks } = req.body;
+    
+    const followUp = await FollowUp.findById(req.params.id);
+    if (!followUp) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Follow-up not found' 
+      });
+    }
+    
+    if (!canActOnFollowUp(followUp, req.user)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Only the assigned user can complete this follow-up' 
+      });
+    }
+    
+    if (!FollowUp.OPEN_STATUSES.includes(followUp.Status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Follow-up is already ${followUp.Status.toLowerCase()}` 
+      });
+    }
+    
+    followUp.set({
+      Status: 'Completed',
+      CompletedAt: Date.now(),
+      CompletedBy: req.user.id
+    });
+    if (Remarks !== undefined) followUp.Remarks = Remarks;
+    await followUp.save();
+    
+    res.json({ 
+      success: true, 
+      data: followUp,
+      message: 'Follow-up completed' 
+    });
+  } catch (error) {
+    console.error('Complete follow-up error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Follow-up not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getFollowUps,
+  getFollowUpSummary,
+  snoozeFollowUp,
+  completeFollowUp
+};
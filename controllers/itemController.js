@@ -1,12 +1,56 @@
+const mongoose = require('mongoose');
 const Item = require('../models/Item');
 const Material = require('../models/Material');
+const Process = require('../models/Process');
+
+// Check a routing against the process master and return it in Sequence order, or an
+// { error } message. Operations default to the process's vendor/in-house flag.
+const buildRouting = async (routing) => {
+  if (!Array.isArray(routing) || routing.some((operation) => !operation || typeof operation !== 'object')) {
+    return { error: 'Routing must be a list of operations' };
+  }
+  
+  const sequences = routing.map((operation) => Number(operation.Sequence));
+  if (new Set(sequences).size !== sequences.length) {
+    return { error: 'Routing operation sequences must be unique' };
+  }
+  
+  // A malformed ID would fail the process lookup as a cast error
+  const invalidOperation = routing.find((operation) => !mongoose.isValidObjectId(operation.ProcessID));
+  if (invalidOperation) {
+    return { error: `Process in operation ${invalidOperation.Sequence} not found or inactive` };
+  }
+  
+  const processIds = routing.map((operation) => operation.ProcessID);
+  const processes = await Process.find({ _id: { $in: processIds }, IsActive: true });
+  const processMap = new Map(processes.map((process) => [process._id.toString(), process]));
+  
+  for (const operation of routing) {
+    const process = operation.ProcessID && processMap.get(String(operation.ProcessID));
+    if (!process) {
+      return { error: `Process in operation ${operation.Sequence} not found or inactive` };
+    }
+    if (process.RateType === 'Per Hour' && !(Number(operation.CycleTimeMinutes) > 0)) {
+      return { error: `Cycle time is required for ${process.ProcessName} (operation ${operation.Sequence}) as it is rated per hour` };
+    }
+  }
+  
+  return {
+    routing: routing
+      .map((operation) => ({
+        ...operation,
+        VendorOrInhouse: operation.VendorOrInhouse || processMap.get(String(operation.ProcessID)).VendorOrInhouse
+      }))
+      .sort((a, b) => a.Sequence - b.Sequence)
+  };
+};
 
 // @desc    Get all items
 // @route   GET /api/items
 // @access  Public
 const getItems = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, materialId } = req.query;
+    const { page = 1, limit = 10, search, materialId, category } = req.query;
     
     const query = { IsActive: true };
     
@@ -23,6 +67,10 @@ const getItems = async (req, res) => {
       query.MaterialID = materialId;
     }
     
+    if (category) {
+      query.ItemCategory = category;
+    }
+    
     const items = await Item.find(query)
       .populate('MaterialID', 'MaterialCode MaterialName Description Density Unit')
       .limit(limit * 1)
@@ -58,7 +106,8 @@ const getItem = async (req, res) => {
     const item = await Item.findById(req.params.id)
       .populate('MaterialID', 'MaterialCode MaterialName Description Density Unit Standard Grade Color')
       .populate('CreatedBy', 'Username Email')
-      .populate('UpdatedBy', 'Username Email');
+      .populate('UpdatedBy', 'Username Email')
+      .populate('Routing.ProcessID', 'ProcessName RateType Rate VendorOrInhouse');
     
     if (!item) {
       return res.status(404).json({ 
@@ -93,7 +142,7 @@ const getItem = async (req, res) => {
 // @access  Public
 const createItem = async (req, res) => {
   try {
-    const { MaterialID } = req.body;
+    const { MaterialID, Routing } = req.body;
     
     // Check if material exists and is active
     if (MaterialID) {
@@ -112,6 +161,17 @@ const createItem = async (req, res) => {
       CreatedBy: req.user?._id || null
     };
     
+    if (Routing !== undefined) {
+      const { routing, error } = await buildRouting(Routing);
+      if (error) {
+        return res.status(400).json({ 
+          success: false, 
+          message: error 
+        });
+      }
+      itemData.Routing = routing;
+    }
+    
     const item = await Item.create(itemData);
     
     // Populate material data in response
@@ -162,7 +222,7 @@ const updateItem = async (req, res) => {
       });
     }
     
-    const { MaterialID } = req.body;
+    const { MaterialID, Routing } = req.body;
     
     // Check if material exists and is active
     if (MaterialID && MaterialID !== item.MaterialID.toString()) {
@@ -175,13 +235,26 @@ const updateItem = async (req, res) => {
       }
     }
     
+    const updateData = { 
+      ...req.body, 
+      UpdatedBy: req.user?._id || null 
+    };
+    
+    if (Routing !== undefined) {
+      const { routing, error } = await buildRouting(Routing);
+      if (error) {
+        return res.status(400).json({ 
+          success: false, 
+          message: error 
+        });
+      }
+      updateData.Routing = routing;
+    }
+    
     // Update item
     const updatedItem = await Item.findByIdAndUpdate(
       req.params.id,
-      { 
-        ...req.body, 
-        UpdatedBy: req.user?._id || null 
-      },
+      updateData,
       { new: true, runValidators: true }
     ).populate('MaterialID', 'MaterialCode MaterialName Description Density Unit');
     
@@ -0,0 +1,328 @@
+const Quotation = require('../models/Quotation');
+const { verifyQuotationLink } = require('../utils/quotationLink');
+
+// Quotation link messages per verification error
+const LINK_ERRORS = {
+  invalid: { status: 404, message: 'This quotation link is invalid or has been replaced' },
+  expired: { status: 410, message: 'This quotation link has expired' }
+};
+
+// Resolve the quotation of a link token. Returns { quotation } or { error } with the
+// HTTP status and message to respond with. A link stops working once a new link is
+// created or it is revoked (the nonce on the quotation no longer matches).
+const getLinkedQuotation = async (token) => {
+  const link = verifyQuotationLink(token);
+  if (link.error) {
+    return { error: LINK_ERRORS[link.error] };
+  }
+  
+  const quotation = await Quotation.findById(link.quotationId).select('+PublicLinkNonce');
+  if (!quotation || !quotation.IsActive || quotation.PublicLinkNonce !== link.nonce) {
+    return { error: LINK_ERRORS.invalid };
+  }
+  
+  return { quotation };
+};
+
+// Read-only view for the party: what the quotation document shows, without
+// internal remarks, costing or price approval details
+const getPublicQuotationView = (quotation) => ({
+  QuotationNo: quotation.FullQuotationNo,
+  QuotationDate: quotation.QuotationDate,
+  ValidTill: quotation.ValidTill,
+  Status: quotation.Status,
+  Company: {
+    CompanyName: quotation.CompanyName,
+    GSTIN: quotation.CompanyGSTIN,
+    State: quotation.CompanyState
+  },
+  Party: {
+    Name: quotation.VendorName,
+    GSTIN: quotation.VendorGSTIN,
+    Address: quotation.VendorAddress,
+    ContactPerson: quotation.VendorContactPerson
+  },
+  PlaceOfSupply: quotation.PlaceOfSupply,
+  Currency: quotation.Currency,
+  IsExport: quotation.IsExport,
+  ExportTaxOption: quotation.ExportTaxOption,
+  Items: quotation.Items.map((item) => ({
+    PartNo: item.PartNo,
+    PartName: item.PartName,
+    Description: item.Description,
+    HSNCode: item.HSNCode,
+    Unit: item.Unit,
+    Quantity: item.Quantity,
+    FinalRate: item.FinalRate,
+    DiscountType: item.DiscountType,
+    DiscountValue: item.DiscountValue,
+    Amount: item.Amount,
+    GSTPercentage: item.GSTPercentage,
+    TaxAmount: item.TaxAmount,
+    TotalAmount: item.TotalAmount,
+    QuantitySlabs: item.QuantitySlabs.map((slab) => ({
+      Quantity: slab.Quantity,
+      FinalRate: slab.FinalRate,
+      Amount: slab.Amount
+    }))
+  })),
+  Charges: quotation.Charges.map((charge) => ({
+    ChargeType: charge.ChargeType,
+    Description: charge.Description,
+    Amount: charge.Amount,
+    TaxAmount: charge.TaxAmount
+  })),
+  GrossAmount: quotation.GrossAmount,
+  DiscountAmount: quotation.DiscountAmount,
+  SubTotal: quotation.SubTotal,
+  ChargesAmount: quotation.ChargesAmount,
+  TaxableAmount: quotation.TaxableAmount,
+  CGSTAmount: quotation.CGSTAmount,
+  SGSTAmount: quotation.SGSTAmount,
+  IGSTAmount: quotation.IGSTAmount,
+  GSTAmount: quotation.GSTAmount,
+  TCSPercentage: quotation.TCSPercentage,
+  TCSAmount: quotation.TCSAmount,
+  RoundOffAmount: quotation.RoundOffAmount,
+  GrandTotal: quotation.GrandTotal,
+  AmountInWords: quotation.AmountInWords,
+  TaxSummary: quotation.TaxSummary,
+  PaymentTerms: quotation.PaymentTerms,
+  DeliveryTerms: quotation.DeliveryTerms,
+  CustomerRemarks: quotation.CustomerRemarks,
+  TermsConditions: quotation.TermsConditions.map((term) => ({
+    Title: term.Title,
+    Description: term.Description
+  })),
+  CustomerResponse: quotation.CustomerResponse || null,
+  CanRespond: quotation.Status === 'Sent' && quotation.IsLatestRevision !== false && !quotation.isOverdue(),
+  LinkExpiresAt: quotation.PublicLinkExpiresAt
+});
+
+// Requester details recorded with a response
+const getRequestDetails = (req) => ({
+  IPAddress: req.ip,
+  UserAgent: (req.get('user-agent') || '').slice(0, 300)
+});
+
+// A response is possible only while the latest revision is sent and still valid
+const getResponseError = (quotation) => {
+  if (quotation.IsLatestRevision === false) {
+    return 'This quotation has been revised. Please use the link to the latest revision';
+  }
+  if (quotation.Status !== 'Sent') {
+    return `This quotation is already ${quotation.Status}`;
+  }
+  return null;
+};
+
+// Trimmed text of a request field ('' when missing or not text)
+const getText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Save a status change applied to the quotation only while it is still sent, so of
+// two simultaneous responses only the first is recorded. Returns the updated
+// quotation, or null when it was no longer sent.
+const saveIfStillSent = (quotation) => {
+  const changedPaths = quotation.directModifiedPaths().filter((path) => path !== 'StatusHistory');
+  
+  return Quotation.findOneAndUpdate(
+    { _id: quotation._id, Status: 'Sent', IsLatestRevision: { $ne: false } },
+    {
+      $set: changedPaths.reduce((fields, path) => ({ ...fields, [path]: quotation.get(path) }), {}),
+      $push: { StatusHistory: quotation.StatusHistory[quotation.StatusHistory.length - 1] }
+    },
+    { new: true }
+  );
+};
+
+// Record the party's response: status change with who/where in the history.
+// Returns null when another response or status change came first.
+const recordResponse = async (req, quotation, decision, response) => {
+  const details = getRequestDetails(req);
+  const status = decision === 'Accepted' ? 'Approved' : 'Rejected';
+  const reason = decision === 'Accepted'
+    ? `Accepted online against PO ${response.PONumber}`
+    : response.Reason;
+  
+  quotation.applyStatusChange(status, null, reason, {
+    RespondedBy: response.Name,
+    ...details
+  });
+  quotation.CustomerResponse = {
+    Decision: decision,
+    ...response,
+    ...details,
+    RespondedAt: Date.now()
+  };
+  return saveIfStillSent(quotation);
+};
+
+// Resolve the linked quotation for a response, expiring it when its validity has
+// passed. Sends the error response and returns null when it cannot be answered.
+const getQuotationForResponse = async (req, res) => {
+  const { quotation, error } = await getLinkedQuotation(req.params.token);
+  if (error) {
+    res.status(error.status).json({ 
+      success: false, 
+      message: error.message 
+    });
+    return null;
+  }
+  
+  // Validity already ended but the expiry job has not run yet
+  if (quotation.isOverdue()) {
+    quotation.applyStatusChange('Expired', null, 'Validity period ended');
+    await saveIfStillSent(quotation);
+    
+    res.status(400).json({ 
+      success: false, 
+      message: 'This quotation has expired' 
+    });
+    return null;
+  }
+  
+  const responseError = getResponseError(quotation);
+  if (responseError) {
+    res.status(400).json({ 
+      success: false, 
+      message: responseError 
+    });
+    return null;
+  }
+  
+  return quotation;
+};
+
+// @desc    View a quotation through its customer-facing link
+// @route   GET /api/public/quotations/:token
+// @access  Public (signed link)
+const getPublicQuotation = async (req, res) => {
+  try {
+    const { quotation, error } = await getLinkedQuotation(req.params.token);
+    if (error) {
+      return res.status(error.status).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    
+    // Let the sales team see that the party opened the link
+    await Quotation.updateOne({ _id: quotation._id }, { $set: { PublicLinkViewedAt: new Date() } });
+    
+    res.json({ 
+      success: true, 
+      data: getPublicQuotationView(quotation) 
+    });
+  } catch (error) {
+    console.error('Get public quotation error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Accept a quotation through its customer-facing link
+// @route   POST /api/public/quotations/:token/accept
+// @access  Public (signed link)
+const acceptPublicQuotation = async (req, res) => {
+  try {
+    const { PODate } = req.body;
+    const PONumber = getText(req.body.PONumber);
+    const Name = getText(req.body.Name);
+    
+    if (!PONumber || !Name) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'PO number and name are required to accept the quotation' 
+      });
+    }
+    
+    if (PODate && Number.isNaN(new Date(PODate).getTime())) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'PO date is not a valid date' 
+      });
+    }
+    
+    const quotation = await getQuotationForResponse(req, res);
+    if (!quotation) return;
+    
+    const accepted = await recordResponse(req, quotation, 'Accepted', {
+      Name,
+      Email: getText(req.body.Email),
+      PONumber,
+      PODate: PODate ? new Date(PODate) : undefined
+    });
+    
+    if (!accepted) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'This quotation has already been responded to' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: getPublicQuotationView(accepted), 
+      message: `Thank you. Quotation ${accepted.FullQuotationNo} has been accepted` 
+    });
+  } catch (error) {
+    console.error('Accept public quotation error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Reject a quotation through its customer-facing link
+// @route   POST /api/public/quotations/:token/reject
+// @access  Public (signed link)
+const rejectPublicQuotation = async (req, res) => {
+  try {
+    const Reason = getText(req.body.Reason);
+    const Name = getText(req.body.Name);
+    
+    if (!Reason || !Name) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'A reason and name are required to reject the quotation' 
+      });
+    }
+    
+    const quotation = await getQuotationForResponse(req, res);
+    if (!quotation) return;
+    
+    const rejected = await recordResponse(req, quotation, 'Rejected', {
+      Name,
+      Email: getText(req.body.Email),
+      Reason
+    });
+    
+    if (!rejected) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'This quotation has already been responded to' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: getPublicQuotationView(rejected), 
+      message: `Quotation ${rejected.FullQuotationNo} has been rejected` 
+    });
+  } catch (error) {
+    console.error('Reject public quotation error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getPublicQuotation,
+  acceptPublicQuotation,
+  rejectPublicQuotation
+};
@@ -0,0 +1,354 @@
+const mongoose = require('mongoose');
+const Quotation = require('../models/Quotation');
+const User = require('../models/User');
+const { roundAmount } = require('../utils/calculations');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Months are bucketed in this timezone
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Kolkata';
+
+// Outcome of a quotation: Approved is won, Rejected is lost, Expired lapsed without a
+// decision. Only the latest revision of each quotation number counts; values are grand
+// totals in INR so quotations in other currencies add up.
+const WON = 'Approved';
+const LOST = 'Rejected';
+const EXPIRED = 'Expired';
+const OPEN = ['Draft', 'Sent'];
+
+// Match stage shared by all analytics endpoints (date range on QuotationDate)
+const buildAnalyticsMatch = (query) => {
+  const { startDate, endDate, partyType, vendorId, customerId, createdBy } = query;
+  
+  const match = {
+    IsLatestRevision: { $ne: false },
+    IsActive: { $ne: false }
+  };
+  
+  if (startDate || endDate) {
+    match.QuotationDate = {};
+    if (startDate) match.QuotationDate.$gte = new Date(startDate);
+    if (endDate) match.QuotationDate.$lte = new Date(endDate);
+  }
+  
+  if (partyType) match.PartyType = partyType;
+  if (vendorId) match.VendorID = new mongoose.Types.ObjectId(vendorId);
+  if (customerId) match.CustomerID = new mongoose.Types.ObjectId(customerId);
+  if (createdBy) match.CreatedBy = new mongoose.Types.ObjectId(createdBy);
+  
+  return match;
+};
+
+// INR value of a quotation amount (quotations before currencies were introduced are in INR)
+const toBaseValue = (field) => ({ $multiply: [field, { $ifNull: ['$ExchangeRate', 1] }] });
+const BASE_GRAND_TOTAL = { $ifNull: ['$BaseGrandTotal', '$GrandTotal'] };
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+const sumIf = (condition, value) => ({ $sum: { $cond: [condition, value, 0] } });
+const hasStatus = (status) => ({ $eq: ['$Status', status] });
+
+// $group accumulators for win/loss counts and values of a group of quotations
+const outcomeAccumulators = (valueField = BASE_GRAND_TOTAL) => ({
+  totalCount: { $sum: 1 },
+  wonCount: countIf(hasStatus(WON)),
+  lostCount: countIf(hasStatus(LOST)),
+  expiredCount: countIf(hasStatus(EXPIRED)),
+  openCount: countIf({ $in: ['$Status', OPEN] }),
+  totalValue: { $sum: valueField },
+  wonValue: sumIf(hasStatus(WON), valueField),
+  lostValue: sumIf(hasStatus(LOST), valueField),
+  expiredValue: sumIf(hasStatus(EXPIRED), valueField),
+  openValue: sumIf({ $in: ['$Status', OPEN] }, valueField)
+});
+
+const percentage = (part, whole) => (whole > 0 ? roundAmount(part / whole * 100) : 0);
+
+const emptyOutcomes = () => ({
+  totalCount: 0,
+  wonCount: 0,
+  lostCount: 0,
+  expiredCount: 0,
+  openCount: 0,
+  totalValue: 0,
+  wonValue: 0,
+  lostValue: 0,
+  expiredValue: 0,
+  openValue: 0
+});
+
+// Conversion rate is won out of all closed (won, lost or expired);
+// win rate is won out of decided (won or lost)
+const withRates = ({ _id, ...row }) => {
+  const closedCount = row.wonCount + row.lostCount + row.expiredCount;
+  const closedValue = row.wonValue + row.lostValue + row.expiredValue;
+  
+  return {
+    ...row,
+    totalValue: roundAmount(row.totalValue),
+    wonValue: roundAmount(row.wonValue),
+    lostValue: roundAmount(row.lostValue),
+    expiredValue: roundAmount(row.expiredValue),
+    openValue: roundAmount(row.openValue),
+    conversionRate: percentage(row.wonCount, closedCount),
+    winRate: percentage(row.wonCount, row.wonCount + row.lostCount),
+    valueConversionRate: percentage(row.wonValue, closedValue)
+  };
+};
+
+// Group matched quotations by a key and compute outcomes per group
+const aggregateOutcomes = (match, groupId, extraFields = {}, valueField) => {
+  return Quotation.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupId,
+        ...extraFields,
+        ...outcomeAccumulators(valueField)
+      }
+    },
+    { $sort: { wonValue: -1, totalValue: -1 } }
+  ]);
+};
+
+// Common error response for analytics endpoints
+const handleAnalyticsError = (res, label, error) => {
+  console.error(`${label} error:`, error);
+  
+  if (error.name === 'BSONError' || error.name === 'CastError') {
+    return res.status(400).json({ 
+      success: false, 
+      message: 'Invalid filter value' 
+    });
+  }
+  
+  res.status(500).json({ 
+    success: false, 
+    message: 'Server error' 
+  });
+};
+
+// @desc    Overall conversion, values and turnaround times
+// @route   GET /api/quotations/analytics/summary
+// @access  Private
+const getAnalyticsSummary = async (req, res) => {
+  try {
+    const match = buildAnalyticsMatch(req.query);
+    
+    const [outcomes] = await aggregateOutcomes(match, null, {
+      cancelledCount: countIf(hasStatus('Cancelled'))
+    });
+    
+    // Turnaround in days: creation to send, and send to customer decision
+    const [turnaround] = await Quotation.aggregate([
+      { $match: { ...match, SentAt: { $ne: null } } },
+      {
+        $project: {
+          createToSend: { $divide: [{ $subtract: ['$SentAt', '$createdAt'] }, DAY_MS] },
+          sendToDecision: {
+            $switch: {
+              branches: [
+                { case: hasStatus(WON), then: { $divide: [{ $subtract: ['$ApprovedAt', '$SentAt'] }, DAY_MS] } },
+                { case: hasStatus(LOST), then: { $divide: [{ $subtract: ['$RejectedAt', '$SentAt'] }, DAY_MS] } }
+              ],
+              default: null
+            }
+          }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          avgCreateToSendDays: { $avg: '$createToSend' },
+          avgSendToDecisionDays: { $avg: '$sendToDecision' },
+          sentCount: { $sum: 1 },
+          decidedCount: { $sum: { $cond: [{ $ne: ['$sendToDecision', null] }, 1, 0] } }
+        }
+      }
+    ]);
+    
+    res.json({ 
+      success: true, 
+      data: {
+        ...withRates(outcomes || { ...emptyOutcomes(), cancelledCount: 0 }),
+        turnaround: {
+          avgCreateToSendDays: roundAmount(turnaround && turnaround.avgCreateToSendDays),
+          avgSendToDecisionDays: roundAmount(turnaround && turnaround.avgSendToDecisionDays),
+          sentCount: turnaround ? turnaround.sentCount : 0,
+          decidedCount: turnaround ? turnaround.decidedCount : 0
+        }
+      }
+    });
+  } catch (error) {
+    handleAnalyticsError(res, 'Get quotation analytics summary', error);
+  }
+};
+
+// @desc    Won vs lost by quotation month
+// @route   GET /api/quotations/analytics/monthly
+// @access  Private
+const getAnalyticsByMonth = async (req, res) => {
+  try {
+    const match = buildAnalyticsMatch(req.query);
+    
+    const rows = await Quotation.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m', date: '$QuotationDate', timezone: REPORT_TIMEZONE } },
+          ...outcomeAccumulators()
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    
+    res.json({ 
+      success: true, 
+      data: rows.map((row) => ({ month: row._id, ...withRates(row) }))
+    });
+  } catch (error) {
+    handleAnalyticsError(res, 'Get quotation analytics by month', error);
+  }
+};
+
+// @desc    Won vs lost by party (vendor or customer)
+// @route   GET /api/quotations/analytics/by-party
+// @access  Private
+const getAnalyticsByParty = async (req, res) => {
+  try {
+    const match = buildAnalyticsMatch(req.query);
+    
+    const rows = await aggregateOutcomes(
+      match,
+      { PartyType: '$PartyType', PartyID: { $ifNull: ['$CustomerID', '$VendorID'] }, PartyName: '$VendorName' },
+      { lastQuotationDate: { $max: '$QuotationDate' } }
+    );
+    
+    res.json({ 
+      success: true, 
+      data: rows.map((row) => ({ ...row._id, ...withRates(row) }))
+    });
+  } catch (error) {
+    handleAnalyticsError(res, 'Get quotation analytics by party', error);
+  }
+};
+
+// @desc    Won vs lost by part number (line values)
+// @route   GET /api/quotations/analytics/by-part
+// @access  Private
+const getAnalyticsByPart = async (req, res) => {
+  try {
+    const match = buildAnalyticsMatch(req.query);
+    
+    const rows = await Quotation.aggregate([
+      { $match: match },
+      { $unwind: '$Items' },
+      ...(req.query.partNo ? [{ $match: { 'Items.PartNo': req.query.partNo } }] : []),
+      {
+        $group: {
+          _id: '$Items.PartNo',
+          PartName: { $first: '$Items.PartName' },
+          quotedQuantity: { $sum: '$Items.Quantity' },
+          wonQuantity: sumIf(hasStatus(WON), '$Items.Quantity'),
+          ...outcomeAccumulators(toBaseValue('$Items.TotalAmount'))
+        }
+      },
+      { $sort: { wonValue: -1, totalValue: -1 } }
+    ]);
+    
+    res.json({ 
+      success: true, 
+      data: rows.map((row) => ({ PartNo: row._id, ...withRates(row) }))
+    });
+  } catch (error) {
+    handleAnalyticsError(res, 'Get quotation analytics by part', error);
+  }
+};
+
+// @desc    Won vs lost by the user who created the quotation
+// @route   GET /api/quotations/analytics/by-employee
+// @access  Private
+const getAnalyticsByEmployee = async (req, res) => {
+  try {
+    const match = buildAnalyticsMatch(req.query);
+    
+    const rows = await aggregateOutcomes(match, '$CreatedBy');
+    
+    // Creator is stored as the user id; resolve the user and linked employee
+    const users = await User.find({ _id: { $in: rows.map((row) => row._id) } })
+      .select('Username Email EmployeeID')
+      .populate('EmployeeID', 'EmployeeID FirstName LastName');
+    const userMap = new Map(users.map((user) => [user._id.toString(), user]));
+    
+    res.json({ 
+      success: true, 
+      data: rows.map((row) => {
+        const user = row._id ? userMap.get(row._id.toString()) : null;
+        const employee = user && user.EmployeeID;
+        
+        return {
+          UserID: row._id,
+          Username: user ? user.Username : '',
+          EmployeeCode: employee ? employee.EmployeeID : '',
+          EmployeeName: employee ? `${employee.FirstName} ${employee.LastName}` : '',
+          ...withRates(row)
+        };
+      })
+    });
+  } catch (error) {
+    handleAnalyticsError(res, 'Get quotation analytics by employee', error);
+  }
+};
+
+// @desc    Breakdown of lost quotations by rejection reason (expired ones grouped separately)
+// @route   GET /api/quotations/analytics/lost-reasons
+// @access  Private
+const getLostReasons = async (req, res) => {
+  try {
+    const match = {
+      ...buildAnalyticsMatch(req.query),
+      Status: { $in: [LOST, EXPIRED] }
+    };
+    
+    const rows = await Quotation.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $cond: [
+              hasStatus(EXPIRED),
+              'Expired without decision',
+              { $ifNull: [{ $trim: { input: '$RejectionReason' } }, ''] }
+            ]
+          },
+          count: { $sum: 1 },
+          value: { $sum: BASE_GRAND_TOTAL }
+        }
+      },
+      { $sort: { count: -1, value: -1 } }
+    ]);
+    
+    const totalCount = rows.reduce((total, row) => total + row.count, 0);
+    
+    res.json({ 
+      success: true, 
+      data: rows.map((row) => ({
+        reason: row._id || 'Not specified',
+        count: row.count,
+        value: roundAmount(row.value),
+        share: percentage(row.count, totalCount)
+      })),
+      totalCount
+    });
+  } catch (error) {
+    handleAnalyticsError(res, 'Get quotation lost reasons', error);
+  }
+};
+
+module.exports = {
+  getAnalyticsSummary,
+  getAnalyticsByMonth,
+  getAnalyticsByParty,
+  getAnalyticsByPart,
+  getAnalyticsByEmployee,
+  getLostReasons
+};
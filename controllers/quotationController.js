@@ -1,10 +1,685 @@
 const Quotation = require('../models/Quotation');
 const Company = require('../models/Company');
 const Vendor = require('../models/Vendor');
+const Customer = require('../models/Customer');
 const Item = require('../models/Item');
 const Costing = require('../models/Costing');
 const Tax = require('../models/Tax');
 const TermsCondition = require('../models/TermsCondition');
+const TermsConditionSet = require('../models/TermsConditionSet');
+const SalesOrder = require('../models/SalesOrder');
+const QuotationTemplate = require('../models/QuotationTemplate');
+const EmailTemplate = require('../models/EmailTemplate');
+const EmailLog = require('../models/EmailLog');
+const ExchangeRate = require('../models/ExchangeRate');
+const {
+  BASE_CURRENCY,
+  ROUND_OFF_TYPES,
+  roundAmount,
+  amountToWords,
+  getTaxRates,
+  calculateQuotationTotals,
+  calculateLineDiscount,
+  calculateRateAnalysis,
+  calculateSlabRate,
+  summarizeRateAnalysis
+} = require('../utils/calculations');
+const { diffFields, diffLines } = require('../utils/diff');
+const { renderQuotationPdf, resolvePdfPath, pdfExists } = require('../utils/quotationPdf');
+const { sendMail, parseRecipients, isValidEmail } = require('../utils/mailer');
+const { renderTemplate } = require('../utils/helpers');
+const { DEFAULT_QUOTATION_EMAIL, getQuotationEmailValues } = require('../utils/quotationEmail');
+const { parseRfqFile } = require('../utils/rfqImport');
+const { REGISTER_FORMATS, streamRegister } = require('../utils/registerExport');
+const {
+  createLinkNonce,
+  getLinkExpiry,
+  signQuotationLink,
+  getQuotationLinkUrl
+} = require('../utils/quotationLink');
+
+// Quantity of a requested slab: a plain quantity or { Quantity, OverrideRate }
+const getSlabQuantity = (slab) => Number(slab !== null && typeof slab === 'object' ? slab.Quantity : slab);
+
+// Requested quantity slabs must be whole quantities, each listed once per line
+const getQuantitySlabsError = (items = []) => {
+  for (const item of items) {
+    const quantities = (item.QuantitySlabs || []).map(getSlabQuantity);
+    if (quantities.some((quantity) => !Number.isInteger(quantity) || quantity < 1)) {
+      return `Quantity slabs for ${item.PartNo} must be whole numbers of at least 1`;
+    }
+    if (new Set(quantities).size !== quantities.length) {
+      return `Quantity slabs for ${item.PartNo} must not repeat a quantity`;
+    }
+  }
+  return null;
+};
+
+// Requested quantity slabs of a line as [{ Quantity, OverrideRate }], sorted by
+// quantity (see getQuantitySlabsError). The line's own Quantity, with the line
+// OverrideRate, is always one of the slabs. Empty for single-quantity lines.
+const getRequestedSlabs = (item) => {
+  const slabs = new Map(
+    (item.QuantitySlabs || []).map((slab) => [
+      getSlabQuantity(slab),
+      slab !== null && typeof slab === 'object' ? slab.OverrideRate : undefined
+    ])
+  );
+  
+  const lineQuantity = Number(item.Quantity);
+  slabs.set(lineQuantity, item.OverrideRate ?? slabs.get(lineQuantity));
+  
+  if (slabs.size < 2) {
+    return [];
+  }
+  
+  return Array.from(slabs.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([quantity, overrideRate]) => ({ Quantity: quantity, OverrideRate: overrideRate }));
+};
+
+const hasOverrideRate = (rate) => rate !== undefined && rate !== null && rate !== '';
+
+// Active costing of a part for a quotation party: the customer's own costing, else the
+// generic one (no customer); the most recently updated when several match
+const findPartCosting = async (partNo, customerId) => {
+  const sort = { UpdatedAt: -1, _id: -1 };
+  const customerCosting = customerId
+    ? await Costing.findOne({ PartNo: partNo, IsActive: true, CustomerID: customerId }).sort(sort)
+    : null;
+  
+  return customerCosting || Costing.findOne({ PartNo: partNo, IsActive: true, CustomerID: null }).sort(sort);
+};
+
+// Build quotation lines for the requested parts: final rate from the active
+// Costing (or a negotiated OverrideRate with OverrideReason) and GST rates from
+// the Tax Master (looked up per line by HSN code). The company's pricing policy
+// sets the floor rate each line is checked against. Costed INR rates are converted
+// to the quotation currency at exchangeRate (INR per unit); OverrideRate is in that currency.
+// Costed rates include the costing's setup cost spread over the quantity, so each
+// quantity slab of a line is priced (and checked against the floor) on its own.
+// A customer party's own costing of a part is used over the generic one.
+const buildQuotationItems = async (items, company, exchangeRate = 1, customerId = null) => {
+  const minimumMargin = (company && company.MinimumMarginPercentage) || 0;
+  const toQuotationCurrency = (amount) => roundAmount(amount / exchangeRate);
+  
+  return Promise.all(
+    items.map(async (item) => {
+      const requestedSlabs = getRequestedSlabs(item);
+      
+      // Get item details
+      const itemDetails = await Item.findOne({ 
+        PartNo: item.PartNo,
+        IsActive: true 
+      });
+      
+      if (!itemDetails) {
+        throw new Error(`Item ${item.PartNo} not found or inactive`);
+      }
+      
+      // Get costing for final rate
+      const costing = await findPartCosting(item.PartNo, customerId);
+      
+      if (!costing) {
+        throw new Error(`Costing not found for item ${item.PartNo}`);
+      }
+      
+      // Get tax rate from HSN code
+      const tax = await Tax.findOne({ 
+        HSNCode: itemDetails.HSNCode,
+        IsActive: true 
+      });
+      
+      if (!tax) {
+        throw new Error(`Tax rate not found for HSN code: ${itemDetails.HSNCode}`);
+      }
+      
+      const discountType = item.DiscountType || 'Percentage';
+      const discountValue = item.DiscountValue || 0;
+      
+      // Priced line at a quantity; flat discounts are shared in proportion to quantity
+      const priceAt = (quantity, overrideRate) => {
+        const slabRate = calculateSlabRate(costing, quantity);
+        const costedRate = toQuotationCurrency(slabRate.FinalRate);
+        const costRate = toQuotationCurrency(slabRate.CostRate);
+        const finalRate = hasOverrideRate(overrideRate) ? Number(overrideRate) : costedRate;
+        const line = {
+          Quantity: quantity,
+          FinalRate: finalRate,
+          DiscountType: discountType,
+          DiscountValue: discountType === 'Amount' && quantity !== Number(item.Quantity)
+            ? roundAmount(discountValue * quantity / item.Quantity)
+            : discountValue,
+          CostedRate: costedRate,
+          CostRate: costRate,
+          FloorRate: roundAmount(costRate * (1 + minimumMargin / 100))
+        };
+        
+        return {
+          line,
+          baseCostedRate: slabRate.FinalRate,
+          setupCostPerUnit: toQuotationCurrency(slabRate.SetupCostPerUnit),
+          isRateOverridden: hasOverrideRate(overrideRate) && finalRate !== costedRate,
+          analysis: calculateRateAnalysis(line)
+        };
+      };
+      
+      const quantitySlabs = requestedSlabs.map((slab) => {
+        const { line, setupCostPerUnit, isRateOverridden, analysis } = priceAt(slab.Quantity, slab.OverrideRate);
+        const grossAmount = roundAmount(line.Quantity * line.FinalRate);
+        
+        return {
+          Quantity: line.Quantity,
+          FinalRate: line.FinalRate,
+          IsRateOverridden: isRateOverridden,
+          SetupCostPerUnit: setupCostPerUnit,
+          CostedRate: line.CostedRate,
+          CostRate: line.CostRate,
+          FloorRate: line.FloorRate,
+          NetRate: analysis.NetRate,
+          IsBelowFloor: analysis.IsBelowFloor,
+          Amount: roundAmount(grossAmount - calculateLineDiscount(grossAmount, line.DiscountType, line.DiscountValue))
+        };
+      });
+      
+      const lineSlab = requestedSlabs.find((slab) => slab.Quantity === Number(item.Quantity));
+      const { line, baseCostedRate, isRateOverridden: isLineOverridden, analysis } = priceAt(
+        item.Quantity,
+        lineSlab ? lineSlab.OverrideRate : item.OverrideRate
+      );
+      const isRateOverridden = isLineOverridden || quantitySlabs.some((slab) => slab.IsRateOverridden);
+      
+      return {
+        PartNo: item.PartNo,
+        PartName: itemDetails.PartName,
+        Description: itemDetails.Description || '',
+        HSNCode: itemDetails.HSNCode,
+        Unit: itemDetails.Unit || 'Nos',
+        ...line,
+        DiscountValue: discountValue,
+        BaseCostedRate: baseCostedRate,
+        // Costing version the line was priced from
+        CostingID: costing._id,
+        CostingVersionNo: costing.VersionNo,
+        IsRateOverridden: isRateOverridden,
+        OverrideReason: isRateOverridden ? (item.OverrideReason || '').trim() : '',
+        ...analysis,
+        // Any slab below the floor needs price approval for the whole line
+        IsBelowFloor: analysis.IsBelowFloor || quantitySlabs.some((slab) => slab.IsBelowFloor),
+        QuantitySlabs: quantitySlabs,
+        ...getTaxRates(tax),
+        // Amount and GST amounts are calculated automatically in schema
+        ItemDetails: itemDetails // Used by preview only, not stored
+      };
+    })
+  );
+};
+
+// Build quotation charges: GST rates of taxable charges from the Tax Master by HSN/SAC code
+// (a taxable charge without a code is rejected by schema validation on save)
+const buildQuotationCharges = async (charges = []) => {
+  return Promise.all(
+    charges.map(async (charge) => {
+      const isTaxable = charge.IsTaxable !== false;
+      const hsnSacCode = (charge.HSNSACCode || '').trim();
+      
+      let rates = {};
+      if (isTaxable && hsnSacCode) {
+        const tax = await Tax.findOne({ 
+          HSNCode: hsnSacCode,
+          IsActive: true 
+        });
+        
+        if (!tax) {
+          throw new Error(`Tax rate not found for HSN/SAC code: ${hsnSacCode}`);
+        }
+        rates = getTaxRates(tax);
+      }
+      
+      return {
+        ChargeType: charge.ChargeType,
+        Description: charge.Description || '',
+        Amount: charge.Amount,
+        IsTaxable: isTaxable,
+        HSNSACCode: hsnSacCode,
+        ...rates
+      };
+    })
+  );
+};
+
+// Party snapshot stored on the quotation for a vendor (existing record or new details)
+const getVendorSnapshot = (vendor) => ({
+  PartyType: 'Vendor',
+  VendorID: vendor._id,
+  VendorName: vendor.VendorName,
+  VendorGSTIN: vendor.GSTIN || '',
+  VendorState: vendor.State,
+  VendorStateCode: vendor.StateCode,
+  VendorAddress: vendor.Address,
+  VendorCity: vendor.City,
+  VendorPincode: vendor.Pincode,
+  VendorContactPerson: vendor.ContactPerson,
+  VendorPhone: vendor.Phone,
+  VendorEmail: vendor.Email,
+  VendorPAN: vendor.PAN || '',
+  PaymentTerms: vendor.PaymentTerms || '',
+  PlaceOfSupply: vendor.State,
+  PlaceOfSupplyStateCode: vendor.StateCode
+});
+
+// Party snapshot for a customer. Place of supply is the shipping state;
+// AddressType selects the address the quotation is addressed to.
+const getCustomerSnapshot = (customer, addressType = 'Billing') => {
+  const shippingAddress = customer.ShippingAddress || customer.BillingAddress;
+  
+  return {
+    PartyType: 'Customer',
+    CustomerID: customer._id,
+    VendorName: customer.CustomerName,
+    VendorGSTIN: customer.GSTIN || '',
+    VendorState: customer.State,
+    VendorStateCode: customer.StateCode,
+    VendorAddress: addressType === 'Shipping' ? shippingAddress : customer.BillingAddress,
+    VendorContactPerson: customer.ContactPerson,
+    VendorPhone: customer.Phone,
+    VendorEmail: customer.Email,
+    AddressType: addressType,
+    BillingAddress: customer.BillingAddress,
+    ShippingAddress: shippingAddress,
+    PaymentTerms: customer.PaymentTerms || '',
+    Currency: customer.Currency || BASE_CURRENCY,
+    PlaceOfSupply: customer.ShippingState || customer.State,
+    PlaceOfSupplyStateCode: customer.ShippingStateCode || customer.StateCode
+  };
+};
+
+// Resolve the quotation party from the request: an existing or new vendor/customer.
+// New parties are added to their master only when createNew is set (not for previews).
+// Returns null when the request has no usable party information.
+const resolveQuotationParty = async (body, userId, createNew) => {
+  const { 
+    PartyType = 'Vendor', 
+    VendorType, 
+    VendorID, 
+    NewVendor, 
+    CustomerID, 
+    NewCustomer, 
+    AddressType 
+  } = body;
+  
+  if (PartyType === 'Customer') {
+    if (VendorType === 'Existing' && CustomerID) {
+      const customer = await Customer.findById(CustomerID);
+      if (!customer || !customer.IsActive) {
+        throw new Error('Customer not found or inactive');
+      }
+      return { VendorType, ...getCustomerSnapshot(customer, AddressType) };
+    }
+    
+    if (VendorType === 'New' && NewCustomer) {
+      const customer = createNew
+        ? await Customer.create({
+          // Generate customer code
+          CustomerCode: `C-${Date.now().toString().slice(-6)}`,
+          CustomerName: NewCustomer.CustomerName,
+          BillingAddress: NewCustomer.BillingAddress,
+          ShippingAddress: NewCustomer.ShippingAddress || NewCustomer.BillingAddress,
+          GSTIN: NewCustomer.GSTIN,
+          State: NewCustomer.State,
+          StateCode: NewCustomer.StateCode,
+          ShippingState: NewCustomer.ShippingState,
+          ShippingStateCode: NewCustomer.ShippingStateCode,
+          Currency: NewCustomer.Currency,
+          ContactPerson: NewCustomer.ContactPerson,
+          Phone: NewCustomer.Phone,
+          Email: NewCustomer.Email
+        })
+        : NewCustomer;
+      return { VendorType, ...getCustomerSnapshot(customer, AddressType) };
+    }
+    
+    return null;
+  }
+  
+  if (VendorType === 'Existing' && VendorID) {
+    const vendor = await Vendor.findById(VendorID);
+    if (!vendor || !vendor.IsActive) {
+      throw new Error('Vendor not found or inactive');
+    }
+    return { VendorType, ...getVendorSnapshot(vendor) };
+  }
+  
+  if (VendorType === 'New' && NewVendor) {
+    const vendor = createNew
+      ? await Vendor.create({
+        // Generate vendor code
+        VendorCode: `V-${Date.now().toString().slice(-6)}`,
+        VendorName: NewVendor.VendorName,
+        GSTIN: NewVendor.GSTIN || '',
+        State: NewVendor.State,
+        StateCode: NewVendor.StateCode,
+        Address: NewVendor.Address,
+        City: NewVendor.City,
+        Pincode: NewVendor.Pincode,
+        ContactPerson: NewVendor.ContactPerson,
+        Phone: NewVendor.Phone,
+        Email: NewVendor.Email,
+        PAN: NewVendor.PAN || '',
+        CreatedBy: userId,
+        UpdatedBy: userId
+      })
+      : NewVendor;
+    return { VendorType, ...getVendorSnapshot(vendor) };
+  }
+  
+  return null;
+};
+
+// Quotation currency (requested, else the party's) with the exchange rate in force on
+// the date: the latest rate from the master for a foreign currency, 1 for INR
+const resolveCurrency = async (currency, date = new Date()) => {
+  const code = (currency || BASE_CURRENCY).toUpperCase();
+  if (code === BASE_CURRENCY) {
+    return { Currency: code, ExchangeRate: 1, ExchangeRateDate: null };
+  }
+  
+  const rate = await ExchangeRate.getRateOn(code, date);
+  if (!rate) {
+    throw new Error(`Exchange rate for ${code} not found`);
+  }
+  return { Currency: code, ExchangeRate: rate.Rate, ExchangeRateDate: rate.EffectiveFrom };
+};
+
+// Export settings of a quotation: foreign currency quotations are exports unless
+// stated otherwise; exports are zero-rated under the company's LUT unless IGST is paid
+const getExportData = (body, currency, company, current = {}) => {
+  const isExport = body.IsExport !== undefined
+    ? Boolean(body.IsExport)
+    : current.IsExport !== undefined ? current.IsExport : currency !== BASE_CURRENCY;
+  const exportTaxOption = body.ExportTaxOption || current.ExportTaxOption || 'LUT';
+  
+  return {
+    IsExport: isExport,
+    ExportTaxOption: exportTaxOption,
+    LUTNumber: isExport && exportTaxOption === 'LUT' ? company.LUTNumber || '' : ''
+  };
+};
+
+// Exports under LUT need a valid LUT on the company
+const getExportError = (exportData, company, date = new Date()) => {
+  if (!exportData.IsExport || exportData.ExportTaxOption !== 'LUT') return null;
+  
+  if (!company.LUTNumber) {
+    return 'Company LUT number is required for exports without payment of IGST';
+  }
+  if (company.LUTValidTill && company.LUTValidTill < date) {
+    return 'Company LUT has expired. Renew it or quote with payment of IGST';
+  }
+  return null;
+};
+
+// Round-off and TCS of a quotation: as given, else the current values; new quotations
+// take the company's round-off
+const getTotalsSettings = (body, company, current = {}) => ({
+  RoundOffType: body.RoundOffType || current.RoundOffType || company.RoundOffType || 'None',
+  TCSPercentage: body.TCSPercentage !== undefined && body.TCSPercentage !== ''
+    ? Number(body.TCSPercentage)
+    : current.TCSPercentage || 0
+});
+
+const getTotalsSettingsError = (settings) => {
+  if (!ROUND_OFF_TYPES.includes(settings.RoundOffType)) {
+    return `RoundOffType must be one of ${ROUND_OFF_TYPES.join(', ')}`;
+  }
+  if (!(settings.TCSPercentage >= 0 && settings.TCSPercentage <= 100)) {
+    return 'TCS percentage must be between 0 and 100';
+  }
+  return null;
+};
+
+// Company snapshot stored on the quotation
+const getCompanySnapshot = (company) => ({
+  CompanyID: company._id,
+  CompanyName: company.CompanyName,
+  CompanyGSTIN: company.GSTIN,
+  CompanyState: company.State,
+  CompanyStateCode: company.StateCode
+});
+
+// Clause as stored on a quotation; the text is kept as Template and rendered by the model
+const toQuotationTerm = (term, sequence) => ({
+  TermsConditionID: term.TermsConditionID || term._id,
+  Title: term.Title,
+  Template: term.Template !== undefined ? term.Template : term.Description,
+  Sequence: sequence || term.Sequence
+});
+
+// Active clauses of a T&C set in set order
+const getSetTermsConditions = async (set) => {
+  const ids = set.Clauses.map((clause) => clause.TermsConditionID);
+  const terms = await TermsCondition.find({ _id: { $in: ids }, IsActive: { $ne: false } });
+  const termMap = new Map(terms.map((term) => [term._id.toString(), term]));
+  
+  return set.Clauses
+    .filter((clause) => termMap.has(clause.TermsConditionID.toString()))
+    .map((clause) => {
+      const term = termMap.get(clause.TermsConditionID.toString());
+      return toQuotationTerm(term, clause.Sequence);
+    })
+    .sort((a, b) => a.Sequence - b.Sequence);
+};
+
+// Default T&C set of the quotation party (vendor or customer master)
+const getPartyTermsConditionSetId = async (partyData) => {
+  const party = partyData.PartyType === 'Customer'
+    ? partyData.CustomerID && await Customer.findById(partyData.CustomerID).select('TermsConditionSetID')
+    : partyData.VendorID && await Vendor.findById(partyData.VendorID).select('TermsConditionSetID');
+  
+  return party ? party.TermsConditionSetID : null;
+};
+
+// Terms & conditions for a quotation, in order of precedence:
+// clauses edited in the request, the selected set, the template's set or clauses,
+// the party's default set, the default set, and finally all active clauses.
+const resolveTermsConditions = async (body, partyData, template = null) => {
+  const { TermsConditions, TermsConditionSetID } = body;
+  
+  if (Array.isArray(TermsConditions)) {
+    return {
+      TermsConditionSetID: TermsConditionSetID || null,
+      TermsConditions: TermsConditions.map((term, index) => toQuotationTerm(term, term.Sequence || index + 1))
+    };
+  }
+  
+  if (TermsConditionSetID) {
+    const set = await TermsConditionSet.findById(TermsConditionSetID);
+    if (!set || !set.IsActive) {
+      throw new Error('T&C set not found or inactive');
+    }
+    return { TermsConditionSetID: set._id, TermsConditions: await getSetTermsConditions(set) };
+  }
+  
+  if (template && !template.TermsConditionSetID && template.TermsConditionIDs.length > 0) {
+    const terms = await TermsCondition.find({ _id: { $in: template.TermsConditionIDs }, IsActive: { $ne: false } })
+      .sort({ Sequence: 1 });
+    return { TermsConditionSetID: null, TermsConditions: terms.map((term) => toQuotationTerm(term)) };
+  }
+  
+  const setIds = [
+    template && template.TermsConditionSetID,
+    await getPartyTermsConditionSetId(partyData)
+  ].filter(Boolean);
+  
+  const sets = await TermsConditionSet.find({
+    IsActive: true,
+    $or: [{ _id: { $in: setIds } }, { IsDefault: true }]
+  });
+  const set = setIds
+    .map((id) => sets.find((candidate) => candidate._id.equals(id)))
+    .concat(sets.find((candidate) => candidate.IsDefault))
+    .find(Boolean);
+  
+  if (set) {
+    return { TermsConditionSetID: set._id, TermsConditions: await getSetTermsConditions(set) };
+  }
+  
+  const terms = await TermsCondition.find({ IsActive: { $ne: false } })
+    .sort({ Sequence: 1 });
+  return { TermsConditionSetID: null, TermsConditions: terms.map((term) => toQuotationTerm(term)) };
+};
+
+// Stored document of the quotation, rendered first if missing.
+// Draft documents are regenerated after every change (PDFPath is cleared on update).
+// Once the quotation leaves Draft the stored document is frozen and reused as-is.
+const ensureQuotationPdf = async (quotation, company) => {
+  if (pdfExists(quotation.PDFPath)) {
+    return quotation.PDFPath;
+  }
+  
+  const pdfPath = await renderQuotationPdf(quotation, company || await Company.findById(quotation.CompanyID));
+  await Quotation.updateOne({ _id: quotation._id }, { PDFPath: pdfPath });
+  return pdfPath;
+};
+
+// Download file name of the quotation document (e.g. QT-2026-27-0001-R1.pdf)
+const getPdfFileName = (quotation) => `${quotation.FullQuotationNo.replace(/\//g, '-')}.pdf`;
+
+// Lines quoted below the floor rate are rejected when the company blocks them.
+// Returns an error message, or null when the lines are allowed.
+const getPriceFloorError = (items, company) => {
+  if (!company || company.BelowFloorAction !== 'Block') return null;
+  
+  const belowFloor = items.filter((item) => item.IsBelowFloor);
+  if (belowFloor.length === 0) return null;
+  
+  const lines = belowFloor.map((item) => {
+    const slabs = (item.QuantitySlabs || []).filter((slab) => slab.IsBelowFloor);
+    if (slabs.length === 0) {
+      return `${item.PartNo} (${item.NetRate} < ${item.FloorRate})`;
+    }
+    return slabs
+      .map((slab) => `${item.PartNo} at ${slab.Quantity} (${slab.NetRate} < ${slab.FloorRate})`)
+      .join(', ');
+  });
+  return `Rate is below the floor rate for: ${lines.join(', ')}`;
+};
+
+// Sending needs price approval when lines are quoted below the floor rate
+const getPriceApprovalError = (priceApprovalStatus) => {
+  if (priceApprovalStatus === 'Pending') {
+    return 'Price approval is required for lines quoted below the floor rate';
+  }
+  if (priceApprovalStatus === 'Rejected') {
+    return 'Price approval was rejected; revise the line rates before sending';
+  }
+  return null;
+};
+
+// Supply outside the company's state (IGST). State codes are compared as text since
+// parties and request bodies may carry them as strings.
+const isInterStateSupply = (placeOfSupplyStateCode, company) => {
+  return String(placeOfSupplyStateCode) !== String(company.StateCode);
+};
+
+// Duplicate key on a new quotation: the generated number is already taken (the
+// series was reconfigured to overlap issued numbers) or a new party clashes
+const getDuplicateKeyMessage = (error) => {
+  if (error.keyPattern && error.keyPattern.QuotationNo) {
+    return `Quotation number ${error.keyValue.QuotationNo} is already in use; check the quotation document series`;
+  }
+  return 'A party with this code or GSTIN already exists';
+};
+
+// Check a requested status change against the quotation transition model.
+// Returns an error message, or null when the change is allowed.
+const getStatusChangeError = (quotation, status, reason) => {
+  if (!Quotation.STATUS_TRANSITIONS[status]) {
+    return `Invalid status: ${status}`;
+  }
+  
+  if (quotation.IsLatestRevision === false) {
+    return 'Previous revisions cannot be modified';
+  }
+  
+  if (!quotation.canTransitionTo(status)) {
+    return `Cannot change status from ${quotation.Status} to ${status}`;
+  }
+  
+  if (Quotation.REASON_REQUIRED_STATUSES.includes(status) && !(reason && reason.trim())) {
+    return `A reason is required to mark a quotation as ${status}`;
+  }
+  
+  return null;
+};
+
+// Quotation list filters shared by the list and the register export
+const buildQuotationQuery = (params) => {
+  const { 
+    status, 
+    vendorId,
+    customerId,
+    partyType,
+    priceApprovalStatus,
+    currency,
+    startDate,
+    endDate,
+    includeRevisions,
+    expiringInDays
+  } = params;
+  
+  const query = {};
+  
+  // Only the latest revision of each quotation unless requested otherwise
+  if (includeRevisions !== 'true') {
+    query.IsLatestRevision = { $ne: false };
+  }
+  
+  // Filter by status
+  if (status) {
+    query.Status = status;
+  }
+  
+  // Sent quotations whose validity ends within the next N days
+  if (expiringInDays) {
+    const until = new Date();
+    until.setDate(until.getDate() + parseInt(expiringInDays));
+    query.Status = 'Sent';
+    query.ValidTill = { $gte: new Date(), $lte: until };
+  }
+  
+  // Filter by party
+  if (vendorId) {
+    query.VendorID = vendorId;
+  }
+  
+  if (customerId) {
+    query.CustomerID = customerId;
+  }
+  
+  if (partyType) {
+    query.PartyType = partyType;
+  }
+  
+  if (priceApprovalStatus) {
+    query.PriceApprovalStatus = priceApprovalStatus;
+  }
+  
+  // Quotations made before currencies were introduced are in INR
+  if (currency) {
+    const code = currency.toUpperCase();
+    query.Currency = code === BASE_CURRENCY ? { $in: [code, null] } : code;
+  }
+  
+  // Filter by date range
+  if (startDate || endDate) {
+    query.QuotationDate = {};
+    if (startDate) query.QuotationDate.$gte = new Date(startDate);
+    if (endDate) query.QuotationDate.$lte = new Date(endDate);
+  }
+  
+  return query;
+};
 
 // @desc    Get all quotations
 // @route   GET /api/quotations
@@ -14,38 +689,18 @@ const getQuotations = async (req, res) => {
     const { 
       page = 1, 
       limit = 10, 
-      status, 
-      vendorId,
-      startDate,
-      endDate,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
     
-    const query = {};
-    
-    // Filter by status
-    if (status) {
-      query.Status = status;
-    }
-    
-    // Filter by vendor
-    if (vendorId) {
-      query.VendorID = vendorId;
-    }
-    
-    // Filter by date range
-    if (startDate || endDate) {
-      query.QuotationDate = {};
-      if (startDate) query.QuotationDate.$gte = new Date(startDate);
-      if (endDate) query.QuotationDate.$lte = new Date(endDate);
-    }
+    const query = buildQuotationQuery(req.query);
     
     const sort = {};
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
     
     const quotations = await Quotation.find(query)
       .populate('VendorID', 'VendorName VendorCode GSTIN State StateCode')
+      .populate('CustomerID', 'CustomerName CustomerCode GSTIN State StateCode')
       .populate('CompanyID', 'CompanyName GSTIN State StateCode')
       .populate('CreatedBy', 'Username Email EmployeeID')
       .sort(sort)
@@ -71,6 +726,15 @@ const getQuotations = async (req, res) => {
           },
           approvedCount: { 
             $sum: { $cond: [{ $eq: ['$Status', 'Approved'] }, 1, 0] }
+          },
+          rejectedCount: { 
+            $sum: { $cond: [{ $eq: ['$Status', 'Rejected'] }, 1, 0] }
+          },
+          expiredCount: { 
+            $sum: { $cond: [{ $eq: ['$Status', 'Expired'] }, 1, 0] }
+          },
+          cancelledCount: { 
+            $sum: { $cond: [{ $eq: ['$Status', 'Cancelled'] }, 1, 0] }
           }
         }
       }
@@ -91,7 +755,10 @@ const getQuotations = async (req, res) => {
         avgAmount: 0,
         draftCount: 0,
         sentCount: 0,
-        approvedCount: 0
+        approvedCount: 0,
+        rejectedCount: 0,
+        expiredCount: 0,
+        cancelledCount: 0
       }
     });
   } catch (error) {
@@ -103,6 +770,76 @@ const getQuotations = async (req, res) => {
   }
 };
 
+// Quotation register columns (amounts in the quotation currency, INR total for accounts)
+const REGISTER_COLUMNS = [
+  { header: 'Quotation No', value: (q) => q.FullQuotationNo, width: 22 },
+  { header: 'Date', value: (q) => q.QuotationDate, type: 'date', width: 12 },
+  { header: 'Party', value: (q) => q.VendorName, width: 30 },
+  { header: 'Party Type', value: (q) => q.PartyType, width: 11 },
+  { header: 'GSTIN', value: (q) => q.VendorGSTIN, width: 17 },
+  { header: 'Place of Supply', value: (q) => q.PlaceOfSupply, width: 18 },
+  { header: 'Currency', value: (q) => q.Currency || BASE_CURRENCY, width: 9 },
+  { header: 'Taxable Value', value: (q) => q.TaxableAmount, type: 'amount' },
+  { header: 'CGST', value: (q) => q.CGSTAmount, type: 'amount' },
+  { header: 'SGST', value: (q) => q.SGSTAmount, type: 'amount' },
+  { header: 'IGST', value: (q) => q.IGSTAmount, type: 'amount' },
+  { header: 'TCS', value: (q) => q.TCSAmount, type: 'amount' },
+  { header: 'Round Off', value: (q) => q.RoundOffAmount, type: 'amount' },
+  { header: 'Total', value: (q) => q.GrandTotal, type: 'amount' },
+  { header: 'Exchange Rate', value: (q) => q.ExchangeRate || 1, width: 13 },
+  { header: 'Total (INR)', value: (q) => q.BaseGrandTotal ?? q.GrandTotal, type: 'amount' },
+  { header: 'Status', value: (q) => q.Status, width: 11 }
+];
+
+// @desc    Export quotation register as CSV or XLSX (same filters as the list)
+// @route   GET /api/quotations/export
+// @access  Private
+const exportQuotationRegister = async (req, res) => {
+  try {
+    const { 
+      format = 'csv', 
+      sortBy = 'QuotationDate', 
+      sortOrder = 'asc' 
+    } = req.query;
+    
+    if (!REGISTER_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Format must be one of: ${REGISTER_FORMATS.join(', ')}` 
+      });
+    }
+    
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    
+    // Read one quotation at a time; only the register fields are loaded
+    const cursor = Quotation.find(buildQuotationQuery(req.query))
+      .select('QuotationNo RevisionNo QuotationDate VendorName PartyType VendorGSTIN PlaceOfSupply Currency TaxableAmount CGSTAmount SGSTAmount IGSTAmount TCSAmount RoundOffAmount GrandTotal ExchangeRate BaseGrandTotal Status')
+      .sort(sort)
+      .cursor();
+    
+    await streamRegister(res, {
+      format,
+      fileName: `quotation-register-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Quotation Register',
+      columns: REGISTER_COLUMNS,
+      cursor
+    });
+  } catch (error) {
+    console.error('Export quotation register error:', error);
+    
+    // Part of the file is already sent; cut the download short
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
 // @desc    Get single quotation
 // @route   GET /api/quotations/:id
 // @access  Private
@@ -110,6 +847,7 @@ const getQuotation = async (req, res) => {
   try {
     const quotation = await Quotation.findById(req.params.id)
       .populate('VendorID', 'VendorName VendorCode Address GSTIN State StateCode Phone Email')
+      .populate('CustomerID', 'CustomerName CustomerCode BillingAddress ShippingAddress GSTIN State StateCode ShippingState ShippingStateCode Phone Email')
       .populate('CompanyID', 'CompanyName Address GSTIN State StateCode Phone Email BankName AccountNo IFSC')
       .populate('CreatedBy', 'Username Email EmployeeID Department')
       .populate('UpdatedBy', 'Username Email EmployeeID');
@@ -134,15 +872,31 @@ const getQuotation = async (req, res) => {
       })
     );
     
+    // Sales orders created from this quotation
+    const salesOrders = await SalesOrder.find({ QuotationID: quotation._id })
+      .select('SalesOrderNo SalesOrderDate CustomerPONo CustomerPODate Status GrandTotal')
+      .sort({ SalesOrderDate: 1 });
+    
     const responseData = {
       ...quotation.toObject(),
       Items: detailedItems,
+      SalesOrders: salesOrders,
       Calculations: {
+        grossAmount: parseFloat(quotation.GrossAmount?.toFixed(2)),
+        discountAmount: parseFloat(quotation.DiscountAmount?.toFixed(2)),
         subTotal: parseFloat(quotation.SubTotal?.toFixed(2)),
+        chargesAmount: parseFloat(quotation.ChargesAmount?.toFixed(2)),
+        taxableAmount: parseFloat(quotation.TaxableAmount?.toFixed(2)),
+        cgstAmount: parseFloat(quotation.CGSTAmount?.toFixed(2)),
+        sgstAmount: parseFloat(quotation.SGSTAmount?.toFixed(2)),
+        igstAmount: parseFloat(quotation.IGSTAmount?.toFixed(2)),
         gstAmount: parseFloat(quotation.GSTAmount?.toFixed(2)),
+        tcsAmount: parseFloat(quotation.TCSAmount?.toFixed(2)),
+        roundOffAmount: parseFloat(quotation.RoundOffAmount?.toFixed(2)),
         grandTotal: parseFloat(quotation.GrandTotal?.toFixed(2)),
         gstPercentage: parseFloat(quotation.GSTPercentage?.toFixed(2))
-      }
+      },
+      RateAnalysis: summarizeRateAnalysis(quotation.Items)
     };
     
     res.json({ 
@@ -173,15 +927,38 @@ const createQuotation = async (req, res) => {
   try {
     const userId = req.user.id;
     const { 
-      VendorID, 
-      VendorType, 
-      NewVendor, // For new vendors added during quotation
+      TemplateID,
       Items, 
+      Charges,
+      Currency,
       ValidTill, 
+      PaymentTerms,
+      DeliveryTerms,
       InternalRemarks, 
       CustomerRemarks 
     } = req.body;
     
+    // Template supplies items, charges, remarks and T&C not given in the request
+    let template = null;
+    if (TemplateID) {
+      template = await QuotationTemplate.findById(TemplateID);
+      if (!template || !template.IsActive) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Quotation template not found or inactive' 
+        });
+      }
+    }
+    
+    const items = Items && Items.length > 0 ? Items : template && template.Items.map((item) => item.toObject());
+    if (!items || items.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'At least one item is required' 
+      });
+    }
+    const charges = Charges !== undefined ? Charges : template ? template.Charges.map((charge) => charge.toObject()) : [];
+    
     // 1. Get company details (only one active company)
     const company = await Company.findOne({ IsActive: true });
     if (!company) {
@@ -191,209 +968,108 @@ const createQuotation = async (req, res) => {
       });
     }
     
-    let vendorData = {};
-    let vendorId = null;
+    // 2. Resolve the party (existing or new vendor/customer)
+    const partyData = await resolveQuotationParty(req.body, userId, true);
+    if (!partyData) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Vendor or customer information is required' 
+      });
+    }
     
-    // 2. Handle vendor based on type
-    if (VendorType === 'Existing' && VendorID) {
-      // Existing vendor
-      const vendor = await Vendor.findById(VendorID);
-      if (!vendor || !vendor.IsActive) {
-        return res.status(404).json({ 
-          success: false, 
-          message: 'Vendor not found or inactive' 
-        });
-      }
-      
-      vendorId = vendor._id;
-      vendorData = {
-        VendorID: vendor._id,
-        VendorName: vendor.VendorName,
-        VendorGSTIN: vendor.GSTIN || '',
-        VendorState: vendor.State,
-        VendorStateCode: vendor.StateCode,
-        VendorAddress: vendor.Address,
-        VendorCity: vendor.City,
-        VendorPincode: vendor.Pincode,
-        VendorContactPerson: vendor.ContactPerson,
-        VendorPhone: vendor.Phone,
-        VendorEmail: vendor.Email,
-        VendorPAN: vendor.PAN || ''
-      };
-      
-    } else if (VendorType === 'New' && NewVendor) {
-      // New vendor added during quotation
-      const { 
-        VendorName, 
-        GSTIN, 
-        State, 
-        StateCode, 
-        Address, 
-        City, 
-        Pincode, 
-        ContactPerson, 
-        Phone, 
-        Email, 
-        PAN 
-      } = NewVendor;
-      
-      // Generate vendor code
-      const vendorCode = `V-${Date.now().toString().slice(-6)}`;
-      
-      // Create new vendor
-      const newVendor = await Vendor.create({
-        VendorCode: vendorCode,
-        VendorName,
-        GSTIN: GSTIN || '',
-        State,
-        StateCode,
-        Address,
-        City,
-        Pincode,
-        ContactPerson,
-        Phone,
-        Email,
-        PAN: PAN || '',
-        CreatedBy: userId,
-        UpdatedBy: userId
+    // 3. Currency (exchange rate in force today) and export treatment
+    const currencyData = await resolveCurrency(Currency || partyData.Currency);
+    const exportData = getExportData(req.body, currencyData.Currency, company);
+    const exportError = getExportError(exportData, company);
+    if (exportError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: exportError 
       });
-      
-      vendorId = newVendor._id;
-      vendorData = {
-        VendorID: newVendor._id,
-        VendorName: newVendor.VendorName,
-        VendorGSTIN: newVendor.GSTIN || '',
-        VendorState: newVendor.State,
-        VendorStateCode: newVendor.StateCode,
-        VendorAddress: newVendor.Address,
-        VendorCity: newVendor.City,
-        VendorPincode: newVendor.Pincode,
-        VendorContactPerson: newVendor.ContactPerson,
-        VendorPhone: newVendor.Phone,
-        VendorEmail: newVendor.Email,
-        VendorPAN: newVendor.PAN || ''
-      };
-      
-    } else {
+    }
+    
+    const totalsSettings = getTotalsSettings(req.body, company);
+    const totalsSettingsError = getTotalsSettingsError(totalsSettings);
+    if (totalsSettingsError) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Vendor information is required' 
+        message: totalsSettingsError 
       });
     }
     
-    // 3. Validate and process items
-    const processedItems = await Promise.all(
-      Items.map(async (item) => {
-        // Get item details
-        const itemDetails = await Item.findOne({ 
-          PartNo: item.PartNo,
-          IsActive: true 
-        });
-        
-        if (!itemDetails) {
-          throw new Error(`Item ${item.PartNo} not found or inactive`);
-        }
-        
-        // Get costing for final rate
-        const costing = await Costing.findOne({ 
-          PartNo: item.PartNo,
-          IsActive: true 
-        });
-        
-        if (!costing) {
-          throw new Error(`Costing not found for item ${item.PartNo}`);
-        }
-        
-        // Get tax rate from HSN code
-        const tax = await Tax.findOne({ 
-          HSNCode: itemDetails.HSNCode,
-          IsActive: true 
-        });
-        
-        return {
-          PartNo: item.PartNo,
-          PartName: itemDetails.PartName,
-          Description: itemDetails.Description || '',
-          HSNCode: itemDetails.HSNCode,
-          Unit: itemDetails.Unit || 'Nos',
-          Quantity: item.Quantity,
-          FinalRate: costing.FinalRate,
-          // Amount will be calculated automatically in schema
-        };
-      })
-    );
+    const quantitySlabsError = getQuantitySlabsError(items);
+    if (quantitySlabsError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: quantitySlabsError 
+      });
+    }
     
-    // 4. Get GST percentage (use first item's HSN code tax)
-    const firstItemTax = await Tax.findOne({ 
-      HSNCode: processedItems[0]?.HSNCode,
-      IsActive: true 
-    });
+    // 4. Validate and process items (rates from Costing or override, GST per line from Tax Master)
+    const processedItems = await buildQuotationItems(items, company, currencyData.ExchangeRate, partyData.CustomerID);
+    const processedCharges = await buildQuotationCharges(charges);
     
-    if (!firstItemTax) {
-      return res.status(404).json({ 
+    const priceFloorError = getPriceFloorError(processedItems, company);
+    if (priceFloorError) {
+      return res.status(400).json({ 
         success: false, 
-        message: `Tax rate not found for HSN code: ${processedItems[0]?.HSNCode}` 
+        message: priceFloorError 
       });
     }
     
-    // Determine GST Type based on state
+    // 5. Determine GST Type based on place of supply (exports are always IGST)
     let gstType = 'CGST/SGST';
-    if (vendorData.VendorStateCode !== company.StateCode) {
+    if (exportData.IsExport || isInterStateSupply(partyData.PlaceOfSupplyStateCode, company)) {
       gstType = 'IGST';
     }
     
-    // Get appropriate GST percentage
-    let gstPercentage = 0;
-    if (gstType === 'IGST') {
-      gstPercentage = firstItemTax.IGSTPercentage;
-    } else {
-      gstPercentage = firstItemTax.GSTPercentage;
-    }
-    
-    // 5. Get terms & conditions
-    const termsConditions = await TermsCondition.find()
-      .sort({ Sequence: 1 })
-      .select('Title Description Sequence');
+    // 6. Get terms & conditions (edited clauses, selected set, template, party or default set)
+    const terms = await resolveTermsConditions(req.body, partyData, template);
     
-    // 6. Create quotation
+    // 7. Create quotation
     const quotation = await Quotation.create({
       // Company Info
-      CompanyID: company._id,
-      CompanyName: company.CompanyName,
-      CompanyGSTIN: company.GSTIN,
-      CompanyState: company.State,
-      CompanyStateCode: company.StateCode,
-      
-      // Vendor Info
-      VendorID: vendorId,
-      VendorType: VendorType,
-      ...vendorData,
-      
-      // Items
+      ...getCompanySnapshot(company),
+      TemplateID: template ? template._id : undefined,
+      
+      // Party Info
+      ...partyData,
+      
+      // Currency & export
+      ...currencyData,
+      ...exportData,
+      
+      // Items & additional charges
       Items: processedItems,
+      Charges: processedCharges,
       
-      // Tax
-      GSTPercentage: gstPercentage,
+      // Tax (line-wise GST calculated in schema), TCS and round-off
       GSTType: gstType,
+      ...totalsSettings,
       
       // Dates
       ValidTill: ValidTill ? new Date(ValidTill) : null,
       
-      // Terms & Conditions
-      TermsConditions: termsConditions,
+      // Commercial terms (party payment terms unless given)
+      PaymentTerms: PaymentTerms !== undefined ? PaymentTerms : partyData.PaymentTerms,
+      DeliveryTerms: DeliveryTerms || '',
+      
+      // Terms & Conditions (placeholders resolved in schema)
+      ...terms,
       
       // Remarks
-      InternalRemarks: InternalRemarks || '',
-      CustomerRemarks: CustomerRemarks || '',
+      InternalRemarks: InternalRemarks !== undefined ? InternalRemarks : template ? template.InternalRemarks : '',
+      CustomerRemarks: CustomerRemarks !== undefined ? CustomerRemarks : template ? template.CustomerRemarks : '',
       
       // User info
       CreatedBy: userId,
       UpdatedBy: userId
     });
     
-    // 7. Populate response
+    // 8. Populate response
     const populatedQuotation = await Quotation.findById(quotation._id)
       .populate('VendorID', 'VendorName VendorCode GSTIN State')
+      .populate('CustomerID', 'CustomerName CustomerCode GSTIN State')
       .populate('CompanyID', 'CompanyName GSTIN State')
       .populate('CreatedBy', 'Username Email');
     
@@ -412,6 +1088,14 @@ const createQuotation = async (req, res) => {
       });
     }
     
+    // Quotation number already issued, or new customer clashes with an existing code or GSTIN
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: getDuplicateKeyMessage(error) 
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(val => val.message);
       return res.status(400).json({ 
@@ -462,222 +1146,125 @@ const getVendorsForDropdown = async (req, res) => {
   }
 };
 
-// @desc    Calculate quotation preview
-// @route   POST /api/quotations/preview
+// @desc    Get customers for dropdown
+// @route   GET /api/quotations/customers
 // @access  Private
-const calculateQuotation = async (req, res) => {
+const getCustomersForDropdown = async (req, res) => {
   try {
-    const { VendorType, VendorID, NewVendor, Items } = req.body;
+    const { search } = req.query;
     
-    // Get company
-    const company = await Company.findOne({ IsActive: true });
-    if (!company) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'No active company found' 
-      });
-    }
+    const query = { IsActive: true };
     
-    let vendorStateCode = null;
-    let vendorState = '';
-    let vendorGSTIN = '';
-    let vendorName = '';
+    if (search) {
+      query.$or = [
+        { CustomerName: new RegExp(search, 'i') },
+        { CustomerCode: new RegExp(search, 'i') },
+        { GSTIN: new RegExp(search, 'i') }
+      ];
+    }
     
-    // Handle vendor based on type
-    if (VendorType === 'Existing' && VendorID) {
-      const vendor = await Vendor.findById(VendorID);
-      if (!vendor || !vendor.IsActive) {
-        return res.status(404).json({ 
-          success: false, 
-          message: 'Vendor not found or inactive' 
-        });
-      }
-      
-      vendorStateCode = vendor.StateCode;
-      vendorState = vendor.State;
-      vendorGSTIN = vendor.GSTIN || '';
-      vendorName = vendor.VendorName;
-      
-    } else if (VendorType === 'New' && NewVendor) {
-      vendorStateCode = NewVendor.StateCode;
-      vendorState = NewVendor.State;
-      vendorGSTIN = NewVendor.GSTIN || '';
-      vendorName = NewVendor.VendorName;
-      
-    } else {
+    const customers = await Customer.find(query)
+      .select('CustomerCode CustomerName GSTIN State StateCode ShippingState ShippingStateCode BillingAddress ShippingAddress ContactPerson Phone Email')
+      .sort({ CustomerName: 1 })
+      .limit(50);
+    
+    res.json({
+      success: true,
+      data: customers
+    });
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Calculate quotation preview
+// @route   POST /api/quotations/preview
+// @access  Private
+const calculateQuotation = async (req, res) => {
+  try {
+    const { VendorType, Items, Charges, Currency, ValidTill, PaymentTerms, DeliveryTerms } = req.body;
+    
+    if (!Array.isArray(Items) || Items.length === 0) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Vendor information is required' 
+        message: 'At least one item is required' 
       });
     }
     
-    // Process items
-    const processedItems = await Promise.all(
-      Items.map(async (item) => {
-        const itemDetails = await Item.findOne({ 
-          PartNo: item.PartNo,
-          IsActive: true 
-        });
-        
-        if (!itemDetails) {
-          throw new Error(`Item ${item.PartNo} not found`);
-        }
-        
-        const costing = await Costing.findOne({ 
-          PartNo: item.PartNo,
-          IsActive: true 
-        });
-        
-        if (!costing) {
-          throw new Error(`Costing not found for item ${item.PartNo}`);
-        }
-        
-        const amount = item.Quantity * costing.FinalRate;
-        
-        return {
-          PartNo: item.PartNo,
-          PartName: itemDetails.PartName,
-          Description: itemDetails.Description || '',
-          HSNCode: itemDetails.HSNCode,
-          Unit: itemDetails.Unit || 'Nos',
-          Quantity: item.Quantity,
-          FinalRate: parseFloat(costing.FinalRate.toFixed(2)),
-          Amount: parseFloat(amount.toFixed(2)),
-          ItemDetails: itemDetails
-        };
-      })
-    );
-    
-    // Calculate totals
-    const subTotal = processedItems.reduce((total, item) => total + item.Amount, 0);
+    // Get company
+    const company = await Company.findOne({ IsActive: true });
+    if (!company) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No active company found' 
+      });
+    }
     
-    // Get GST
-    const firstItemTax = await Tax.findOne({ 
-      HSNCode: processedItems[0]?.HSNCode,
-      IsActive: true 
-    });
+    // Resolve party without adding new parties to the master
+    const partyData = await resolveQuotationParty(req.body, req.user.id, false);
+    if (!partyData) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Vendor or customer information is required' 
+      });
+    }
     
-    let gstType = 'CGST/SGST';
-    let gstPercentage = 0;
+    // Currency and export treatment as the quotation would get them
+    const currencyData = await resolveCurrency(Currency || partyData.Currency);
+    const exportData = getExportData(req.body, currencyData.Currency, company);
+    if (exportData.IsExport) {
+      Object.assign(partyData, {
+        PlaceOfSupply: Quotation.EXPORT_PLACE_OF_SUPPLY.State,
+        PlaceOfSupplyStateCode: Quotation.EXPORT_PLACE_OF_SUPPLY.StateCode
+      });
+    }
     
-    if (vendorStateCode !== company.StateCode) {
-      gstType = 'IGST';
-      gstPercentage = firstItemTax ? firstItemTax.IGSTPercentage : 0;
-    } else {
-      gstPercentage = firstItemTax ? firstItemTax.GSTPercentage : 0;
+    const quantitySlabsError = getQuantitySlabsError(Items);
+    if (quantitySlabsError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: quantitySlabsError 
+      });
     }
     
-    const gstAmount = (subTotal * gstPercentage) / 100;
-    const grandTotal = subTotal + gstAmount;
+    // Process items (rates from Costing or override, GST per line from Tax Master)
+    const processedItems = await buildQuotationItems(Items, company, currencyData.ExchangeRate, partyData.CustomerID);
+    const processedCharges = await buildQuotationCharges(Charges);
     
-    // Get terms & conditions
-    const termsConditions = await TermsCondition.find()
-      .sort({ Sequence: 1 })
-      .select('Title Description Sequence');
+    const totalsSettings = getTotalsSettings(req.body, company);
+    const totalsSettingsError = getTotalsSettingsError(totalsSettings);
+    if (totalsSettingsError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: totalsSettingsError 
+      });
+    }
     
-    // CORRECTED: Convert amount to words (Indian Number System)
-    const convertToWords = (amount) => {
-      // Separate rupees and paise
-      const rupees = Math.floor(amount);
-      const paise = Math.round((amount - rupees) * 100);
-      
-      // Arrays for number words
-      const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 
-                   'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 
-                   'Seventeen', 'Eighteen', 'Nineteen'];
-      
-      const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
-      
-      // Function to convert a number less than 1000 to words
-      const convertHundreds = (num) => {
-        if (num === 0) return '';
-        
-        let result = '';
-        
-        // Handle hundreds
-        if (num >= 100) {
-          result += ones[Math.floor(num / 100)] + ' Hundred ';
-          num %= 100;
-        }
-        
-        // Handle tens and ones
-        if (num >= 20) {
-          result += tens[Math.floor(num / 10)] + ' ';
-          num %= 10;
-        }
-        
-        if (num > 0) {
-          result += ones[num] + ' ';
-        }
-        
-        return result.trim();
-      };
-      
-      // Function to convert rupees to words using Indian numbering system
-      const convertRupeesToWords = (num) => {
-        if (num === 0) return 'Zero';
-        
-        let result = '';
-        let groupIndex = 0;
-        const groups = [];
-        
-        // Break number into groups of 2 digits (except first group which is 3 digits)
-        while (num > 0) {
-          if (groupIndex === 0) {
-            groups.push(num % 1000); // Last 3 digits
-            num = Math.floor(num / 1000);
-          } else {
-            groups.push(num % 100); // Last 2 digits
-            num = Math.floor(num / 100);
-          }
-          groupIndex++;
-        }
-        
-        // Convert each group to words
-        const groupNames = ['', 'Thousand', 'Lakh', 'Crore', 'Arab'];
-        
-        for (let i = 0; i < groups.length; i++) {
-          if (groups[i] > 0) {
-            let groupWords = convertHundreds(groups[i]);
-            if (groupNames[i]) {
-              groupWords += ' ' + groupNames[i];
-            }
-            result = groupWords + ' ' + result;
-          }
-        }
-        
-        return result.trim();
-      };
-      
-      // Convert rupees to words
-      let rupeesWords = convertRupeesToWords(rupees);
-      
-      // Convert paise to words
-      let paiseWords = '';
-      if (paise > 0) {
-        paiseWords = convertRupeesToWords(paise);
-      }
-      
-      // Construct final string
-      let result = '';
-      
-      if (rupeesWords) {
-        result += rupeesWords + ' Rupee' + (rupees === 1 ? '' : 's');
-      } else {
-        result += 'Zero Rupees';
-      }
-      
-      if (paiseWords && paiseWords !== 'Zero') {
-        result += ' and ' + paiseWords + ' Paise';
-      }
-      
-      result += ' Only';
-      
-      // Capitalize first letter
-      result = result.charAt(0).toUpperCase() + result.slice(1);
-      
-      return result.replace(/\s+/g, ' ').trim();
-    };
+    const gstType = isInterStateSupply(partyData.PlaceOfSupplyStateCode, company) ? 'IGST' : 'CGST/SGST';
+    const totals = calculateQuotationTotals(processedItems, gstType, processedCharges, {
+      zeroRated: exportData.IsExport && exportData.ExportTaxOption === 'LUT',
+      tcsPercentage: totalsSettings.TCSPercentage,
+      roundOffType: totalsSettings.RoundOffType
+    });
+    
+    // Get terms & conditions, rendered as they would appear on the quotation
+    const terms = await resolveTermsConditions(req.body, partyData);
+    const termsValues = Quotation.getTermsValues({
+      ...getCompanySnapshot(company),
+      ...partyData,
+      ...currencyData,
+      ValidTill,
+      PaymentTerms: PaymentTerms !== undefined ? PaymentTerms : partyData.PaymentTerms,
+      DeliveryTerms
+    });
+    const termsConditions = terms.TermsConditions.map((term) => ({
+      ...term,
+      Description: renderTemplate(term.Template, termsValues)
+    }));
     
     res.json({
       success: true,
@@ -689,23 +1276,60 @@ const calculateQuotation = async (req, res) => {
           StateCode: company.StateCode
         },
         vendor: {
-          VendorName: vendorName,
-          GSTIN: vendorGSTIN,
-          State: vendorState,
-          StateCode: vendorStateCode
+          VendorName: partyData.VendorName,
+          GSTIN: partyData.VendorGSTIN,
+          State: partyData.VendorState,
+          StateCode: partyData.VendorStateCode
         },
         vendorType: VendorType,
-        items: processedItems,
+        partyType: partyData.PartyType,
+        placeOfSupply: {
+          State: partyData.PlaceOfSupply,
+          StateCode: partyData.PlaceOfSupplyStateCode
+        },
+        items: totals.items,
+        charges: totals.charges,
         calculations: {
-          subTotal: parseFloat(subTotal.toFixed(2)),
+          grossAmount: totals.grossAmount,
+          discountAmount: totals.discountAmount,
+          subTotal: totals.subTotal,
+          chargesAmount: totals.chargesAmount,
+          taxableAmount: totals.taxableAmount,
           gstType: gstType,
-          gstPercentage: parseFloat(gstPercentage.toFixed(2)),
-          gstAmount: parseFloat(gstAmount.toFixed(2)),
-          grandTotal: parseFloat(grandTotal.toFixed(2)),
-          amountInWords: convertToWords(grandTotal)
+          gstPercentage: totals.gstPercentage,
+          cgstAmount: totals.cgstAmount,
+          sgstAmount: totals.sgstAmount,
+          igstAmount: totals.igstAmount,
+          gstAmount: totals.gstAmount,
+          totalAmount: totals.totalAmount,
+          tcsPercentage: totals.tcsPercentage,
+          tcsAmount: totals.tcsAmount,
+          roundOffType: totalsSettings.RoundOffType,
+          roundOffAmount: totals.roundOffAmount,
+          grandTotal: totals.grandTotal,
+          baseGrandTotal: roundAmount(totals.grandTotal * currencyData.ExchangeRate),
+          amountInWords: amountToWords(totals.grandTotal, currencyData.Currency)
         },
+        currency: {
+          currency: currencyData.Currency,
+          exchangeRate: currencyData.ExchangeRate,
+          exchangeRateDate: currencyData.ExchangeRateDate,
+          isExport: exportData.IsExport,
+          exportTaxOption: exportData.ExportTaxOption,
+          lutNumber: exportData.LUTNumber,
+          exportError: getExportError(exportData, company)
+        },
+        taxSummary: totals.taxSummary,
+        rateAnalysis: summarizeRateAnalysis(totals.items),
+        pricing: {
+          minimumMarginPercentage: company.MinimumMarginPercentage || 0,
+          belowFloorAction: company.BelowFloorAction || 'Approval',
+          belowFloorParts: processedItems.filter((item) => item.IsBelowFloor).map((item) => item.PartNo),
+          priceApprovalRequired: processedItems.some((item) => item.IsBelowFloor)
+        },
+        termsConditionSetId: terms.TermsConditionSetID,
         termsConditions: termsConditions,
-        gstLogic: vendorStateCode === company.StateCode 
+        gstLogic: gstType === 'CGST/SGST' 
           ? 'Within same state: CGST + SGST applies'
           : 'Interstate: IGST applies'
       }
@@ -730,7 +1354,24 @@ const calculateQuotation = async (req, res) => {
 const updateQuotation = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { Items, ValidTill, InternalRemarks, CustomerRemarks, Status } = req.body;
+    const { 
+      Items, 
+      Charges, 
+      Currency, 
+      IsExport, 
+      ExportTaxOption, 
+      RoundOffType, 
+      TCSPercentage, 
+      ValidTill, 
+      PaymentTerms, 
+      DeliveryTerms, 
+      TermsConditions, 
+      TermsConditionSetID, 
+      InternalRemarks, 
+      CustomerRemarks, 
+      Status, 
+      Reason 
+    } = req.body;
     
     // Check if quotation exists and is in editable state
     const existingQuotation = await Quotation.findById(req.params.id);
@@ -741,90 +1382,162 @@ const updateQuotation = async (req, res) => {
       });
     }
     
+    // Previous revisions are immutable
+    if (existingQuotation.IsLatestRevision === false) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Previous revisions cannot be modified' 
+      });
+    }
+    
     // Can only edit draft quotations
-    if (existingQuotation.Status !== 'Draft' && Status !== existingQuotation.Status) {
+    if (existingQuotation.Status !== 'Draft') {
       return res.status(400).json({ 
         success: false, 
         message: 'Only draft quotations can be modified' 
       });
     }
     
+    // Status changes follow the transition model
+    const statusChanged = Status && Status !== existingQuotation.Status;
+    if (statusChanged) {
+      const statusError = getStatusChangeError(existingQuotation, Status, Reason);
+      if (statusError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: statusError 
+        });
+      }
+    }
+    
     const updateData = {
       UpdatedBy: userId,
       UpdatedAt: Date.now()
     };
     
-    // Update items if provided
-    if (Items && Items.length > 0) {
-      // Recalculate items with latest rates
-      const processedItems = await Promise.all(
-        Items.map(async (item) => {
-          const itemDetails = await Item.findOne({ 
-            PartNo: item.PartNo,
-            IsActive: true 
-          });
-          
-          if (!itemDetails) {
-            throw new Error(`Item ${item.PartNo} not found or inactive`);
-          }
-          
-          const costing = await Costing.findOne({ 
-            PartNo: item.PartNo,
-            IsActive: true 
-          });
-          
-          if (!costing) {
-            throw new Error(`Costing not found for item ${item.PartNo}`);
-          }
-          
-          return {
-            PartNo: item.PartNo,
-            PartName: itemDetails.PartName,
-            Description: itemDetails.Description || '',
-            HSNCode: itemDetails.HSNCode,
-            Unit: itemDetails.Unit || 'Nos',
-            Quantity: item.Quantity,
-            FinalRate: costing.FinalRate
-          };
-        })
+    // Draft content changed - stored document is stale and will be regenerated
+    if (existingQuotation.Status === 'Draft') {
+      updateData.PDFPath = '';
+    }
+    
+    const company = await Company.findById(existingQuotation.CompanyID);
+    
+    // A new currency takes the exchange rate in force today; lines must be re-priced in it
+    const currencyChanged = Boolean(Currency) && Currency.toUpperCase() !== existingQuotation.Currency;
+    if (currencyChanged) {
+      if (!Items || Items.length === 0) {
+        return res.status(400).json({ 
+          success: false, 
+          message: 'Items are required when changing the currency' 
+        });
+      }
+      Object.assign(updateData, await resolveCurrency(Currency));
+    }
+    
+    if (currencyChanged || IsExport !== undefined || ExportTaxOption) {
+      const exportData = getExportData(
+        req.body,
+        updateData.Currency || existingQuotation.Currency,
+        company,
+        currencyChanged ? {} : existingQuotation
       );
+      const exportError = getExportError(exportData, company);
+      if (exportError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: exportError 
+        });
+      }
+      Object.assign(updateData, exportData);
       
-      updateData.Items = processedItems;
+      // No longer an export: place of supply falls back to the party state (see the model hook)
+      if (existingQuotation.IsExport && !exportData.IsExport) {
+        updateData.PlaceOfSupply = '';
+        updateData.PlaceOfSupplyStateCode = null;
+      }
+    }
+    
+    if (RoundOffType !== undefined || TCSPercentage !== undefined) {
+      const totalsSettings = getTotalsSettings(req.body, company, existingQuotation);
+      const totalsSettingsError = getTotalsSettingsError(totalsSettings);
+      if (totalsSettingsError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: totalsSettingsError 
+        });
+      }
+      Object.assign(updateData, totalsSettings);
+    }
+    
+    // Update items if provided (recalculated with latest rates and taxes)
+    if (Items && Items.length > 0) {
+      const quantitySlabsError = getQuantitySlabsError(Items);
+      if (quantitySlabsError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: quantitySlabsError 
+        });
+      }
       
-      // Update GST percentage if items changed
-      const firstItemTax = await Tax.findOne({ 
-        HSNCode: processedItems[0]?.HSNCode,
-        IsActive: true 
-      });
+      updateData.Items = await buildQuotationItems(
+        Items,
+        company,
+        updateData.ExchangeRate || existingQuotation.ExchangeRate,
+        existingQuotation.CustomerID
+      );
       
-      if (firstItemTax) {
-        if (existingQuotation.GSTType === 'IGST') {
-          updateData.GSTPercentage = firstItemTax.IGSTPercentage;
-        } else {
-          updateData.GSTPercentage = firstItemTax.GSTPercentage;
-        }
+      const priceFloorError = getPriceFloorError(updateData.Items, company);
+      if (priceFloorError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: priceFloorError 
+        });
+      }
+    }
+    
+    // Sending needs price approval; new lines decide it afresh (see the model hook)
+    if (statusChanged && Status === 'Sent') {
+      const priceApprovalStatus = updateData.Items
+        ? (updateData.Items.some((item) => item.IsBelowFloor) ? 'Pending' : 'Not Required')
+        : existingQuotation.PriceApprovalStatus;
+      const priceApprovalError = getPriceApprovalError(priceApprovalStatus);
+      if (priceApprovalError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: priceApprovalError 
+        });
       }
     }
     
+    // Replace charges if provided (an empty list removes all charges)
+    if (Charges !== undefined) {
+      updateData.Charges = await buildQuotationCharges(Charges);
+    }
+    
+    // Replace terms & conditions with edited clauses or another set
+    if (TermsConditions !== undefined || TermsConditionSetID) {
+      Object.assign(updateData, await resolveTermsConditions(req.body, existingQuotation));
+    }
+    
     // Update other fields
     if (ValidTill) updateData.ValidTill = new Date(ValidTill);
+    if (PaymentTerms !== undefined) updateData.PaymentTerms = PaymentTerms;
+    if (DeliveryTerms !== undefined) updateData.DeliveryTerms = DeliveryTerms;
     if (InternalRemarks !== undefined) updateData.InternalRemarks = InternalRemarks;
     if (CustomerRemarks !== undefined) updateData.CustomerRemarks = CustomerRemarks;
-    if (Status) {
-      updateData.Status = Status;
-      if (Status === 'Sent') updateData.SentAt = Date.now();
-      if (Status === 'Approved') updateData.ApprovedAt = Date.now();
+    
+    // Save through the document so totals and line-wise GST are recalculated
+    existingQuotation.set(updateData);
+    if (statusChanged) {
+      existingQuotation.applyStatusChange(Status, userId, Reason);
     }
+    await existingQuotation.save();
     
-    const quotation = await Quotation.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    )
-    .populate('VendorID', 'VendorName VendorCode GSTIN State')
-    .populate('CompanyID', 'CompanyName GSTIN State')
-    .populate('CreatedBy', 'Username Email')
-    .populate('UpdatedBy', 'Username Email');
+    const quotation = await Quotation.findById(existingQuotation._id)
+      .populate('VendorID', 'VendorName VendorCode GSTIN State')
+      .populate('CompanyID', 'CompanyName GSTIN State')
+      .populate('CreatedBy', 'Username Email')
+      .populate('UpdatedBy', 'Username Email');
     
     res.json({ 
       success: true, 
@@ -887,6 +1600,16 @@ const deleteQuotation = async (req, res) => {
     
     // Soft delete (set IsActive to false)
     quotation.IsActive = false;
+    
+    // Deleting a draft revision makes the revision it was created from the latest again
+    if (quotation.RevisedFromID && quotation.IsLatestRevision !== false) {
+      quotation.IsLatestRevision = false;
+      await Quotation.updateOne(
+        { _id: quotation.RevisedFromID },
+        { IsLatestRevision: true, $unset: { SupersededAt: 1 } }
+      );
+    }
+    
     await quotation.save();
     
     res.json({ 
@@ -910,12 +1633,1379 @@ const deleteQuotation = async (req, res) => {
   }
 };
 
+// @desc    Download quotation PDF
+// @route   GET /api/quotations/:id/pdf
+// @access  Private
+const getQuotationPdf = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+    
+    if (!quotation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    const pdfPath = await ensureQuotationPdf(quotation);
+    
+    res.download(resolvePdfPath(pdfPath), getPdfFileName(quotation));
+  } catch (error) {
+    console.error('Get quotation PDF error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Change quotation status
+// @route   PUT /api/quotations/:id/status
+// @access  Private
+const changeQuotationStatus = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { Status, Reason } = req.body;
+    
+    if (!Status) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Status is required' 
+      });
+    }
+    
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    // Validity already ended but the expiry job has not run yet
+    if (quotation.isOverdue() && Status !== 'Expired') {
+      quotation.applyStatusChange('Expired', null, 'Validity period ended');
+      await quotation.save();
+      
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Quotation validity has ended and it is now Expired' 
+      });
+    }
+    
+    const statusError = getStatusChangeError(quotation, Status, Reason)
+      || (Status === 'Sent' ? getPriceApprovalError(quotation.PriceApprovalStatus) : null);
+    if (statusError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: statusError 
+      });
+    }
+    
+    quotation.applyStatusChange(Status, userId, Reason);
+    quotation.UpdatedBy = userId;
+    await quotation.save();
+    
+    const populatedQuotation = await Quotation.findById(quotation._id)
+      .populate('VendorID', 'VendorName VendorCode GSTIN State')
+      .populate('CompanyID', 'CompanyName GSTIN State')
+      .populate('StatusHistory.ChangedBy', 'Username Email');
+    
+    res.json({ 
+      success: true, 
+      data: populatedQuotation,
+      message: `Quotation marked as ${Status}` 
+    });
+  } catch (error) {
+    console.error('Change quotation status error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Approve or reject the prices of lines quoted below the floor rate
+// @route   PUT /api/quotations/:id/price-approval
+// @access  Private
+const reviewQuotationPrice = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { Decision, Remarks } = req.body;
+    
+    if (!['Approved', 'Rejected'].includes(Decision)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Decision must be Approved or Rejected' 
+      });
+    }
+    
+    if (Remarks !== undefined && Remarks !== null && typeof Remarks !== 'string') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Remarks must be text' 
+      });
+    }
+    
+    if (Decision === 'Rejected' && !(Remarks && Remarks.trim())) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Remarks are required to reject a price' 
+      });
+    }
+    
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    if (quotation.IsLatestRevision === false) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Previous revisions cannot be modified' 
+      });
+    }
+    
+    if (quotation.PriceApprovalStatus !== 'Pending') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `No price approval is pending (status: ${quotation.PriceApprovalStatus})` 
+      });
+    }
+    
+    // The user who entered the below-floor prices cannot approve them
+    const isOwnQuotation = [quotation.CreatedBy, quotation.UpdatedBy]
+      .some((user) => user && user.toString() === userId.toString());
+    if (isOwnQuotation) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Prices cannot be reviewed by the user who created or last updated the quotation' 
+      });
+    }
+    
+    quotation.set({
+      PriceApprovalStatus: Decision,
+      PriceApprovalBy: userId,
+      PriceApprovalAt: Date.now(),
+      PriceApprovalRemarks: Remarks || '',
+      UpdatedBy: userId
+    });
+    await quotation.save();
+    
+    const populatedQuotation = await Quotation.findById(quotation._id)
+      .populate('VendorID', 'VendorName VendorCode GSTIN State')
+      .populate('CompanyID', 'CompanyName GSTIN State')
+      .populate('PriceApprovalBy', 'Username Email');
+    
+    res.json({ 
+      success: true, 
+      data: populatedQuotation,
+      message: `Quotation price ${Decision.toLowerCase()}` 
+    });
+  } catch (error) {
+    console.error('Review quotation price error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Email quotation document to the party
+// @route   POST /api/quotations/:id/send
+// @access  Private
+const sendQuotation = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { To, Cc, TemplateID, Subject, Body } = req.body;
+    
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    // Draft quotations move to Sent; sent quotations can be emailed again
+    if (quotation.Status === 'Draft') {
+      const statusError = getStatusChangeError(quotation, 'Sent')
+        || getPriceApprovalError(quotation.PriceApprovalStatus);
+      if (statusError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: statusError 
+        });
+      }
+    } else if (quotation.Status !== 'Sent' || quotation.IsLatestRevision === false) {
+      return res.status(400).json({ 
+        success: false, 
+        message: quotation.IsLatestRevision === false
+          ? 'Previous revisions cannot be sent'
+          : `Cannot send a quotation in ${quotation.Status} status` 
+      });
+    } else if (quotation.isOverdue()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Quotation validity has ended' 
+      });
+    }
+    
+    // Recipients default to the party email on the quotation
+    const to = parseRecipients(To !== undefined ? To : quotation.VendorEmail);
+    const cc = parseRecipients(Cc).filter((email) => !to.includes(email));
+    if (to.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'At least one recipient is required' 
+      });
+    }
+    
+    const invalidEmails = to.concat(cc).filter((email) => !isValidEmail(email));
+    if (invalidEmails.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Invalid email address: ${invalidEmails.join(', ')}` 
+      });
+    }
+    
+    // Chosen template, else the default one, else the built-in text
+    let template = null;
+    if (TemplateID) {
+      template = await EmailTemplate.findOne({ _id: TemplateID, DocumentType: 'Quotation', IsActive: true });
+      if (!template) {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'Email template not found or inactive' 
+        });
+      }
+    } else {
+      template = await EmailTemplate.findOne({ DocumentType: 'Quotation', IsDefault: true, IsActive: true });
+    }
+    
+    const company = await Company.findById(quotation.CompanyID);
+    const values = getQuotationEmailValues(quotation, company);
+    const subject = renderTemplate(Subject || (template || DEFAULT_QUOTATION_EMAIL).Subject, values);
+    const body = renderTemplate(Body || (template || DEFAULT_QUOTATION_EMAIL).Body, values);
+    
+    const pdfPath = await ensureQuotationPdf(quotation, company);
+    
+    const logData = {
+      QuotationID: quotation._id,
+      DocumentNo: quotation.FullQuotationNo,
+      TemplateID: template ? template._id : undefined,
+      To: to,
+      Cc: cc,
+      Subject: subject,
+      Body: body,
+      Attachment: pdfPath,
+      SentBy: userId
+    };
+    
+    let info;
+    try {
+      info = await sendMail({
+        to,
+        cc,
+        replyTo: company ? company.Email : undefined,
+        subject,
+        text: body,
+        attachments: [{ filename: getPdfFileName(quotation), path: resolvePdfPath(pdfPath) }]
+      });
+    } catch (mailError) {
+      console.error('Send quotation mail error:', mailError);
+      
+      const emailLog = await EmailLog.create({ ...logData, Status: 'Failed', Error: mailError.message });
+      return res.status(502).json({ 
+        success: false, 
+        data: emailLog,
+        message: `Email could not be sent: ${mailError.message}` 
+      });
+    }
+    
+    const emailLog = await EmailLog.create({
+      ...logData,
+      Status: 'Sent',
+      MessageID: info.messageId || '',
+      Accepted: (info.accepted || []).map(String),
+      Rejected: (info.rejected || []).map(String)
+    });
+    
+    if (quotation.Status === 'Draft') {
+      quotation.applyStatusChange('Sent', userId, `Emailed to ${to.join(', ')}`);
+      quotation.UpdatedBy = userId;
+      await quotation.save();
+    }
+    
+    res.json({ 
+      success: true, 
+      data: {
+        quotation,
+        emailLog
+      },
+      message: `Quotation emailed to ${to.join(', ')}` 
+    });
+  } catch (error) {
+    console.error('Send quotation error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation or email template not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get email dispatch history of a quotation
+// @route   GET /api/quotations/:id/emails
+// @access  Private
+const getQuotationEmails = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id).select('QuotationNo RevisionNo');
+    if (!quotation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    const emails = await EmailLog.find({ QuotationID: quotation._id })
+      .select('-Body')
+      .populate('SentBy', 'Username Email')
+      .populate('TemplateID', 'TemplateName')
+      .sort({ AttemptedAt: -1 });
+    
+    res.json({ 
+      success: true, 
+      data: emails,
+      count: emails.length 
+    });
+  } catch (error) {
+    console.error('Get quotation emails error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Create the customer-facing link of a sent quotation (replaces any previous link)
+// @route   POST /api/quotations/:id/public-link
+// @access  Private
+const createQuotationLink = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { ExpiresInDays } = req.body;
+    
+    if (ExpiresInDays !== undefined && !(Number(ExpiresInDays) > 0)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'ExpiresInDays must be greater than 0' 
+      });
+    }
+    
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    if (quotation.IsLatestRevision === false) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Links can only be shared for the latest revision' 
+      });
+    }
+    
+    if (quotation.Status !== 'Sent' || quotation.isOverdue()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Links can only be shared for sent quotations that are still valid' 
+      });
+    }
+    
+    const nonce = createLinkNonce();
+    const expiresAt = getLinkExpiry(quotation, ExpiresInDays);
+    const token = signQuotationLink(quotation, nonce, expiresAt);
+    
+    quotation.set({
+      PublicLinkNonce: nonce,
+      PublicLinkExpiresAt: expiresAt,
+      PublicLinkCreatedAt: Date.now(),
+      PublicLinkCreatedBy: userId,
+      PublicLinkViewedAt: undefined
+    });
+    await quotation.save();
+    
+    res.status(201).json({ 
+      success: true, 
+      data: {
+        QuotationNo: quotation.FullQuotationNo,
+        Url: getQuotationLinkUrl(req, token),
+        Token: token,
+        ExpiresAt: expiresAt
+      },
+      message: 'Quotation link created. Any previous link no longer works' 
+    });
+  } catch (error) {
+    console.error('Create quotation link error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Revoke the customer-facing link of a quotation
+// @route   DELETE /api/quotations/:id/public-link
+// @access  Private
+const revokeQuotationLink = async (req, res) => {
+  try {
+    const quotation = await Quotation.findByIdAndUpdate(
+      req.params.id,
+      { 
+        $unset: { PublicLinkNonce: 1, PublicLinkExpiresAt: 1 },
+        UpdatedBy: req.user.id 
+      },
+      { new: true }
+    );
+    
+    if (!quotation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Quotation link revoked' 
+    });
+  } catch (error) {
+    console.error('Revoke quotation link error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// Header fields and line fields compared between revisions
+const REVISION_DIFF_FIELDS = [
+  'ValidTill', 'VendorName', 'VendorGSTIN', 'VendorStateCode', 'GSTType',
+  'SubTotal', 'CGSTAmount', 'SGSTAmount', 'IGSTAmount', 'GSTAmount', 'TCSAmount', 'RoundOffAmount', 'GrandTotal',
+  'PaymentTerms', 'DeliveryTerms', 'InternalRemarks', 'CustomerRemarks', 'TermsConditions', 'Status'
+];
+const REVISION_LINE_DIFF_FIELDS = [
+  'PartName', 'HSNCode', 'Unit', 'Quantity', 'FinalRate', 'Amount',
+  'GSTPercentage', 'TaxAmount', 'TotalAmount', 'QuantitySlabs', 'CostingVersionNo'
+];
+
+// @desc    Create a new revision of a sent quotation
+// @route   POST /api/quotations/:id/revise
+// @access  Private
+const reviseQuotation = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { 
+      Items, 
+      Charges, 
+      ValidTill, 
+      PaymentTerms, 
+      DeliveryTerms, 
+      TermsConditions, 
+      TermsConditionSetID, 
+      InternalRemarks, 
+      CustomerRemarks, 
+      RevisionReason 
+    } = req.body;
+    
+    const source = await Quotation.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    if (source.IsLatestRevision === false) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Only the latest revision can be revised' 
+      });
+    }
+    
+    if (!['Sent', 'Rejected', 'Expired'].includes(source.Status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Cannot revise a quotation in ${source.Status} status` 
+      });
+    }
+    
+    const quantitySlabsError = getQuantitySlabsError(Items);
+    if (quantitySlabsError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: quantitySlabsError 
+      });
+    }
+    
+    // A revision is a new offer: a past validity (e.g. of an expired quotation) is
+    // renewed for the source's validity period from today unless a date is given
+    let validTill = ValidTill ? new Date(ValidTill) : source.ValidTill;
+    if (!ValidTill && validTill < new Date()) {
+      const validityMs = Math.max(source.ValidTill - source.QuotationDate, 24 * 60 * 60 * 1000);
+      validTill = new Date(Date.now() + validityMs);
+    }
+    if (isNaN(validTill) || validTill < new Date()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'ValidTill must be a future date' 
+      });
+    }
+    
+    // Build lines before touching the source so a bad item leaves it unchanged
+    const company = await Company.findById(source.CompanyID);
+    const processedItems = Items && Items.length > 0
+      ? await buildQuotationItems(Items, company, source.ExchangeRate, source.CustomerID)
+      : source.Items.map((item) => {
+        const { _id, ...line } = item.toObject({ virtuals: false });
+        return line;
+      });
+    
+    const priceFloorError = getPriceFloorError(processedItems, company);
+    if (priceFloorError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: priceFloorError 
+      });
+    }
+    
+    const totalsSettings = getTotalsSettings(req.body, company, source);
+    const totalsSettingsError = getTotalsSettingsError(totalsSettings);
+    if (totalsSettingsError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: totalsSettingsError 
+      });
+    }
+    
+    const processedCharges = Charges !== undefined
+      ? await buildQuotationCharges(Charges)
+      : source.Charges.map((charge) => {
+        const { _id, ...line } = charge.toObject({ virtuals: false });
+        return line;
+      });
+    
+    // Terms carry over (placeholders re-resolved) unless edited or another set is chosen
+    const terms = TermsConditions !== undefined || TermsConditionSetID
+      ? await resolveTermsConditions(req.body, source)
+      : {};
+    
+    // Mark the source as superseded; guards against two concurrent revisions
+    const superseded = await Quotation.updateOne(
+      { _id: source._id, IsLatestRevision: { $ne: false } },
+      { IsLatestRevision: false, SupersededAt: Date.now() }
+    );
+    
+    if (superseded.modifiedCount === 0) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Quotation has already been revised' 
+      });
+    }
+    
+    const {
+      _id,
+      createdAt,
+      updatedAt,
+      SentAt,
+      ApprovedAt,
+      SupersededAt,
+      PublicLinkExpiresAt,
+      PublicLinkCreatedAt,
+      PublicLinkCreatedBy,
+      PublicLinkViewedAt,
+      CustomerResponse,
+      StatusHistory,
+      SentBy,
+      ApprovedBy,
+      RejectedAt,
+      RejectedBy,
+      RejectionReason,
+      CancelledAt,
+      CancelledBy,
+      CancellationReason,
+      ExpiredAt,
+      ChargesSalesOrderID,
+      ...sourceData
+    } = source.toObject({ virtuals: false });
+    
+    // Numbered after every revision so far, including deleted draft revisions
+    const lastRevision = await Quotation.findOne({ QuotationNo: source.QuotationNo })
+      .sort({ RevisionNo: -1 })
+      .select('RevisionNo');
+    
+    let revision;
+    try {
+      revision = await Quotation.create({
+        ...sourceData,
+        Items: processedItems,
+        Charges: processedCharges,
+        ...totalsSettings,
+        ...terms,
+        RevisionNo: lastRevision.RevisionNo + 1,
+        RevisedFromID: source._id,
+        RevisionReason: RevisionReason || '',
+        IsLatestRevision: true,
+        Status: 'Draft',
+        PDFPath: '',
+        QuotationDate: Date.now(),
+        ValidTill: validTill,
+        PaymentTerms: PaymentTerms !== undefined ? PaymentTerms : source.PaymentTerms,
+        DeliveryTerms: DeliveryTerms !== undefined ? DeliveryTerms : source.DeliveryTerms,
+        InternalRemarks: InternalRemarks !== undefined ? InternalRemarks : source.InternalRemarks,
+        CustomerRemarks: CustomerRemarks !== undefined ? CustomerRemarks : source.CustomerRemarks,
+        CreatedBy: userId,
+        UpdatedBy: userId
+      });
+    } catch (error) {
+      // Restore the source as latest revision if the new revision could not be saved
+      await Quotation.updateOne(
+        { _id: source._id },
+        { IsLatestRevision: true, $unset: { SupersededAt: 1 } }
+      );
+      throw error;
+    }
+    
+    const populatedRevision = await Quotation.findById(revision._id)
+      .populate('VendorID', 'VendorName VendorCode GSTIN State')
+      .populate('CompanyID', 'CompanyName GSTIN State')
+      .populate('CreatedBy', 'Username Email');
+    
+    res.status(201).json({ 
+      success: true, 
+      data: populatedRevision,
+      message: `Revision R${revision.RevisionNo} created successfully` 
+    });
+  } catch (error) {
+    console.error('Revise quotation error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get all revisions of a quotation
+// @route   GET /api/quotations/:id/revisions
+// @access  Private
+const getQuotationRevisions = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+    
+    if (!quotation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    const revisions = await Quotation.find({ QuotationNo: quotation.QuotationNo })
+      .select('QuotationNo RevisionNo RevisionReason IsLatestRevision RevisedFromID QuotationDate ValidTill Status SubTotal GSTAmount GrandTotal SentAt SupersededAt IsActive CreatedBy createdAt')
+      .populate('CreatedBy', 'Username Email')
+      .sort({ RevisionNo: 1 });
+    
+    res.json({ 
+      success: true, 
+      data: revisions 
+    });
+  } catch (error) {
+    console.error('Get quotation revisions error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Compare two revisions of a quotation
+// @route   GET /api/quotations/:id/revisions/compare?from=0&to=1
+// @access  Private
+const compareQuotationRevisions = async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Both from and to revision numbers are required' 
+      });
+    }
+    
+    const quotation = await Quotation.findById(req.params.id);
+    if (!quotation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    const [fromRevision, toRevision] = await Promise.all([
+      Quotation.findOne({ QuotationNo: quotation.QuotationNo, RevisionNo: from }),
+      Quotation.findOne({ QuotationNo: quotation.QuotationNo, RevisionNo: to })
+    ]);
+    
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ 
+        success: false, 
+        message: `Revision R${!fromRevision ? from : to} not found` 
+      });
+    }
+    
+    const fromData = fromRevision.toObject({ virtuals: false });
+    const toData = toRevision.toObject({ virtuals: false });
+    
+    res.json({ 
+      success: true, 
+      data: {
+        QuotationNo: quotation.QuotationNo,
+        From: { _id: fromRevision._id, RevisionNo: fromRevision.RevisionNo },
+        To: { _id: toRevision._id, RevisionNo: toRevision.RevisionNo },
+        Fields: diffFields(fromData, toData, REVISION_DIFF_FIELDS),
+        Items: diffLines(fromData.Items, toData.Items, 'PartNo', REVISION_LINE_DIFF_FIELDS)
+      }
+    });
+  } catch (error) {
+    console.error('Compare quotation revisions error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get sales orders created from a quotation with open quantity per line
+// @route   GET /api/quotations/:id/sales-orders
+// @access  Private
+const getQuotationSalesOrders = async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.id);
+    
+    if (!quotation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    const salesOrders = await SalesOrder.find({ QuotationID: quotation._id })
+      .select('SalesOrderNo SalesOrderDate CustomerPONo CustomerPODate Status GrandTotal Items.QuotationItemID Items.PartNo Items.Quantity')
+      .sort({ SalesOrderDate: 1 });
+    
+    const lines = quotation.Items.map((item) => ({
+      _id: item._id,
+      PartNo: item.PartNo,
+      PartName: item.PartName,
+      Quantity: item.Quantity,
+      QuantitySlabs: item.QuantitySlabs.map((slab) => ({ Quantity: slab.Quantity, FinalRate: slab.FinalRate })),
+      SelectedSlabQuantity: item.SelectedSlabQuantity || null,
+      OrderedQuantity: item.OrderedQuantity || 0,
+      OpenQuantity: item.OpenQuantity
+    }));
+    
+    res.json({ 
+      success: true, 
+      data: {
+        QuotationNo: quotation.FullQuotationNo,
+        Status: quotation.Status,
+        IsFullyOrdered: lines.every((line) => line.OpenQuantity === 0),
+        Items: lines,
+        SalesOrders: salesOrders
+      }
+    });
+  } catch (error) {
+    console.error('Get quotation sales orders error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Clone a quotation to a new party with lines re-priced from current Costing
+// @route   POST /api/quotations/:id/clone
+// @access  Private
+const cloneQuotation = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { 
+      Currency, 
+      ValidTill, 
+      PaymentTerms, 
+      DeliveryTerms, 
+      TermsConditions, 
+      TermsConditionSetID, 
+      InternalRemarks, 
+      CustomerRemarks 
+    } = req.body;
+    
+    const source = await Quotation.findById(req.params.id);
+    if (!source) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    const company = await Company.findOne({ IsActive: true });
+    if (!company) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No active company found. Please setup company first.' 
+      });
+    }
+    
+    // Party for the clone (existing or new vendor/customer)
+    const partyData = await resolveQuotationParty(req.body, userId, true);
+    if (!partyData) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Vendor or customer information is required' 
+      });
+    }
+    
+    // Same currency unless another is requested, at the exchange rate in force today
+    const currencyData = await resolveCurrency(Currency || source.Currency);
+    const sameCurrency = currencyData.Currency === source.Currency;
+    const exportData = getExportData(req.body, currencyData.Currency, company, sameCurrency ? source : {});
+    const exportError = getExportError(exportData, company);
+    if (exportError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: exportError 
+      });
+    }
+    
+    const totalsSettings = getTotalsSettings(req.body, company, source);
+    const totalsSettingsError = getTotalsSettingsError(totalsSettings);
+    if (totalsSettingsError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: totalsSettingsError 
+      });
+    }
+    
+    // Same parts, quantities and discounts; rates and taxes from the current masters
+    const processedItems = await buildQuotationItems(
+      source.Items.map((item) => ({
+        PartNo: item.PartNo,
+        Quantity: item.Quantity,
+        QuantitySlabs: (item.QuantitySlabs || []).map((slab) => slab.Quantity),
+        DiscountType: item.DiscountType,
+        DiscountValue: item.DiscountValue
+      })),
+      company,
+      currencyData.ExchangeRate,
+      partyData.CustomerID
+    );
+    // Charge amounts are converted when the currency changes
+    const processedCharges = await buildQuotationCharges(
+      source.Charges.map((charge) => ({
+        ChargeType: charge.ChargeType,
+        Description: charge.Description,
+        Amount: sameCurrency
+          ? charge.Amount
+          : roundAmount(charge.Amount * (source.ExchangeRate || 1) / currencyData.ExchangeRate),
+        IsTaxable: charge.IsTaxable,
+        HSNSACCode: charge.HSNSACCode
+      }))
+    );
+    
+    const priceFloorError = getPriceFloorError(processedItems, company);
+    if (priceFloorError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: priceFloorError 
+      });
+    }
+    
+    const gstType = exportData.IsExport || isInterStateSupply(partyData.PlaceOfSupplyStateCode, company) ? 'IGST' : 'CGST/SGST';
+    
+    // Same clauses (placeholders resolved for the new party) unless edited or another set is chosen
+    const terms = TermsConditions !== undefined || TermsConditionSetID
+      ? await resolveTermsConditions(req.body, partyData)
+      : {
+        TermsConditionSetID: source.TermsConditionSetID,
+        TermsConditions: source.TermsConditions.map((term) => toQuotationTerm(term.toObject()))
+      };
+    
+    const quotation = await Quotation.create({
+      ...getCompanySnapshot(company),
+      ...partyData,
+      ...currencyData,
+      ...exportData,
+      TemplateID: source.TemplateID,
+      ClonedFromID: source._id,
+      Items: processedItems,
+      Charges: processedCharges,
+      GSTType: gstType,
+      ...totalsSettings,
+      ValidTill: ValidTill ? new Date(ValidTill) : null,
+      PaymentTerms: PaymentTerms !== undefined ? PaymentTerms : partyData.PaymentTerms,
+      DeliveryTerms: DeliveryTerms !== undefined ? DeliveryTerms : source.DeliveryTerms,
+      ...terms,
+      InternalRemarks: InternalRemarks !== undefined ? InternalRemarks : source.InternalRemarks,
+      CustomerRemarks: CustomerRemarks !== undefined ? CustomerRemarks : source.CustomerRemarks,
+      CreatedBy: userId,
+      UpdatedBy: userId
+    });
+    
+    const populatedQuotation = await Quotation.findById(quotation._id)
+      .populate('VendorID', 'VendorName VendorCode GSTIN State')
+      .populate('CustomerID', 'CustomerName CustomerCode GSTIN State')
+      .populate('CompanyID', 'CompanyName GSTIN State')
+      .populate('CreatedBy', 'Username Email');
+    
+    res.status(201).json({ 
+      success: true, 
+      data: populatedQuotation,
+      message: `Quotation cloned from ${source.FullQuotationNo}` 
+    });
+  } catch (error) {
+    console.error('Clone quotation error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: getDuplicateKeyMessage(error) 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// Reasons an RFQ row is left out of the imported quotation
+const RFQ_ISSUES = {
+  InvalidQuantity: 'Quantity must be a whole number of at least 1',
+  Unmatched: 'Part not found in Item Master',
+  MissingCosting: 'No active costing for the part',
+  MissingTax: 'No active tax rate for the HSN code',
+  Duplicate: 'Part is already listed in an earlier row'
+};
+
+// Match RFQ rows to items by PartNo, or by the customer's own part number when the
+// quotation is for a customer. Rows are checked for costing and tax so the quotation
+// can be priced; rows with a problem are reported with their issue and skipped.
+const matchRfqRows = async (rows, customerId) => {
+  const matched = await Promise.all(
+    rows.map(async (row) => {
+      const result = {
+        ...row,
+        Quantity: Number.isNaN(row.Quantity) ? null : row.Quantity,
+        MatchedPartNo: null,
+        MatchedBy: null,
+        Issue: null
+      };
+      
+      if (!Number.isInteger(row.Quantity) || row.Quantity < 1) {
+        return { ...result, Issue: 'InvalidQuantity' };
+      }
+      
+      let item = row.PartNo 
+        ? await Item.findOne({ PartNo: row.PartNo, IsActive: true }) 
+        : null;
+      let matchedBy = 'PartNo';
+      
+      const customerPartNo = row.CustomerPartNo || row.PartNo;
+      if (!item && customerId && customerPartNo) {
+        item = await Item.findOne({
+          IsActive: true,
+          CustomerPartNos: { $elemMatch: { CustomerID: customerId, CustomerPartNo: customerPartNo } }
+        });
+        matchedBy = 'CustomerPartNo';
+      }
+      
+      if (!item) {
+        return { ...result, Issue: 'Unmatched' };
+      }
+      
+      const matchedResult = { ...result, MatchedPartNo: item.PartNo, MatchedBy: matchedBy };
+      
+      const costing = await findPartCosting(item.PartNo, customerId);
+      if (!costing) {
+        return { ...matchedResult, Issue: 'MissingCosting' };
+      }
+      
+      const tax = item.HSNCode 
+        ? await Tax.findOne({ HSNCode: item.HSNCode, IsActive: true }) 
+        : null;
+      if (!tax) {
+        return { ...matchedResult, Issue: 'MissingTax' };
+      }
+      
+      return matchedResult;
+    })
+  );
+  
+  // A part listed twice is quoted once, at the quantity of its first row
+  const seen = new Map();
+  matched.forEach((row) => {
+    if (row.Issue) return;
+    if (seen.has(row.MatchedPartNo)) {
+      row.Issue = 'Duplicate';
+      row.DuplicateOfRow = seen.get(row.MatchedPartNo);
+      return;
+    }
+    seen.set(row.MatchedPartNo, row.Row);
+  });
+  
+  return matched.map((row) => ({
+    ...row,
+    Status: row.Issue ? 'Skipped' : 'Imported',
+    Message: row.Issue ? RFQ_ISSUES[row.Issue] : ''
+  }));
+};
+
+// Row counts of an RFQ import by outcome
+const summarizeRfqRows = (rows) => {
+  const count = (issue) => rows.filter((row) => row.Issue === issue).length;
+  
+  return {
+    totalRows: rows.length,
+    importedRows: count(null),
+    invalidQuantity: count('InvalidQuantity'),
+    unmatched: count('Unmatched'),
+    missingCosting: count('MissingCosting'),
+    missingTax: count('MissingTax'),
+    duplicates: count('Duplicate')
+  };
+};
+
+// @desc    Create a draft quotation from an RFQ spreadsheet (CSV/XLSX)
+// @route   POST /api/quotations/import
+// @access  Private
+const importQuotation = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    // Multipart form fields arrive as text; the party must already exist
+    const body = {
+      ...req.body,
+      VendorType: 'Existing',
+      IsExport: req.body.IsExport !== undefined && req.body.IsExport !== '' 
+        ? req.body.IsExport === 'true' 
+        : undefined
+    };
+    const dryRun = req.body.DryRun === 'true';
+    
+    let rows;
+    try {
+      rows = await parseRfqFile(req.file);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    
+    if (rows.length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'The file has no RFQ rows' 
+      });
+    }
+    
+    const company = await Company.findOne({ IsActive: true });
+    if (!company) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No active company found. Please setup company first.' 
+      });
+    }
+    
+    const partyData = await resolveQuotationParty(body, userId, false);
+    if (!partyData) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'An existing vendor or customer is required' 
+      });
+    }
+    
+    const importRows = await matchRfqRows(rows, partyData.CustomerID);
+    const report = {
+      fileName: req.file.originalname,
+      summary: summarizeRfqRows(importRows),
+      rows: importRows
+    };
+    
+    const items = importRows
+      .filter((row) => !row.Issue)
+      .map((row) => ({ PartNo: row.MatchedPartNo, Quantity: row.Quantity }));
+    
+    if (dryRun || items.length === 0) {
+      return res.status(dryRun ? 200 : 400).json({ 
+        success: dryRun, 
+        data: { import: report },
+        message: items.length === 0 
+          ? 'No valid RFQ rows to import' 
+          : `${items.length} of ${rows.length} RFQ rows can be imported` 
+      });
+    }
+    
+    // Currency (exchange rate in force today) and export treatment
+    const currencyData = await resolveCurrency(body.Currency || partyData.Currency);
+    const exportData = getExportData(body, currencyData.Currency, company);
+    const exportError = getExportError(exportData, company);
+    if (exportError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: exportError 
+      });
+    }
+    
+    const totalsSettings = getTotalsSettings(body, company);
+    const totalsSettingsError = getTotalsSettingsError(totalsSettings);
+    if (totalsSettingsError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: totalsSettingsError 
+      });
+    }
+    
+    const processedItems = await buildQuotationItems(items, company, currencyData.ExchangeRate, partyData.CustomerID);
+    
+    const priceFloorError = getPriceFloorError(processedItems, company);
+    if (priceFloorError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: priceFloorError 
+      });
+    }
+    
+    const gstType = exportData.IsExport || isInterStateSupply(partyData.PlaceOfSupplyStateCode, company) ? 'IGST' : 'CGST/SGST';
+    const terms = await resolveTermsConditions(body, partyData);
+    
+    const quotation = await Quotation.create({
+      ...getCompanySnapshot(company),
+      ...partyData,
+      ...currencyData,
+      ...exportData,
+      Items: processedItems,
+      Charges: [],
+      GSTType: gstType,
+      ...totalsSettings,
+      ValidTill: body.ValidTill ? new Date(body.ValidTill) : null,
+      PaymentTerms: body.PaymentTerms !== undefined ? body.PaymentTerms : partyData.PaymentTerms,
+      DeliveryTerms: body.DeliveryTerms || '',
+      ...terms,
+      InternalRemarks: body.InternalRemarks !== undefined 
+        ? body.InternalRemarks 
+        : `Imported from RFQ ${req.file.originalname}`,
+      CustomerRemarks: body.CustomerRemarks || '',
+      CreatedBy: userId,
+      UpdatedBy: userId
+    });
+    
+    const populatedQuotation = await Quotation.findById(quotation._id)
+      .populate('VendorID', 'VendorName VendorCode GSTIN State')
+      .populate('CustomerID', 'CustomerName CustomerCode GSTIN State')
+      .populate('CompanyID', 'CompanyName GSTIN State')
+      .populate('CreatedBy', 'Username Email');
+    
+    res.status(201).json({ 
+      success: true, 
+      data: {
+        quotation: populatedQuotation,
+        import: report
+      },
+      message: `Quotation ${quotation.FullQuotationNo} created with ${items.length} of ${rows.length} RFQ rows` 
+    });
+  } catch (error) {
+    console.error('Import quotation error:', error);
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: getDuplicateKeyMessage(error) 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
 module.exports = {
   getQuotations,
+  exportQuotationRegister,
   getQuotation,
   createQuotation,
   getVendorsForDropdown,
+  getCustomersForDropdown,
   calculateQuotation,
   updateQuotation,
-  deleteQuotation
+  deleteQuotation,
+  getQuotationPdf,
+  changeQuotationStatus,
+  reviewQuotationPrice,
+  sendQuotation,
+  getQuotationEmails,
+  createQuotationLink,
+  revokeQuotationLink,
+  reviseQuotation,
+  getQuotationRevisions,
+  compareQuotationRevisions,
+  getQuotationSalesOrders,
+  cloneQuotation,
+  importQuotation
 };
\ No newline at end of file
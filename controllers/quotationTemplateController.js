@@ -0,0 +1,258 @@
+const QuotationTemplate = require('../models/QuotationTemplate');
+const Item = require('../models/Item');
+
+// Fields a user may set on a template
+const TEMPLATE_FIELDS = [
+  'TemplateName', 'Description', 'Items', 'Charges', 'InternalRemarks',
+  'CustomerRemarks', 'TermsConditionSetID', 'TermsConditionIDs', 'IsActive'
+];
+
+const pickTemplateFields = (body) => {
+  return TEMPLATE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// Part numbers of the template that are not active in the Item Master
+const findUnknownParts = async (items = []) => {
+  const partNos = [...new Set(items.map((item) => item.PartNo))];
+  const found = await Item.find({ PartNo: { $in: partNos }, IsActive: true }).distinct('PartNo');
+  return partNos.filter((partNo) => !found.includes(partNo));
+};
+
+// @desc    Get all quotation templates
+// @route   GET /api/quotation-templates
+// @access  Private
+const getQuotationTemplates = async (req, res) => {
+  try {
+    const { search, includeInactive } = req.query;
+    
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.IsActive = true;
+    }
+    
+    if (search) {
+      query.$or = [
+        { TemplateName: new RegExp(search, 'i') },
+        { 'Items.PartNo': new RegExp(search, 'i') }
+      ];
+    }
+    
+    const templates = await QuotationTemplate.find(query)
+      .populate('CreatedBy', 'Username Email')
+      .sort({ TemplateName: 1 });
+    
+    res.json({ 
+      success: true, 
+      data: templates,
+      count: templates.length 
+    });
+  } catch (error) {
+    console.error('Get quotation templates error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get single quotation template
+// @route   GET /api/quotation-templates/:id
+// @access  Private
+const getQuotationTemplate = async (req, res) => {
+  try {
+    const template = await QuotationTemplate.findById(req.params.id)
+      .populate('TermsConditionSetID', 'SetName')
+      .populate('TermsConditionIDs', 'Title Description Sequence')
+      .populate('CreatedBy', 'Username Email')
+      .populate('UpdatedBy', 'Username Email');
+    
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation template not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: template 
+    });
+  } catch (error) {
+    console.error('Get quotation template error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation template not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Create quotation template
+// @route   POST /api/quotation-templates
+// @access  Private
+const createQuotationTemplate = async (req, res) => {
+  try {
+    const unknownParts = await findUnknownParts(req.body.Items);
+    if (unknownParts.length > 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Items not found or inactive: ${unknownParts.join(', ')}` 
+      });
+    }
+    
+    const template = await QuotationTemplate.create({
+      ...pickTemplateFields(req.body),
+      CreatedBy: req.user.id,
+      UpdatedBy: req.user.id
+    });
+    
+    res.status(201).json({ 
+      success: true, 
+      data: template,
+      message: 'Quotation template created successfully' 
+    });
+  } catch (error) {
+    console.error('Create quotation template error:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Quotation template with this name already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Update quotation template
+// @route   PUT /api/quotation-templates/:id
+// @access  Private
+const updateQuotationTemplate = async (req, res) => {
+  try {
+    const template = await QuotationTemplate.findById(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation template not found' 
+      });
+    }
+    
+    if (req.body.Items) {
+      const unknownParts = await findUnknownParts(req.body.Items);
+      if (unknownParts.length > 0) {
+        return res.status(400).json({ 
+          success: false, 
+          message: `Items not found or inactive: ${unknownParts.join(', ')}` 
+        });
+      }
+    }
+    
+    template.set({ ...pickTemplateFields(req.body), UpdatedBy: req.user.id });
+    await template.save();
+    
+    res.json({ 
+      success: true, 
+      data: template,
+      message: 'Quotation template updated successfully' 
+    });
+  } catch (error) {
+    console.error('Update quotation template error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation template not found' 
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Quotation template with this name already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Delete quotation template (soft delete)
+// @route   DELETE /api/quotation-templates/:id
+// @access  Private
+const deleteQuotationTemplate = async (req, res) => {
+  try {
+    const template = await QuotationTemplate.findByIdAndUpdate(
+      req.params.id,
+      { IsActive: false, UpdatedBy: req.user.id },
+      { new: true }
+    );
+    
+    if (!template) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation template not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'Quotation template deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete quotation template error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation template not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getQuotationTemplates,
+  getQuotationTemplate,
+  createQuotationTemplate,
+  updateQuotationTemplate,
+  deleteQuotationTemplate
+};
@@ -0,0 +1,443 @@
+const RecostBatch = require('../models/RecostBatch');
+const Costing = require('../models/Costing');
+const Item = require('../models/Item');
+const Material = require('../models/Material');
+const RawMaterial = require('../models/RawMaterial');
+const CostingPolicy = require('../models/CostingPolicy');
+const { calculateCostingRates, roundAmount } = require('../utils/calculations');
+const { formatDate } = require('../utils/helpers');
+
+// Latest active rate of a raw material, as used when costing
+const getLatestRawMaterial = (materialName) => {
+  return RawMaterial.findOne({ MaterialName: materialName, IsActive: true }).sort({ DateEffective: -1 });
+};
+
+const isSameRate = (a, b) => Math.abs((a || 0) - (b || 0)) < 0.0001;
+
+// An apply that has recorded no progress for this long was interrupted; applying
+// the batch again resumes it from its pending lines
+const APPLY_STALE_MS = 5 * 60 * 1000;
+
+// Overhead/margin % of a costing that follow its costing policy (not entered by hand)
+const getPolicyOptions = (costing) => ({
+  overhead: costing.OverheadSource !== 'Manual',
+  margin: costing.MarginSource !== 'Manual'
+});
+
+// Preview line of one costing at the new RM rate, with the overhead and margin %
+// of the policy now applicable (null keeps them)
+const buildRecostLine = (costing, item, rmRate, policy) => {
+  const policyFields = policy ? CostingPolicy.getCostingFields(policy, getPolicyOptions(costing)) : {};
+  const { FinalRate } = calculateCostingRates({ ...costing.toObject(), RMRate: rmRate, ...policyFields });
+  const difference = roundAmount(FinalRate - costing.FinalRate);
+  
+  return {
+    CostingID: costing._id,
+    ItemID: item._id,
+    PartNo: costing.PartNo,
+    PartName: item.PartName,
+    VersionNo: costing.VersionNo,
+    RMWeight: costing.RMWeight,
+    OldRMRate: costing.RMRate,
+    NewRMRate: rmRate,
+    OldOverheadPercentage: costing.OverheadPercentage,
+    NewOverheadPercentage: policyFields.OverheadPercentage ?? costing.OverheadPercentage,
+    OldMarginPercentage: costing.MarginPercentage,
+    NewMarginPercentage: policyFields.MarginPercentage ?? costing.MarginPercentage,
+    CostingPolicyID: policy ? policy._id : null,
+    CostingPolicyName: policy ? policy.PolicyName : '',
+    OldFinalRate: costing.FinalRate,
+    NewFinalRate: FinalRate,
+    Difference: difference,
+    ImpactPercentage: costing.FinalRate > 0 ? roundAmount(difference / costing.FinalRate * 100) : 0
+  };
+};
+
+// Costing fields a line sets when applied
+const getLineCostingFields = (line, costing) => ({
+  RMRate: line.NewRMRate,
+  ...(line.CostingPolicyID ? CostingPolicy.getCostingFields({
+    _id: line.CostingPolicyID,
+    PolicyName: line.CostingPolicyName,
+    OverheadPercentage: line.NewOverheadPercentage,
+    MarginPercentage: line.NewMarginPercentage
+  }, getPolicyOptions(costing)) : {})
+});
+
+// Record one line of a batch being applied, so an interrupted apply can resume
+// after it (also keeps the batch's UpdatedAt current while the apply runs)
+const saveLineProgress = (batch, index) => {
+  return RecostBatch.updateOne(
+    { _id: batch._id },
+    { $set: { [`Lines.${index}`]: batch.Lines[index].toObject() } }
+  );
+};
+
+// Totals of a batch's lines for the preview and apply responses
+const getBatchSummary = (batch) => {
+  const lines = batch.Lines.filter((line) => line.Status !== 'Excluded');
+  const sum = (field) => roundAmount(lines.reduce((total, line) => total + (line[field] || 0), 0));
+  const impacts = lines.map((line) => line.ImpactPercentage);
+  
+  return {
+    CostingCount: lines.length,
+    UnchangedCount: batch.UnchangedCount,
+    IncreasedCount: lines.filter((line) => line.Difference > 0).length,
+    DecreasedCount: lines.filter((line) => line.Difference < 0).length,
+    TotalOldFinalRate: sum('OldFinalRate'),
+    TotalNewFinalRate: sum('NewFinalRate'),
+    AverageImpactPercentage: lines.length > 0 ? roundAmount(impacts.reduce((a, b) => a + b, 0) / lines.length) : 0,
+    MaxImpactPercentage: lines.length > 0 ? Math.max(...impacts) : 0,
+    MinImpactPercentage: lines.length > 0 ? Math.min(...impacts) : 0
+  };
+};
+
+// @desc    Get re-cost batches
+// @route   GET /api/recost-batches
+// @access  Private
+const getRecostBatches = async (req, res) => {
+  try {
+    const { materialName, status, page = 1, limit = 10 } = req.query;
+    
+    const query = {};
+    
+    if (materialName) {
+      query.MaterialName = materialName;
+    }
+    
+    if (status) {
+      query.Status = status;
+    }
+    
+    const batches = await RecostBatch.find(query)
+      .select('-Lines')
+      .populate('CreatedBy', 'Username Email')
+      .populate('AppliedBy', 'Username Email')
+      .sort({ CreatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await RecostBatch.countDocuments(query);
+    
+    res.json({ 
+      success: true, 
+      data: batches,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get re-cost batches error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get a re-cost batch with its lines
+// @route   GET /api/recost-batches/:id
+// @access  Private
+const getRecostBatch = async (req, res) => {
+  try {
+    const batch = await RecostBatch.findById(req.params.id)
+      .populate('CreatedBy', 'Username Email')
+      .populate('AppliedBy', 'Username Email');
+    
+    if (!batch) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Re-cost batch not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: batch,
+      summary: getBatchSummary(batch)
+    });
+  } catch (error) {
+    console.error('Get re-cost batch error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Re-cost batch not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Preview re-costing of a raw material's costings at its latest rate
+// @route   POST /api/recost-batches/preview
+// @access  Private
+const previewRecost = async (req, res) => {
+  try {
+    const { MaterialName } = req.body;
+    
+    if (!MaterialName) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'MaterialName is required' 
+      });
+    }
+    
+    const rawMaterial = await getLatestRawMaterial(MaterialName);
+    if (!rawMaterial) {
+      return res.status(404).json({ 
+        success: false, 
+        message: `No active raw material rate found for ${MaterialName}` 
+      });
+    }
+    
+    // Active costings of items made from the material
+    const materials = await Material.find({ MaterialName: rawMaterial.MaterialName }).select('_id');
+    const items = await Item.find({ MaterialID: { $in: materials.map((material) => material._id) } })
+      .select('PartNo PartName ItemCategory MaterialID');
+    const itemMap = new Map(items.map((item) => [item._id.toString(), item]));
+    const costings = await Costing.find({ ItemID: { $in: items.map((item) => item._id) }, IsActive: true })
+      .sort({ PartNo: 1 });
+    
+    const changed = costings.filter((costing) => !isSameRate(costing.RMRate, rawMaterial.EffectiveRate));
+    
+    // Lines with the costing policy now applicable, looked up once per customer, item and quantity
+    const policies = new Map();
+    const lines = [];
+    for (const costing of changed) {
+      const item = itemMap.get(costing.ItemID.toString());
+      const { overhead, margin } = getPolicyOptions(costing);
+      const key = [costing.CustomerID, item._id, costing.OrderQuantity].join('|');
+      if ((overhead || margin) && !policies.has(key)) {
+        policies.set(key, await CostingPolicy.findApplicable({ 
+          customerId: costing.CustomerID, 
+          item, 
+          quantity: costing.OrderQuantity 
+        }));
+      }
+      const policy = overhead || margin ? policies.get(key) : null;
+      lines.push(buildRecostLine(costing, item, rawMaterial.EffectiveRate, policy));
+    }
+    
+    const batch = await RecostBatch.create({
+      RawMaterialID: rawMaterial._id,
+      MaterialName: rawMaterial.MaterialName,
+      Grade: rawMaterial.Grade,
+      EffectiveRate: rawMaterial.EffectiveRate,
+      DateEffective: rawMaterial.DateEffective,
+      Lines: lines,
+      UnchangedCount: costings.length - changed.length,
+      CreatedBy: req.user.id
+    });
+    
+    res.status(201).json({ 
+      success: true, 
+      data: batch,
+      summary: getBatchSummary(batch),
+      message: changed.length > 0
+        ? `${changed.length} costings to re-cost at ₹${roundAmount(rawMaterial.EffectiveRate)}/Kg. Apply the batch to update them`
+        : `All ${MaterialName} costings are already at the latest rate`
+    });
+  } catch (error) {
+    console.error('Preview re-cost error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Apply a previewed re-cost batch: each costing gets a new version at the new RM rate
+// @route   POST /api/recost-batches/:id/apply
+// @access  Private
+const applyRecostBatch = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { ChangeReason, ExcludeCostingIDs = [] } = req.body;
+    
+    if (!Array.isArray(ExcludeCostingIDs)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'ExcludeCostingIDs must be an array of costing IDs' 
+      });
+    }
+    
+    if (ChangeReason !== undefined && ChangeReason !== null && typeof ChangeReason !== 'string') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'ChangeReason must be text' 
+      });
+    }
+    
+    const preview = await RecostBatch.findById(req.params.id);
+    if (!preview) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Re-cost batch not found' 
+      });
+    }
+    
+    const isInterrupted = preview.Status === 'Applying' && preview.UpdatedAt < new Date(Date.now() - APPLY_STALE_MS);
+    if (preview.Status !== 'Preview' && !isInterrupted) {
+      return res.status(400).json({ 
+        success: false, 
+        message: preview.Status === 'Applying'
+          ? 'Re-cost batch is already being applied'
+          : `Re-cost batch is already ${preview.Status}` 
+      });
+    }
+    
+    // A rate added after the preview makes it stale (an interrupted apply finishes
+    // at the rate it started with)
+    const rawMaterial = await getLatestRawMaterial(preview.MaterialName);
+    if (preview.Status === 'Preview' && (!rawMaterial || !rawMaterial._id.equals(preview.RawMaterialID))) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `The ${preview.MaterialName} rate has changed since this preview. Preview the re-costing again` 
+      });
+    }
+    
+    // A resumed apply keeps the reason it was started with
+    const changeReason = preview.ChangeReason || (ChangeReason && ChangeReason.trim()) ||
+      `Raw material rate revision: ${preview.MaterialName} ${preview.Grade} @ ₹${roundAmount(preview.EffectiveRate)}/Kg from ${formatDate(preview.DateEffective)}`;
+    
+    // Claim the batch so it cannot be applied twice at the same time; it stays
+    // Applying until every line is done
+    const batch = await RecostBatch.findOneAndUpdate(
+      { _id: preview._id, Status: preview.Status, UpdatedAt: preview.UpdatedAt },
+      { $set: { Status: 'Applying', AppliedBy: userId, ChangeReason: changeReason } },
+      { new: true }
+    );
+    if (!batch) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Re-cost batch is already being applied' 
+      });
+    }
+    
+    const excluded = ExcludeCostingIDs.map(String);
+    
+    for (const [index, line] of batch.Lines.entries()) {
+      // Done before an interruption
+      if (line.Status !== 'Pending') continue;
+      
+      if (excluded.includes(line.CostingID.toString())) {
+        line.Status = 'Excluded';
+        await saveLineProgress(batch, index);
+        continue;
+      }
+      
+      try {
+        const costing = await Costing.findById(line.CostingID);
+        if (!costing || !costing.IsActive) {
+          line.set({ Status: 'Skipped', Remarks: 'Costing deleted or inactive' });
+        } else if (costing.VersionNo !== line.VersionNo) {
+          line.set({ Status: 'Skipped', Remarks: `Costing changed since the preview (now version ${costing.VersionNo})` });
+        } else {
+          costing.set({
+            ...getLineCostingFields(line, costing),
+            ChangeReason: batch.ChangeReason,
+            UpdatedBy: userId
+          });
+          await costing.save();
+          line.set({ Status: 'Applied', NewVersionNo: costing.VersionNo, NewFinalRate: costing.FinalRate });
+        }
+      } catch (error) {
+        console.error(`Re-cost ${line.PartNo} error:`, error);
+        const changedMeanwhile = error.name === 'VersionError' || error.code === 11000;
+        line.set({ Status: 'Skipped', Remarks: changedMeanwhile ? 'Costing changed during the re-cost' : error.message });
+      }
+      await saveLineProgress(batch, index);
+    }
+    
+    batch.Status = 'Applied';
+    batch.AppliedAt = new Date();
+    batch.AppliedCount = batch.Lines.filter((line) => line.Status === 'Applied').length;
+    batch.SkippedCount = batch.Lines.filter((line) => line.Status === 'Skipped').length;
+    await batch.save();
+    
+    res.json({ 
+      success: true, 
+      data: batch,
+      summary: getBatchSummary(batch),
+      message: `${batch.AppliedCount} costings re-costed` +
+        (batch.SkippedCount > 0 ? `, ${batch.SkippedCount} skipped` : '')
+    });
+  } catch (error) {
+    console.error('Apply re-cost batch error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Re-cost batch not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Cancel a previewed re-cost batch
+// @route   POST /api/recost-batches/:id/cancel
+// @access  Private
+const cancelRecostBatch = async (req, res) => {
+  try {
+    const batch = await RecostBatch.findById(req.params.id);
+    
+    if (!batch) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Re-cost batch not found' 
+      });
+    }
+    
+    if (batch.Status !== 'Preview') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Re-cost batch is already ${batch.Status}` 
+      });
+    }
+    
+    batch.Status = 'Cancelled';
+    batch.CancelledAt = new Date();
+    await batch.save();
+    
+    res.json({ 
+      success: true, 
+      data: batch,
+      message: 'Re-cost batch cancelled' 
+    });
+  } catch (error) {
+    console.error('Cancel re-cost batch error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Re-cost batch not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getRecostBatches,
+  getRecostBatch,
+  previewRecost,
+  applyRecostBatch,
+  cancelRecostBatch
+};
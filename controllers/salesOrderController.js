@@ -0,0 +1,602 @@
+const mongoose = require('mongoose');
+const SalesOrder = require('../models/SalesOrder');
+const Quotation = require('../models/Quotation');
+const { roundAmount } = require('../utils/calculations');
+
+// Quotation fields copied onto the sales order as a snapshot
+const SNAPSHOT_FIELDS = [
+  'CompanyID', 'CompanyName', 'CompanyGSTIN', 'CompanyState', 'CompanyStateCode',
+  'PartyType', 'CustomerID', 'VendorID', 'VendorName', 'VendorGSTIN', 'VendorState',
+  'VendorStateCode', 'VendorAddress', 'VendorCity', 'VendorPincode', 'VendorContactPerson',
+  'VendorPhone', 'VendorEmail', 'VendorPAN', 'BillingAddress', 'ShippingAddress',
+  'PlaceOfSupply', 'PlaceOfSupplyStateCode', 'GSTType', 'Currency', 'ExchangeRate',
+  'IsExport', 'ExportTaxOption', 'LUTNumber', 'TCSPercentage', 'RoundOffType', 'TermsConditions'
+];
+
+// Quotation line fields copied onto the order line (prices and tax rates)
+const LINE_FIELDS = [
+  'PartNo', 'PartName', 'Description', 'HSNCode', 'Unit', 'FinalRate', 'DiscountType',
+  'GSTPercentage', 'CGSTPercentage', 'SGSTPercentage', 'IGSTPercentage'
+];
+
+// Quantity slab an order against the line is placed at. Lines quoted with quantity
+// breaks are ordered at one slab: SlabQuantity chooses it on the first order (the
+// line's own Quantity by default) and later orders stay on the same slab.
+// Returns null for single-quantity lines.
+const getOrderSlab = (line, slabQuantity) => {
+  const requested = slabQuantity !== undefined && slabQuantity !== null && slabQuantity !== ''
+    ? Number(slabQuantity)
+    : null;
+  
+  if (!line.QuantitySlabs || line.QuantitySlabs.length === 0) {
+    if (requested !== null && requested !== line.Quantity) {
+      throw new Error(`Quotation line ${line.PartNo} has no quantity slabs`);
+    }
+    return null;
+  }
+  
+  // Orders placed before a slab was recorded were at the line quantity
+  const selected = line.SelectedSlabQuantity || (line.OrderedQuantity > 0 ? line.Quantity : null);
+  if (selected && requested !== null && requested !== selected) {
+    throw new Error(`Quotation line ${line.PartNo} is already ordered at the ${selected} slab`);
+  }
+  
+  const quantity = requested !== null ? requested : selected || line.Quantity;
+  const slab = line.QuantitySlabs.find((entry) => entry.Quantity === quantity);
+  if (!slab) {
+    throw new Error(`Quantity slab ${quantity} not found on quotation line ${line.PartNo}`);
+  }
+  return slab;
+};
+
+// Build order lines from the requested quotation lines (all open quantity when none given)
+const buildOrderLines = (quotation, items) => {
+  const requested = items && items.length > 0
+    ? items
+    : quotation.Items
+      .filter((line) => line.OpenQuantity > 0)
+      .map((line) => ({ QuotationItemID: line._id, Quantity: line.OpenQuantity }));
+  
+  if (requested.length === 0) {
+    throw new Error('Quotation has no open quantity left to order');
+  }
+  
+  const seen = new Set();
+  
+  return requested.map((item) => {
+    const line = quotation.Items.id(item.QuotationItemID);
+    if (!line) {
+      throw new Error(`Quotation line ${item.QuotationItemID} not found`);
+    }
+    
+    const key = line._id.toString();
+    if (seen.has(key)) {
+      throw new Error(`Quotation line ${line.PartNo} is listed more than once`);
+    }
+    seen.add(key);
+    
+    const slab = getOrderSlab(line, item.SlabQuantity);
+    const openQuantity = slab
+      ? Math.max(slab.Quantity - (line.OrderedQuantity || 0), 0)
+      : line.OpenQuantity;
+    
+    const quantity = Number(item.Quantity);
+    if (!quantity || quantity <= 0) {
+      throw new Error(`Quantity for ${line.PartNo} must be greater than 0`);
+    }
+    if (quantity > openQuantity) {
+      throw new Error(`Quantity for ${line.PartNo} exceeds open quantity (${openQuantity})`);
+    }
+    
+    const orderLine = LINE_FIELDS.reduce((fields, field) => {
+      fields[field] = line[field];
+      return fields;
+    }, {});
+    
+    // Flat discounts are shared in proportion to the ordered quantity
+    const discountValue = line.DiscountType === 'Amount'
+      ? roundAmount((line.DiscountValue || 0) * quantity / line.Quantity)
+      : line.DiscountValue || 0;
+    
+    return {
+      ...orderLine,
+      // Ordered at the chosen slab's rate
+      ...(slab ? { FinalRate: slab.FinalRate, SlabQuantity: slab.Quantity } : {}),
+      DiscountValue: discountValue,
+      QuotationItemID: line._id,
+      Quantity: quantity,
+      DeliverySchedule: item.DeliverySchedule || []
+    };
+  });
+};
+
+// Quotation charges (freight etc.) are billed once, on the first order against it.
+// The order claims them on the quotation with a conditional update, so of two
+// concurrent first orders only one carries them.
+const buildOrderCharges = async (quotation, salesOrderId) => {
+  if (quotation.Charges.length === 0) {
+    return [];
+  }
+  
+  // Orders placed before charges were claimed carry them without a claim
+  const billed = await SalesOrder.exists({ 
+    QuotationID: quotation._id, 
+    Status: { $ne: 'Cancelled' }, 
+    'Charges.0': { $exists: true } 
+  });
+  if (billed) {
+    return [];
+  }
+  
+  const claimed = await Quotation.updateOne(
+    { _id: quotation._id, ChargesSalesOrderID: null },
+    { $set: { ChargesSalesOrderID: salesOrderId } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return [];
+  }
+  
+  return quotation.Charges.map((charge) => {
+    const { _id, ...line } = charge.toObject();
+    return line;
+  });
+};
+
+// $inc update and array filters adding quantity (negative to release) to quotation lines;
+// reserving also records the slab each line is ordered at
+const buildQuantityUpdate = (lines, sign) => {
+  const inc = {};
+  const set = {};
+  const arrayFilters = [];
+  
+  lines.forEach((line, index) => {
+    inc[`Items.$[line${index}].OrderedQuantity`] = sign * line.Quantity;
+    if (sign > 0 && line.SlabQuantity) {
+      set[`Items.$[line${index}].SelectedSlabQuantity`] = line.SlabQuantity;
+    }
+    arrayFilters.push({ [`line${index}._id`]: line.QuotationItemID });
+  });
+  
+  const update = Object.keys(set).length > 0 ? { $inc: inc, $set: set } : { $inc: inc };
+  return { update, options: { arrayFilters } };
+};
+
+// Atomically reserve order quantities on the quotation. Each line must still
+// have enough open quantity at write time, so two concurrent orders cannot
+// consume the same quantity (quotation quantities are fixed once approved).
+// Lines with quantity slabs must not have been ordered at another slab meanwhile.
+const reserveOrderedQuantities = async (quotation, lines) => {
+  const { update, options } = buildQuantityUpdate(lines, 1);
+  
+  const result = await Quotation.updateOne(
+    {
+      _id: quotation._id,
+      Status: 'Approved',
+      IsLatestRevision: { $ne: false },
+      $and: lines.map((line) => {
+        const orderable = line.SlabQuantity || quotation.Items.id(line.QuotationItemID).Quantity;
+        const maxOrdered = orderable - line.Quantity;
+        return {
+          Items: {
+            $elemMatch: {
+              _id: line.QuotationItemID,
+              $or: [
+                { OrderedQuantity: { $lte: maxOrdered } },
+                { OrderedQuantity: { $exists: false } }
+              ],
+              ...(line.SlabQuantity ? { SelectedSlabQuantity: { $in: [null, line.SlabQuantity] } } : {})
+            }
+          }
+        };
+      })
+    },
+    update,
+    options
+  );
+  
+  return result.modifiedCount > 0;
+};
+
+// Give order quantities and charges back to the quotation (cancelled or failed
+// orders). A line with no quantity left on order can be ordered at any slab again.
+const releaseOrderedQuantities = async (quotationId, lines, salesOrderId) => {
+  const { update, options } = buildQuantityUpdate(lines, -1);
+  await Quotation.updateOne({ _id: quotationId }, update, options);
+  
+  await Quotation.updateOne(
+    { _id: quotationId },
+    { $set: { 'Items.$[line].SelectedSlabQuantity': null } },
+    { arrayFilters: [{ 'line.OrderedQuantity': { $lte: 0 }, 'line.SelectedSlabQuantity': { $ne: null } }] }
+  );
+  await Quotation.updateOne(
+    { _id: quotationId, ChargesSalesOrderID: salesOrderId },
+    { $set: { ChargesSalesOrderID: null } }
+  );
+};
+
+// @desc    Get all sales orders
+// @route   GET /api/sales-orders
+// @access  Private
+const getSalesOrders = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      search = '',
+      status,
+      quotationId,
+      vendorId,
+      customerId,
+      startDate,
+      endDate,
+      sortBy = 'SalesOrderDate',
+      sortOrder = 'desc'
+    } = req.query;
+    
+    const query = {};
+    
+    // Search by order, quotation or customer PO number
+    if (search) {
+      query.$or = [
+        { SalesOrderNo: { $regex: search, $options: 'i' } },
+        { QuotationNo: { $regex: search, $options: 'i' } },
+        { CustomerPONo: { $regex: search, $options: 'i' } },
+        { VendorName: { $regex: search, $options: 'i' } }
+      ];
+    }
+    
+    if (status) {
+      query.Status = status;
+    }
+    
+    if (quotationId) {
+      query.QuotationID = quotationId;
+    }
+    
+    if (vendorId) {
+      query.VendorID = vendorId;
+    }
+    
+    if (customerId) {
+      query.CustomerID = customerId;
+    }
+    
+    if (startDate || endDate) {
+      query.SalesOrderDate = {};
+      if (startDate) query.SalesOrderDate.$gte = new Date(startDate);
+      if (endDate) query.SalesOrderDate.$lte = new Date(endDate);
+    }
+    
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    
+    const salesOrders = await SalesOrder.find(query)
+      .populate('QuotationID', 'QuotationNo RevisionNo Status')
+      .populate('CreatedBy', 'Username Email')
+      .sort(sort)
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+    
+    const total = await SalesOrder.countDocuments(query);
+    
+    res.json({ 
+      success: true, 
+      data: salesOrders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get sales orders error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get single sales order
+// @route   GET /api/sales-orders/:id
+// @access  Private
+const getSalesOrder = async (req, res) => {
+  try {
+    const salesOrder = await SalesOrder.findById(req.params.id)
+      .populate('QuotationID', 'QuotationNo RevisionNo Status QuotationDate GrandTotal')
+      .populate('CompanyID', 'CompanyName Address GSTIN State StateCode')
+      .populate('CreatedBy', 'Username Email')
+      .populate('UpdatedBy', 'Username Email');
+    
+    if (!salesOrder) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Sales order not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: salesOrder 
+    });
+  } catch (error) {
+    console.error('Get sales order error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Sales order not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Create sales order from an approved quotation
+// @route   POST /api/sales-orders
+// @access  Private
+const createSalesOrder = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { 
+      QuotationID, 
+      CustomerPONo, 
+      CustomerPODate, 
+      SalesOrderDate, 
+      Items, 
+      Remarks 
+    } = req.body;
+    
+    if (!QuotationID) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Quotation is required' 
+      });
+    }
+    
+    const quotation = await Quotation.findById(QuotationID);
+    if (!quotation || !quotation.IsActive) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    if (quotation.Status !== 'Approved') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Only approved quotations can be converted into a sales order' 
+      });
+    }
+    
+    if (quotation.IsLatestRevision === false) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Only the latest revision can be converted into a sales order' 
+      });
+    }
+    
+    let lines;
+    try {
+      lines = buildOrderLines(quotation, Items);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false, 
+        message: error.message 
+      });
+    }
+    
+    // Reserve the quantities on the quotation before creating the order
+    const reserved = await reserveOrderedQuantities(quotation, lines);
+    if (!reserved) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Open quantity on the quotation has changed, please reload and try again' 
+      });
+    }
+    
+    const snapshot = SNAPSHOT_FIELDS.reduce((fields, field) => {
+      fields[field] = quotation[field];
+      return fields;
+    }, {});
+    
+    const salesOrderId = new mongoose.Types.ObjectId();
+    let salesOrder;
+    try {
+      salesOrder = await SalesOrder.create({
+        _id: salesOrderId,
+        ...snapshot,
+        QuotationID: quotation._id,
+        QuotationNo: quotation.QuotationNo,
+        QuotationRevisionNo: quotation.RevisionNo,
+        SalesOrderDate: SalesOrderDate ? new Date(SalesOrderDate) : Date.now(),
+        CustomerPONo,
+        CustomerPODate,
+        Items: lines,
+        Charges: await buildOrderCharges(quotation, salesOrderId),
+        Remarks: Remarks || '',
+        CreatedBy: userId,
+        UpdatedBy: userId
+      });
+    } catch (error) {
+      // Release the reserved quantities if the order could not be saved
+      await releaseOrderedQuantities(quotation._id, lines, salesOrderId);
+      throw error;
+    }
+    
+    res.status(201).json({ 
+      success: true, 
+      data: salesOrder,
+      message: `Sales order ${salesOrder.SalesOrderNo} created successfully` 
+    });
+  } catch (error) {
+    console.error('Create sales order error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Quotation not found' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Update sales order (PO details, remarks and delivery schedules)
+// @route   PUT /api/sales-orders/:id
+// @access  Private
+const updateSalesOrder = async (req, res) => {
+  try {
+    const { CustomerPONo, CustomerPODate, Remarks, Items } = req.body;
+    
+    const salesOrder = await SalesOrder.findById(req.params.id);
+    if (!salesOrder) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Sales order not found' 
+      });
+    }
+    
+    if (salesOrder.Status !== 'Open') {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Cannot update a sales order in ${salesOrder.Status} status` 
+      });
+    }
+    
+    if (CustomerPONo !== undefined) salesOrder.CustomerPONo = CustomerPONo;
+    if (CustomerPODate !== undefined) salesOrder.CustomerPODate = CustomerPODate;
+    if (Remarks !== undefined) salesOrder.Remarks = Remarks;
+    
+    // Quantities and prices are fixed; only delivery schedules can change per line
+    if (Items && Items.length > 0) {
+      for (const item of Items) {
+        const line = salesOrder.Items.id(item._id);
+        if (!line) {
+          return res.status(400).json({ 
+            success: false, 
+            message: `Sales order line ${item._id} not found` 
+          });
+        }
+        if (item.DeliverySchedule !== undefined) {
+          line.DeliverySchedule = item.DeliverySchedule;
+        }
+      }
+    }
+    
+    salesOrder.UpdatedBy = req.user.id;
+    await salesOrder.save();
+    
+    res.json({ 
+      success: true, 
+      data: salesOrder,
+      message: 'Sales order updated successfully' 
+    });
+  } catch (error) {
+    console.error('Update sales order error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Sales order not found' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Cancel sales order and release its quantity on the quotation
+// @route   PUT /api/sales-orders/:id/cancel
+// @access  Private
+const cancelSalesOrder = async (req, res) => {
+  try {
+    const { Reason } = req.body;
+    
+    if (!Reason || !Reason.trim()) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Reason is required to cancel a sales order' 
+      });
+    }
+    
+    // Conditional update so the quantity is released only once
+    const salesOrder = await SalesOrder.findOneAndUpdate(
+      { _id: req.params.id, Status: 'Open' },
+      {
+        Status: 'Cancelled',
+        CancelledAt: Date.now(),
+        CancelledBy: req.user.id,
+        CancellationReason: Reason.trim(),
+        UpdatedBy: req.user.id
+      },
+      { new: true }
+    );
+    
+    if (!salesOrder) {
+      const exists = await SalesOrder.exists({ _id: req.params.id });
+      return res.status(exists ? 400 : 404).json({ 
+        success: false, 
+        message: exists ? 'Sales order is already cancelled' : 'Sales order not found' 
+      });
+    }
+    
+    await releaseOrderedQuantities(salesOrder.QuotationID, salesOrder.Items, salesOrder._id);
+    
+    res.json({ 
+      success: true, 
+      data: salesOrder,
+      message: 'Sales order cancelled successfully' 
+    });
+  } catch (error) {
+    console.error('Cancel sales order error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Sales order not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getSalesOrders,
+  getSalesOrder,
+  createSalesOrder,
+  updateSalesOrder,
+  cancelSalesOrder
+};
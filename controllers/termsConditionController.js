@@ -2,8 +2,19 @@ const TermsCondition = require('../models/TermsCondition');
 
 const getTermsConditions = async (req, res) => {
   try {
-    const termsConditions = await TermsCondition.find()
-      .sort({ Sequence: 1 });
+    const { category, includeInactive } = req.query;
+    
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.IsActive = { $ne: false };
+    }
+    
+    if (category) {
+      query.Category = category;
+    }
+    
+    const termsConditions = await TermsCondition.find(query)
+      .sort({ Category: 1, Sequence: 1 });
     
     res.json({ 
       success: true, 
@@ -101,9 +112,15 @@ const updateTermsCondition = async (req, res) => {
   }
 };
 
+// Deactivates the clause: it stays in the T&C sets that use it but is no longer
+// copied into new quotations
 const deleteTermsCondition = async (req, res) => {
   try {
-    const termsCondition = await TermsCondition.findById(req.params.id);
+    const termsCondition = await TermsCondition.findByIdAndUpdate(
+      req.params.id,
+      { IsActive: false },
+      { new: true }
+    );
     
     if (!termsCondition) {
       return res.status(404).json({ 
@@ -112,8 +129,6 @@ const deleteTermsCondition = async (req, res) => {
       });
     }
     
-    await TermsCondition.findByIdAndDelete(req.params.id);
-    
     res.json({ 
       success: true, 
       message: 'Terms & condition deleted successfully' 
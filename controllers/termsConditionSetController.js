@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const TermsConditionSet = require('../models/TermsConditionSet');
+const TermsCondition = require('../models/TermsCondition');
+
+// Fields a user may set on a T&C set
+const SET_FIELDS = ['SetName', 'Description', 'Clauses', 'IsDefault', 'IsActive'];
+
+const pickSetFields = (body) => {
+  return SET_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+};
+
+// Every clause of the set must reference a T&C of the master that exists and is active
+const getClausesError = async (clauses) => {
+  if (!Array.isArray(clauses)) return null;
+  
+  const invalid = clauses.some((clause) => (
+    !clause || typeof clause !== 'object' || !mongoose.isValidObjectId(clause.TermsConditionID)
+  ));
+  if (invalid) return 'Invalid terms & condition ID';
+  
+  const ids = clauses.map((clause) => clause.TermsConditionID);
+  const count = await TermsCondition.countDocuments({ _id: { $in: ids }, IsActive: { $ne: false } });
+  
+  return count === new Set(ids.map(String)).size
+    ? null
+    : 'One or more terms & conditions not found or inactive';
+};
+
+// Only one default set
+const clearOtherDefaults = async (set) => {
+  if (!set.IsDefault) return;
+  await TermsConditionSet.updateMany(
+    { IsDefault: true, _id: { $ne: set._id } },
+    { IsDefault: false }
+  );
+};
+
+// @desc    Get all T&C sets
+// @route   GET /api/terms-condition-sets
+// @access  Private
+const getTermsConditionSets = async (req, res) => {
+  try {
+    const { includeInactive } = req.query;
+    
+    const query = {};
+    if (includeInactive !== 'true') {
+      query.IsActive = true;
+    }
+    
+    const sets = await TermsConditionSet.find(query)
+      .populate('Clauses.TermsConditionID', 'Title Category Sequence IsActive')
+      .sort({ SetName: 1 });
+    
+    res.json({ 
+      success: true, 
+      data: sets,
+      count: sets.length 
+    });
+  } catch (error) {
+    console.error('Get T&C sets error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Get single T&C set
+// @route   GET /api/terms-condition-sets/:id
+// @access  Private
+const getTermsConditionSet = async (req, res) => {
+  try {
+    const set = await TermsConditionSet.findById(req.params.id)
+      .populate('Clauses.TermsConditionID', 'Title Description Category Sequence IsActive')
+      .populate('CreatedBy', 'Username Email')
+      .populate('UpdatedBy', 'Username Email');
+    
+    if (!set) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'T&C set not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      data: set 
+    });
+  } catch (error) {
+    console.error('Get T&C set error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'T&C set not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Create T&C set
+// @route   POST /api/terms-condition-sets
+// @access  Private
+const createTermsConditionSet = async (req, res) => {
+  try {
+    const fields = pickSetFields(req.body);
+    
+    const clausesError = await getClausesError(fields.Clauses);
+    if (clausesError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: clausesError 
+      });
+    }
+    
+    const set = await TermsConditionSet.create({
+      ...fields,
+      CreatedBy: req.user.id,
+      UpdatedBy: req.user.id
+    });
+    await clearOtherDefaults(set);
+    
+    res.status(201).json({ 
+      success: true, 
+      data: set,
+      message: 'T&C set created successfully' 
+    });
+  } catch (error) {
+    console.error('Create T&C set error:', error);
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'T&C set with this name already exists' 
+      });
+    }
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid terms & condition ID' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Update T&C set
+// @route   PUT /api/terms-condition-sets/:id
+// @access  Private
+const updateTermsConditionSet = async (req, res) => {
+  try {
+    const set = await TermsConditionSet.findById(req.params.id);
+    
+    if (!set) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'T&C set not found' 
+      });
+    }
+    
+    const fields = pickSetFields(req.body);
+    
+    const clausesError = await getClausesError(fields.Clauses);
+    if (clausesError) {
+      return res.status(400).json({ 
+        success: false, 
+        message: clausesError 
+      });
+    }
+    
+    set.set({ ...fields, UpdatedBy: req.user.id });
+    await set.save();
+    await clearOtherDefaults(set);
+    
+    res.json({ 
+      success: true, 
+      data: set,
+      message: 'T&C set updated successfully' 
+    });
+  } catch (error) {
+    console.error('Update T&C set error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'T&C set not found' 
+      });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'T&C set with this name already exists' 
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ 
+        success: false, 
+        message: messages.join(', ') 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+// @desc    Delete T&C set (soft delete)
+// @route   DELETE /api/terms-condition-sets/:id
+// @access  Private
+const deleteTermsConditionSet = async (req, res) => {
+  try {
+    const set = await TermsConditionSet.findByIdAndUpdate(
+      req.params.id,
+      { IsActive: false, IsDefault: false, UpdatedBy: req.user.id },
+      { new: true }
+    );
+    
+    if (!set) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'T&C set not found' 
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      message: 'T&C set deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete T&C set error:', error);
+    
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'T&C set not found' 
+      });
+    }
+    
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+};
+
+module.exports = {
+  getTermsConditionSets,
+  getTermsConditionSet,
+  createTermsConditionSet,
+  updateTermsConditionSet,
+  deleteTermsConditionSet
+};
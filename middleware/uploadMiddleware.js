@@ -0,0 +1,44 @@
+const path = require('path');
+const multer = require('multer');
+
+// Spreadsheets are parsed in memory and never stored
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024;
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(new Error('Only CSV or XLSX files can be uploaded'));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Accept a single CSV/XLSX file in the "file" form field
+const uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'File is too large (maximum 5 MB)'
+        : error.message;
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or XLSX file'
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadSpreadsheet };
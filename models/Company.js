@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { ROUND_OFF_TYPES } = require('../utils/calculations');
+
+// IANA time zone name the runtime recognises (e.g. Asia/Kolkata)
+const isValidTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
 
 const companySchema = new mongoose.Schema({
   CompanyName: {
@@ -61,6 +72,45 @@ const companySchema = new mongoose.Schema({
     uppercase: true,
     match: [/^[A-Z]{4}0[A-Z0-9]{6}$/, 'Please enter a valid IFSC code']
   },
+  
+  // Pricing policy: quoted rates below cost (SubCost + Overhead) plus this
+  // minimum margin need price approval or are blocked
+  MinimumMarginPercentage: {
+    type: Number,
+    min: [0, 'Minimum margin cannot be negative'],
+    max: [100, 'Minimum margin cannot exceed 100%'],
+    default: 0
+  },
+  BelowFloorAction: {
+    type: String,
+    enum: ['Approval', 'Block'],
+    default: 'Approval'
+  },
+  // Letter of Undertaking for zero-rated exports without payment of IGST
+  LUTNumber: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  LUTValidTill: {
+    type: Date
+  },
+  // Default round-off of the payable amount on new quotations
+  RoundOffType: {
+    type: String,
+    enum: ROUND_OFF_TYPES,
+    default: 'Nearest'
+  },
+  // Time zone document dates are read in (financial year and month of document numbers)
+  TimeZone: {
+    type: String,
+    trim: true,
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please enter a valid time zone (e.g. Asia/Kolkata)'
+    }
+  },
   IsActive: {
     type: Boolean,
     default: true
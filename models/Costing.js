@@ -1,4 +1,56 @@
 const mongoose = require('mongoose');
+const CostingVersion = require('./CostingVersion');
+const { diffFields } = require('../utils/diff');
+const {
+  DEFAULT_COST_HEADS,
+  describeCostHeads,
+  calculateCostingRates
+} = require('../utils/calculations');
+
+// Inputs whose change creates a new costing version, and the costs derived from them
+const COSTING_INPUT_FIELDS = [
+  'RMWeight', 'RMRate', 'ProcessCost', 'FinishingCost', 'PackingCost',
+  'SetupCost', 'OverheadPercentage', 'MarginPercentage'
+];
+const COSTING_DERIVED_FIELDS = ['RMCost', 'SubCost', 'OverheadCost', 'MarginCost', 'FinalRate'];
+// A change to the cost heads (template) or the routed setup also creates a new version
+const COSTING_VERSIONED_FIELDS = COSTING_INPUT_FIELDS.concat(['RoutingSetupCost', 'CostFormula']);
+// Where the overhead/margin % came from: a costing policy, the template's default or entered
+const PERCENTAGE_SOURCES = ['Policy', 'Template', 'Manual'];
+
+// Process cost of one routing operation, as costed from the item's routing
+const processOperationSchema = new mongoose.Schema({
+  Sequence: Number,
+  ProcessID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Process'
+  },
+  ProcessName: String,
+  RateType: String,
+  Rate: Number,
+  VendorOrInhouse: String,
+  CycleTimeMinutes: Number,
+  SetupTimeMinutes: Number,
+  BatchSize: Number,
+  // Per piece, and per batch (setup time or Fixed charge)
+  Cost: Number,
+  SetupCost: Number,
+  Formula: String
+}, { _id: false });
+
+// Cost head as applied to the costing (see CostingTemplate)
+const costHeadSchema = new mongoose.Schema({
+  Code: String,
+  Name: String,
+  Kind: {
+    type: String,
+    enum: ['Overhead', 'Margin', 'Allowance']
+  },
+  BasedOn: [String],
+  Percentage: Number,
+  Base: Number,
+  Amount: Number
+}, { _id: false });
 
 const costingSchema = new mongoose.Schema({
   ItemID: {
@@ -27,13 +79,29 @@ const costingSchema = new mongoose.Schema({
     min: 0
   },
   
-  // Process Section
+  // Process Section: from the item's routing (operation by operation) or entered
   ProcessCost: {
     type: Number,
     required: true,
     min: 0,
     default: 0
   },
+  ProcessCostSource: {
+    type: String,
+    enum: ['Routing', 'Manual'],
+    default: 'Manual'
+  },
+  ProcessOperations: {
+    type: [processOperationSchema],
+    default: []
+  },
+  // Setup of one batch of every routed operation; like SetupCost it is not part of
+  // FinalRate and is spread over each quotation slab (once per batch the slab needs)
+  RoutingSetupCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   
   // Finishing & Packing
   FinishingCost: {
@@ -49,6 +117,16 @@ const costingSchema = new mongoose.Schema({
     default: 0
   },
   
+  // One-time setup / fixed process cost per production lot (tooling, die setting,
+  // first-off inspection). Not part of FinalRate; amortized over the order quantity
+  // when quoting quantity slabs. Setup of routed operations is costed from the routing
+  // (RoutingSetupCost), so this holds only setup the routing does not cover.
+  SetupCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
   // Overhead
   OverheadPercentage: {
     type: Number,
@@ -75,6 +153,60 @@ const costingSchema = new mongoose.Schema({
     min: 0
   },
   
+  // Cost heads from the costing template (overhead and margin on the sub cost
+  // without one). OverheadCost includes allowance heads such as ICC or rejection.
+  CostingTemplateID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostingTemplate',
+    default: null
+  },
+  CostingTemplateName: {
+    type: String,
+    default: ''
+  },
+  CostHeads: {
+    type: [costHeadSchema],
+    default: []
+  },
+  CostFormula: {
+    type: String,
+    default: describeCostHeads(DEFAULT_COST_HEADS)
+  },
+  
+  // Customer and order quantity the costing is for; with the item they select the
+  // costing policy that defaults the overhead and margin %. A source of Manual means
+  // the percentage was entered and re-costing keeps it (also assumed for costings
+  // from before policies).
+  CustomerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  OrderQuantity: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  CostingPolicyID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostingPolicy',
+    default: null
+  },
+  CostingPolicyName: {
+    type: String,
+    default: ''
+  },
+  OverheadSource: {
+    type: String,
+    enum: PERCENTAGE_SOURCES,
+    default: 'Manual'
+  },
+  MarginSource: {
+    type: String,
+    enum: PERCENTAGE_SOURCES,
+    default: 'Manual'
+  },
+  
   // Final Calculations
   SubCost: {
     type: Number,
@@ -85,6 +217,19 @@ const costingSchema = new mongoose.Schema({
     min: 0
   },
   
+  // Version history (see CostingVersion): current version and the reason for the
+  // latest change. Costings created before versioning start at 0.
+  VersionNo: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  ChangeReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  
   // Additional Fields
   IsActive: {
     type: Boolean,
@@ -108,35 +253,101 @@ const costingSchema = new mongoose.Schema({
   }
 }, {
   timestamps: { createdAt: 'CreatedAt', updatedAt: 'UpdatedAt' },
+  // Concurrent saves of one costing fail with a VersionError instead of overwriting
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
 // Calculate all costs before saving
 costingSchema.pre('save', function(next) {
-  // 1. Calculate RM Cost = Weight × Effective RM Rate
-  this.RMCost = this.RMWeight * this.RMRate;
+  const rates = calculateCostingRates(this);
+  this.set({ ...rates, CostFormula: describeCostHeads(rates.CostHeads) });
+  next();
+});
+
+const getVersionSnapshot = (costing) => COSTING_VERSIONED_FIELDS.concat(COSTING_DERIVED_FIELDS)
+  .reduce((snapshot, field) => ({ ...snapshot, [field]: costing[field] }), {
+    ProcessOperations: costing.ProcessOperations.map((operation) => operation.toObject()),
+    CostingTemplateID: costing.CostingTemplateID,
+    CostingPolicyID: costing.CostingPolicyID,
+    CostHeads: costing.CostHeads.map((head) => head.toObject())
+  });
+
+// Values as loaded, to record what each version changed
+costingSchema.post('init', function() {
+  this.$locals.loaded = getVersionSnapshot(this);
+});
+
+// A new costing or a change to its inputs moves it to the next version. The version
+// snapshot is written before the costing: its unique CostingID + VersionNo makes a
+// concurrent change of the same version fail before either costing is saved. A
+// costing from before versioning first gets its previous values recorded as
+// version 1 so the change is traceable.
+costingSchema.pre('save', async function() {
+  const changes = this.isNew
+    ? []
+    : diffFields(this.$locals.loaded || {}, this, COSTING_VERSIONED_FIELDS);
   
-  // 2. Calculate Sub Cost = RM Cost + Process Cost + Finishing + Packing
-  this.SubCost = this.RMCost + this.ProcessCost + this.FinishingCost + this.PackingCost;
+  if (!this.isNew && changes.length === 0) return;
   
-  // 3. Calculate Overhead Cost = Sub Cost × Overhead %
-  this.OverheadCost = this.SubCost * (this.OverheadPercentage / 100);
+  const recordPrevious = !this.isNew && this.VersionNo === 0;
+  this.$locals.previousVersionNo = this.VersionNo;
+  this.VersionNo += recordPrevious ? 2 : 1;
+  this.$locals.versionIds = [];
   
-  // 4. Calculate Margin Cost = Sub Cost × Margin %
-  this.MarginCost = this.SubCost * (this.MarginPercentage / 100);
+  const version = {
+    CostingID: this._id,
+    ItemID: this.ItemID,
+    PartNo: this.PartNo
+  };
   
-  // 5. Calculate Final Rate = Sub Cost + Overhead Cost + Margin Cost
-  this.FinalRate = this.SubCost + this.OverheadCost + this.MarginCost;
+  if (recordPrevious) {
+    const previous = await CostingVersion.create({
+      ...version,
+      ...this.$locals.loaded,
+      VersionNo: 1,
+      ChangeReason: 'Costing before version history',
+      CreatedBy: this.CreatedBy,
+      CreatedAt: this.CreatedAt
+    });
+    this.$locals.versionIds.push(previous._id);
+  }
   
-  // Round all monetary values to 2 decimal places
-  this.RMCost = Math.round(this.RMCost * 100) / 100;
-  this.SubCost = Math.round(this.SubCost * 100) / 100;
-  this.OverheadCost = Math.round(this.OverheadCost * 100) / 100;
-  this.MarginCost = Math.round(this.MarginCost * 100) / 100;
-  this.FinalRate = Math.round(this.FinalRate * 100) / 100;
+  const current = await CostingVersion.create({
+    ...version,
+    ...getVersionSnapshot(this),
+    VersionNo: this.VersionNo,
+    Changes: changes,
+    ChangeReason: this.ChangeReason,
+    CreatedBy: this.UpdatedBy || this.CreatedBy
+  });
+  this.$locals.versionIds.push(current._id);
+});
+
+costingSchema.post('save', function(doc) {
+  delete doc.$locals.versionIds;
+  delete doc.$locals.previousVersionNo;
+  doc.$locals.loaded = getVersionSnapshot(doc);
+});
+
+// A save that failed (e.g. changed concurrently) removes the versions recorded for it
+costingSchema.post('save', async function(error, doc, next) {
+  const versionIds = this.$locals.versionIds || [];
+  delete this.$locals.versionIds;
   
-  next();
+  if (this.$locals.previousVersionNo !== undefined) {
+    this.VersionNo = this.$locals.previousVersionNo;
+    delete this.$locals.previousVersionNo;
+  }
+  if (versionIds.length > 0) {
+    await CostingVersion.deleteMany({ _id: { $in: versionIds } });
+  }
+  next(error);
 });
 
+costingSchema.statics.COSTING_INPUT_FIELDS = COSTING_INPUT_FIELDS;
+costingSchema.statics.COSTING_DERIVED_FIELDS = COSTING_DERIVED_FIELDS;
+costingSchema.statics.COSTING_VERSIONED_FIELDS = COSTING_VERSIONED_FIELDS;
+
 module.exports = mongoose.model('Costing', costingSchema);
\ No newline at end of file
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+// Default overhead and margin % for new costings and re-costings. A policy applies
+// to costings matching all of its criteria (an empty criterion matches any) while
+// effective; the most specific matching policy wins.
+const costingPolicySchema = new mongoose.Schema({
+  PolicyName: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    unique: true,
+    trim: true
+  },
+  Description: {
+    type: String,
+    default: ''
+  },
+
+  // Criteria
+  CustomerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  ItemCategory: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  MaterialID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Material',
+    default: null
+  },
+  // Order volume band (order quantity of the costing); no upper limit without MaxQuantity
+  MinQuantity: {
+    type: Number,
+    min: [0, 'Minimum quantity cannot be negative'],
+    default: 0
+  },
+  MaxQuantity: {
+    type: Number,
+    default: null
+  },
+
+  // Defaults applied
+  OverheadPercentage: {
+    type: Number,
+    required: [true, 'Overhead percentage is required'],
+    min: [0, 'Overhead percentage cannot be negative'],
+    max: [100, 'Overhead percentage cannot exceed 100']
+  },
+  MarginPercentage: {
+    type: Number,
+    required: [true, 'Margin percentage is required'],
+    min: [0, 'Margin percentage cannot be negative'],
+    max: [100, 'Margin percentage cannot exceed 100']
+  },
+
+  // Effective period (EffectiveTo inclusive; open-ended without it)
+  EffectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required']
+  },
+  EffectiveTo: {
+    type: Date,
+    default: null
+  },
+  IsActive: {
+    type: Boolean,
+    default: true
+  },
+  CreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  UpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+costingPolicySchema.index({ IsActive: 1, EffectiveFrom: -1 });
+
+costingPolicySchema.pre('validate', function(next) {
+  // EffectiveTo covers the whole day
+  if (this.EffectiveTo && this.isModified('EffectiveTo')) {
+    const endOfDay = new Date(this.EffectiveTo);
+    endOfDay.setHours(23, 59, 59, 999);
+    this.EffectiveTo = endOfDay;
+  }
+  if (this.EffectiveTo && this.EffectiveFrom && this.EffectiveTo < this.EffectiveFrom) {
+    this.invalidate('EffectiveTo', 'Effective to date cannot be before the effective from date');
+  }
+  if (this.MaxQuantity !== null && this.MaxQuantity !== undefined && this.MaxQuantity < this.MinQuantity) {
+    this.invalidate('MaxQuantity', 'Maximum quantity cannot be less than the minimum quantity');
+  }
+  next();
+});
+
+// How specific a policy is: customer outranks item category, category outranks
+// material, and any of them outranks a volume band
+const getSpecificity = (policy) => (policy.CustomerID ? 8 : 0)
+  + (policy.ItemCategory ? 4 : 0)
+  + (policy.MaterialID ? 2 : 0)
+  + (policy.MinQuantity > 0 || (policy.MaxQuantity !== null && policy.MaxQuantity !== undefined) ? 1 : 0);
+
+const isInBand = (policy, quantity) => {
+  const hasBand = policy.MinQuantity > 0 || (policy.MaxQuantity !== null && policy.MaxQuantity !== undefined);
+  if (!hasBand) return true;
+  if (!(quantity > 0)) return false;
+  return quantity >= policy.MinQuantity
+    && (policy.MaxQuantity === null || policy.MaxQuantity === undefined || quantity <= policy.MaxQuantity);
+};
+
+// Policy applicable to a costing on a date: the most specific active policy matching
+// the customer, item (category and material) and order quantity; among equally
+// specific ones the latest effective. Null when none applies.
+costingPolicySchema.statics.findApplicable = async function({ customerId, item, quantity, date = new Date() }) {
+  const policies = await this.find({
+    IsActive: true,
+    EffectiveFrom: { $lte: date },
+    $or: [{ EffectiveTo: null }, { EffectiveTo: { $gte: date } }],
+    CustomerID: { $in: customerId ? [null, customerId] : [null] },
+    ItemCategory: { $in: item && item.ItemCategory ? ['', null, item.ItemCategory] : ['', null] },
+    MaterialID: { $in: item && item.MaterialID ? [null, item.MaterialID._id || item.MaterialID] : [null] }
+  });
+
+  return policies
+    .filter((policy) => isInBand(policy, Number(quantity)))
+    .sort((a, b) => getSpecificity(b) - getSpecificity(a) || b.EffectiveFrom - a.EffectiveFrom)[0] || null;
+};
+
+// Costing fields taking the overhead and/or margin % from a policy
+costingPolicySchema.statics.getCostingFields = function(policy, { overhead = true, margin = true } = {}) {
+  return {
+    CostingPolicyID: policy._id,
+    CostingPolicyName: policy.PolicyName,
+    ...(overhead ? { OverheadPercentage: policy.OverheadPercentage, OverheadSource: 'Policy' } : {}),
+    ...(margin ? { MarginPercentage: policy.MarginPercentage, MarginSource: 'Policy' } : {})
+  };
+};
+
+module.exports = mongoose.model('CostingPolicy', costingPolicySchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { COST_BASES } = require('../utils/calculations');
+
+// One cost head of a template: Percentage of the sum of the bases/heads it is
+// BasedOn. Overhead and Margin heads take the costing's Overhead/Margin %
+// (Percentage is their default); Allowance heads (ICC, rejection, ...) use Percentage.
+const costHeadSchema = new mongoose.Schema({
+  Code: {
+    type: String,
+    required: [true, 'Cost head code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z][A-Z0-9_]*$/, 'Cost head code may contain only letters, digits and underscores']
+  },
+  Name: {
+    type: String,
+    required: [true, 'Cost head name is required'],
+    trim: true
+  },
+  Kind: {
+    type: String,
+    enum: ['Overhead', 'Margin', 'Allowance'],
+    required: [true, 'Cost head kind is required']
+  },
+  BasedOn: {
+    type: [String],
+    validate: {
+      validator: (codes) => codes.length > 0,
+      message: 'Cost head must be based on at least one cost'
+    }
+  },
+  Percentage: {
+    type: Number,
+    min: [0, 'Cost head percentage cannot be negative'],
+    max: [100, 'Cost head percentage cannot exceed 100'],
+    default: 0
+  }
+}, { _id: false });
+
+// Named costing formula: which cost heads a costing has and how each is derived.
+// Heads are evaluated in order; a head may build on the heads before it.
+const costingTemplateSchema = new mongoose.Schema({
+  TemplateName: {
+    type: String,
+    required: [true, 'Template name is required'],
+    unique: true,
+    trim: true
+  },
+  Description: {
+    type: String,
+    default: ''
+  },
+  Heads: {
+    type: [costHeadSchema],
+    default: undefined,
+    required: [true, 'Cost heads are required'],
+    validate: {
+      validator: (heads) => heads.length > 0,
+      message: 'Cost heads are required'
+    }
+  },
+  // Template for costings without a customer or item template
+  IsDefault: {
+    type: Boolean,
+    default: false
+  },
+  IsActive: {
+    type: Boolean,
+    default: true
+  },
+  CreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  UpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Error in the head structure, or null: one Overhead and one Margin head, unique
+// codes, and each head based only on cost bases or heads before it
+const getHeadsError = (heads) => {
+  if (heads.filter((head) => head.Kind === 'Overhead').length !== 1
+    || heads.filter((head) => head.Kind === 'Margin').length !== 1) {
+    return 'A costing template needs exactly one Overhead and one Margin head';
+  }
+
+  const bases = Object.keys(COST_BASES);
+  const known = [...bases];
+  for (const head of heads) {
+    if (known.includes(head.Code)) {
+      return bases.includes(head.Code)
+        ? `Cost head code ${head.Code} is reserved for a cost base`
+        : `Cost head code ${head.Code} is used more than once`;
+    }
+    const unknown = head.BasedOn.find((code) => !known.includes(code));
+    if (unknown) {
+      return `${head.Name} is based on ${unknown}, which is not a cost base (${bases.join(', ')}) or an earlier head`;
+    }
+    known.push(head.Code);
+  }
+  return null;
+};
+
+costingTemplateSchema.pre('validate', function(next) {
+  if (this.Heads) {
+    this.Heads.forEach((head) => {
+      head.BasedOn = head.BasedOn.map((code) => String(code).trim().toUpperCase());
+    });
+    const error = this.Heads.length > 0 && getHeadsError(this.Heads);
+    if (error) {
+      this.invalidate('Heads', error);
+    }
+  }
+  next();
+});
+
+// Only one default template
+costingTemplateSchema.post('save', async function(doc) {
+  if (doc.IsDefault) {
+    await doc.constructor.updateMany({ _id: { $ne: doc._id }, IsDefault: true }, { $set: { IsDefault: false } });
+  }
+});
+
+module.exports = mongoose.model('CostingTemplate', costingTemplateSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a costing after each change: inputs, derived costs and
+// who/when/why. Versions are kept when the costing itself is deleted so quotation
+// lines priced from them stay traceable.
+const costingVersionSchema = new mongoose.Schema({
+  CostingID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Costing',
+    required: true
+  },
+  ItemID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item'
+  },
+  PartNo: {
+    type: String,
+    required: true
+  },
+  VersionNo: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  
+  // Inputs
+  RMWeight: Number,
+  RMRate: Number,
+  ProcessCost: Number,
+  FinishingCost: Number,
+  PackingCost: Number,
+  SetupCost: Number,
+  RoutingSetupCost: Number,
+  OverheadPercentage: Number,
+  MarginPercentage: Number,
+  // Operations the process cost was costed from (empty when entered)
+  ProcessOperations: [mongoose.Schema.Types.Mixed],
+  // Cost heads the costs were derived with
+  CostingTemplateID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostingTemplate'
+  },
+  CostFormula: String,
+  CostHeads: [mongoose.Schema.Types.Mixed],
+  // Costing policy the overhead/margin % defaulted from
+  CostingPolicyID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostingPolicy'
+  },
+  
+  // Derived costs
+  RMCost: Number,
+  SubCost: Number,
+  OverheadCost: Number,
+  MarginCost: Number,
+  FinalRate: Number,
+  
+  // Inputs changed from the previous version (empty for the first version)
+  Changes: [{
+    _id: false,
+    Field: String,
+    From: mongoose.Schema.Types.Mixed,
+    To: mongoose.Schema.Types.Mixed
+  }],
+  ChangeReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  CreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  CreatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+costingVersionSchema.index({ CostingID: 1, VersionNo: 1 }, { unique: true });
+costingVersionSchema.index({ PartNo: 1, CreatedAt: -1 });
+
+// Versions are written once and never changed
+costingVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Costing versions cannot be modified'));
+  }
+  next();
+});
+
+costingVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Costing versions cannot be modified'));
+});
+
+module.exports = mongoose.model('CostingVersion', costingVersionSchema);
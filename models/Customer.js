@@ -37,6 +37,16 @@ const customerSchema = new mongoose.Schema({
     min: 1,
     max: 37
   },
+  // State of the shipping address (place of supply); defaults to State
+  ShippingState: {
+    type: String,
+    default: ''
+  },
+  ShippingStateCode: {
+    type: Number,
+    min: 1,
+    max: 37
+  },
   ContactPerson: {
     type: String,
     required: [true, 'Contact person is required']
@@ -50,6 +60,27 @@ const customerSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     lowercase: true
   },
+  PaymentTerms: {
+    type: String,
+    default: '30 Days'
+  },
+  // Currency quotations to this customer are made in (overseas buyers)
+  Currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'INR'
+  },
+  // Default T&C set for this customer's quotations
+  TermsConditionSetID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TermsConditionSet'
+  },
+  // Costing template (cost heads) this customer's parts are costed with
+  CostingTemplateID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostingTemplate'
+  },
   IsActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Running sequence of a document series for one reset period
+const documentCounterSchema = new mongoose.Schema({
+  CompanyID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  DocumentType: {
+    type: String,
+    required: true
+  },
+  // Financial year (2026-27), month (2026-04) or ALL depending on the reset rule
+  Period: {
+    type: String,
+    required: true
+  },
+  Sequence: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+documentCounterSchema.index({ CompanyID: 1, DocumentType: 1, Period: 1 }, { unique: true });
+
+module.exports = mongoose.model('DocumentCounter', documentCounterSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Numbering pattern for a document type of a company
+const documentSeriesSchema = new mongoose.Schema({
+  CompanyID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company is required']
+  },
+  DocumentType: {
+    type: String,
+    required: [true, 'Document type is required'],
+    enum: ['Quotation', 'SalesOrder']
+  },
+  Prefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: ''
+  },
+  // Tokens: {PREFIX}, {FY} (2026-27), {FYSHORT} (26-27), {YYYY}, {YY}, {MM}, {SEQ}
+  Pattern: {
+    type: String,
+    required: [true, 'Pattern is required'],
+    default: '{PREFIX}/{FY}/{SEQ}',
+    validate: {
+      validator: (value) => value.includes('{SEQ}'),
+      message: 'Pattern must contain the {SEQ} token'
+    }
+  },
+  Padding: {
+    type: Number,
+    min: 1,
+    max: 10,
+    default: 4
+  },
+  ResetRule: {
+    type: String,
+    enum: ['FinancialYear', 'Monthly', 'Never'],
+    default: 'FinancialYear'
+  },
+  StartNumber: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  IsActive: {
+    type: Boolean,
+    default: true
+  },
+  CreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  UpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One series per document type per company
+documentSeriesSchema.index({ CompanyID: 1, DocumentType: 1 }, { unique: true });
+
+// A sequence that resets each period repeats, so the pattern must carry the period
+// for the numbers to stay unique
+documentSeriesSchema.pre('validate', function(next) {
+  const pattern = this.Pattern || '';
+  const hasToken = (...tokens) => tokens.some((token) => pattern.includes(`{${token}}`));
+
+  if (this.ResetRule === 'FinancialYear' && !hasToken('FY', 'FYSHORT')) {
+    this.invalidate('Pattern', 'Pattern must contain the {FY} or {FYSHORT} token when the series resets every financial year');
+  }
+  if (this.ResetRule === 'Monthly' && !(hasToken('MM') && hasToken('YYYY', 'YY', 'FY', 'FYSHORT'))) {
+    this.invalidate('Pattern', 'Pattern must contain the {MM} token and a year token when the series resets every month');
+  }
+  next();
+});
+
+module.exports = mongoose.model('DocumentSeries', documentSeriesSchema);
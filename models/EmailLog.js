@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One record per email dispatch attempt of a document (successful or failed)
+const emailLogSchema = new mongoose.Schema({
+  DocumentType: {
+    type: String,
+    enum: ['Quotation'],
+    default: 'Quotation'
+  },
+  QuotationID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation',
+    required: true,
+    index: true
+  },
+  // Document dispatch or follow-up reminder
+  Purpose: {
+    type: String,
+    enum: ['Document', 'FollowUp'],
+    default: 'Document'
+  },
+  FollowUpID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FollowUp'
+  },
+  DocumentNo: {
+    type: String,
+    default: ''
+  },
+  TemplateID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailTemplate'
+  },
+  To: [String],
+  Cc: [String],
+  Subject: {
+    type: String,
+    default: ''
+  },
+  Body: {
+    type: String,
+    default: ''
+  },
+  Attachment: {
+    type: String,
+    default: ''
+  },
+  Status: {
+    type: String,
+    enum: ['Sent', 'Failed'],
+    required: true
+  },
+  // Transport response for accepted mail, error for failed attempts
+  MessageID: {
+    type: String,
+    default: ''
+  },
+  Accepted: [String],
+  Rejected: [String],
+  Error: {
+    type: String,
+    default: ''
+  },
+  SentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  AttemptedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Subject/body for emailed documents. Text may contain {{Placeholder}} tokens
+// (see QUOTATION_EMAIL_PLACEHOLDERS in utils/quotationEmail.js).
+const emailTemplateSchema = new mongoose.Schema({
+  TemplateName: {
+    type: String,
+    required: [true, 'Template name is required'],
+    unique: true,
+    trim: true
+  },
+  // Quotation: document dispatch; QuotationFollowUp: reminder emails to the party
+  DocumentType: {
+    type: String,
+    enum: ['Quotation', 'QuotationFollowUp'],
+    default: 'Quotation'
+  },
+  Subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true
+  },
+  Body: {
+    type: String,
+    required: [true, 'Body is required']
+  },
+  // Used when sending without choosing a template (one per document type)
+  IsDefault: {
+    type: Boolean,
+    default: false
+  },
+  IsActive: {
+    type: Boolean,
+    default: true
+  },
+  CreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  UpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
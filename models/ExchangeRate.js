@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, CURRENCIES } = require('../utils/calculations');
+
+// Manually maintained rate of a foreign currency in the base currency (INR per unit).
+// A rate applies from its EffectiveFrom date until the next rate of the same currency.
+const exchangeRateSchema = new mongoose.Schema({
+  Currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    enum: {
+      values: CURRENCIES.filter((currency) => currency !== BASE_CURRENCY),
+      message: 'Currency {VALUE} is not supported'
+    }
+  },
+  Rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.0001, 'Rate must be greater than zero']
+  },
+  EffectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required']
+  },
+  Remarks: {
+    type: String,
+    default: ''
+  },
+  IsActive: {
+    type: Boolean,
+    default: true
+  },
+  CreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  UpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One active rate per currency per effective date
+exchangeRateSchema.index(
+  { Currency: 1, EffectiveFrom: -1 },
+  { unique: true, partialFilterExpression: { IsActive: true } }
+);
+
+// Rate of a currency applicable on a date (latest active rate effective on or before it)
+exchangeRateSchema.statics.getRateOn = function(currency, date = new Date()) {
+  return this.findOne({
+    Currency: currency,
+    EffectiveFrom: { $lte: date },
+    IsActive: true
+  }).sort({ EffectiveFrom: -1 });
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Follow-up reminder for an open (Sent) quotation, assigned to its creator.
+// One record per quotation and reminder stage (e.g. "Sent+3d", "Expiry-2d").
+const followUpSchema = new mongoose.Schema({
+  QuotationID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation',
+    required: true
+  },
+  QuotationNo: {
+    type: String,
+    default: ''
+  },
+  PartyName: {
+    type: String,
+    default: ''
+  },
+  AssignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  ReminderType: {
+    type: String,
+    enum: ['AfterSent', 'BeforeExpiry'],
+    required: true
+  },
+  Stage: {
+    type: String,
+    required: true
+  },
+  // Next time the follow-up is due (moved forward when snoozed)
+  DueAt: {
+    type: Date,
+    required: true
+  },
+  Status: {
+    type: String,
+    enum: ['Pending', 'Snoozed', 'Completed', 'Cancelled'],
+    default: 'Pending'
+  },
+  SnoozedUntil: {
+    type: Date
+  },
+  SnoozeCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  CompletedAt: {
+    type: Date
+  },
+  CompletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  Remarks: {
+    type: String,
+    default: ''
+  },
+  // Reminder email to the party (when enabled)
+  PartyEmailStatus: {
+    type: String,
+    enum: ['Not Sent', 'Sent', 'Failed'],
+    default: 'Not Sent'
+  },
+  CancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+followUpSchema.index({ QuotationID: 1, Stage: 1 }, { unique: true });
+followUpSchema.index({ Status: 1, DueAt: 1 });
+
+// Follow-ups still waiting for action
+const OPEN_STATUSES = ['Pending', 'Snoozed'];
+
+followUpSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('FollowUp', followUpSchema);
@@ -1,5 +1,60 @@
 const mongoose = require('mongoose');
 
+// Customer's own part number for this item (used to match RFQ rows)
+const customerPartNoSchema = new mongoose.Schema({
+  CustomerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: [true, 'Customer is required']
+  },
+  CustomerPartNo: {
+    type: String,
+    required: [true, 'Customer part number is required'],
+    trim: true,
+    uppercase: true
+  }
+}, { _id: false });
+
+// One operation of the item's process routing. Cycle time is per piece; setup time and
+// Fixed process charges are per batch and spread over the quoted quantity when costing.
+const routingOperationSchema = new mongoose.Schema({
+  Sequence: {
+    type: Number,
+    required: [true, 'Operation sequence is required'],
+    min: [1, 'Operation sequence must be at least 1']
+  },
+  ProcessID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Process',
+    required: [true, 'Process is required']
+  },
+  CycleTimeMinutes: {
+    type: Number,
+    min: [0, 'Cycle time cannot be negative'],
+    default: 0
+  },
+  SetupTimeMinutes: {
+    type: Number,
+    min: [0, 'Setup time cannot be negative'],
+    default: 0
+  },
+  BatchSize: {
+    type: Number,
+    min: [1, 'Batch size must be at least 1'],
+    default: 1
+  },
+  VendorOrInhouse: {
+    type: String,
+    enum: ['Vendor', 'Inhouse'],
+    required: [true, 'Vendor/Inhouse is required']
+  },
+  Remarks: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
 const itemSchema = new mongoose.Schema({
   PartNo: {
     type: String,
@@ -41,6 +96,26 @@ const itemSchema = new mongoose.Schema({
     ref: 'Material',
     required: [true, 'Material is required']
   },
+  CustomerPartNos: {
+    type: [customerPartNoSchema],
+    default: []
+  },
+  // Process routing used to cost the item, in Sequence order
+  Routing: {
+    type: [routingOperationSchema],
+    default: []
+  },
+  // Product category (e.g. Bus Bar, Terminal), used to pick the costing policy
+  ItemCategory: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Costing template (cost heads) for this item when the customer has none
+  CostingTemplateID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostingTemplate'
+  },
   IsActive: {
     type: Boolean,
     default: true
@@ -61,6 +136,7 @@ const itemSchema = new mongoose.Schema({
 itemSchema.index({ PartNo: 'text', PartName: 'text', Description: 'text', DrawingNo: 'text' });
 itemSchema.index({ MaterialID: 1 });
 itemSchema.index({ IsActive: 1 });
+itemSchema.index({ 'CustomerPartNos.CustomerID': 1, 'CustomerPartNos.CustomerPartNo': 1 });
 
 // Virtual field to get material name
 itemSchema.virtual('MaterialName').get(function() {
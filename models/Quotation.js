@@ -1,4 +1,65 @@
 const mongoose = require('mongoose');
+const {
+  BASE_CURRENCY,
+  CURRENCIES,
+  ROUND_OFF_TYPES,
+  calculateQuotationTotals,
+  amountToWords,
+  roundAmount
+} = require('../utils/calculations');
+const { generateDocumentNumber } = require('../utils/documentNumbering');
+const { formatDate, renderTemplate } = require('../utils/helpers');
+
+// Price of a line at one quantity break. Rates are costed per slab (setup cost
+// amortized over the slab quantity) and analysed like the line itself; the
+// line's own Quantity is always one of its slabs.
+const quantitySlabSchema = new mongoose.Schema({
+  Quantity: {
+    type: Number,
+    required: [true, 'Slab quantity is required'],
+    min: [1, 'Slab quantity must be at least 1']
+  },
+  FinalRate: {
+    type: Number,
+    required: [true, 'Slab rate is required'],
+    min: 0
+  },
+  IsRateOverridden: {
+    type: Boolean,
+    default: false
+  },
+  SetupCostPerUnit: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  CostedRate: {
+    type: Number,
+    min: 0
+  },
+  CostRate: {
+    type: Number,
+    min: 0
+  },
+  FloorRate: {
+    type: Number,
+    min: 0
+  },
+  NetRate: {
+    type: Number,
+    min: 0
+  },
+  IsBelowFloor: {
+    type: Boolean,
+    default: false
+  },
+  // Slab value after the line discount
+  Amount: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
 
 const quotationItemSchema = new mongoose.Schema({
   PartNo: {
@@ -27,31 +88,341 @@ const quotationItemSchema = new mongoose.Schema({
     required: [true, 'Quantity is required'],
     min: [1, 'Quantity must be at least 1']
   },
+  // Quoted rate: the costed rate unless overridden with a negotiated rate
   FinalRate: {
     type: Number,
     required: [true, 'Final rate is required'],
     min: 0
   },
+  IsRateOverridden: {
+    type: Boolean,
+    default: false
+  },
+  OverrideReason: {
+    type: String,
+    trim: true,
+    default: '',
+    required: [function() { return this.IsRateOverridden; }, 'A reason is required when overriding the costed rate']
+  },
+  
+  // Rate analysis against the costing at the time of quoting (internal, not printed).
+  // CostRate is cost without margin (SubCost + Overhead); FloorRate adds the
+  // company's minimum margin. Variance and margin are on the net rate after discount.
+  // All rates are in the quotation currency; BaseCostedRate is the costed INR rate.
+  CostedRate: {
+    type: Number,
+    min: 0
+  },
+  BaseCostedRate: {
+    type: Number,
+    min: 0
+  },
+  // Costing version the costed rate came from (see CostingVersion)
+  CostingID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Costing'
+  },
+  CostingVersionNo: {
+    type: Number
+  },
+  CostRate: {
+    type: Number,
+    min: 0
+  },
+  FloorRate: {
+    type: Number,
+    min: 0
+  },
+  NetRate: {
+    type: Number,
+    min: 0
+  },
+  RateVariance: {
+    type: Number
+  },
+  RateVariancePercentage: {
+    type: Number
+  },
+  MarginOverCost: {
+    type: Number
+  },
+  MarginOverCostPercentage: {
+    type: Number
+  },
+  IsBelowFloor: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Line discount: Percentage of gross amount or a flat Amount
+  DiscountType: {
+    type: String,
+    enum: ['Percentage', 'Amount'],
+    default: 'Percentage'
+  },
+  DiscountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    default: 0
+  },
+  GrossAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  DiscountAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Taxable value after discount
   Amount: {
     type: Number,
     min: 0
+  },
+  
+  // Line-wise GST (rates from Tax Master by HSN code)
+  GSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  CGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 0
+  },
+  SGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 0
+  },
+  IGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  CGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  SGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  IGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  TaxAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  TotalAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
+  // Quantity breaks quoted side by side (empty for single-quantity lines)
+  QuantitySlabs: {
+    type: [quantitySlabSchema],
+    default: []
+  },
+  
+  // Quantity already converted into sales orders
+  OrderedQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Slab chosen by the customer on the first order against the line
+  SelectedSlabQuantity: {
+    type: Number,
+    min: 1
   }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
+// Line amounts and taxes are calculated in the quotation pre-save hook
 
-// Calculate amount before saving
-quotationItemSchema.pre('save', function(next) {
-  this.Amount = this.Quantity * this.FinalRate;
-  this.Amount = Math.round(this.Amount * 100) / 100; // Round to 2 decimal places
-  next();
+// Quantity still available for sales orders: the selected slab once one is chosen
+quotationItemSchema.virtual('OpenQuantity').get(function() {
+  const quantity = this.SelectedSlabQuantity || this.Quantity || 0;
+  return Math.max(quantity - (this.OrderedQuantity || 0), 0);
+});
+
+const chargeSchema = new mongoose.Schema({
+  ChargeType: {
+    type: String,
+    enum: ['Freight', 'Packing & Forwarding', 'Loading', 'Insurance', 'Other'],
+    required: [true, 'Charge type is required']
+  },
+  Description: {
+    type: String,
+    default: ''
+  },
+  Amount: {
+    type: Number,
+    required: [true, 'Charge amount is required'],
+    min: [0, 'Charge amount cannot be negative']
+  },
+  IsTaxable: {
+    type: Boolean,
+    default: true
+  },
+  HSNSACCode: {
+    type: String,
+    trim: true,
+    default: '',
+    required: [function() { return this.IsTaxable; }, 'HSN/SAC code is required for taxable charges']
+  },
+  GSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  CGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 0
+  },
+  SGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 0
+  },
+  IGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  CGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  SGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  IGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  TaxAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  TotalAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
 });
 
+const statusHistorySchema = new mongoose.Schema({
+  FromStatus: String,
+  ToStatus: String,
+  ChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+    // Empty for automatic changes (e.g. expiry)
+  },
+  ChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  Reason: {
+    type: String,
+    default: ''
+  },
+  // Online responses from the party through the quotation link
+  RespondedBy: String,
+  IPAddress: String,
+  UserAgent: String
+}, { _id: false });
+
+// Party's accept/reject response through the quotation link
+const customerResponseSchema = new mongoose.Schema({
+  Decision: {
+    type: String,
+    enum: ['Accepted', 'Rejected']
+  },
+  Name: String,
+  Email: String,
+  PONumber: String,
+  PODate: Date,
+  Reason: String,
+  IPAddress: String,
+  UserAgent: String,
+  RespondedAt: Date
+}, { _id: false });
+
+const taxSummarySchema = new mongoose.Schema({
+  HSNCode: String,
+  GSTPercentage: Number,
+  TaxableAmount: Number,
+  CGSTAmount: Number,
+  SGSTAmount: Number,
+  IGSTAmount: Number,
+  TotalTaxAmount: Number
+}, { _id: false });
+
 const quotationSchema = new mongoose.Schema({
-  // Auto-generated fields
+  // Auto-generated fields (shared by all revisions of a quotation)
   QuotationNo: {
     type: String,
-    unique: true,
     index: true
   },
+  
+  // Revision Tracking (R0 is the original quotation)
+  RevisionNo: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  IsLatestRevision: {
+    type: Boolean,
+    default: true
+  },
+  RevisedFromID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
+  RevisionReason: {
+    type: String,
+    default: ''
+  },
+  SupersededAt: {
+    type: Date
+  },
+  
+  // Origin when created from a template or cloned from another quotation
+  TemplateID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuotationTemplate'
+  },
+  ClonedFromID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
   QuotationDate: {
     type: Date,
     default: Date.now,
@@ -85,6 +456,17 @@ const quotationSchema = new mongoose.Schema({
     required: true
   },
   
+  // Party Type: quotation addressed to a Vendor or a Customer
+  PartyType: {
+    type: String,
+    enum: ['Vendor', 'Customer'],
+    default: 'Vendor'
+  },
+  CustomerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  
   // Vendor Info (Either existing vendor or new vendor details)
   VendorID: {
     type: mongoose.Schema.Types.ObjectId,
@@ -136,13 +518,82 @@ const quotationSchema = new mongoose.Schema({
     default: ''
   },
   
-  // Vendor Type: 'Existing' or 'New'
+  // Vendor Type: 'Existing' or 'New' (also used for customers)
   VendorType: {
     type: String,
     enum: ['Existing', 'New'],
     default: 'Existing'
   },
   
+  // Customer addresses; AddressType selects the one printed as VendorAddress
+  AddressType: {
+    type: String,
+    enum: ['Billing', 'Shipping'],
+    default: 'Billing'
+  },
+  BillingAddress: {
+    type: String,
+    default: ''
+  },
+  ShippingAddress: {
+    type: String,
+    default: ''
+  },
+  
+  // Place of supply (shipping state for customers, vendor state otherwise)
+  PlaceOfSupply: {
+    type: String,
+    default: ''
+  },
+  PlaceOfSupplyStateCode: {
+    type: Number
+  },
+  
+  // Quotation currency. Costed INR rates are converted at ExchangeRate (INR per unit),
+  // taken from the exchange rate master when the quotation is made.
+  Currency: {
+    type: String,
+    uppercase: true,
+    enum: {
+      values: CURRENCIES,
+      message: 'Currency {VALUE} is not supported'
+    },
+    default: BASE_CURRENCY
+  },
+  ExchangeRate: {
+    type: Number,
+    min: [0.0001, 'Exchange rate must be greater than zero'],
+    default: 1
+  },
+  ExchangeRateDate: {
+    type: Date
+  },
+  
+  // Export (zero-rated supply): under LUT without IGST, or with payment of IGST
+  IsExport: {
+    type: Boolean,
+    default: false
+  },
+  ExportTaxOption: {
+    type: String,
+    enum: ['LUT', 'WithIGST'],
+    default: 'LUT'
+  },
+  LUTNumber: {
+    type: String,
+    default: ''
+  },
+  
+  // Commercial terms (payment terms default from the party master)
+  PaymentTerms: {
+    type: String,
+    default: ''
+  },
+  DeliveryTerms: {
+    type: String,
+    default: ''
+  },
+  
   // GST Logic (Auto-calculated)
   GSTType: {
     type: String,
@@ -153,36 +604,130 @@ const quotationSchema = new mongoose.Schema({
   // Items Section
   Items: [quotationItemSchema],
   
+  // Additional charges (freight, packing & forwarding etc.)
+  Charges: [chargeSchema],
+  // Sales order the charges are billed on (claimed by one order; released when it is cancelled)
+  ChargesSalesOrderID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SalesOrder',
+    default: null
+  },
+  
   // Tax & Amount Summary (Auto-calculated)
+  GrossAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  DiscountAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Item value after line discounts
   SubTotal: {
     type: Number,
     min: 0,
     default: 0
   },
+  ChargesAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Item value plus taxable charges
+  TaxableAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Effective GST rate across all lines
   GSTPercentage: {
     type: Number,
     min: 0,
     max: 100,
     default: 0
   },
+  CGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  SGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  IGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   GSTAmount: {
     type: Number,
     min: 0,
     default: 0
   },
+  TaxSummary: [taxSummarySchema],
+  // Items, charges and GST before TCS and round-off
+  TotalAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Tax collected at source, on the total including GST
+  TCSPercentage: {
+    type: Number,
+    min: [0, 'TCS percentage cannot be negative'],
+    max: [100, 'TCS percentage cannot exceed 100%'],
+    default: 0
+  },
+  TCSAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Round-off of the payable amount to a whole currency unit (shown as its own line)
+  RoundOffType: {
+    type: String,
+    enum: ROUND_OFF_TYPES,
+    default: 'None'
+  },
+  RoundOffAmount: {
+    type: Number,
+    default: 0
+  },
+  // Final payable amount
   GrandTotal: {
     type: Number,
     min: 0,
     default: 0
   },
+  // Grand total in INR (GrandTotal × ExchangeRate) for reporting across currencies
+  BaseGrandTotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // In the quotation currency (e.g. US Dollars and Cents)
   AmountInWords: {
     type: String,
     default: ''
   },
   
-  // Terms & Conditions (Auto from T&C Master)
+  // Terms & Conditions (from the selected T&C set, editable per quotation).
+  // Template keeps the clause text with placeholders; Description is the rendered text.
+  TermsConditionSetID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TermsConditionSet'
+  },
   TermsConditions: [{
+    TermsConditionID: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TermsCondition'
+    },
     Title: String,
+    Template: String,
     Description: String,
     Sequence: Number
   }],
@@ -200,9 +745,28 @@ const quotationSchema = new mongoose.Schema({
   // Status & Tracking
   Status: {
     type: String,
-    enum: ['Draft', 'Sent', 'Approved', 'Rejected', 'Cancelled'],
+    enum: ['Draft', 'Sent', 'Approved', 'Rejected', 'Expired', 'Cancelled'],
     default: 'Draft'
   },
+  StatusHistory: [statusHistorySchema],
+  
+  // Price approval for lines quoted below the floor rate (needed before sending)
+  PriceApprovalStatus: {
+    type: String,
+    enum: ['Not Required', 'Pending', 'Approved', 'Rejected'],
+    default: 'Not Required'
+  },
+  PriceApprovalBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  PriceApprovalAt: {
+    type: Date
+  },
+  PriceApprovalRemarks: {
+    type: String,
+    default: ''
+  },
   IsActive: {
     type: Boolean,
     default: true
@@ -221,51 +785,240 @@ const quotationSchema = new mongoose.Schema({
   SentAt: {
     type: Date
   },
+  SentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   ApprovedAt: {
     type: Date
   },
+  ApprovedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  RejectedAt: {
+    type: Date
+  },
+  RejectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  RejectionReason: {
+    type: String,
+    default: ''
+  },
+  CancelledAt: {
+    type: Date
+  },
+  CancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  CancellationReason: {
+    type: String,
+    default: ''
+  },
+  ExpiredAt: {
+    type: Date
+  },
+  
+  // Customer-facing link: signed token carrying PublicLinkNonce (a new link replaces
+  // the previous one, clearing the nonce revokes it)
+  PublicLinkNonce: {
+    type: String,
+    select: false
+  },
+  PublicLinkExpiresAt: {
+    type: Date
+  },
+  PublicLinkCreatedAt: {
+    type: Date
+  },
+  PublicLinkCreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  PublicLinkViewedAt: {
+    type: Date
+  },
+  CustomerResponse: {
+    type: customerResponseSchema
+  },
+  
   PDFPath: {
     type: String,
     default: ''
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
-// Calculate totals before saving
-quotationSchema.pre('save', function(next) {
-  // Auto-generate Quotation Number
+// Allowed status transitions (Cancel is possible from any open state)
+const STATUS_TRANSITIONS = {
+  Draft: ['Sent', 'Cancelled'],
+  Sent: ['Approved', 'Rejected', 'Expired', 'Cancelled'],
+  Approved: [],
+  Rejected: [],
+  Expired: [],
+  Cancelled: []
+};
+
+// GST place of supply for exports (state code 96: other countries)
+const EXPORT_PLACE_OF_SUPPLY = { State: 'Other Countries', StateCode: 96 };
+
+// Transitions that must be accompanied by a reason
+const REASON_REQUIRED_STATUSES = ['Rejected', 'Cancelled'];
+
+// One document per revision of a quotation number
+quotationSchema.index({ QuotationNo: 1, RevisionNo: 1 }, { unique: true });
+
+// Quotation number including revision suffix (e.g. QT/2026-27/0001-R1)
+quotationSchema.virtual('FullQuotationNo').get(function() {
+  if (!this.QuotationNo) return this.QuotationNo;
+  return this.RevisionNo > 0 ? `${this.QuotationNo}-R${this.RevisionNo}` : this.QuotationNo;
+});
+
+// Auto-generate Quotation Number from the company's document series
+// (revisions keep the number of the quotation they were revised from)
+quotationSchema.pre('save', async function() {
   if (!this.QuotationNo) {
-    const year = new Date().getFullYear();
-    const month = (new Date().getMonth() + 1).toString().padStart(2, '0');
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    this.QuotationNo = `QT-${year}${month}-${random}`;
+    this.QuotationNo = await generateDocumentNumber(this.CompanyID, 'Quotation', this.QuotationDate || new Date());
   }
+});
+
+// Placeholders available in T&C clause text
+const TERMS_PLACEHOLDERS = [
+  'QuotationNo', 'QuotationDate', 'ValidTill', 'ValidityDays', 'PartyName',
+  'PlaceOfSupply', 'PaymentTerms', 'DeliveryTerms', 'Currency', 'CompanyName'
+];
+
+// Values for T&C placeholders (also used for previews of unsaved quotations,
+// where tokens without a value yet are left in place)
+const getTermsValues = (quotation) => {
+  const quotationDate = quotation.QuotationDate ? new Date(quotation.QuotationDate) : new Date();
+  const validTill = quotation.ValidTill ? new Date(quotation.ValidTill) : null;
   
-  // Calculate SubTotal
-  this.SubTotal = this.Items.reduce((total, item) => total + (item.Amount || 0), 0);
-  this.SubTotal = Math.round(this.SubTotal * 100) / 100;
-  
-  // Calculate GST Amount
-  this.GSTAmount = (this.SubTotal * this.GSTPercentage) / 100;
-  this.GSTAmount = Math.round(this.GSTAmount * 100) / 100;
+  return {
+    QuotationNo: quotation.FullQuotationNo || quotation.QuotationNo || '',
+    QuotationDate: formatDate(quotationDate),
+    ValidTill: validTill ? formatDate(validTill) : null,
+    ValidityDays: validTill ? Math.max(Math.round((validTill - quotationDate) / 86400000), 0) : null,
+    PartyName: quotation.VendorName || '',
+    PlaceOfSupply: quotation.PlaceOfSupply || '',
+    PaymentTerms: quotation.PaymentTerms || '',
+    DeliveryTerms: quotation.DeliveryTerms || '',
+    Currency: quotation.Currency || BASE_CURRENCY,
+    CompanyName: quotation.CompanyName || ''
+  };
+};
+
+// Resolve T&C placeholders while the quotation is a draft; afterwards the text is frozen
+quotationSchema.pre('save', function(next) {
+  if (this.isNew || this.Status === 'Draft') {
+    const values = getTermsValues(this);
+    this.TermsConditions.forEach((term) => {
+      if (term.Template) {
+        term.Description = renderTemplate(term.Template, values);
+      }
+    });
+  }
+  next();
+});
+
+// New or changed lines below the floor rate need (fresh) price approval
+quotationSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('Items')) {
+    const isBelowFloor = this.Items.some((item) => item.IsBelowFloor);
+    this.PriceApprovalStatus = isBelowFloor ? 'Pending' : 'Not Required';
+    this.PriceApprovalBy = undefined;
+    this.PriceApprovalAt = undefined;
+    this.PriceApprovalRemarks = '';
+  }
+  next();
+});
+
+// Calculate totals before saving
+quotationSchema.pre('save', function(next) {
+  // Exports are inter-state supplies to a place outside India
+  if (this.IsExport) {
+    this.PlaceOfSupply = EXPORT_PLACE_OF_SUPPLY.State;
+    this.PlaceOfSupplyStateCode = EXPORT_PLACE_OF_SUPPLY.StateCode;
+  }
   
-  // Calculate Grand Total
-  this.GrandTotal = this.SubTotal + this.GSTAmount;
-  this.GrandTotal = Math.round(this.GrandTotal * 100) / 100;
+  // Auto-determine GST Type based on place of supply
+  if (!this.PlaceOfSupplyStateCode) {
+    this.PlaceOfSupply = this.VendorState;
+    this.PlaceOfSupplyStateCode = this.VendorStateCode;
+  }
   
-  // Auto-determine GST Type based on state
-  if (this.VendorStateCode !== this.CompanyStateCode) {
+  if (this.PlaceOfSupplyStateCode !== this.CompanyStateCode) {
     this.GSTType = 'IGST';
   } else {
     this.GSTType = 'CGST/SGST';
   }
   
+  // Calculate line-wise GST, HSN summary and totals
+  const totals = calculateQuotationTotals(
+    this.Items.map((item) => item.toObject()),
+    this.GSTType,
+    this.Charges.map((charge) => charge.toObject()),
+    {
+      zeroRated: this.IsExport && this.ExportTaxOption === 'LUT',
+      tcsPercentage: this.TCSPercentage,
+      roundOffType: this.RoundOffType
+    }
+  );
+  
+  this.Items.forEach((item, index) => {
+    const line = totals.items[index];
+    item.set({
+      GrossAmount: line.GrossAmount,
+      DiscountAmount: line.DiscountAmount,
+      Amount: line.Amount,
+      CGSTAmount: line.CGSTAmount,
+      SGSTAmount: line.SGSTAmount,
+      IGSTAmount: line.IGSTAmount,
+      TaxAmount: line.TaxAmount,
+      TotalAmount: line.TotalAmount
+    });
+  });
+  
+  this.Charges.forEach((charge, index) => {
+    const line = totals.charges[index];
+    charge.set({
+      Amount: line.Amount,
+      CGSTAmount: line.CGSTAmount,
+      SGSTAmount: line.SGSTAmount,
+      IGSTAmount: line.IGSTAmount,
+      TaxAmount: line.TaxAmount,
+      TotalAmount: line.TotalAmount
+    });
+  });
+  
+  this.GrossAmount = totals.grossAmount;
+  this.DiscountAmount = totals.discountAmount;
+  this.SubTotal = totals.subTotal;
+  this.ChargesAmount = totals.chargesAmount;
+  this.TaxableAmount = totals.taxableAmount;
+  this.CGSTAmount = totals.cgstAmount;
+  this.SGSTAmount = totals.sgstAmount;
+  this.IGSTAmount = totals.igstAmount;
+  this.GSTAmount = totals.gstAmount;
+  this.GSTPercentage = totals.gstPercentage;
+  this.TaxSummary = totals.taxSummary;
+  this.TotalAmount = totals.totalAmount;
+  this.TCSAmount = totals.tcsAmount;
+  this.RoundOffAmount = totals.roundOffAmount;
+  this.GrandTotal = totals.grandTotal;
+  this.BaseGrandTotal = roundAmount(totals.grandTotal * (this.ExchangeRate || 1));
+  
   next();
 });
 
-// Auto set ValidTill if not provided
-quotationSchema.pre('save', function(next) {
+// Auto set ValidTill if not provided (before validation as ValidTill is required)
+quotationSchema.pre('validate', function(next) {
   if (!this.ValidTill) {
     const defaultValidityDays = 30; // Configurable
     const validTill = new Date(this.QuotationDate);
@@ -275,117 +1028,94 @@ quotationSchema.pre('save', function(next) {
   next();
 });
 
-// Helper function to convert number to words (Indian Number System)
-quotationSchema.methods.getAmountInWords = function() {
-  const amount = this.GrandTotal;
-  
-  // Separate rupees and paise
-  const rupees = Math.floor(amount);
-  const paise = Math.round((amount - rupees) * 100);
-  
-  // Arrays for number words
-  const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 
-               'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 
-               'Seventeen', 'Eighteen', 'Nineteen'];
-  
-  const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+quotationSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.Status] || []).includes(status);
+};
+
+// Apply a status change: stamps who/when, stores the reason and records history
+// (details such as RespondedBy/IPAddress for responses through the quotation link).
+// Callers must check canTransitionTo() first.
+quotationSchema.methods.applyStatusChange = function(status, userId, reason = '', details = {}) {
+  const now = Date.now();
   
-  const thousands = ['', 'Thousand', 'Lakh', 'Crore'];
+  this.StatusHistory.push({
+    FromStatus: this.Status,
+    ToStatus: status,
+    ChangedBy: userId || undefined,
+    ChangedAt: now,
+    Reason: reason,
+    ...details
+  });
+  this.Status = status;
   
-  // Function to convert a number less than 1000 to words
-  const convertHundreds = (num) => {
-    let result = '';
-    
-    // Handle hundreds
-    if (num >= 100) {
-      result += ones[Math.floor(num / 100)] + ' Hundred ';
-      num %= 100;
-    }
-    
-    // Handle tens and ones
-    if (num >= 20) {
-      result += tens[Math.floor(num / 10)] + ' ';
-      num %= 10;
-    }
-    
-    if (num > 0) {
-      result += ones[num] + ' ';
-    }
-    
-    return result.trim();
-  };
+  switch (status) {
+    case 'Sent':
+      this.SentAt = now;
+      this.SentBy = userId;
+      break;
+    case 'Approved':
+      this.ApprovedAt = now;
+      this.ApprovedBy = userId;
+      break;
+    case 'Rejected':
+      this.RejectedAt = now;
+      this.RejectedBy = userId;
+      this.RejectionReason = reason;
+      break;
+    case 'Cancelled':
+      this.CancelledAt = now;
+      this.CancelledBy = userId;
+      this.CancellationReason = reason;
+      break;
+    case 'Expired':
+      this.ExpiredAt = now;
+      break;
+  }
+};
+
+// Sent quotations whose validity has passed are due for expiry
+quotationSchema.methods.isOverdue = function() {
+  return this.Status === 'Sent' && this.ValidTill && this.ValidTill < new Date();
+};
+
+// Move every sent (latest revision) quotation past its ValidTill to Expired
+quotationSchema.statics.expireOverdue = function() {
+  const now = new Date();
   
-  // Function to convert rupees to words using Indian numbering system
-  const convertRupeesToWords = (num) => {
-    if (num === 0) return 'Zero';
-    
-    let result = '';
-    let groupIndex = 0;
-    
-    while (num > 0) {
-      // Get the last 3 digits for thousands, then 2 digits for lakhs and crores
-      let group;
-      if (groupIndex === 0) {
-        // For thousands group, take 3 digits
-        group = num % 1000;
-        num = Math.floor(num / 1000);
-      } else {
-        // For lakhs and crores groups, take 2 digits
-        group = num % 100;
-        num = Math.floor(num / 100);
-      }
-      
-      if (group > 0) {
-        let groupWords = convertHundreds(group);
-        if (thousands[groupIndex]) {
-          groupWords += ' ' + thousands[groupIndex];
+  return this.updateMany(
+    {
+      Status: 'Sent',
+      ValidTill: { $lt: now },
+      IsLatestRevision: { $ne: false }
+    },
+    {
+      $set: { Status: 'Expired', ExpiredAt: now },
+      $push: {
+        StatusHistory: {
+          FromStatus: 'Sent',
+          ToStatus: 'Expired',
+          ChangedAt: now,
+          Reason: 'Validity period ended'
         }
-        result = groupWords + ' ' + result;
       }
-      
-      groupIndex++;
     }
-    
-    return result.trim();
-  };
-  
-  // Convert rupees to words
-  let rupeesWords = convertRupeesToWords(rupees);
-  
-  // Convert paise to words
-  let paiseWords = '';
-  if (paise > 0) {
-    paiseWords = convertRupeesToWords(paise);
-  }
-  
-  // Construct final string
-  let result = '';
-  
-  if (rupeesWords) {
-    result += rupeesWords + ' Rupee' + (rupees === 1 ? '' : 's');
-  } else {
-    result += 'Zero Rupees';
-  }
-  
-  if (paiseWords && paiseWords !== 'Zero') {
-    result += ' and ' + paiseWords + ' Paise';
-  }
-  
-  result += ' Only';
-  
-  // Capitalize first letter
-  result = result.charAt(0).toUpperCase() + result.slice(1);
-  
-  return result.replace(/\s+/g, ' ').trim();
+  );
+};
+
+quotationSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+quotationSchema.statics.REASON_REQUIRED_STATUSES = REASON_REQUIRED_STATUSES;
+quotationSchema.statics.TERMS_PLACEHOLDERS = TERMS_PLACEHOLDERS;
+quotationSchema.statics.EXPORT_PLACE_OF_SUPPLY = EXPORT_PLACE_OF_SUPPLY;
+quotationSchema.statics.getTermsValues = getTermsValues;
+
+// Final payable amount (after TCS and round-off) in words in the quotation currency
+quotationSchema.methods.getAmountInWords = function() {
+  return amountToWords(this.GrandTotal || 0, this.Currency);
 };
 
 // Update AmountInWords before saving
 quotationSchema.pre('save', function(next) {
-  if (this.GrandTotal > 0) {
-    this.AmountInWords = this.getAmountInWords();
-  } else {
-    this.AmountInWords = 'Zero Rupees Only';
-  }
+  this.AmountInWords = this.getAmountInWords();
   next();
 });
 
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const templateItemSchema = new mongoose.Schema({
+  PartNo: {
+    type: String,
+    required: [true, 'Part number is required'],
+    trim: true
+  },
+  // Default quantity used when the template is instantiated
+  Quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  DiscountType: {
+    type: String,
+    enum: ['Percentage', 'Amount'],
+    default: 'Percentage'
+  },
+  DiscountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    default: 0
+  }
+}, { _id: false });
+
+const templateChargeSchema = new mongoose.Schema({
+  ChargeType: {
+    type: String,
+    enum: ['Freight', 'Packing & Forwarding', 'Loading', 'Insurance', 'Other'],
+    required: [true, 'Charge type is required']
+  },
+  Description: {
+    type: String,
+    default: ''
+  },
+  Amount: {
+    type: Number,
+    required: [true, 'Charge amount is required'],
+    min: [0, 'Charge amount cannot be negative']
+  },
+  IsTaxable: {
+    type: Boolean,
+    default: true
+  },
+  HSNSACCode: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, { _id: false });
+
+// Reusable item set and defaults for creating quotations
+const quotationTemplateSchema = new mongoose.Schema({
+  TemplateName: {
+    type: String,
+    required: [true, 'Template name is required'],
+    unique: true,
+    trim: true
+  },
+  Description: {
+    type: String,
+    default: ''
+  },
+  Items: {
+    type: [templateItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'At least one item is required'
+    }
+  },
+  Charges: [templateChargeSchema],
+  InternalRemarks: {
+    type: String,
+    default: ''
+  },
+  CustomerRemarks: {
+    type: String,
+    default: ''
+  },
+  // T&C set for quotations from this template (takes precedence over TermsConditionIDs)
+  TermsConditionSetID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TermsConditionSet'
+  },
+  // Selected terms & conditions (party/default set when empty)
+  TermsConditionIDs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TermsCondition'
+  }],
+  IsActive: {
+    type: Boolean,
+    default: true
+  },
+  CreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  UpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('QuotationTemplate', quotationTemplateSchema);
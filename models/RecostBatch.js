@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// One costing in a re-cost batch: its rates before and after the new raw material
+// rate and current costing policy. VersionNo is the costing version the preview was taken from.
+const recostLineSchema = new mongoose.Schema({
+  CostingID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Costing',
+    required: true
+  },
+  ItemID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item'
+  },
+  PartNo: {
+    type: String,
+    required: true
+  },
+  PartName: {
+    type: String,
+    default: ''
+  },
+  VersionNo: {
+    type: Number,
+    default: 0
+  },
+  RMWeight: Number,
+  OldRMRate: Number,
+  NewRMRate: Number,
+  // Overhead/margin % re-defaulted from the costing policy now applicable (only
+  // percentages not entered by hand); unchanged when no policy applies
+  OldOverheadPercentage: Number,
+  NewOverheadPercentage: Number,
+  OldMarginPercentage: Number,
+  NewMarginPercentage: Number,
+  CostingPolicyID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CostingPolicy',
+    default: null
+  },
+  CostingPolicyName: {
+    type: String,
+    default: ''
+  },
+  OldFinalRate: Number,
+  NewFinalRate: Number,
+  Difference: Number,
+  ImpactPercentage: Number,
+  Status: {
+    type: String,
+    enum: ['Pending', 'Applied', 'Skipped', 'Excluded'],
+    default: 'Pending'
+  },
+  // Costing version created when applied
+  NewVersionNo: Number,
+  Remarks: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// Re-costing of every active costing made from one raw material against its latest
+// rate. Created as a preview; costings change only when the batch is applied. While
+// applying, each line is saved as it is done so an interrupted apply can resume.
+const recostBatchSchema = new mongoose.Schema({
+  RawMaterialID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RawMaterial',
+    required: true
+  },
+  MaterialName: {
+    type: String,
+    required: true
+  },
+  Grade: {
+    type: String,
+    default: ''
+  },
+  EffectiveRate: {
+    type: Number,
+    required: true
+  },
+  DateEffective: {
+    type: Date
+  },
+  Status: {
+    type: String,
+    enum: ['Preview', 'Applying', 'Applied', 'Cancelled'],
+    default: 'Preview'
+  },
+  Lines: {
+    type: [recostLineSchema],
+    default: []
+  },
+  // Active costings of the material already at the latest rate
+  UnchangedCount: {
+    type: Number,
+    default: 0
+  },
+  ChangeReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  AppliedCount: {
+    type: Number,
+    default: 0
+  },
+  SkippedCount: {
+    type: Number,
+    default: 0
+  },
+  AppliedAt: {
+    type: Date
+  },
+  AppliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  CancelledAt: {
+    type: Date
+  },
+  CreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  }
+}, {
+  timestamps: { createdAt: 'CreatedAt', updatedAt: 'UpdatedAt' }
+});
+
+recostBatchSchema.index({ MaterialName: 1, CreatedAt: -1 });
+recostBatchSchema.index({ Status: 1 });
+
+module.exports = mongoose.model('RecostBatch', recostBatchSchema);
@@ -0,0 +1,626 @@
+const mongoose = require('mongoose');
+const {
+  BASE_CURRENCY,
+  ROUND_OFF_TYPES,
+  calculateQuotationTotals,
+  amountToWords
+} = require('../utils/calculations');
+const { generateDocumentNumber } = require('../utils/documentNumbering');
+
+const deliveryScheduleSchema = new mongoose.Schema({
+  DeliveryDate: {
+    type: Date,
+    required: [true, 'Delivery date is required']
+  },
+  Quantity: {
+    type: Number,
+    required: [true, 'Delivery quantity is required'],
+    min: [1, 'Delivery quantity must be at least 1']
+  },
+  Remarks: {
+    type: String,
+    default: ''
+  }
+});
+
+const salesOrderItemSchema = new mongoose.Schema({
+  // Quotation line this order line was created from
+  QuotationItemID: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  PartNo: {
+    type: String,
+    required: [true, 'Part number is required']
+  },
+  PartName: {
+    type: String,
+    required: [true, 'Part name is required']
+  },
+  Description: {
+    type: String,
+    default: ''
+  },
+  HSNCode: {
+    type: String,
+    required: [true, 'HSN code is required']
+  },
+  Unit: {
+    type: String,
+    enum: ['Nos', 'Kg', 'Meter', 'Set', 'Piece'],
+    default: 'Nos'
+  },
+  Quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  FinalRate: {
+    type: Number,
+    required: [true, 'Final rate is required'],
+    min: 0
+  },
+  // Quantity slab of the quotation line the rate was taken from (slab-priced lines only)
+  SlabQuantity: {
+    type: Number,
+    min: 1
+  },
+  
+  // Line discount: Percentage of gross amount or a flat Amount
+  DiscountType: {
+    type: String,
+    enum: ['Percentage', 'Amount'],
+    default: 'Percentage'
+  },
+  DiscountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    default: 0
+  },
+  GrossAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  DiscountAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Taxable value after discount
+  Amount: {
+    type: Number,
+    min: 0
+  },
+  
+  // GST rates copied from the quotation line
+  GSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  CGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 0
+  },
+  SGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 0
+  },
+  IGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  CGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  SGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  IGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  TaxAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  TotalAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
+  DeliverySchedule: [deliveryScheduleSchema]
+});
+
+const chargeSchema = new mongoose.Schema({
+  ChargeType: {
+    type: String,
+    enum: ['Freight', 'Packing & Forwarding', 'Loading', 'Insurance', 'Other'],
+    required: [true, 'Charge type is required']
+  },
+  Description: {
+    type: String,
+    default: ''
+  },
+  Amount: {
+    type: Number,
+    required: [true, 'Charge amount is required'],
+    min: [0, 'Charge amount cannot be negative']
+  },
+  IsTaxable: {
+    type: Boolean,
+    default: true
+  },
+  HSNSACCode: {
+    type: String,
+    default: ''
+  },
+  GSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  CGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 0
+  },
+  SGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 0
+  },
+  IGSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  CGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  SGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  IGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  TaxAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  TotalAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+const taxSummarySchema = new mongoose.Schema({
+  HSNCode: String,
+  GSTPercentage: Number,
+  TaxableAmount: Number,
+  CGSTAmount: Number,
+  SGSTAmount: Number,
+  IGSTAmount: Number,
+  TotalTaxAmount: Number
+}, { _id: false });
+
+const salesOrderSchema = new mongoose.Schema({
+  // Auto-generated from the SalesOrder document series
+  SalesOrderNo: {
+    type: String,
+    unique: true
+  },
+  SalesOrderDate: {
+    type: Date,
+    default: Date.now,
+    required: true
+  },
+  
+  // Source Quotation
+  QuotationID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation',
+    required: true
+  },
+  QuotationNo: {
+    type: String,
+    required: true
+  },
+  QuotationRevisionNo: {
+    type: Number,
+    default: 0
+  },
+  
+  // Customer Purchase Order
+  CustomerPONo: {
+    type: String,
+    required: [true, 'Customer PO number is required'],
+    trim: true
+  },
+  CustomerPODate: {
+    type: Date,
+    required: [true, 'Customer PO date is required']
+  },
+  
+  // Company Info (snapshot from the quotation)
+  CompanyID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  CompanyName: {
+    type: String,
+    required: true
+  },
+  CompanyGSTIN: {
+    type: String,
+    required: true
+  },
+  CompanyState: {
+    type: String,
+    required: true
+  },
+  CompanyStateCode: {
+    type: Number,
+    required: true
+  },
+  
+  // Party Info (snapshot from the quotation)
+  PartyType: {
+    type: String,
+    enum: ['Vendor', 'Customer'],
+    default: 'Vendor'
+  },
+  CustomerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  VendorID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  VendorName: {
+    type: String,
+    required: true
+  },
+  VendorGSTIN: {
+    type: String,
+    default: ''
+  },
+  VendorState: {
+    type: String,
+    required: true
+  },
+  VendorStateCode: {
+    type: Number,
+    required: true
+  },
+  VendorAddress: {
+    type: String,
+    default: ''
+  },
+  VendorCity: {
+    type: String,
+    default: ''
+  },
+  VendorPincode: {
+    type: String,
+    default: ''
+  },
+  VendorContactPerson: {
+    type: String,
+    default: ''
+  },
+  VendorPhone: {
+    type: String,
+    default: ''
+  },
+  VendorEmail: {
+    type: String,
+    default: ''
+  },
+  VendorPAN: {
+    type: String,
+    default: ''
+  },
+  BillingAddress: {
+    type: String,
+    default: ''
+  },
+  ShippingAddress: {
+    type: String,
+    default: ''
+  },
+  PlaceOfSupply: {
+    type: String,
+    default: ''
+  },
+  PlaceOfSupplyStateCode: {
+    type: Number
+  },
+  
+  GSTType: {
+    type: String,
+    enum: ['CGST/SGST', 'IGST'],
+    default: 'CGST/SGST'
+  },
+  
+  // Currency and export treatment as quoted
+  Currency: {
+    type: String,
+    default: BASE_CURRENCY
+  },
+  ExchangeRate: {
+    type: Number,
+    default: 1
+  },
+  IsExport: {
+    type: Boolean,
+    default: false
+  },
+  ExportTaxOption: {
+    type: String,
+    enum: ['LUT', 'WithIGST'],
+    default: 'LUT'
+  },
+  LUTNumber: {
+    type: String,
+    default: ''
+  },
+  
+  Items: {
+    type: [salesOrderItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'At least one item is required'
+    }
+  },
+  
+  // Additional charges copied from the quotation
+  Charges: [chargeSchema],
+  
+  // Tax & Amount Summary (Auto-calculated)
+  GrossAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  DiscountAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Item value after line discounts
+  SubTotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  ChargesAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Item value plus taxable charges
+  TaxableAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  GSTPercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  CGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  SGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  IGSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  GSTAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  TaxSummary: [taxSummarySchema],
+  // Items, charges and GST before TCS and round-off
+  TotalAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Tax collected at source, on the total including GST
+  TCSPercentage: {
+    type: Number,
+    min: [0, 'TCS percentage cannot be negative'],
+    max: [100, 'TCS percentage cannot exceed 100%'],
+    default: 0
+  },
+  TCSAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Round-off of the payable amount to a whole currency unit (shown as its own line)
+  RoundOffType: {
+    type: String,
+    enum: ROUND_OFF_TYPES,
+    default: 'None'
+  },
+  RoundOffAmount: {
+    type: Number,
+    default: 0
+  },
+  // Final payable amount
+  GrandTotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  AmountInWords: {
+    type: String,
+    default: ''
+  },
+  
+  TermsConditions: [{
+    Title: String,
+    Description: String,
+    Sequence: Number
+  }],
+  Remarks: {
+    type: String,
+    default: ''
+  },
+  
+  // Status & Tracking
+  Status: {
+    type: String,
+    enum: ['Open', 'Cancelled'],
+    default: 'Open'
+  },
+  CancelledAt: {
+    type: Date
+  },
+  CancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  CancellationReason: {
+    type: String,
+    default: ''
+  },
+  
+  // Audit Trail
+  CreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  UpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+salesOrderSchema.index({ QuotationID: 1 });
+
+// Auto-generate Sales Order Number
+salesOrderSchema.pre('save', async function() {
+  if (!this.SalesOrderNo) {
+    this.SalesOrderNo = await generateDocumentNumber(this.CompanyID, 'SalesOrder', this.SalesOrderDate || new Date());
+  }
+});
+
+// Delivery schedule of a line cannot exceed the ordered quantity
+salesOrderSchema.pre('validate', function(next) {
+  const line = this.Items.find((item) => {
+    const scheduled = item.DeliverySchedule.reduce((sum, delivery) => sum + delivery.Quantity, 0);
+    return scheduled > item.Quantity;
+  });
+  
+  if (line) {
+    this.invalidate('Items', `Delivery schedule of ${line.PartNo} exceeds the ordered quantity`);
+  }
+  next();
+});
+
+// Calculate line-wise GST and totals with the quotation rules
+salesOrderSchema.pre('save', function(next) {
+  const totals = calculateQuotationTotals(
+    this.Items.map((item) => item.toObject()),
+    this.GSTType,
+    this.Charges.map((charge) => charge.toObject()),
+    {
+      zeroRated: this.IsExport && this.ExportTaxOption === 'LUT',
+      tcsPercentage: this.TCSPercentage,
+      roundOffType: this.RoundOffType
+    }
+  );
+  
+  this.Items.forEach((item, index) => {
+    const line = totals.items[index];
+    item.set({
+      GrossAmount: line.GrossAmount,
+      DiscountAmount: line.DiscountAmount,
+      Amount: line.Amount,
+      CGSTAmount: line.CGSTAmount,
+      SGSTAmount: line.SGSTAmount,
+      IGSTAmount: line.IGSTAmount,
+      TaxAmount: line.TaxAmount,
+      TotalAmount: line.TotalAmount
+    });
+  });
+  
+  this.Charges.forEach((charge, index) => {
+    const line = totals.charges[index];
+    charge.set({
+      Amount: line.Amount,
+      CGSTAmount: line.CGSTAmount,
+      SGSTAmount: line.SGSTAmount,
+      IGSTAmount: line.IGSTAmount,
+      TaxAmount: line.TaxAmount,
+      TotalAmount: line.TotalAmount
+    });
+  });
+  
+  this.GrossAmount = totals.grossAmount;
+  this.DiscountAmount = totals.discountAmount;
+  this.SubTotal = totals.subTotal;
+  this.ChargesAmount = totals.chargesAmount;
+  this.TaxableAmount = totals.taxableAmount;
+  this.CGSTAmount = totals.cgstAmount;
+  this.SGSTAmount = totals.sgstAmount;
+  this.IGSTAmount = totals.igstAmount;
+  this.GSTAmount = totals.gstAmount;
+  this.GSTPercentage = totals.gstPercentage;
+  this.TaxSummary = totals.taxSummary;
+  this.TotalAmount = totals.totalAmount;
+  this.TCSAmount = totals.tcsAmount;
+  this.RoundOffAmount = totals.roundOffAmount;
+  this.GrandTotal = totals.grandTotal;
+  this.AmountInWords = amountToWords(this.GrandTotal || 0, this.Currency);
+  
+  next();
+});
+
+module.exports = mongoose.model('SalesOrder', salesOrderSchema);
@@ -6,6 +6,7 @@ const termsConditionSchema = new mongoose.Schema({
     required: [true, 'Title is required'],
     trim: true
   },
+  // May contain placeholders resolved per quotation (e.g. {{ValidTill}}, {{PaymentTerms}})
   Description: {
     type: String,
     required: [true, 'Description is required']
@@ -14,6 +15,16 @@ const termsConditionSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 1
+  },
+  // Grouping in the master (e.g. Payment, Delivery, Warranty)
+  Category: {
+    type: String,
+    trim: true,
+    default: 'General'
+  },
+  IsActive: {
+    type: Boolean,
+    default: true
   }
 }, {
   timestamps: true
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Named group of T&C clauses (e.g. Domestic, Export, Job Work) copied onto quotations
+const setClauseSchema = new mongoose.Schema({
+  TermsConditionID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TermsCondition',
+    required: [true, 'Terms & condition is required']
+  },
+  // Order within the set (falls back to the clause's own sequence)
+  Sequence: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
+const termsConditionSetSchema = new mongoose.Schema({
+  SetName: {
+    type: String,
+    required: [true, 'Set name is required'],
+    unique: true,
+    trim: true
+  },
+  Description: {
+    type: String,
+    default: ''
+  },
+  Clauses: {
+    type: [setClauseSchema],
+    validate: {
+      validator: (clauses) => clauses.length > 0,
+      message: 'At least one clause is required'
+    }
+  },
+  // Used for parties without a default set of their own (only one default set)
+  IsDefault: {
+    type: Boolean,
+    default: false
+  },
+  IsActive: {
+    type: Boolean,
+    default: true
+  },
+  CreatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  UpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TermsConditionSet', termsConditionSetSchema);
@@ -64,6 +64,11 @@ const vendorSchema = new mongoose.Schema({
     type: String,
     default: '30 Days'
   },
+  // Default T&C set for this vendor's quotations
+  TermsConditionSetID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TermsConditionSet'
+  },
   IsActive: {
     type: Boolean,
     default: true
@@ -161,6 +161,33 @@ router.get('/:id', protect, getCompany);
  *               IFSC:
  *                 type: string
  *                 example: "HDFC0001234"
+ *               MinimumMarginPercentage:
+ *                 type: number
+ *                 example: 5
+ *                 description: "Floor rate = (SubCost + Overhead) × (1 + MinimumMarginPercentage / 100)"
+ *               BelowFloorAction:
+ *                 type: string
+ *                 enum: [Approval, Block]
+ *                 default: Approval
+ *                 description: "Lines quoted below the floor need price approval (Approval) or are rejected (Block)"
+ *               LUTNumber:
+ *                 type: string
+ *                 example: "AD270326012345X"
+ *                 description: "Letter of Undertaking for exports without payment of IGST"
+ *               LUTValidTill:
+ *                 type: string
+ *                 format: date
+ *                 example: "2027-03-31"
+ *               RoundOffType:
+ *                 type: string
+ *                 enum: [Nearest, Up, None]
+ *                 default: Nearest
+ *                 description: "Default round-off of the payable amount on new quotations"
+ *               TimeZone:
+ *                 type: string
+ *                 example: "Asia/Kolkata"
+ *                 default: Asia/Kolkata
+ *                 description: "Time zone of the financial year and month in document numbers"
  *               IsActive:
  *                 type: boolean
  *                 default: true
@@ -237,6 +264,33 @@ router.post('/', protect, createCompany);
  *                 type: string
  *               IFSC:
  *                 type: string
+ *               MinimumMarginPercentage:
+ *                 type: number
+ *                 example: 5
+ *                 description: "Floor rate = (SubCost + Overhead) × (1 + MinimumMarginPercentage / 100)"
+ *               BelowFloorAction:
+ *                 type: string
+ *                 enum: [Approval, Block]
+ *                 default: Approval
+ *                 description: "Lines quoted below the floor need price approval (Approval) or are rejected (Block)"
+ *               LUTNumber:
+ *                 type: string
+ *                 example: "AD270326012345X"
+ *                 description: "Letter of Undertaking for exports without payment of IGST"
+ *               LUTValidTill:
+ *                 type: string
+ *                 format: date
+ *                 example: "2027-03-31"
+ *               RoundOffType:
+ *                 type: string
+ *                 enum: [Nearest, Up, None]
+ *                 default: Nearest
+ *                 description: "Default round-off of the payable amount on new quotations"
+ *               TimeZone:
+ *                 type: string
+ *                 example: "Asia/Kolkata"
+ *                 default: Asia/Kolkata
+ *                 description: "Time zone of the financial year and month in document numbers"
  *               IsActive:
  *                 type: boolean
  *     responses:
@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCostingPolicies,
+  getApplicableCostingPolicy,
+  getCostingPolicy,
+  createCostingPolicy,
+  updateCostingPolicy,
+  deleteCostingPolicy
+} = require('../controllers/costingPolicyController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CostingPolicy:
+ *       type: object
+ *       required:
+ *         - PolicyName
+ *         - OverheadPercentage
+ *         - MarginPercentage
+ *         - EffectiveFrom
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6aa01"
+ *         PolicyName:
+ *           type: string
+ *           example: "ABC Motors - bus bars, high volume"
+ *         Description:
+ *           type: string
+ *           example: "Agreed rates for the 2026-27 annual contract"
+ *         CustomerID:
+ *           type: string
+ *           nullable: true
+ *           description: "Customer the policy is for (any customer when empty)"
+ *         ItemCategory:
+ *           type: string
+ *           example: "Bus Bar"
+ *           description: "Item category the policy is for (any category when empty)"
+ *         MaterialID:
+ *           type: string
+ *           nullable: true
+ *           description: "Item material the policy is for (any material when empty)"
+ *         MinQuantity:
+ *           type: number
+ *           example: 5000
+ *           default: 0
+ *           description: "Order volume band: lowest order quantity (inclusive)"
+ *         MaxQuantity:
+ *           type: number
+ *           nullable: true
+ *           example: 20000
+ *           description: "Order volume band: highest order quantity (inclusive); no upper limit when empty"
+ *         OverheadPercentage:
+ *           type: number
+ *           example: 8
+ *         MarginPercentage:
+ *           type: number
+ *           example: 12
+ *         EffectiveFrom:
+ *           type: string
+ *           format: date
+ *           example: "2026-04-01"
+ *         EffectiveTo:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: "2027-03-31"
+ *           description: "Last day the policy applies (open-ended when empty)"
+ *         IsActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Costing Policies
+ *   description: |
+ *     Default overhead and margin percentages by customer, item category, material and
+ *     order volume band, with effective dates. New costings and costing calculations take
+ *     the overhead and margin % not given with them from the applicable policy, else from
+ *     the costing template. A policy applies when all its criteria match (an empty
+ *     criterion matches any) and the date is within its effective period; the most
+ *     specific one wins (customer, then item category, then material, then volume band),
+ *     and among equally specific policies the latest effective. Re-costing (bulk re-cost
+ *     batches, or PUT /api/costings/{id} with ApplyPolicy) picks up the policy then
+ *     applicable for percentages that were not entered by hand.
+ */
+
+/**
+ * @swagger
+ * /api/costing-policies:
+ *   get:
+ *     summary: Get costing policies
+ *     tags: [Costing Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by policy name
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: itemCategory
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: materialId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Policies retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CostingPolicy'
+ *                 count:
+ *                   type: number
+ */
+router.get('/', protect, getCostingPolicies);
+
+/**
+ * @swagger
+ * /api/costing-policies/applicable:
+ *   get:
+ *     summary: Get the costing policy that applies to a customer, part and order quantity
+ *     tags: [Costing Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: partNo
+ *         schema:
+ *           type: string
+ *         description: Part whose item category and material are matched
+ *       - in: query
+ *         name: quantity
+ *         schema:
+ *           type: number
+ *         description: Order quantity matched against volume bands
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date the policy must be effective on (default today)
+ *     responses:
+ *       200:
+ *         description: The applicable policy, or null when none applies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CostingPolicy'
+ *                 message:
+ *                   type: string
+ *                   example: "ABC Motors - bus bars, high volume applies"
+ *       400:
+ *         description: Invalid date
+ *       404:
+ *         description: Item not found or inactive
+ */
+router.get('/applicable', protect, getApplicableCostingPolicy);
+
+/**
+ * @swagger
+ * /api/costing-policies/{id}:
+ *   get:
+ *     summary: Get costing policy by ID
+ *     tags: [Costing Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy retrieved successfully
+ *       404:
+ *         description: Costing policy not found
+ */
+router.get('/:id', protect, getCostingPolicy);
+
+/**
+ * @swagger
+ * /api/costing-policies:
+ *   post:
+ *     summary: Create a costing policy
+ *     tags: [Costing Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CostingPolicy'
+ *     responses:
+ *       201:
+ *         description: Policy created successfully
+ *       400:
+ *         description: Validation error (percentages, dates or volume band) or duplicate name
+ */
+router.post('/', protect, createCostingPolicy);
+
+/**
+ * @swagger
+ * /api/costing-policies/{id}:
+ *   put:
+ *     summary: Update a costing policy
+ *     tags: [Costing Policies]
+ *     description: Existing costings keep their percentages until they are re-costed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CostingPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy updated successfully
+ *       400:
+ *         description: Validation error (percentages, dates or volume band) or duplicate name
+ *       404:
+ *         description: Costing policy not found
+ */
+router.put('/:id', protect, updateCostingPolicy);
+
+/**
+ * @swagger
+ * /api/costing-policies/{id}:
+ *   delete:
+ *     summary: Delete a costing policy (soft delete)
+ *     tags: [Costing Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy deleted successfully
+ *       404:
+ *         description: Costing policy not found
+ */
+router.delete('/:id', protect, deleteCostingPolicy);
+
+module.exports = router;
@@ -6,7 +6,9 @@ const {
   createCosting,
   updateCosting,
   deleteCosting,
-  calculateCosting
+  calculateCosting,
+  getCostingVersions,
+  compareCostingVersions
 } = require('../controllers/costingController');
 const { protect } = require('../middleware/authMiddleware');
 
@@ -83,6 +85,12 @@ const { protect } = require('../middleware/authMiddleware');
  *           format: float
  *           example: 15.0
  *           minimum: 0
+ *         SetupCost:
+ *           type: number
+ *           format: float
+ *           example: 1500.0
+ *           minimum: 0
+ *           description: "One-time setup / fixed process cost per lot, amortized over the quantity of each quotation slab (not part of FinalRate). Routed setup is costed from the routing (RoutingSetupCost), so enter only setup the routing does not cover"
  *         OverheadPercentage:
  *           type: number
  *           format: float
@@ -105,6 +113,45 @@ const { protect } = require('../middleware/authMiddleware');
  *           format: float
  *           example: 77.184375
  *           minimum: 0
+ *         CostingTemplateID:
+ *           type: string
+ *           nullable: true
+ *           description: "Costing template the cost heads came from (null for overhead and margin on the sub cost)"
+ *         CostingTemplateName:
+ *           type: string
+ *           example: "Margin on cost with ICC"
+ *         CostHeads:
+ *           type: array
+ *           description: "Cost heads as applied; OverheadCost is the sum of the Overhead and Allowance heads"
+ *           items:
+ *             $ref: '#/components/schemas/CostingCostHead'
+ *         CostFormula:
+ *           type: string
+ *           example: "Overhead on PROCESS + FINISHING; Inventory carrying cost 1.5% on RM; Margin on SUB + OVERHEAD + ICC"
+ *         CustomerID:
+ *           type: string
+ *           nullable: true
+ *           description: "Customer the costing is for; quotations to the customer use it over the generic costing of the part"
+ *         OrderQuantity:
+ *           type: number
+ *           nullable: true
+ *           example: 10000
+ *           description: "Order quantity the costing is for, matched against costing policy volume bands"
+ *         CostingPolicyID:
+ *           type: string
+ *           nullable: true
+ *           description: "Costing policy the overhead and/or margin % came from"
+ *         CostingPolicyName:
+ *           type: string
+ *           example: "ABC Motors - bus bars, high volume"
+ *         OverheadSource:
+ *           type: string
+ *           enum: [Policy, Template, Manual]
+ *           description: "Where OverheadPercentage came from; re-costing keeps Manual percentages"
+ *         MarginSource:
+ *           type: string
+ *           enum: [Policy, Template, Manual]
+ *           description: "Where MarginPercentage came from; re-costing keeps Manual percentages"
  *         SubCost:
  *           type: number
  *           format: float
@@ -115,6 +162,27 @@ const { protect } = require('../middleware/authMiddleware');
  *           format: float
  *           example: 591.746875
  *           minimum: 0
+ *         VersionNo:
+ *           type: number
+ *           example: 3
+ *           description: "Current version (see GET /api/costings/{id}/versions); 0 for costings not changed since versioning began"
+ *         ChangeReason:
+ *           type: string
+ *           example: "Steel price revision Q3"
+ *           description: "Reason for the latest change of the inputs"
+ *         ProcessCostSource:
+ *           type: string
+ *           enum: [Routing, Manual]
+ *           description: "Routing when ProcessCost was costed from the item's routing"
+ *         ProcessOperations:
+ *           type: array
+ *           description: "Operations ProcessCost was costed from (empty when entered manually)"
+ *           items:
+ *             $ref: '#/components/schemas/CostingProcessOperation'
+ *         RoutingSetupCost:
+ *           type: number
+ *           example: 300
+ *           description: "Setup of one batch of every routed operation (not part of FinalRate); each quotation slab carries it once per batch, spread over the slab quantity"
  *         IsActive:
  *           type: boolean
  *           example: true
@@ -171,8 +239,7 @@ const { protect } = require('../middleware/authMiddleware');
  *           format: float
  *           example: 50.0
  *           minimum: 0
- *           default: 0
- *           description: "If not provided, calculates from Process Master"
+ *           description: "If not provided, costed from the item's process routing"
  *         FinishingCost:
  *           type: number
  *           format: float
@@ -185,24 +252,54 @@ const { protect } = require('../middleware/authMiddleware');
  *           example: 15.0
  *           minimum: 0
  *           default: 0
+ *         SetupCost:
+ *           type: number
+ *           format: float
+ *           example: 1500.0
+ *           minimum: 0
+ *           default: 0
+ *           description: "One-time setup / fixed process cost per lot, amortized over the quantity of each quotation slab (not part of FinalRate). Routed setup is costed from the routing (RoutingSetupCost), so enter only setup the routing does not cover"
  *         OverheadPercentage:
  *           type: number
  *           format: float
  *           example: 10.0
  *           minimum: 0
  *           maximum: 100
- *           default: 10
+ *           description: "Defaults to the applicable costing policy's overhead percentage, else the template's (10 without a template)"
  *         MarginPercentage:
  *           type: number
  *           format: float
  *           example: 15.0
  *           minimum: 0
  *           maximum: 100
- *           default: 15
+ *           description: "Defaults to the applicable costing policy's margin percentage, else the template's (15 without a template)"
+ *         CostingTemplateID:
+ *           type: string
+ *           description: "Costing template to use instead of the customer's, item's or default template"
+ *         CustomerID:
+ *           type: string
+ *           description: "Customer whose costing template and costing policy apply"
+ *         OrderQuantity:
+ *           type: number
+ *           example: 10000
+ *           description: "Order quantity, to pick the costing policy of its volume band"
  * 
  *     CostingUpdate:
  *       type: object
  *       properties:
+ *         ChangeReason:
+ *           type: string
+ *           example: "Steel price revision Q3"
+ *           description: "Required when any costing input changes"
+ *         UseRouting:
+ *           type: boolean
+ *           example: true
+ *           description: "Re-cost ProcessCost from the item's current routing (a ProcessCost given instead is kept as a manual entry)"
+ *         RMWeight:
+ *           type: number
+ *           format: float
+ *           example: 2.5
+ *           minimum: 0
  *         RMRate:
  *           type: number
  *           format: float
@@ -223,6 +320,12 @@ const { protect } = require('../middleware/authMiddleware');
  *           format: float
  *           example: 18.0
  *           minimum: 0
+ *         SetupCost:
+ *           type: number
+ *           format: float
+ *           example: 1500.0
+ *           minimum: 0
+ *           description: "One-time setup / fixed process cost per lot"
  *         OverheadPercentage:
  *           type: number
  *           format: float
@@ -235,10 +338,180 @@ const { protect } = require('../middleware/authMiddleware');
  *           example: 18.0
  *           minimum: 0
  *           maximum: 100
+ *         CostingTemplateID:
+ *           type: string
+ *           nullable: true
+ *           description: "Re-cost with this template's current heads (null for overhead and margin on the sub cost). Requires ChangeReason when the heads change"
+ *         ApplyPolicy:
+ *           type: boolean
+ *           example: true
+ *           description: "Re-default OverheadPercentage and MarginPercentage (those not given here) from the costing policy now applicable. Requires ChangeReason when they change"
+ *         CustomerID:
+ *           type: string
+ *           nullable: true
+ *         OrderQuantity:
+ *           type: number
+ *           nullable: true
+ *           example: 10000
  *         IsActive:
  *           type: boolean
  *           example: false
  * 
+ *     CostingFieldChange:
+ *       type: object
+ *       properties:
+ *         Field:
+ *           type: string
+ *           example: "RMRate"
+ *         From:
+ *           example: 52.5
+ *         To:
+ *           example: 56.0
+ * 
+ *     CostingVersion:
+ *       type: object
+ *       description: "Immutable snapshot of a costing after a change (kept when the costing is deleted)"
+ *       properties:
+ *         _id:
+ *           type: string
+ *         CostingID:
+ *           type: string
+ *         PartNo:
+ *           type: string
+ *           example: "PN001"
+ *         VersionNo:
+ *           type: number
+ *           example: 2
+ *         RMWeight:
+ *           type: number
+ *         RMRate:
+ *           type: number
+ *         ProcessCost:
+ *           type: number
+ *         FinishingCost:
+ *           type: number
+ *         PackingCost:
+ *           type: number
+ *         SetupCost:
+ *           type: number
+ *         OverheadPercentage:
+ *           type: number
+ *         MarginPercentage:
+ *           type: number
+ *         ProcessOperations:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CostingProcessOperation'
+ *         RoutingSetupCost:
+ *           type: number
+ *         CostingTemplateID:
+ *           type: string
+ *         CostFormula:
+ *           type: string
+ *         CostHeads:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CostingCostHead'
+ *         RMCost:
+ *           type: number
+ *         SubCost:
+ *           type: number
+ *         OverheadCost:
+ *           type: number
+ *         MarginCost:
+ *           type: number
+ *         FinalRate:
+ *           type: number
+ *           example: 151.0
+ *         Changes:
+ *           type: array
+ *           description: "Inputs changed from the previous version"
+ *           items:
+ *             $ref: '#/components/schemas/CostingFieldChange'
+ *         ChangeReason:
+ *           type: string
+ *           example: "Steel price revision Q3"
+ *         CreatedBy:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             Username:
+ *               type: string
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ * 
+ *     CostingProcessOperation:
+ *       type: object
+ *       description: "Cost per piece and setup per batch of one routing operation"
+ *       properties:
+ *         Sequence:
+ *           type: integer
+ *           example: 10
+ *         ProcessID:
+ *           type: string
+ *         ProcessName:
+ *           type: string
+ *           example: "CNC Turning"
+ *         RateType:
+ *           type: string
+ *           enum: [Per Nos, Per Kg, Per Hour, Fixed]
+ *         Rate:
+ *           type: number
+ *           example: 600
+ *         VendorOrInhouse:
+ *           type: string
+ *           enum: [Vendor, Inhouse]
+ *         CycleTimeMinutes:
+ *           type: number
+ *           example: 4.5
+ *         SetupTimeMinutes:
+ *           type: number
+ *           example: 30
+ *         BatchSize:
+ *           type: integer
+ *           example: 200
+ *         Cost:
+ *           type: number
+ *           example: 45
+ *           description: "Per piece"
+ *         SetupCost:
+ *           type: number
+ *           example: 300
+ *           description: "Per batch (setup time, or the Fixed charge)"
+ *         Formula:
+ *           type: string
+ *           example: "₹600/hr × 4.5 min ÷ 60; setup ₹600/hr × 30 min ÷ 60 per batch"
+ * 
+ *     CostingCostHead:
+ *       type: object
+ *       description: "Cost head of a costing: Percentage × Base, where Base is the sum of BasedOn"
+ *       properties:
+ *         Code:
+ *           type: string
+ *           example: "ICC"
+ *         Name:
+ *           type: string
+ *           example: "Inventory carrying cost"
+ *         Kind:
+ *           type: string
+ *           enum: [Overhead, Margin, Allowance]
+ *         BasedOn:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["RM"]
+ *         Percentage:
+ *           type: number
+ *           example: 1.5
+ *         Base:
+ *           type: number
+ *           example: 376.88
+ *         Amount:
+ *           type: number
+ *           example: 5.65
+ * 
  *     CostingCalculate:
  *       type: object
  *       required:
@@ -248,7 +521,7 @@ const { protect } = require('../middleware/authMiddleware');
  *         PartNo:
  *           type: string
  *           example: "PN001"
- *           description: "Optional: For reference only"
+ *           description: "Optional: without ProcessCost, the process cost is costed from this item's routing"
  *         RMWeight:
  *           type: number
  *           format: float
@@ -277,20 +550,43 @@ const { protect } = require('../middleware/authMiddleware');
  *           example: 15.0
  *           minimum: 0
  *           default: 0
+ *         SetupCost:
+ *           type: number
+ *           format: float
+ *           example: 1500.0
+ *           minimum: 0
+ *           default: 0
+ *           description: "One-time setup / fixed process cost per lot"
+ *         Quantities:
+ *           type: array
+ *           items:
+ *             type: number
+ *           example: [500, 1000, 5000]
+ *           description: "Optional quantity slabs to return slab rates for (setup cost spread over each quantity)"
  *         OverheadPercentage:
  *           type: number
  *           format: float
  *           example: 10.0
  *           minimum: 0
  *           maximum: 100
- *           default: 10
+ *           description: "Defaults to the applicable costing policy's overhead percentage, else the template's (10 without a template)"
  *         MarginPercentage:
  *           type: number
  *           format: float
  *           example: 15.0
  *           minimum: 0
  *           maximum: 100
- *           default: 15
+ *           description: "Defaults to the applicable costing policy's margin percentage, else the template's (15 without a template)"
+ *         CostingTemplateID:
+ *           type: string
+ *           description: "Costing template to use instead of the customer's, item's or default template"
+ *         CustomerID:
+ *           type: string
+ *           description: "Customer whose costing template and costing policy apply"
+ *         OrderQuantity:
+ *           type: number
+ *           example: 10000
+ *           description: "Order quantity, to pick the costing policy of its volume band"
  * 
  *   responses:
  *     CostingNotFound:
@@ -615,14 +911,21 @@ router.get('/:id', protect, getCosting);
  *       
  *       1. **RM Weight**: Automatically fetched from Dimension Weight Master
  *       2. **RM Rate**: Uses provided rate OR fetches from Raw Material Master
- *       3. **Process Cost**: Uses provided cost OR calculates from Process Master
- *       4. **Calculates**: RM Cost, Sub Cost, Overhead Cost, Margin Cost, Final Rate
+ *       3. **Process Cost**: Uses provided cost OR costs the item's process routing operation by operation
+ *          (Per Nos = Rate; Per Kg = Rate × RM Weight; Per Hour = Rate × (Cycle + Setup ÷ Batch) ÷ 60;
+ *          Fixed = Rate ÷ Batch)
+ *       4. **Cost Heads**: From the given CostingTemplateID, else the customer's (CustomerID), the item's
+ *          or the default costing template
+ *       5. **Overhead & Margin %**: As given, else from the costing policy for the customer, item
+ *          category, material and OrderQuantity (see Costing Policies), else the template's defaults
+ *       6. **Calculates**: RM Cost, Sub Cost, Overhead Cost, Margin Cost, Final Rate
  *       
  *       **Formulas Used:**
  *       - **RM Cost = Weight × Effective RM Rate**
  *       - **Sub Cost = RM Cost + Process Cost + Finishing + Packing**
- *       - **Overhead Cost = Sub Cost × Overhead %**
- *       - **Margin Cost = Sub Cost × Margin %**
+ *       - **Each cost head = its % × the sum of the costs it is based on** (without a template:
+ *         Overhead = Sub Cost × Overhead %, Margin = Sub Cost × Margin %)
+ *       - **Overhead Cost = Overhead + allowance heads; Margin Cost = Margin head**
  *       - **Final Rate = Sub Cost + Overhead Cost + Margin Cost**
  *     security:
  *       - bearerAuth: []
@@ -700,6 +1003,16 @@ router.get('/:id', protect, getCosting);
  *                         processSource:
  *                           type: string
  *                           example: "Auto from Process Master"
+ *                         costingPolicy:
+ *                           type: string
+ *                           example: "ABC Motors - bus bars, high volume (Overhead 8%, Margin 12%)"
+ *                           description: "Policy applied and the percentages it set, or None"
+ *                         overheadSource:
+ *                           type: string
+ *                           enum: [Policy, Template, Manual]
+ *                         marginSource:
+ *                           type: string
+ *                           enum: [Policy, Template, Manual]
  *                         dimensionDetails:
  *                           type: object
  *                     Calculations:
@@ -708,7 +1021,7 @@ router.get('/:id', protect, getCosting);
  *                   type: string
  *                   example: "Costing created successfully"
  *       400:
- *         description: Validation error
+ *         description: Validation error, or no process routing defined for the item and no ProcessCost given
  *         content:
  *           application/json:
  *             oneOf:
@@ -742,8 +1055,11 @@ router.post('/', protect, createCosting);
  *       **Formulas Calculated:**
  *       - **RM Cost = Weight × Effective RM Rate**
  *       - **Sub Cost = RM Cost + Process Cost + Finishing + Packing**
- *       - **Overhead Cost = Sub Cost × Overhead %**
- *       - **Margin Cost = Sub Cost × Margin %**
+ *       - **Cost heads** of the CostingTemplateID given, else of the customer (CustomerID), the
+ *         item (PartNo) or the default template; without a template Overhead and Margin are
+ *         both a percentage of the Sub Cost
+ *       - **Overhead & Margin %** as given, else from the costing policy for the customer, item
+ *         and OrderQuantity, else the template's defaults (costingPolicy in the response)
  *       - **Final Rate = Sub Cost + Overhead Cost + Margin Cost**
  *     security:
  *       - bearerAuth: []
@@ -827,8 +1143,49 @@ router.post('/', protect, createCosting);
  *                         finalRate:
  *                           type: string
  *                           example: "₹466.88 + ₹46.69 + ₹77.18 = ₹591.75"
+ *                     costingTemplate:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         TemplateName:
+ *                           type: string
+ *                     costingPolicy:
+ *                       type: object
+ *                       nullable: true
+ *                       description: "Costing policy that set the overhead and/or margin %"
+ *                       properties:
+ *                         _id:
+ *                           type: string
+ *                         PolicyName:
+ *                           type: string
+ *                         Description:
+ *                           type: string
+ *                           example: "ABC Motors - bus bars, high volume (Overhead 8%, Margin 12%)"
+ *                     overheadSource:
+ *                       type: string
+ *                       enum: [Policy, Template, Manual]
+ *                     marginSource:
+ *                       type: string
+ *                       enum: [Policy, Template, Manual]
+ *                     costFormula:
+ *                       type: string
+ *                       example: "Overhead on SUB; Margin on SUB"
+ *                     costHeads:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CostingCostHead'
+ *                     processOperations:
+ *                       type: array
+ *                       description: "Routing operations the process cost was costed from"
+ *                       items:
+ *                         $ref: '#/components/schemas/CostingProcessOperation'
+ *                     routingSetupCost:
+ *                       type: number
+ *                       description: "Setup of one batch of every routed operation, spread over each slab quantity"
  *       400:
- *         description: Missing required fields
+ *         description: Missing required fields or no routing for the part
  *         content:
  *           application/json:
  *             schema:
@@ -854,12 +1211,15 @@ router.post('/calculate', protect, calculateCosting);
  *     summary: Update an existing costing
  *     tags: [Costings]
  *     description: |
- *       Update costing information. All calculated fields are automatically recalculated:
+ *       Update costing information. A change to any input (RMWeight, RMRate, ProcessCost,
+ *       FinishingCost, PackingCost, SetupCost, OverheadPercentage, MarginPercentage) or to the
+ *       cost heads (CostingTemplateID) needs a ChangeReason and records a new immutable version.
+ *       All calculated fields are automatically recalculated:
  *       
  *       - RM Cost = Weight × Effective RM Rate
  *       - Sub Cost = RM Cost + Process Cost + Finishing + Packing
- *       - Overhead Cost = Sub Cost × Overhead %
- *       - Margin Cost = Sub Cost × Margin %
+ *       - Overhead Cost = overhead and allowance heads of the costing's template
+ *       - Margin Cost = margin head of the costing's template
  *       - Final Rate = Sub Cost + Overhead Cost + Margin Cost
  *     security:
  *       - bearerAuth: []
@@ -941,6 +1301,8 @@ router.post('/calculate', protect, calculateCosting);
  *         $ref: '#/components/responses/ValidationError'
  *       404:
  *         $ref: '#/components/responses/CostingNotFound'
+ *       409:
+ *         description: Costing was changed by another user meanwhile; nothing was saved
  *       401:
  *         description: Not authenticated
  *       500:
@@ -948,6 +1310,143 @@ router.post('/calculate', protect, calculateCosting);
  */
 router.put('/:id', protect, updateCosting);
 
+/**
+ * @swagger
+ * /api/costings/{id}/versions:
+ *   get:
+ *     summary: Get version history of a costing
+ *     tags: [Costings]
+ *     description: |
+ *       Every change to the costing inputs creates a version with the inputs, derived costs,
+ *       who made the change, when and why. Quotation lines record the costing version they
+ *       were priced from (CostingID and CostingVersionNo).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Costing ID
+ *     responses:
+ *       200:
+ *         description: Versions, latest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CostingVersion'
+ *                 count:
+ *                   type: integer
+ *       404:
+ *         $ref: '#/components/responses/CostingNotFound'
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/:id/versions', protect, getCostingVersions);
+
+/**
+ * @swagger
+ * /api/costings/{id}/versions/compare:
+ *   get:
+ *     summary: Compare two versions of a costing
+ *     tags: [Costings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Costing ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 3
+ *     responses:
+ *       200:
+ *         description: Changed inputs and costs, with the versions in between and their reasons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     PartNo:
+ *                       type: string
+ *                     From:
+ *                       type: object
+ *                       properties:
+ *                         VersionNo:
+ *                           type: number
+ *                         CreatedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         FinalRate:
+ *                           type: number
+ *                           example: 142.0
+ *                     To:
+ *                       type: object
+ *                       properties:
+ *                         VersionNo:
+ *                           type: number
+ *                         CreatedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         FinalRate:
+ *                           type: number
+ *                           example: 151.0
+ *                     Inputs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CostingFieldChange'
+ *                     Costs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CostingFieldChange'
+ *                     Versions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           VersionNo:
+ *                             type: number
+ *                           ChangeReason:
+ *                             type: string
+ *                           CreatedBy:
+ *                             type: object
+ *                           CreatedAt:
+ *                             type: string
+ *                             format: date-time
+ *       400:
+ *         description: from or to missing
+ *       404:
+ *         description: Costing version not found
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/:id/versions/compare', protect, compareCostingVersions);
+
 /**
  * @swagger
  * /api/costings/{id}:
@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCostingTemplates,
+  getCostingTemplate,
+  createCostingTemplate,
+  updateCostingTemplate,
+  deleteCostingTemplate
+} = require('../controllers/costingTemplateController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CostHead:
+ *       type: object
+ *       required:
+ *         - Code
+ *         - Name
+ *         - Kind
+ *         - BasedOn
+ *       properties:
+ *         Code:
+ *           type: string
+ *           example: "ICC"
+ *           description: "Unique in the template; later heads refer to it in BasedOn"
+ *         Name:
+ *           type: string
+ *           example: "Inventory carrying cost"
+ *         Kind:
+ *           type: string
+ *           enum: [Overhead, Margin, Allowance]
+ *           description: |
+ *             A template has exactly one Overhead and one Margin head; their percentage is
+ *             the costing's OverheadPercentage / MarginPercentage (Percentage here is the
+ *             default). Allowance heads add to OverheadCost at their own Percentage.
+ *         BasedOn:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["RM"]
+ *           description: "Cost bases (RM, PROCESS, FINISHING, PACKING, SUB) and earlier heads the percentage applies to"
+ *         Percentage:
+ *           type: number
+ *           example: 1.5
+ *     CostingTemplate:
+ *       type: object
+ *       required:
+ *         - TemplateName
+ *         - Heads
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a9a1"
+ *         TemplateName:
+ *           type: string
+ *           example: "Margin on cost with ICC"
+ *         Description:
+ *           type: string
+ *           example: "Overhead on conversion cost, 1.5% ICC on RM, margin on sub cost + overhead"
+ *         Heads:
+ *           type: array
+ *           description: "Evaluated in order"
+ *           items:
+ *             $ref: '#/components/schemas/CostHead'
+ *           example:
+ *             - { Code: "OVERHEAD", Name: "Overhead", Kind: "Overhead", BasedOn: ["PROCESS", "FINISHING"], Percentage: 12 }
+ *             - { Code: "ICC", Name: "Inventory carrying cost", Kind: "Allowance", BasedOn: ["RM"], Percentage: 1.5 }
+ *             - { Code: "MARGIN", Name: "Margin", Kind: "Margin", BasedOn: ["SUB", "OVERHEAD", "ICC"], Percentage: 10 }
+ *         IsDefault:
+ *           type: boolean
+ *           description: "Used for costings whose customer and item have no template (only one default)"
+ *         IsActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Costing Templates
+ *   description: |
+ *     Named costing formulas: which cost heads a costing has and how each is derived.
+ *     A costing uses the template given with it, else its customer's template, else its
+ *     item's, else the default template; without any, overhead and margin are both a
+ *     percentage of the sub cost. Costings keep the heads they were costed with until
+ *     their template is applied again.
+ */
+
+/**
+ * @swagger
+ * /api/costing-templates:
+ *   get:
+ *     summary: Get costing templates (default first)
+ *     tags: [Costing Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by template name
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully, with the cost bases heads can be based on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CostingTemplate'
+ *                 count:
+ *                   type: number
+ *                 costBases:
+ *                   type: object
+ *                   example: { RM: "RMCost", PROCESS: "ProcessCost", FINISHING: "FinishingCost", PACKING: "PackingCost", SUB: "SubCost" }
+ */
+router.get('/', protect, getCostingTemplates);
+
+/**
+ * @swagger
+ * /api/costing-templates/{id}:
+ *   get:
+ *     summary: Get costing template by ID
+ *     tags: [Costing Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *       404:
+ *         description: Costing template not found
+ */
+router.get('/:id', protect, getCostingTemplate);
+
+/**
+ * @swagger
+ * /api/costing-templates:
+ *   post:
+ *     summary: Create a costing template
+ *     tags: [Costing Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CostingTemplate'
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *       400:
+ *         description: Validation error (head structure) or duplicate name
+ */
+router.post('/', protect, createCostingTemplate);
+
+/**
+ * @swagger
+ * /api/costing-templates/{id}:
+ *   put:
+ *     summary: Update a costing template
+ *     tags: [Costing Templates]
+ *     description: Existing costings keep their heads until the template is applied to them again (PUT /api/costings/{id} with CostingTemplateID).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CostingTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *       400:
+ *         description: Validation error (head structure) or duplicate name
+ *       404:
+ *         description: Costing template not found
+ */
+router.put('/:id', protect, updateCostingTemplate);
+
+/**
+ * @swagger
+ * /api/costing-templates/{id}:
+ *   delete:
+ *     summary: Delete a costing template (soft delete)
+ *     tags: [Costing Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       404:
+ *         description: Costing template not found
+ */
+router.delete('/:id', protect, deleteCostingTemplate);
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDocumentSeries,
+  previewNextNumber,
+  getDocumentSeriesById,
+  createDocumentSeries,
+  updateDocumentSeries,
+  deleteDocumentSeries
+} = require('../controllers/documentSeriesController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DocumentSeries:
+ *       type: object
+ *       required:
+ *         - DocumentType
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7b8"
+ *         CompanyID:
+ *           type: string
+ *           description: "Defaults to the active company"
+ *           example: "64f8e9b7a1b2c3d4e5f6a7b9"
+ *         DocumentType:
+ *           type: string
+ *           enum: [Quotation, SalesOrder]
+ *           example: "Quotation"
+ *         Prefix:
+ *           type: string
+ *           example: "QT"
+ *         Pattern:
+ *           type: string
+ *           description: "Tokens: {PREFIX}, {FY} (2026-27), {FYSHORT} (26-27), {YYYY}, {YY}, {MM}, {SEQ}. Must contain {SEQ}, plus {FY} or {FYSHORT} for a FinancialYear reset, or {MM} and a year token for a Monthly reset."
+ *           example: "{PREFIX}/{FY}/{SEQ}"
+ *         Padding:
+ *           type: number
+ *           description: "Zero padding of the sequence"
+ *           example: 4
+ *         ResetRule:
+ *           type: string
+ *           enum: [FinancialYear, Monthly, Never]
+ *           description: "Financial year runs April to March; periods follow the company's time zone"
+ *           example: "FinancialYear"
+ *         StartNumber:
+ *           type: number
+ *           description: "First sequence number of each period"
+ *           example: 1
+ *         IsActive:
+ *           type: boolean
+ *           example: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Document Series
+ *   description: Configurable document numbering (quotations and other documents)
+ */
+
+/**
+ * @swagger
+ * /api/document-series:
+ *   get:
+ *     summary: Get all document series
+ *     tags: [Document Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: companyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of document series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DocumentSeries'
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getDocumentSeries);
+
+/**
+ * @swagger
+ * /api/document-series/preview:
+ *   get:
+ *     summary: Preview the next document number without consuming it
+ *     tags: [Document Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *           default: Quotation
+ *       - in: query
+ *         name: companyId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: "Document date (defaults to today)"
+ *     responses:
+ *       200:
+ *         description: Next document number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     DocumentType:
+ *                       type: string
+ *                       example: "Quotation"
+ *                     NextNumber:
+ *                       type: string
+ *                       example: "QT/2026-27/0042"
+ *       400:
+ *         description: Invalid date or no active company
+ *       404:
+ *         description: No series configured for the document type
+ */
+router.get('/preview', protect, previewNextNumber);
+
+/**
+ * @swagger
+ * /api/document-series/{id}:
+ *   get:
+ *     summary: Get document series by ID
+ *     tags: [Document Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document series
+ *       404:
+ *         description: Document series not found
+ */
+router.get('/:id', protect, getDocumentSeriesById);
+
+/**
+ * @swagger
+ * /api/document-series:
+ *   post:
+ *     summary: Create a document series
+ *     tags: [Document Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DocumentSeries'
+ *     responses:
+ *       201:
+ *         description: Document series created
+ *       400:
+ *         description: Validation error or series already exists
+ */
+router.post('/', protect, createDocumentSeries);
+
+/**
+ * @swagger
+ * /api/document-series/{id}:
+ *   put:
+ *     summary: Update a document series
+ *     description: "Changes apply to numbers generated afterwards. DocumentType cannot be changed."
+ *     tags: [Document Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DocumentSeries'
+ *     responses:
+ *       200:
+ *         description: Document series updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Document series not found
+ */
+router.put('/:id', protect, updateDocumentSeries);
+
+/**
+ * @swagger
+ * /api/document-series/{id}:
+ *   delete:
+ *     summary: Delete a document series (numbering falls back to the default series)
+ *     tags: [Document Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Document series deleted
+ *       404:
+ *         description: Document series not found
+ */
+router.delete('/:id', protect, deleteDocumentSeries);
+
+module.exports = router;
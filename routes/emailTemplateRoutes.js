@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getEmailTemplates,
+  getEmailTemplate,
+  createEmailTemplate,
+  updateEmailTemplate,
+  deleteEmailTemplate
+} = require('../controllers/emailTemplateController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmailTemplate:
+ *       type: object
+ *       required:
+ *         - TemplateName
+ *         - Subject
+ *         - Body
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7f1"
+ *         TemplateName:
+ *           type: string
+ *           example: "Standard quotation email"
+ *         DocumentType:
+ *           type: string
+ *           enum: [Quotation, QuotationFollowUp]
+ *           default: Quotation
+ *           description: "Quotation for sending the document, QuotationFollowUp for follow-up reminder emails"
+ *         Subject:
+ *           type: string
+ *           example: "Quotation {{QuotationNo}} from {{CompanyName}}"
+ *         Body:
+ *           type: string
+ *           example: "Dear {{ContactPerson}},\n\nPlease find attached quotation {{QuotationNo}} valid till {{ValidTill}}.\n\nRegards,\n{{CompanyName}}"
+ *           description: |
+ *             Plain text. Quotation placeholders: {{QuotationNo}}, {{RevisionNo}}, {{QuotationDate}},
+ *             {{ValidTill}}, {{PartyName}}, {{ContactPerson}}, {{Currency}}, {{GrandTotal}}, {{AmountInWords}},
+ *             {{CustomerRemarks}}, {{CompanyName}}, {{CompanyPhone}}, {{CompanyEmail}}
+ *         IsDefault:
+ *           type: boolean
+ *           default: false
+ *           description: "Used when a quotation is sent without choosing a template, and for follow-up reminders"
+ *         IsActive:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Email Templates
+ *   description: Subject and body templates for emailed documents
+ */
+
+/**
+ * @swagger
+ * /api/email-templates:
+ *   get:
+ *     summary: Get email templates
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *           enum: [Quotation, QuotationFollowUp]
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EmailTemplate'
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getEmailTemplates);
+
+/**
+ * @swagger
+ * /api/email-templates/{id}:
+ *   get:
+ *     summary: Get email template by ID
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *       404:
+ *         description: Email template not found
+ */
+router.get('/:id', protect, getEmailTemplate);
+
+/**
+ * @swagger
+ * /api/email-templates:
+ *   post:
+ *     summary: Create an email template
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmailTemplate'
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *       400:
+ *         description: Validation error or duplicate name
+ */
+router.post('/', protect, createEmailTemplate);
+
+/**
+ * @swagger
+ * /api/email-templates/{id}:
+ *   put:
+ *     summary: Update an email template
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmailTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *       400:
+ *         description: Validation error or duplicate name
+ *       404:
+ *         description: Email template not found
+ */
+router.put('/:id', protect, updateEmailTemplate);
+
+/**
+ * @swagger
+ * /api/email-templates/{id}:
+ *   delete:
+ *     summary: Deactivate an email template
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       404:
+ *         description: Email template not found
+ */
+router.delete('/:id', protect, deleteEmailTemplate);
+
+module.exports = router;
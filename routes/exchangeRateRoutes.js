@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getExchangeRates,
+  getCurrentExchangeRates,
+  getExchangeRate,
+  createExchangeRate,
+  updateExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       required:
+ *         - Currency
+ *         - Rate
+ *         - EffectiveFrom
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7f7"
+ *         Currency:
+ *           type: string
+ *           enum: [USD, EUR, GBP, AED, SGD, AUD]
+ *           example: "USD"
+ *         Rate:
+ *           type: number
+ *           example: 83.25
+ *           description: "INR per unit of the currency"
+ *         EffectiveFrom:
+ *           type: string
+ *           format: date
+ *           example: "2026-10-01"
+ *           description: "Applies from this date until the next rate of the same currency"
+ *         Remarks:
+ *           type: string
+ *           example: "RBI reference rate"
+ *         IsActive:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exchange Rates
+ *   description: Effective-dated exchange rates for foreign currency quotations
+ */
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: Get exchange rate history
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: USD
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Exchange rates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getExchangeRates);
+
+/**
+ * @swagger
+ * /api/exchange-rates/current:
+ *   get:
+ *     summary: Get the rate applicable on a date for each supported currency
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *     responses:
+ *       200:
+ *         description: Applicable rates (Rate is null for currencies without a rate)
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/current', protect, getCurrentExchangeRates);
+
+/**
+ * @swagger
+ * /api/exchange-rates/{id}:
+ *   get:
+ *     summary: Get exchange rate by ID
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exchange rate retrieved successfully
+ *       404:
+ *         description: Exchange rate not found
+ */
+router.get('/:id', protect, getExchangeRate);
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   post:
+ *     summary: Create an exchange rate
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExchangeRate'
+ *     responses:
+ *       201:
+ *         description: Exchange rate created successfully
+ *       400:
+ *         description: Validation error or a rate already exists for the currency and date
+ */
+router.post('/', protect, createExchangeRate);
+
+/**
+ * @swagger
+ * /api/exchange-rates/{id}:
+ *   put:
+ *     summary: Update an exchange rate
+ *     tags: [Exchange Rates]
+ *     description: Quotations already made keep the rate they were made at.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExchangeRate'
+ *     responses:
+ *       200:
+ *         description: Exchange rate updated successfully
+ *       400:
+ *         description: Validation error or a rate already exists for the currency and date
+ *       404:
+ *         description: Exchange rate not found
+ */
+router.put('/:id', protect, updateExchangeRate);
+
+/**
+ * @swagger
+ * /api/exchange-rates/{id}:
+ *   delete:
+ *     summary: Deactivate an exchange rate
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exchange rate deleted successfully
+ *       404:
+ *         description: Exchange rate not found
+ */
+router.delete('/:id', protect, deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getFollowUps,
+  getFollowUpSummary,
+  snoozeFollowUp,
+  completeFollowUp
+} = require('../controllers/followUpController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FollowUp:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a801"
+ *         QuotationID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7b9"
+ *         QuotationNo:
+ *           type: string
+ *           example: "QT/2026-27/0001"
+ *         PartyName:
+ *           type: string
+ *           example: "ABC Suppliers Pvt Ltd"
+ *         AssignedTo:
+ *           type: string
+ *           description: "Creator of the quotation"
+ *         ReminderType:
+ *           type: string
+ *           enum: [AfterSent, BeforeExpiry]
+ *         Stage:
+ *           type: string
+ *           example: "Sent+3d"
+ *         DueAt:
+ *           type: string
+ *           format: date-time
+ *         Status:
+ *           type: string
+ *           enum: [Pending, Snoozed, Completed, Cancelled]
+ *         SnoozedUntil:
+ *           type: string
+ *           format: date-time
+ *         SnoozeCount:
+ *           type: integer
+ *         CompletedAt:
+ *           type: string
+ *           format: date-time
+ *         CompletedBy:
+ *           type: string
+ *         Remarks:
+ *           type: string
+ *           example: "Customer will confirm after budget approval"
+ *         PartyEmailStatus:
+ *           type: string
+ *           enum: [Not Sent, Sent, Failed]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Follow-ups
+ *   description: |
+ *     Follow-up reminders for sent quotations, created by a scheduled job for the quotation's
+ *     creator. Stages are configured with `QUOTATION_FOLLOW_UP_DAYS` (days after sending,
+ *     default "3,7") and `QUOTATION_EXPIRY_REMINDER_DAYS` (days before ValidTill, default "2");
+ *     the job runs every `QUOTATION_FOLLOW_UP_CHECK_MINUTES` (default 60). With
+ *     `QUOTATION_FOLLOW_UP_EMAIL_PARTY=true` the party is also emailed a reminder (default
+ *     QuotationFollowUp email template). Follow-ups of quotations that are no longer open are cancelled.
+ */
+
+/**
+ * @swagger
+ * /api/follow-ups:
+ *   get:
+ *     summary: Get follow-ups
+ *     tags: [Follow-ups]
+ *     description: Open (Pending and Snoozed) follow-ups of the current user by default, earliest due first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: User ID, or "all" for every user (defaults to the current user)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Snoozed, Completed, Cancelled]
+ *         description: Defaults to Pending and Snoozed
+ *       - in: query
+ *         name: dueOnly
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only follow-ups due now
+ *       - in: query
+ *         name: quotationId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Follow-ups retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FollowUp'
+ *                 pagination:
+ *                   type: object
+ *       400:
+ *         description: Invalid filter value
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getFollowUps);
+
+/**
+ * @swagger
+ * /api/follow-ups/summary:
+ *   get:
+ *     summary: Get open follow-up counts per user
+ *     tags: [Follow-ups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending, snoozed and due counts with the next due date per user
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/summary', protect, getFollowUpSummary);
+
+/**
+ * @swagger
+ * /api/follow-ups/{id}/snooze:
+ *   put:
+ *     summary: Snooze a follow-up
+ *     tags: [Follow-ups]
+ *     description: The follow-up becomes Pending again when the snooze ends
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Until:
+ *                 type: string
+ *                 format: date-time
+ *               Days:
+ *                 type: integer
+ *                 example: 2
+ *                 description: "Used when Until is not given (default 1 day)"
+ *               Remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Follow-up snoozed
+ *       400:
+ *         description: Snooze date not in the future or follow-up already closed
+ *       403:
+ *         description: Follow-up is assigned to another user (only admins may snooze it)
+ *       404:
+ *         description: Follow-up not found
+ */
+router.put('/:id/snooze', protect, snoozeFollowUp);
+
+/**
+ * @swagger
+ * /api/follow-ups/{id}/complete:
+ *   put:
+ *     summary: Complete a follow-up
+ *     tags: [Follow-ups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Remarks:
+ *                 type: string
+ *                 example: "Spoke to purchase manager, decision next week"
+ *     responses:
+ *       200:
+ *         description: Follow-up completed
+ *       400:
+ *         description: Follow-up already closed
+ *       403:
+ *         description: Follow-up is assigned to another user (only admins may complete it)
+ *       404:
+ *         description: Follow-up not found
+ */
+router.put('/:id/complete', protect, completeFollowUp);
+
+module.exports = router;
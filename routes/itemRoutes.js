@@ -71,6 +71,24 @@ const { protect } = require('../middleware/authMiddleware');
  *         MaterialCode:
  *           type: string
  *           example: "CI-001"
+ *         CustomerPartNos:
+ *           type: array
+ *           description: "Customer part numbers of this item, used to match RFQ imports"
+ *           items:
+ *             $ref: '#/components/schemas/ItemCustomerPartNo'
+ *         Routing:
+ *           type: array
+ *           description: "Process routing used to cost the item, in Sequence order"
+ *           items:
+ *             $ref: '#/components/schemas/ItemRoutingOperation'
+ *         ItemCategory:
+ *           type: string
+ *           example: "Bus Bar"
+ *           description: "Product category, used to pick the costing policy"
+ *         CostingTemplateID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a9a1"
+ *           description: "Costing template for this item, used when the customer has none"
  *         IsActive:
  *           type: boolean
  *           example: true
@@ -145,6 +163,24 @@ const { protect } = require('../middleware/authMiddleware');
  *           type: string
  *           example: "64f8e9b7a1b2c3d4e5f6a7b9"
  *           description: "Reference to an active Material"
+ *         CustomerPartNos:
+ *           type: array
+ *           description: "Customer part numbers of this item, used to match RFQ imports"
+ *           items:
+ *             $ref: '#/components/schemas/ItemCustomerPartNo'
+ *         Routing:
+ *           type: array
+ *           description: "Process routing used to cost the item, in Sequence order"
+ *           items:
+ *             $ref: '#/components/schemas/ItemRoutingOperation'
+ *         ItemCategory:
+ *           type: string
+ *           example: "Bus Bar"
+ *           description: "Product category, used to pick the costing policy"
+ *         CostingTemplateID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a9a1"
+ *           description: "Costing template for this item, used when the customer has none"
  * 
  *     ItemUpdate:
  *       type: object
@@ -174,6 +210,79 @@ const { protect } = require('../middleware/authMiddleware');
  *         MaterialID:
  *           type: string
  *           example: "64f8e9b7a1b2c3d4e5f6a7c2"
+ *         CustomerPartNos:
+ *           type: array
+ *           description: "Customer part numbers of this item, used to match RFQ imports"
+ *           items:
+ *             $ref: '#/components/schemas/ItemCustomerPartNo'
+ *         Routing:
+ *           type: array
+ *           description: "Process routing used to cost the item, in Sequence order"
+ *           items:
+ *             $ref: '#/components/schemas/ItemRoutingOperation'
+ *         ItemCategory:
+ *           type: string
+ *           example: "Bus Bar"
+ *           description: "Product category, used to pick the costing policy"
+ *         CostingTemplateID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a9a1"
+ *           description: "Costing template for this item, used when the customer has none"
+ * 
+ *     ItemCustomerPartNo:
+ *       type: object
+ *       required:
+ *         - CustomerID
+ *         - CustomerPartNo
+ *       properties:
+ *         CustomerID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7d1"
+ *         CustomerPartNo:
+ *           type: string
+ *           example: "CUST-BH-77"
+ * 
+ *     ItemRoutingOperation:
+ *       type: object
+ *       description: |
+ *         One operation of an item's process routing. Process cost per piece by the
+ *         process RateType: Per Nos = Rate; Per Kg = Rate × RM weight;
+ *         Per Hour = Rate × CycleTimeMinutes ÷ 60. Setup per batch: Per Hour = Rate ×
+ *         SetupTimeMinutes ÷ 60; Fixed = Rate. Quotation slabs carry the setup once per
+ *         BatchSize pieces, spread over the slab quantity.
+ *       required:
+ *         - Sequence
+ *         - ProcessID
+ *       properties:
+ *         Sequence:
+ *           type: integer
+ *           minimum: 1
+ *           example: 10
+ *           description: "Unique within the routing"
+ *         ProcessID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7e1"
+ *           description: "Reference to an active Process"
+ *         CycleTimeMinutes:
+ *           type: number
+ *           example: 4.5
+ *           description: "Per piece; required for Per Hour processes"
+ *         SetupTimeMinutes:
+ *           type: number
+ *           example: 30
+ *           description: "Per batch"
+ *         BatchSize:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *           example: 200
+ *         VendorOrInhouse:
+ *           type: string
+ *           enum: [Vendor, Inhouse]
+ *           description: "Defaults to the process's flag"
+ *         Remarks:
+ *           type: string
+ *           example: "CNC turning OP-10"
  * 
  *   parameters:
  *     materialIdParam:
@@ -304,6 +413,11 @@ const { protect } = require('../middleware/authMiddleware');
  *         schema:
  *           type: string
  *         description: Filter by material ID
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by item category
  *     responses:
  *       200:
  *         description: List of items retrieved successfully
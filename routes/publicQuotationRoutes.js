@@ -0,0 +1,334 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPublicQuotation,
+  acceptPublicQuotation,
+  rejectPublicQuotation
+} = require('../controllers/publicQuotationController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuotationCustomerResponse:
+ *       type: object
+ *       description: "Response of the party through the customer-facing quotation link"
+ *       properties:
+ *         Decision:
+ *           type: string
+ *           enum: [Accepted, Rejected]
+ *         Name:
+ *           type: string
+ *           example: "R. Mehta"
+ *         Email:
+ *           type: string
+ *           example: "purchase@customer.com"
+ *         PONumber:
+ *           type: string
+ *           example: "PO-2026-0412"
+ *         PODate:
+ *           type: string
+ *           format: date
+ *         Reason:
+ *           type: string
+ *           example: "Price too high"
+ *         IPAddress:
+ *           type: string
+ *         UserAgent:
+ *           type: string
+ *         RespondedAt:
+ *           type: string
+ *           format: date-time
+ *     PublicQuotation:
+ *       type: object
+ *       description: "Party view of a quotation: document details only, without internal remarks, costing or price approval"
+ *       properties:
+ *         QuotationNo:
+ *           type: string
+ *           example: "QT/2026-27/0001-R1"
+ *         QuotationDate:
+ *           type: string
+ *           format: date-time
+ *         ValidTill:
+ *           type: string
+ *           format: date-time
+ *         Status:
+ *           type: string
+ *           example: "Sent"
+ *         Company:
+ *           type: object
+ *           properties:
+ *             CompanyName:
+ *               type: string
+ *             GSTIN:
+ *               type: string
+ *             State:
+ *               type: string
+ *         Party:
+ *           type: object
+ *           properties:
+ *             Name:
+ *               type: string
+ *             GSTIN:
+ *               type: string
+ *             Address:
+ *               type: string
+ *             ContactPerson:
+ *               type: string
+ *         PlaceOfSupply:
+ *           type: string
+ *         Currency:
+ *           type: string
+ *           example: "INR"
+ *         Items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               PartNo:
+ *                 type: string
+ *               PartName:
+ *                 type: string
+ *               HSNCode:
+ *                 type: string
+ *               Unit:
+ *                 type: string
+ *               Quantity:
+ *                 type: number
+ *               FinalRate:
+ *                 type: number
+ *               Amount:
+ *                 type: number
+ *               GSTPercentage:
+ *                 type: number
+ *               TotalAmount:
+ *                 type: number
+ *               QuantitySlabs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     Quantity:
+ *                       type: number
+ *                     FinalRate:
+ *                       type: number
+ *                     Amount:
+ *                       type: number
+ *         SubTotal:
+ *           type: number
+ *         GSTAmount:
+ *           type: number
+ *         TCSAmount:
+ *           type: number
+ *         RoundOffAmount:
+ *           type: number
+ *         GrandTotal:
+ *           type: number
+ *         AmountInWords:
+ *           type: string
+ *         PaymentTerms:
+ *           type: string
+ *         DeliveryTerms:
+ *           type: string
+ *         TermsConditions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               Title:
+ *                 type: string
+ *               Description:
+ *                 type: string
+ *         CustomerResponse:
+ *           $ref: '#/components/schemas/QuotationCustomerResponse'
+ *         CanRespond:
+ *           type: boolean
+ *           description: "True while the quotation is Sent, the latest revision and still valid"
+ *         LinkExpiresAt:
+ *           type: string
+ *           format: date-time
+ *   responses:
+ *     QuotationLinkInvalid:
+ *       description: Link is invalid, has been replaced by a newer link or was revoked
+ *     QuotationLinkExpired:
+ *       description: Link has expired
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Public Quotations
+ *   description: |
+ *     Customer-facing quotation pages opened through a signed link (see
+ *     POST /api/quotations/{id}/public-link). No login is needed; the token in the URL
+ *     identifies the quotation. Responses are recorded in the quotation's StatusHistory
+ *     with the responder's name, IP address and user agent.
+ */
+
+/**
+ * @swagger
+ * /api/public/quotations/{token}:
+ *   get:
+ *     summary: View a quotation through its customer-facing link
+ *     tags: [Public Quotations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Link token
+ *     responses:
+ *       200:
+ *         description: Quotation details for the party
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PublicQuotation'
+ *       404:
+ *         $ref: '#/components/responses/QuotationLinkInvalid'
+ *       410:
+ *         $ref: '#/components/responses/QuotationLinkExpired'
+ *       500:
+ *         description: Server error
+ */
+router.get('/:token', getPublicQuotation);
+
+/**
+ * @swagger
+ * /api/public/quotations/{token}/accept:
+ *   post:
+ *     summary: Accept a quotation through its customer-facing link
+ *     tags: [Public Quotations]
+ *     description: |
+ *       Moves the quotation to Approved and records the party's PO reference.
+ *       Only the latest revision of a Sent quotation within its validity can be accepted;
+ *       a quotation whose validity has ended is moved to Expired.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Link token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - PONumber
+ *               - Name
+ *             properties:
+ *               PONumber:
+ *                 type: string
+ *                 example: "PO-2026-0412"
+ *               PODate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-10-19"
+ *               Name:
+ *                 type: string
+ *                 example: "R. Mehta"
+ *               Email:
+ *                 type: string
+ *                 example: "purchase@customer.com"
+ *     responses:
+ *       200:
+ *         description: Quotation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PublicQuotation'
+ *                 message:
+ *                   type: string
+ *                   example: "Thank you. Quotation QT/2026-27/0001-R1 has been accepted"
+ *       400:
+ *         description: PO number or name missing, already responded, revised or expired
+ *       404:
+ *         $ref: '#/components/responses/QuotationLinkInvalid'
+ *       409:
+ *         description: Another response was recorded at the same time
+ *       410:
+ *         $ref: '#/components/responses/QuotationLinkExpired'
+ *       500:
+ *         description: Server error
+ */
+router.post('/:token/accept', acceptPublicQuotation);
+
+/**
+ * @swagger
+ * /api/public/quotations/{token}/reject:
+ *   post:
+ *     summary: Reject a quotation through its customer-facing link
+ *     tags: [Public Quotations]
+ *     description: Moves the quotation to Rejected with the party's reason.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Link token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Reason
+ *               - Name
+ *             properties:
+ *               Reason:
+ *                 type: string
+ *                 example: "Price too high"
+ *               Name:
+ *                 type: string
+ *                 example: "R. Mehta"
+ *               Email:
+ *                 type: string
+ *                 example: "purchase@customer.com"
+ *     responses:
+ *       200:
+ *         description: Quotation rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PublicQuotation'
+ *                 message:
+ *                   type: string
+ *                   example: "Quotation QT/2026-27/0001-R1 has been rejected"
+ *       400:
+ *         description: Reason or name missing, already responded, revised or expired
+ *       404:
+ *         $ref: '#/components/responses/QuotationLinkInvalid'
+ *       409:
+ *         description: Another response was recorded at the same time
+ *       410:
+ *         $ref: '#/components/responses/QuotationLinkExpired'
+ *       500:
+ *         description: Server error
+ */
+router.post('/:token/reject', rejectPublicQuotation);
+
+module.exports = router;
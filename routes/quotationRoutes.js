@@ -2,14 +2,39 @@ const express = require('express');
 const router = express.Router();
 const {
   getQuotations,
+  exportQuotationRegister,
   getQuotation,
   createQuotation,
   getVendorsForDropdown,
+  getCustomersForDropdown,
   calculateQuotation,
   updateQuotation,
-  deleteQuotation
+  deleteQuotation,
+  getQuotationPdf,
+  changeQuotationStatus,
+  reviewQuotationPrice,
+  sendQuotation,
+  getQuotationEmails,
+  reviseQuotation,
+  getQuotationRevisions,
+  compareQuotationRevisions,
+  getQuotationSalesOrders,
+  cloneQuotation,
+  importQuotation,
+  createQuotationLink,
+  revokeQuotationLink
 } = require('../controllers/quotationController');
+const {
+  getAnalyticsSummary,
+  getAnalyticsByMonth,
+  getAnalyticsByParty,
+  getAnalyticsByPart,
+  getAnalyticsByEmployee,
+  getLostReasons
+} = require('../controllers/quotationAnalyticsController');
 const { protect } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/roleMiddleware');
+const { uploadSpreadsheet } = require('../middleware/uploadMiddleware');
 
 /**
  * @swagger
@@ -23,8 +48,31 @@ const { protect } = require('../middleware/authMiddleware');
  *           example: "64f8e9b7a1b2c3d4e5f6a7b8"
  *         QuotationNo:
  *           type: string
- *           example: "QT-202401-1234"
- *           description: "Auto-generated quotation number"
+ *           example: "QT/2026-27/0001"
+ *           description: "Auto-generated from the company document series (shared by all revisions)"
+ *         RevisionNo:
+ *           type: number
+ *           example: 1
+ *           description: "0 for the original quotation, 1 for R1 and so on"
+ *         FullQuotationNo:
+ *           type: string
+ *           example: "QT/2026-27/0001-R1"
+ *         IsLatestRevision:
+ *           type: boolean
+ *           example: true
+ *           description: "Previous revisions are immutable"
+ *         RevisedFromID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7b7"
+ *         RevisionReason:
+ *           type: string
+ *           example: "Customer counter-offer on quantity"
+ *         TemplateID:
+ *           type: string
+ *           description: "Template the quotation was created from"
+ *         ClonedFromID:
+ *           type: string
+ *           description: "Quotation this one was cloned from"
  *         QuotationDate:
  *           type: string
  *           format: date-time
@@ -94,6 +142,31 @@ const { protect } = require('../middleware/authMiddleware');
  *           type: string
  *           enum: [Existing, New]
  *           example: "Existing"
+ *         PartyType:
+ *           type: string
+ *           enum: [Vendor, Customer]
+ *           example: "Customer"
+ *           description: "Vendor* fields hold the party snapshot for both party types"
+ *         CustomerID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7d1"
+ *         AddressType:
+ *           type: string
+ *           enum: [Billing, Shipping]
+ *           example: "Billing"
+ *         BillingAddress:
+ *           type: string
+ *           example: "12 MIDC, Pune"
+ *         ShippingAddress:
+ *           type: string
+ *           example: "Plot 7, Peenya, Bengaluru"
+ *         PlaceOfSupply:
+ *           type: string
+ *           example: "Karnataka"
+ *         PlaceOfSupplyStateCode:
+ *           type: number
+ *           example: 29
+ *           description: "Decides IGST vs CGST/SGST against the company state"
  *         GSTType:
  *           type: string
  *           enum: [CGST/SGST, IGST]
@@ -102,41 +175,138 @@ const { protect } = require('../middleware/authMiddleware');
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/QuotationItem'
+ *         Charges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuotationCharge'
+ *         GrossAmount:
+ *           type: number
+ *           example: 16244.81
+ *         DiscountAmount:
+ *           type: number
+ *           example: 773.56
  *         SubTotal:
  *           type: number
  *           format: float
  *           example: 15471.25
  *           minimum: 0
+ *           description: "Item value after line discounts"
+ *         ChargesAmount:
+ *           type: number
+ *           example: 1500
+ *         TaxableAmount:
+ *           type: number
+ *           example: 16971.25
+ *           description: "Item value plus taxable charges"
  *         GSTPercentage:
  *           type: number
  *           format: float
  *           example: 18.0
  *           minimum: 0
  *           maximum: 100
+ *           description: "Effective GST rate across all lines"
+ *         CGSTAmount:
+ *           type: number
+ *           format: float
+ *           example: 0
+ *         SGSTAmount:
+ *           type: number
+ *           format: float
+ *           example: 0
+ *         IGSTAmount:
+ *           type: number
+ *           format: float
+ *           example: 2784.83
  *         GSTAmount:
  *           type: number
  *           format: float
  *           example: 2784.83
  *           minimum: 0
+ *         TaxSummary:
+ *           type: array
+ *           description: "HSN-wise tax summary (one row per HSN code and GST rate)"
+ *           items:
+ *             $ref: '#/components/schemas/QuotationTaxSummary'
+ *         TotalAmount:
+ *           type: number
+ *           example: 18256.08
+ *           description: "SubTotal + ChargesAmount + GSTAmount, before TCS and round-off"
+ *         TCSPercentage:
+ *           type: number
+ *           example: 0
+ *         TCSAmount:
+ *           type: number
+ *           example: 0
+ *           description: "TCS on TotalAmount"
+ *         RoundOffType:
+ *           type: string
+ *           enum: [Nearest, Up, None]
+ *           example: "Nearest"
+ *         RoundOffAmount:
+ *           type: number
+ *           example: -0.08
+ *           description: "Adjustment bringing the payable amount to a whole unit (may be negative)"
  *         GrandTotal:
  *           type: number
  *           format: float
- *           example: 18256.08
+ *           example: 18256
  *           minimum: 0
+ *           description: "Final payable amount (TotalAmount + TCSAmount + RoundOffAmount)"
+ *         BaseGrandTotal:
+ *           type: number
+ *           example: 18256.08
+ *           description: "Grand total in INR (GrandTotal × ExchangeRate)"
  *         AmountInWords:
  *           type: string
- *           example: "Eighteen Thousand Two Hundred Fifty Six Rupees and Eight Paise Only"
+ *           example: "Eighteen Thousand Two Hundred Fifty Six Rupees Only"
+ *           description: "Final payable amount in the quotation currency (e.g. US Dollars and Cents)"
+ *         Currency:
+ *           type: string
+ *           enum: [INR, USD, EUR, GBP, AED, SGD, AUD]
+ *           default: INR
+ *         ExchangeRate:
+ *           type: number
+ *           example: 1
+ *           description: "INR per unit of Currency, fixed when the quotation is made; amounts and rates are in Currency"
+ *         ExchangeRateDate:
+ *           type: string
+ *           format: date-time
+ *           description: "Effective date of the exchange rate used"
+ *         IsExport:
+ *           type: boolean
+ *           description: "Zero-rated export; place of supply is Other Countries (96) and GST type IGST"
+ *         ExportTaxOption:
+ *           type: string
+ *           enum: [LUT, WithIGST]
+ *           description: "LUT: without payment of IGST (no tax); WithIGST: IGST charged"
+ *         LUTNumber:
+ *           type: string
+ *         PaymentTerms:
+ *           type: string
+ *           example: "30 Days"
+ *         DeliveryTerms:
+ *           type: string
+ *           example: "Ex-works, 4 weeks from PO"
+ *         TermsConditionSetID:
+ *           type: string
+ *           description: "T&C set the clauses were taken from"
  *         TermsConditions:
  *           type: array
  *           items:
  *             type: object
  *             properties:
+ *               TermsConditionID:
+ *                 type: string
  *               Title:
  *                 type: string
  *                 example: "Payment Terms"
+ *               Template:
+ *                 type: string
+ *                 example: "Payment {{PaymentTerms}} from invoice date"
  *               Description:
  *                 type: string
- *                 example: "50% advance, 50% against delivery"
+ *                 example: "Payment 30 Days from invoice date"
+ *                 description: "Template with placeholders resolved (frozen once the quotation leaves Draft)"
  *               Sequence:
  *                 type: number
  *                 example: 1
@@ -148,11 +318,97 @@ const { protect } = require('../middleware/authMiddleware');
  *           example: "Please ensure packaging is waterproof"
  *         Status:
  *           type: string
- *           enum: [Draft, Sent, Approved, Rejected, Cancelled]
+ *           enum: [Draft, Sent, Approved, Rejected, Expired, Cancelled]
  *           example: "Draft"
+ *         PriceApprovalStatus:
+ *           type: string
+ *           enum: [Not Required, Pending, Approved, Rejected]
+ *           example: "Not Required"
+ *           description: "Pending while lines are quoted below the floor rate; must be Approved before sending"
+ *         PriceApprovalBy:
+ *           type: string
+ *         PriceApprovalAt:
+ *           type: string
+ *           format: date-time
+ *         PriceApprovalRemarks:
+ *           type: string
+ *         StatusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               FromStatus:
+ *                 type: string
+ *                 example: "Draft"
+ *               ToStatus:
+ *                 type: string
+ *                 example: "Sent"
+ *               ChangedBy:
+ *                 type: string
+ *                 example: "64f8e9b7a1b2c3d4e5f6a7c2"
+ *               ChangedAt:
+ *                 type: string
+ *                 format: date-time
+ *               Reason:
+ *                 type: string
+ *               RespondedBy:
+ *                 type: string
+ *                 example: "R. Mehta"
+ *                 description: "Party contact who responded through the quotation link"
+ *               IPAddress:
+ *                 type: string
+ *               UserAgent:
+ *                 type: string
+ *         PublicLinkExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: "Expiry of the current customer-facing link (see POST /api/quotations/{id}/public-link)"
+ *         PublicLinkCreatedAt:
+ *           type: string
+ *           format: date-time
+ *         PublicLinkCreatedBy:
+ *           type: string
+ *         PublicLinkViewedAt:
+ *           type: string
+ *           format: date-time
+ *           description: "Last time the party opened the link"
+ *         CustomerResponse:
+ *           $ref: '#/components/schemas/QuotationCustomerResponse'
+ *         SentAt:
+ *           type: string
+ *           format: date-time
+ *         SentBy:
+ *           type: string
+ *         ApprovedAt:
+ *           type: string
+ *           format: date-time
+ *         ApprovedBy:
+ *           type: string
+ *         RejectedAt:
+ *           type: string
+ *           format: date-time
+ *         RejectedBy:
+ *           type: string
+ *         RejectionReason:
+ *           type: string
+ *           example: "Price too high"
+ *         CancelledAt:
+ *           type: string
+ *           format: date-time
+ *         CancelledBy:
+ *           type: string
+ *         CancellationReason:
+ *           type: string
+ *         ExpiredAt:
+ *           type: string
+ *           format: date-time
  *         IsActive:
  *           type: boolean
  *           example: true
+ *         PDFPath:
+ *           type: string
+ *           example: "uploads/quotations/QT_2026-27_0001.pdf"
+ *           description: "Path of the last generated PDF document (see GET /api/quotations/{id}/pdf)"
  *         CreatedBy:
  *           type: object
  *           properties:
@@ -202,132 +458,642 @@ const { protect } = require('../middleware/authMiddleware');
  *           format: float
  *           example: 154.71
  *           minimum: 0
+ *           description: "Quoted rate (costed rate or negotiated override)"
+ *         IsRateOverridden:
+ *           type: boolean
+ *           example: false
+ *         OverrideReason:
+ *           type: string
+ *           example: ""
+ *         CostedRate:
+ *           type: number
+ *           example: 154.71
+ *           description: "FinalRate from Costing at the time of quoting"
+ *         CostingID:
+ *           type: string
+ *           description: "Costing the line was priced from"
+ *         CostingVersionNo:
+ *           type: number
+ *           example: 3
+ *           description: "Costing version the line was priced from (see GET /api/costings/{id}/versions)"
+ *         CostRate:
+ *           type: number
+ *           example: 138.13
+ *           description: "Cost without margin (SubCost + Overhead)"
+ *         FloorRate:
+ *           type: number
+ *           example: 145.04
+ *           description: "CostRate plus the company's minimum margin"
+ *         NetRate:
+ *           type: number
+ *           example: 146.97
+ *           description: "Unit rate after line discount"
+ *         RateVariance:
+ *           type: number
+ *           example: -7.74
+ *           description: "NetRate - CostedRate"
+ *         RateVariancePercentage:
+ *           type: number
+ *           example: -5
+ *         MarginOverCost:
+ *           type: number
+ *           example: 8.84
+ *           description: "NetRate - CostRate"
+ *         MarginOverCostPercentage:
+ *           type: number
+ *           example: 6.4
+ *         IsBelowFloor:
+ *           type: boolean
+ *           example: false
+ *         DiscountType:
+ *           type: string
+ *           enum: [Percentage, Amount]
+ *           example: "Percentage"
+ *         DiscountValue:
+ *           type: number
+ *           example: 5
+ *         GrossAmount:
+ *           type: number
+ *           description: "Quantity x FinalRate"
+ *           example: 15471.00
+ *         DiscountAmount:
+ *           type: number
+ *           example: 773.55
  *         Amount:
  *           type: number
  *           format: float
- *           example: 15471.00
+ *           example: 14697.45
  *           minimum: 0
+ *           description: "Taxable value (Gross Amount less discount)"
+ *         GSTPercentage:
+ *           type: number
+ *           example: 18
+ *           description: "GST rate from Tax Master for the line's HSN code"
+ *         CGSTPercentage:
+ *           type: number
+ *           example: 9
+ *         SGSTPercentage:
+ *           type: number
+ *           example: 9
+ *         IGSTPercentage:
+ *           type: number
+ *           example: 18
+ *         CGSTAmount:
+ *           type: number
+ *           example: 0
+ *         SGSTAmount:
+ *           type: number
+ *           example: 0
+ *         IGSTAmount:
+ *           type: number
+ *           example: 2784.78
+ *         TaxAmount:
+ *           type: number
+ *           example: 2784.78
+ *         TotalAmount:
+ *           type: number
+ *           example: 18255.78
+ *         QuantitySlabs:
+ *           type: array
+ *           description: "Quantity breaks quoted side by side (empty for single-quantity lines); the line Quantity is always one of them"
+ *           items:
+ *             $ref: '#/components/schemas/QuotationQuantitySlab'
+ *         OrderedQuantity:
+ *           type: number
+ *           example: 60
+ *           description: "Quantity already converted into sales orders"
+ *         SelectedSlabQuantity:
+ *           type: number
+ *           example: 1000
+ *           description: "Slab chosen on the first sales order against a slab-priced line"
+ *         OpenQuantity:
+ *           type: number
+ *           example: 40
+ *           description: "Quantity still available for sales orders (of the selected slab once chosen)"
  * 
- *     QuotationCreate:
+ *     QuotationQuantitySlab:
  *       type: object
- *       required:
- *         - VendorType
- *         - Items
  *       properties:
- *         VendorType:
- *           type: string
- *           enum: [Existing, New]
- *           example: "Existing"
- *           description: "Whether vendor exists in Vendor Master or needs to be created"
- *         VendorID:
- *           type: string
- *           example: "64f8e9b7a1b2c3d4e5f6a7c1"
- *           description: "Required if VendorType is 'Existing'"
- *         NewVendor:
- *           type: object
- *           description: "Required if VendorType is 'New'"
+ *         Quantity:
+ *           type: number
+ *           example: 1000
+ *         FinalRate:
+ *           type: number
+ *           example: 148.2
+ *           description: "Quoted rate at this quantity (costed slab rate or negotiated override)"
+ *         IsRateOverridden:
+ *           type: boolean
+ *           example: false
+ *         SetupCostPerUnit:
+ *           type: number
+ *           example: 1.5
+ *           description: "Costing SetupCost spread over the slab quantity"
+ *         CostedRate:
+ *           type: number
+ *           example: 148.2
+ *           description: "Costing FinalRate plus the setup cost per unit with overhead and margin"
+ *         CostRate:
+ *           type: number
+ *           example: 132.3
+ *         FloorRate:
+ *           type: number
+ *           example: 138.92
+ *         NetRate:
+ *           type: number
+ *           example: 140.79
+ *         IsBelowFloor:
+ *           type: boolean
+ *           example: false
+ *         Amount:
+ *           type: number
+ *           example: 140790
+ *           description: "Slab value after the line discount"
+ * 
+ *     QuotationQuantitySlabInput:
+ *       oneOf:
+ *         - type: number
+ *           example: 5000
+ *         - type: object
+ *           required:
+ *             - Quantity
  *           properties:
- *             VendorName:
- *               type: string
- *               example: "New Supplier Pvt Ltd"
- *               required: true
- *             GSTIN:
- *               type: string
- *               example: "27NEWSP1234F1Z5"
- *             State:
- *               type: string
- *               example: "Maharashtra"
- *               required: true
- *             StateCode:
+ *             Quantity:
  *               type: number
- *               example: 27
- *               required: true
- *               minimum: 1
- *               maximum: 37
- *             Address:
- *               type: string
- *               example: "123 Main Street, Mumbai"
- *               required: true
- *             City:
- *               type: string
- *               example: "Mumbai"
- *               required: true
- *             Pincode:
- *               type: string
- *               example: "400001"
- *               required: true
- *             ContactPerson:
- *               type: string
- *               example: "Raj Sharma"
- *               required: true
- *             Phone:
- *               type: string
- *               example: "9876543210"
- *               required: true
- *             Email:
- *               type: string
- *               example: "raj@newsupplier.com"
- *               required: true
- *             PAN:
- *               type: string
- *               example: "NEWSP1234F"
- *         Items:
- *           type: array
- *           minItems: 1
- *           items:
- *             type: object
- *             required:
- *               - PartNo
- *               - Quantity
- *             properties:
- *               PartNo:
- *                 type: string
- *                 example: "PN-001"
- *                 description: "Must exist in Item Master and have active Costing"
- *               Quantity:
- *                 type: number
- *                 example: 100
- *                 minimum: 1
- *         ValidTill:
+ *               example: 5000
+ *             OverrideRate:
+ *               type: number
+ *               example: 139
+ *               description: "Negotiated rate for this slab (OverrideReason of the line is then required)"
+ * 
+ *     QuotationCurrencyInput:
+ *       type: object
+ *       properties:
+ *         Currency:
  *           type: string
- *           format: date
- *           example: "2024-02-15"
- *           description: "Defaults to 30 days from quotation date"
- *         InternalRemarks:
+ *           enum: [INR, USD, EUR, GBP, AED, SGD, AUD]
+ *           description: |
+ *             Defaults to the customer's currency (INR for vendors). Costed INR rates are converted
+ *             at the rate in force today from /api/exchange-rates; OverrideRate and charges are in this currency.
+ *             Changing the currency of a draft requires Items.
+ *         IsExport:
+ *           type: boolean
+ *           description: "Defaults to true for foreign currency quotations"
+ *         ExportTaxOption:
  *           type: string
- *           example: "Urgent delivery required"
- *         CustomerRemarks:
+ *           enum: [LUT, WithIGST]
+ *           default: LUT
+ *           description: "LUT needs a valid LUT number on the company"
+ * 
+ *     QuotationTotalsInput:
+ *       type: object
+ *       properties:
+ *         RoundOffType:
  *           type: string
- *           example: "Please ensure packaging is waterproof"
+ *           enum: [Nearest, Up, None]
+ *           description: "Round-off of the payable amount to a whole unit. Defaults to the company's RoundOffType (the source quotation's on clone and revise)"
+ *         TCSPercentage:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           example: 0.1
+ *           description: "Tax collected at source on the total including GST (default 0)"
  * 
- *     QuotationUpdate:
+ *     QuotationTermsInput:
  *       type: object
  *       properties:
- *         Items:
+ *         PaymentTerms:
+ *           type: string
+ *           example: "45 Days"
+ *           description: "Defaults to the party's payment terms"
+ *         DeliveryTerms:
+ *           type: string
+ *           example: "Ex-works, 4 weeks from PO"
+ *         TermsConditionSetID:
+ *           type: string
+ *           description: |
+ *             T&C set to use. Without a set or edited clauses the template's set or clauses,
+ *             the party's default set, the default set, or else all active clauses are used.
+ *         TermsConditions:
  *           type: array
+ *           description: |
+ *             Edited clauses replacing the set. Description may contain placeholders:
+ *             {{QuotationNo}}, {{QuotationDate}}, {{ValidTill}}, {{ValidityDays}}, {{PartyName}},
+ *             {{PlaceOfSupply}}, {{PaymentTerms}}, {{DeliveryTerms}}, {{Currency}}, {{CompanyName}}
  *           items:
  *             type: object
+ *             required:
+ *               - Title
+ *               - Description
  *             properties:
- *               PartNo:
+ *               TermsConditionID:
  *                 type: string
- *                 example: "PN-001"
- *               Quantity:
- *                 type: number
- *                 example: 150
- *         ValidTill:
- *           type: string
- *           format: date
- *           example: "2024-02-20"
- *         InternalRemarks:
- *           type: string
- *           example: "Updated delivery instructions"
- *         CustomerRemarks:
- *           type: string
+ *               Title:
+ *                 type: string
+ *                 example: "Validity"
+ *               Description:
+ *                 type: string
+ *                 example: "This offer is valid till {{ValidTill}}"
+ *               Sequence:
+ *                 type: integer
+ *                 minimum: 1
+ * 
+ *     QuotationChargeInput:
+ *       type: object
+ *       required:
+ *         - ChargeType
+ *         - Amount
+ *       properties:
+ *         ChargeType:
+ *           type: string
+ *           enum: [Freight, Packing & Forwarding, Loading, Insurance, Other]
+ *           example: "Freight"
+ *         Description:
+ *           type: string
+ *           example: "Freight to Pune"
+ *         Amount:
+ *           type: number
+ *           example: 1500
+ *         IsTaxable:
+ *           type: boolean
+ *           default: true
+ *         HSNSACCode:
+ *           type: string
+ *           example: "996511"
+ *           description: "Required for taxable charges; GST rate is taken from Tax Master"
+ * 
+ *     QuotationCharge:
+ *       allOf:
+ *         - $ref: '#/components/schemas/QuotationChargeInput'
+ *         - type: object
+ *           properties:
+ *             GSTPercentage:
+ *               type: number
+ *               example: 18
+ *             CGSTAmount:
+ *               type: number
+ *               example: 0
+ *             SGSTAmount:
+ *               type: number
+ *               example: 0
+ *             IGSTAmount:
+ *               type: number
+ *               example: 270
+ *             TaxAmount:
+ *               type: number
+ *               example: 270
+ *             TotalAmount:
+ *               type: number
+ *               example: 1770
+ * 
+ *     QuotationOutcome:
+ *       type: object
+ *       description: "Win/loss figures of a group of quotations (plus the group key fields)"
+ *       properties:
+ *         totalCount:
+ *           type: integer
+ *           example: 40
+ *         wonCount:
+ *           type: integer
+ *           example: 12
+ *         lostCount:
+ *           type: integer
+ *           example: 10
+ *         expiredCount:
+ *           type: integer
+ *           example: 6
+ *         openCount:
+ *           type: integer
+ *           example: 12
+ *         totalValue:
+ *           type: number
+ *           example: 2450000
+ *         wonValue:
+ *           type: number
+ *           example: 810000
+ *         lostValue:
+ *           type: number
+ *           example: 640000
+ *         expiredValue:
+ *           type: number
+ *           example: 220000
+ *         openValue:
+ *           type: number
+ *           example: 780000
+ *         conversionRate:
+ *           type: number
+ *           example: 42.86
+ *           description: "Won out of won + lost + expired (%)"
+ *         winRate:
+ *           type: number
+ *           example: 54.55
+ *           description: "Won out of won + lost (%)"
+ *         valueConversionRate:
+ *           type: number
+ *           example: 48.5
+ * 
+ *     QuotationEmailLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         QuotationID:
+ *           type: string
+ *         DocumentNo:
+ *           type: string
+ *           example: "QT/2026-27/0001"
+ *         TemplateID:
+ *           type: string
+ *         To:
+ *           type: array
+ *           items:
+ *             type: string
+ *         Cc:
+ *           type: array
+ *           items:
+ *             type: string
+ *         Subject:
+ *           type: string
+ *         Body:
+ *           type: string
+ *         Attachment:
+ *           type: string
+ *           example: "uploads/quotations/QT-2026-27-0001.pdf"
+ *         Status:
+ *           type: string
+ *           enum: [Sent, Failed]
+ *         MessageID:
+ *           type: string
+ *         Accepted:
+ *           type: array
+ *           items:
+ *             type: string
+ *         Rejected:
+ *           type: array
+ *           items:
+ *             type: string
+ *         Error:
+ *           type: string
+ *           example: ""
+ *         SentBy:
+ *           type: string
+ *         AttemptedAt:
+ *           type: string
+ *           format: date-time
+ * 
+ *     QuotationRateAnalysis:
+ *       type: object
+ *       description: "Quoted item value against costing (internal)"
+ *       properties:
+ *         costedAmount:
+ *           type: number
+ *           example: 15471.00
+ *           description: "Item value at costed rates"
+ *         costAmount:
+ *           type: number
+ *           example: 13813.00
+ *           description: "Item value at cost without margin (SubCost + Overhead)"
+ *         quotedAmount:
+ *           type: number
+ *           example: 14697.45
+ *           description: "Item value quoted (after overrides and discounts)"
+ *         rateVariance:
+ *           type: number
+ *           example: -773.55
+ *         marginOverCost:
+ *           type: number
+ *           example: 884.45
+ *         marginOverCostPercentage:
+ *           type: number
+ *           example: 6.4
+ *         overriddenLines:
+ *           type: integer
+ *           example: 0
+ *         belowFloorLines:
+ *           type: integer
+ *           example: 0
+ * 
+ *     QuotationTaxSummary:
+ *       type: object
+ *       properties:
+ *         HSNCode:
+ *           type: string
+ *           example: "741421"
+ *         GSTPercentage:
+ *           type: number
+ *           example: 18
+ *         TaxableAmount:
+ *           type: number
+ *           example: 15471.00
+ *         CGSTAmount:
+ *           type: number
+ *           example: 0
+ *         SGSTAmount:
+ *           type: number
+ *           example: 0
+ *         IGSTAmount:
+ *           type: number
+ *           example: 2784.78
+ *         TotalTaxAmount:
+ *           type: number
+ *           example: 2784.78
+ * 
+ *     QuotationCreate:
+ *       type: object
+ *       required:
+ *         - VendorType
+ *       properties:
+ *         TemplateID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7e1"
+ *           description: "Quotation template supplying Items, Charges, remarks and T&C not given in the request"
+ *         PartyType:
+ *           type: string
+ *           enum: [Vendor, Customer]
+ *           default: Vendor
+ *           description: "Whether the quotation is addressed to a vendor or a customer"
+ *         CustomerID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7d1"
+ *           description: "Required if PartyType is 'Customer' and VendorType is 'Existing'"
+ *         NewCustomer:
+ *           $ref: '#/components/schemas/NewCustomer'
+ *         AddressType:
+ *           type: string
+ *           enum: [Billing, Shipping]
+ *           default: Billing
+ *           description: "Customer address the quotation is addressed to; place of supply is always the shipping state"
+ *         VendorType:
+ *           type: string
+ *           enum: [Existing, New]
+ *           example: "Existing"
+ *           description: "Whether the vendor/customer exists in its master or needs to be created"
+ *         VendorID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7c1"
+ *           description: "Required if VendorType is 'Existing'"
+ *         NewVendor:
+ *           type: object
+ *           description: "Required if VendorType is 'New'"
+ *           properties:
+ *             VendorName:
+ *               type: string
+ *               example: "New Supplier Pvt Ltd"
+ *               required: true
+ *             GSTIN:
+ *               type: string
+ *               example: "27NEWSP1234F1Z5"
+ *             State:
+ *               type: string
+ *               example: "Maharashtra"
+ *               required: true
+ *             StateCode:
+ *               type: number
+ *               example: 27
+ *               required: true
+ *               minimum: 1
+ *               maximum: 37
+ *             Address:
+ *               type: string
+ *               example: "123 Main Street, Mumbai"
+ *               required: true
+ *             City:
+ *               type: string
+ *               example: "Mumbai"
+ *               required: true
+ *             Pincode:
+ *               type: string
+ *               example: "400001"
+ *               required: true
+ *             ContactPerson:
+ *               type: string
+ *               example: "Raj Sharma"
+ *               required: true
+ *             Phone:
+ *               type: string
+ *               example: "9876543210"
+ *               required: true
+ *             Email:
+ *               type: string
+ *               example: "raj@newsupplier.com"
+ *               required: true
+ *             PAN:
+ *               type: string
+ *               example: "NEWSP1234F"
+ *         Items:
+ *           type: array
+ *           minItems: 1
+ *           description: "Required unless TemplateID is given"
+ *           items:
+ *             type: object
+ *             required:
+ *               - PartNo
+ *               - Quantity
+ *             properties:
+ *               PartNo:
+ *                 type: string
+ *                 example: "PN-001"
+ *                 description: "Must exist in Item Master and have active Costing (the customer party's own costing, else the generic one)"
+ *               Quantity:
+ *                 type: number
+ *                 example: 100
+ *                 minimum: 1
+ *               DiscountType:
+ *                 type: string
+ *                 enum: [Percentage, Amount]
+ *                 default: Percentage
+ *               DiscountValue:
+ *                 type: number
+ *                 example: 5
+ *                 description: "Percent of gross amount or flat amount per line"
+ *               OverrideRate:
+ *                 type: number
+ *                 example: 142.5
+ *                 description: "Negotiated rate replacing the costed FinalRate"
+ *               OverrideReason:
+ *                 type: string
+ *                 example: "Matched competitor offer for annual volume"
+ *                 description: "Required when OverrideRate differs from the costed rate"
+ *               QuantitySlabs:
+ *                 type: array
+ *                 example: [500, 1000, 5000]
+ *                 description: "Extra quantity breaks to quote side by side; each is costed with the setup cost spread over its quantity"
+ *                 items:
+ *                   $ref: '#/components/schemas/QuotationQuantitySlabInput'
+ *         Charges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuotationChargeInput'
+ *         ValidTill:
+ *           type: string
+ *           format: date
+ *           example: "2024-02-15"
+ *           description: "Defaults to 30 days from quotation date"
+ *         InternalRemarks:
+ *           type: string
+ *           example: "Urgent delivery required"
+ *         CustomerRemarks:
+ *           type: string
+ *           example: "Please ensure packaging is waterproof"
+ * 
+ *     QuotationUpdate:
+ *       type: object
+ *       properties:
+ *         Items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               PartNo:
+ *                 type: string
+ *                 example: "PN-001"
+ *               Quantity:
+ *                 type: number
+ *                 example: 150
+ *               DiscountType:
+ *                 type: string
+ *                 enum: [Percentage, Amount]
+ *                 default: Percentage
+ *               DiscountValue:
+ *                 type: number
+ *                 example: 5
+ *                 description: "Percent of gross amount or flat amount per line"
+ *               OverrideRate:
+ *                 type: number
+ *                 example: 142.5
+ *                 description: "Negotiated rate replacing the costed FinalRate"
+ *               OverrideReason:
+ *                 type: string
+ *                 example: "Matched competitor offer for annual volume"
+ *                 description: "Required when OverrideRate differs from the costed rate"
+ *               QuantitySlabs:
+ *                 type: array
+ *                 example: [500, 1000, 5000]
+ *                 description: "Extra quantity breaks to quote side by side; each is costed with the setup cost spread over its quantity"
+ *                 items:
+ *                   $ref: '#/components/schemas/QuotationQuantitySlabInput'
+ *         Charges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuotationChargeInput'
+ *         ValidTill:
+ *           type: string
+ *           format: date
+ *           example: "2024-02-20"
+ *         InternalRemarks:
+ *           type: string
+ *           example: "Updated delivery instructions"
+ *         CustomerRemarks:
+ *           type: string
  *           example: "Revised packaging requirements"
  *         Status:
  *           type: string
- *           enum: [Draft, Sent, Approved, Rejected, Cancelled]
+ *           enum: [Draft, Sent, Approved, Rejected, Expired, Cancelled]
  *           example: "Sent"
+ *           description: "Status change from Draft (Sent or Cancelled); see PUT /api/quotations/{id}/status"
+ *         Reason:
+ *           type: string
+ *           example: "Customer withdrew enquiry"
+ *           description: "Required when cancelling"
  * 
  *     QuotationPreview:
  *       type: object
@@ -335,6 +1101,22 @@ const { protect } = require('../middleware/authMiddleware');
  *         - VendorType
  *         - Items
  *       properties:
+ *         PartyType:
+ *           type: string
+ *           enum: [Vendor, Customer]
+ *           default: Vendor
+ *           description: "Whether the quotation is addressed to a vendor or a customer"
+ *         CustomerID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7d1"
+ *           description: "Required if PartyType is 'Customer' and VendorType is 'Existing'"
+ *         NewCustomer:
+ *           $ref: '#/components/schemas/NewCustomer'
+ *         AddressType:
+ *           type: string
+ *           enum: [Billing, Shipping]
+ *           default: Billing
+ *           description: "Customer address the quotation is addressed to; place of supply is always the shipping state"
  *         VendorType:
  *           type: string
  *           enum: [Existing, New]
@@ -368,46 +1150,152 @@ const { protect } = require('../middleware/authMiddleware');
  *               Quantity:
  *                 type: number
  *                 example: 100
+ *               DiscountType:
+ *                 type: string
+ *                 enum: [Percentage, Amount]
+ *                 default: Percentage
+ *               DiscountValue:
+ *                 type: number
+ *                 example: 5
+ *                 description: "Percent of gross amount or flat amount per line"
+ *               OverrideRate:
+ *                 type: number
+ *                 example: 142.5
+ *                 description: "Negotiated rate replacing the costed FinalRate"
+ *               OverrideReason:
+ *                 type: string
+ *                 example: "Matched competitor offer for annual volume"
+ *                 description: "Required when OverrideRate differs from the costed rate"
+ *               QuantitySlabs:
+ *                 type: array
+ *                 example: [500, 1000, 5000]
+ *                 description: "Extra quantity breaks to quote side by side; each is costed with the setup cost spread over its quantity"
+ *                 items:
+ *                   $ref: '#/components/schemas/QuotationQuantitySlabInput'
+ *         Charges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuotationChargeInput'
  * 
- *     VendorDropdown:
+ *     CustomerDropdown:
  *       type: object
  *       properties:
  *         _id:
  *           type: string
- *           example: "64f8e9b7a1b2c3d4e5f6a7c1"
- *         VendorCode:
+ *           example: "64f8e9b7a1b2c3d4e5f6a7d1"
+ *         CustomerCode:
  *           type: string
- *           example: "V-001"
- *         VendorName:
+ *           example: "C-001"
+ *         CustomerName:
  *           type: string
- *           example: "XYZ Suppliers"
+ *           example: "PQR Engineering"
  *         GSTIN:
  *           type: string
- *           example: "27XYZAB1234C1D2"
+ *           example: "27PQREN1234F1Z5"
  *         State:
  *           type: string
- *           example: "Gujarat"
+ *           example: "Maharashtra"
  *         StateCode:
  *           type: number
- *           example: 24
- *         ContactPerson:
+ *           example: 27
+ *         ShippingState:
  *           type: string
- *           example: "Ramesh Patel"
- *         Phone:
+ *           example: "Karnataka"
+ *         ShippingStateCode:
+ *           type: number
+ *           example: 29
+ *         BillingAddress:
  *           type: string
- *           example: "9876543210"
- *         Email:
+ *           example: "12 MIDC, Pune"
+ *         ShippingAddress:
  *           type: string
- *           example: "ramesh@xyzsuppliers.com"
+ *           example: "Plot 7, Peenya, Bengaluru"
  * 
- *   responses:
- *     QuotationNotFound:
- *       description: Quotation not found
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
+ *     NewCustomer:
+ *       type: object
+ *       description: "One-off customer added to the Customer Master when the quotation is created"
+ *       required:
+ *         - CustomerName
+ *         - BillingAddress
+ *         - GSTIN
+ *         - State
+ *         - StateCode
+ *         - ContactPerson
+ *         - Phone
+ *         - Email
+ *       properties:
+ *         CustomerName:
+ *           type: string
+ *           example: "PQR Engineering"
+ *         BillingAddress:
+ *           type: string
+ *         ShippingAddress:
+ *           type: string
+ *           description: "Defaults to the billing address"
+ *         GSTIN:
+ *           type: string
+ *           example: "27PQREN1234F1Z5"
+ *         State:
+ *           type: string
+ *           example: "Maharashtra"
+ *         StateCode:
+ *           type: number
+ *           example: 27
+ *         ShippingState:
+ *           type: string
+ *           description: "Defaults to State"
+ *         ShippingStateCode:
+ *           type: number
+ *         Currency:
+ *           type: string
+ *           default: INR
+ *           description: "Currency quotations to this customer are made in"
+ *         ContactPerson:
+ *           type: string
+ *         Phone:
+ *           type: string
+ *         Email:
+ *           type: string
+ * 
+ *     VendorDropdown:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7c1"
+ *         VendorCode:
+ *           type: string
+ *           example: "V-001"
+ *         VendorName:
+ *           type: string
+ *           example: "XYZ Suppliers"
+ *         GSTIN:
+ *           type: string
+ *           example: "27XYZAB1234C1D2"
+ *         State:
+ *           type: string
+ *           example: "Gujarat"
+ *         StateCode:
+ *           type: number
+ *           example: 24
+ *         ContactPerson:
+ *           type: string
+ *           example: "Ramesh Patel"
+ *         Phone:
+ *           type: string
+ *           example: "9876543210"
+ *         Email:
+ *           type: string
+ *           example: "ramesh@xyzsuppliers.com"
+ * 
+ *   responses:
+ *     QuotationNotFound:
+ *       description: Quotation not found
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
  *               success:
  *                 type: boolean
  *                 example: false
@@ -525,107 +1413,1167 @@ const { protect } = require('../middleware/authMiddleware');
  *                 example: false
  *               message:
  *                 type: string
- *                 example: "Only draft quotations can be deleted"
- * 
- *   parameters:
- *     statusQueryParam:
- *       in: query
- *       name: status
- *       schema:
- *         type: string
- *         enum: [Draft, Sent, Approved, Rejected, Cancelled]
- *       description: Filter by quotation status
- * 
- *     vendorIdQueryParam:
- *       in: query
- *       name: vendorId
- *       schema:
- *         type: string
- *       description: Filter by vendor ID
- * 
- *     startDateQueryParam:
- *       in: query
- *       name: startDate
- *       schema:
- *         type: string
- *         format: date
- *       description: Filter quotations from this date (YYYY-MM-DD)
- * 
- *     endDateQueryParam:
- *       in: query
- *       name: endDate
- *       schema:
- *         type: string
- *         format: date
- *       description: Filter quotations up to this date (YYYY-MM-DD)
- * 
- *     searchVendorQueryParam:
- *       in: query
- *       name: search
- *       schema:
- *         type: string
- *       description: Search vendors by name, code, or GSTIN
- * 
- *   securitySchemes:
- *     bearerAuth:
- *       type: http
- *       scheme: bearer
- *       bearerFormat: JWT
- */
-
-/**
- * @swagger
- * tags:
- *   name: Quotations
- *   description: Quotation creation, management, and calculations
+ *                 example: "Only draft quotations can be deleted"
+ * 
+ *   parameters:
+ *     statusQueryParam:
+ *       in: query
+ *       name: status
+ *       schema:
+ *         type: string
+ *         enum: [Draft, Sent, Approved, Rejected, Expired, Cancelled]
+ *       description: Filter by quotation status
+ * 
+ *     vendorIdQueryParam:
+ *       in: query
+ *       name: vendorId
+ *       schema:
+ *         type: string
+ *       description: Filter by vendor ID
+ * 
+ *     startDateQueryParam:
+ *       in: query
+ *       name: startDate
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Filter quotations from this date (YYYY-MM-DD)
+ * 
+ *     endDateQueryParam:
+ *       in: query
+ *       name: endDate
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Filter quotations up to this date (YYYY-MM-DD)
+ * 
+ *     searchVendorQueryParam:
+ *       in: query
+ *       name: search
+ *       schema:
+ *         type: string
+ *       description: Search vendors by name, code, or GSTIN
+ * 
+ *     customerIdAnalyticsQueryParam:
+ *       in: query
+ *       name: customerId
+ *       schema:
+ *         type: string
+ *       description: Filter by customer ID
+ * 
+ *     partyTypeAnalyticsQueryParam:
+ *       in: query
+ *       name: partyType
+ *       schema:
+ *         type: string
+ *         enum: [Vendor, Customer]
+ *       description: Filter by party type
+ * 
+ *     createdByAnalyticsQueryParam:
+ *       in: query
+ *       name: createdBy
+ *       schema:
+ *         type: string
+ *       description: Filter by the user who created the quotation
+ * 
+ *     searchCustomerQueryParam:
+ *       in: query
+ *       name: search
+ *       schema:
+ *         type: string
+ *       description: Search customers by name, code, or GSTIN
+ * 
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Quotations
+ *   description: Quotation creation, management, and calculations
+ */
+
+/**
+ * @swagger
+ * /api/quotations:
+ *   get:
+ *     summary: Get all quotations with pagination and filtering
+ *     tags: [Quotations]
+ *     description: Retrieve all quotations with optional filtering by status, vendor, and date range
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of items per page
+ *       - $ref: '#/components/parameters/statusQueryParam'
+ *       - $ref: '#/components/parameters/vendorIdQueryParam'
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Filter by customer ID
+ *       - in: query
+ *         name: partyType
+ *         schema:
+ *           type: string
+ *           enum: [Vendor, Customer]
+ *         description: Filter by party type
+ *       - in: query
+ *         name: priceApprovalStatus
+ *         schema:
+ *           type: string
+ *           enum: [Not Required, Pending, Approved, Rejected]
+ *         description: Filter by price approval status (e.g. Pending for approvers)
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: USD
+ *         description: Filter by quotation currency
+ *       - $ref: '#/components/parameters/startDateQueryParam'
+ *       - $ref: '#/components/parameters/endDateQueryParam'
+ *       - in: query
+ *         name: includeRevisions
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include previous revisions (by default only the latest revision is listed)
+ *       - in: query
+ *         name: expiringInDays
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Only Sent quotations whose validity ends within the next N days
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, QuotationDate, GrandTotal]
+ *           default: createdAt
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: List of quotations retrieved successfully with statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Quotation'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     currentPage:
+ *                       type: integer
+ *                       example: 1
+ *                     totalPages:
+ *                       type: integer
+ *                       example: 5
+ *                     totalItems:
+ *                       type: integer
+ *                       example: 50
+ *                     itemsPerPage:
+ *                       type: integer
+ *                       example: 10
+ *                 statistics:
+ *                   type: object
+ *                   properties:
+ *                     totalQuotations:
+ *                       type: integer
+ *                       example: 50
+ *                     totalAmount:
+ *                       type: number
+ *                       example: 912804.00
+ *                     avgAmount:
+ *                       type: number
+ *                       example: 18256.08
+ *                     draftCount:
+ *                       type: integer
+ *                       example: 15
+ *                     sentCount:
+ *                       type: integer
+ *                       example: 25
+ *                     approvedCount:
+ *                       type: integer
+ *                       example: 10
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, getQuotations);
+
+/**
+ * @swagger
+ * /api/quotations/export:
+ *   get:
+ *     summary: Export the quotation register as CSV or XLSX
+ *     tags: [Quotations]
+ *     description: |
+ *       Streams one row per quotation with number, date, party, GSTIN, place of supply, currency,
+ *       taxable value, CGST/SGST/IGST, total, INR total and status. Takes the same filters as
+ *       GET /api/quotations (without paging) and is written while it is read from the database,
+ *       so large registers are not held in memory.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: File format
+ *       - $ref: '#/components/parameters/statusQueryParam'
+ *       - $ref: '#/components/parameters/vendorIdQueryParam'
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Filter by customer ID
+ *       - in: query
+ *         name: partyType
+ *         schema:
+ *           type: string
+ *           enum: [Vendor, Customer]
+ *         description: Filter by party type
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: USD
+ *         description: Filter by quotation currency
+ *       - $ref: '#/components/parameters/startDateQueryParam'
+ *       - $ref: '#/components/parameters/endDateQueryParam'
+ *       - in: query
+ *         name: includeRevisions
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include previous revisions
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, QuotationDate, GrandTotal]
+ *           default: QuotationDate
+ *         description: Field to sort by
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: Register file download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unsupported format
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/export', protect, exportQuotationRegister);
+
+/**
+ * @swagger
+ * /api/quotations/vendors:
+ *   get:
+ *     summary: Get active vendors for dropdown selection
+ *     tags: [Quotations]
+ *     description: Retrieve active vendors for dropdown with search capability. Used during quotation creation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/searchVendorQueryParam'
+ *     responses:
+ *       200:
+ *         description: Vendors retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VendorDropdown'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ *     examples:
+ *       GetVendorsResponse:
+ *         value:
+ *           success: true
+ *           data:
+ *             - _id: "64f8e9b7a1b2c3d4e5f6a7c1"
+ *               VendorCode: "V-001"
+ *               VendorName: "XYZ Suppliers"
+ *               GSTIN: "27XYZAB1234C1D2"
+ *               State: "Gujarat"
+ *               StateCode: 24
+ *               ContactPerson: "Ramesh Patel"
+ *               Phone: "9876543210"
+ *               Email: "ramesh@xyzsuppliers.com"
+ *             - _id: "64f8e9b7a1b2c3d4e5f6a7c3"
+ *               VendorCode: "V-002"
+ *               VendorName: "ABC Metals"
+ *               GSTIN: "24ABCDE5678G9H0"
+ *               State: "Maharashtra"
+ *               StateCode: 27
+ *               ContactPerson: "Suresh Kumar"
+ *               Phone: "9876543211"
+ *               Email: "suresh@abcmetals.com"
+ */
+router.get('/vendors', protect, getVendorsForDropdown);
+
+/**
+ * @swagger
+ * /api/quotations/customers:
+ *   get:
+ *     summary: Get active customers for dropdown selection
+ *     tags: [Quotations]
+ *     description: Retrieve active customers (with billing and shipping details) for quotation creation
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/searchCustomerQueryParam'
+ *     responses:
+ *       200:
+ *         description: Customers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomerDropdown'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/customers', protect, getCustomersForDropdown);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Quotation Analytics
+ *   description: |
+ *     Win/loss analytics over the latest revision of each quotation (date range on QuotationDate).
+ *     Approved counts as won, Rejected as lost and Expired as lapsed; values are GrandTotal
+ *     (line TotalAmount for part numbers) in INR at each quotation's exchange rate.
+ *     Conversion rate = won / (won + lost + expired), win rate = won / (won + lost).
+ */
+
+/**
+ * @swagger
+ * /api/quotations/analytics/summary:
+ *   get:
+ *     summary: Overall conversion, values and turnaround
+ *     tags: [Quotation Analytics]
+ *     description: Counts and values by outcome, conversion and win rates, and average days from creation to send and from send to decision (Approved/Rejected).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/startDateQueryParam'
+ *       - $ref: '#/components/parameters/endDateQueryParam'
+ *       - $ref: '#/components/parameters/vendorIdQueryParam'
+ *       - $ref: '#/components/parameters/customerIdAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/partyTypeAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/createdByAnalyticsQueryParam'
+ *     responses:
+ *       200:
+ *         description: Analytics summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Invalid filter value
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/analytics/summary', protect, getAnalyticsSummary);
+
+/**
+ * @swagger
+ * /api/quotations/analytics/monthly:
+ *   get:
+ *     summary: Won vs lost by month
+ *     tags: [Quotation Analytics]
+ *     description: One row per quotation month (YYYY-MM).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/startDateQueryParam'
+ *       - $ref: '#/components/parameters/endDateQueryParam'
+ *       - $ref: '#/components/parameters/vendorIdQueryParam'
+ *       - $ref: '#/components/parameters/customerIdAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/partyTypeAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/createdByAnalyticsQueryParam'
+ *     responses:
+ *       200:
+ *         description: Monthly outcomes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuotationOutcome'
+ *       400:
+ *         description: Invalid filter value
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/analytics/monthly', protect, getAnalyticsByMonth);
+
+/**
+ * @swagger
+ * /api/quotations/analytics/by-party:
+ *   get:
+ *     summary: Won vs lost by party
+ *     tags: [Quotation Analytics]
+ *     description: One row per vendor or customer.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/startDateQueryParam'
+ *       - $ref: '#/components/parameters/endDateQueryParam'
+ *       - $ref: '#/components/parameters/vendorIdQueryParam'
+ *       - $ref: '#/components/parameters/customerIdAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/partyTypeAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/createdByAnalyticsQueryParam'
+ *     responses:
+ *       200:
+ *         description: Outcomes by party
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuotationOutcome'
+ *       400:
+ *         description: Invalid filter value
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/analytics/by-party', protect, getAnalyticsByParty);
+
+/**
+ * @swagger
+ * /api/quotations/analytics/by-part:
+ *   get:
+ *     summary: Won vs lost by part number
+ *     tags: [Quotation Analytics]
+ *     description: Line values per part number, with quoted and won quantities.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/startDateQueryParam'
+ *       - $ref: '#/components/parameters/endDateQueryParam'
+ *       - $ref: '#/components/parameters/vendorIdQueryParam'
+ *       - $ref: '#/components/parameters/customerIdAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/partyTypeAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/createdByAnalyticsQueryParam'
+ *       - in: query
+ *         name: partNo
+ *         schema:
+ *           type: string
+ *         description: Only this part number
+ *     responses:
+ *       200:
+ *         description: Outcomes by part number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuotationOutcome'
+ *       400:
+ *         description: Invalid filter value
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/analytics/by-part', protect, getAnalyticsByPart);
+
+/**
+ * @swagger
+ * /api/quotations/analytics/by-employee:
+ *   get:
+ *     summary: Won vs lost by creating employee
+ *     tags: [Quotation Analytics]
+ *     description: One row per user who created the quotations, with the linked employee.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/startDateQueryParam'
+ *       - $ref: '#/components/parameters/endDateQueryParam'
+ *       - $ref: '#/components/parameters/vendorIdQueryParam'
+ *       - $ref: '#/components/parameters/customerIdAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/partyTypeAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/createdByAnalyticsQueryParam'
+ *     responses:
+ *       200:
+ *         description: Outcomes by employee
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuotationOutcome'
+ *       400:
+ *         description: Invalid filter value
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/analytics/by-employee', protect, getAnalyticsByEmployee);
+
+/**
+ * @swagger
+ * /api/quotations/analytics/lost-reasons:
+ *   get:
+ *     summary: Lost reason breakdown
+ *     tags: [Quotation Analytics]
+ *     description: Rejected quotations grouped by rejection reason; expired ones are grouped as "Expired without decision".
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/startDateQueryParam'
+ *       - $ref: '#/components/parameters/endDateQueryParam'
+ *       - $ref: '#/components/parameters/vendorIdQueryParam'
+ *       - $ref: '#/components/parameters/customerIdAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/partyTypeAnalyticsQueryParam'
+ *       - $ref: '#/components/parameters/createdByAnalyticsQueryParam'
+ *     responses:
+ *       200:
+ *         description: Lost reasons with count, value and share
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *       400:
+ *         description: Invalid filter value
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/analytics/lost-reasons', protect, getLostReasons);
+
+/**
+ * @swagger
+ * /api/quotations/{id}:
+ *   get:
+ *     summary: Get single quotation by ID with detailed calculations
+ *     tags: [Quotations]
+ *     description: Retrieve detailed information about a specific quotation including item details and calculations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quotation ID
+ *     responses:
+ *       200:
+ *         description: Quotation retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       example: "64f8e9b7a1b2c3d4e5f6a7b8"
+ *                     QuotationNo:
+ *                       type: string
+ *                       example: "QT/2026-27/0001"
+ *                     QuotationDate:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2024-01-15T10:30:00.000Z"
+ *                     Items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           PartNo:
+ *                             type: string
+ *                             example: "PN-001"
+ *                           PartName:
+ *                             type: string
+ *                             example: "Copper Bushing"
+ *                           Quantity:
+ *                             type: number
+ *                             example: 100
+ *                           FinalRate:
+ *                             type: number
+ *                             example: 154.71
+ *                           Amount:
+ *                             type: number
+ *                             example: 15471.00
+ *                           ItemDetails:
+ *                             type: object
+ *                     Calculations:
+ *                       type: object
+ *                       properties:
+ *                         subTotal:
+ *                           type: number
+ *                           example: 15471.00
+ *                         gstAmount:
+ *                           type: number
+ *                           example: 2784.78
+ *                         tcsAmount:
+ *                           type: number
+ *                           example: 0
+ *                         roundOffAmount:
+ *                           type: number
+ *                           example: 0.22
+ *                         grandTotal:
+ *                           type: number
+ *                           example: 18256
+ *                         gstPercentage:
+ *                           type: number
+ *                           example: 18.0
+ *                     RateAnalysis:
+ *                       $ref: '#/components/schemas/QuotationRateAnalysis'
+ *       404:
+ *         $ref: '#/components/responses/QuotationNotFound'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', protect, getQuotation);
+
+/**
+ * @swagger
+ * /api/quotations/{id}/pdf:
+ *   get:
+ *     summary: Download quotation document as PDF
+ *     tags: [Quotations]
+ *     description: |
+ *       Renders a print-ready quotation document (company letterhead with bank details,
+ *       vendor block, item table, GST split, amount in words and terms & conditions).
+ *       
+ *       The generated file path is stored in `PDFPath`:
+ *       - **Draft**: document is regenerated after every change to the quotation
+ *       - **Sent and later**: stored document is frozen and returned as-is
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quotation ID
+ *     responses:
+ *       200:
+ *         description: Quotation PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         $ref: '#/components/responses/QuotationNotFound'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/pdf', protect, getQuotationPdf);
+
+/**
+ * @swagger
+ * /api/quotations/{id}/revise:
+ *   post:
+ *     summary: Create a new revision of a sent quotation
+ *     tags: [Quotations]
+ *     description: |
+ *       Creates revision R1, R2… of the same quotation number as a new Draft. The quotation
+ *       being revised must be the latest revision and in Sent, Rejected or Expired status. It becomes
+ *       immutable and remains retrievable by its ID.
+ *       
+ *       If `Items` is omitted the lines are copied from the previous revision, otherwise they
+ *       are recalculated with the latest costing and tax rates. Terms & conditions are copied
+ *       (placeholders resolved again) unless `TermsConditions` or `TermsConditionSetID` is given.
+ *       The revision starts without the source's status history, send, approval, rejection,
+ *       cancellation or expiry details. Revision numbers continue after deleted draft revisions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quotation ID of the latest revision
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuotationTermsInput'
+ *               - $ref: '#/components/schemas/QuotationTotalsInput'
+ *               - type: object
+ *                 properties:
+ *                   RevisionReason:
+ *                     type: string
+ *                     example: "Customer counter-offer on quantity"
+ *                   Items:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         PartNo:
+ *                           type: string
+ *                           example: "PN-001"
+ *                         Quantity:
+ *                           type: number
+ *                           example: 250
+ *                         DiscountType:
+ *                           type: string
+ *                           enum: [Percentage, Amount]
+ *                           default: Percentage
+ *                         DiscountValue:
+ *                           type: number
+ *                           example: 5
+ *                           description: "Percent of gross amount or flat amount per line"
+ *                         OverrideRate:
+ *                           type: number
+ *                           example: 142.5
+ *                           description: "Negotiated rate replacing the costed FinalRate"
+ *                         OverrideReason:
+ *                           type: string
+ *                           example: "Matched competitor offer for annual volume"
+ *                           description: "Required when OverrideRate differs from the costed rate"
+ *                         QuantitySlabs:
+ *                           type: array
+ *                           example: [500, 1000, 5000]
+ *                           description: "Extra quantity breaks to quote side by side; each is costed with the setup cost spread over its quantity"
+ *                           items:
+ *                             $ref: '#/components/schemas/QuotationQuantitySlabInput'
+ *                   Charges:
+ *                     type: array
+ *                     description: "Defaults to the charges of the source revision"
+ *                     items:
+ *                       $ref: '#/components/schemas/QuotationChargeInput'
+ *                   ValidTill:
+ *                     type: string
+ *                     format: date
+ *                     example: "2024-03-15"
+ *                     description: "Must be a future date. Defaults to the source's ValidTill, renewed for the same validity period from today when it has passed"
+ *                   InternalRemarks:
+ *                     type: string
+ *                   CustomerRemarks:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Revision created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Quotation'
+ *                 message:
+ *                   type: string
+ *                   example: "Revision R1 created successfully"
+ *       400:
+ *         description: Quotation is not the latest revision or cannot be revised in its status, or ValidTill is not a future date
+ *       404:
+ *         $ref: '#/components/responses/QuotationNotFound'
+ *       409:
+ *         description: Quotation has already been revised
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/revise', protect, reviseQuotation);
+
+/**
+ * @swagger
+ * /api/quotations/{id}/clone:
+ *   post:
+ *     summary: Clone a quotation to a new party
+ *     tags: [Quotations]
+ *     description: |
+ *       Creates a new draft quotation (new number) with the same parts, quantities, discounts,
+ *       charges, remarks and terms. Rates and GST are re-priced from the current Costing and Tax Master.
+ *       T&C placeholders are resolved for the new party; payment terms come from the new party.
+ *       The currency stays the same unless `Currency` is given, at the exchange rate in force today.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuotationTermsInput'
+ *               - $ref: '#/components/schemas/QuotationCurrencyInput'
+ *               - $ref: '#/components/schemas/QuotationTotalsInput'
+ *               - type: object
+ *                 required:
+ *                   - VendorType
+ *                 properties:
+ *                   PartyType:
+ *                     type: string
+ *                     enum: [Vendor, Customer]
+ *                     default: Vendor
+ *                   VendorType:
+ *                     type: string
+ *                     enum: [Existing, New]
+ *                   VendorID:
+ *                     type: string
+ *                   NewVendor:
+ *                     type: object
+ *                   CustomerID:
+ *                     type: string
+ *                   NewCustomer:
+ *                     $ref: '#/components/schemas/NewCustomer'
+ *                   AddressType:
+ *                     type: string
+ *                     enum: [Billing, Shipping]
+ *                   ValidTill:
+ *                     type: string
+ *                     format: date
+ *                   InternalRemarks:
+ *                     type: string
+ *                   CustomerRemarks:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Quotation cloned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Quotation'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Party information missing or validation error
+ *       404:
+ *         description: Quotation, party, item costing or tax rate not found
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/clone', protect, cloneQuotation);
+
+/**
+ * @swagger
+ * /api/quotations/import:
+ *   post:
+ *     summary: Create a draft quotation from an RFQ spreadsheet
+ *     tags: [Quotations]
+ *     description: |
+ *       Upload a CSV or XLSX file (first worksheet) with a header row containing a part number
+ *       column (Part No / Part Number / Item Code or Customer Part No) and a quantity column
+ *       (Quantity / Qty). The header may follow a title block within the first 10 rows.
+ *
+ *       Rows are matched to the Item Master by PartNo, or by the customer's part number
+ *       (Item CustomerPartNos) for customer quotations. Rows with an invalid quantity, an
+ *       unmatched part, no active costing, no tax rate for the HSN code, or a part already
+ *       listed are skipped and reported. A Draft quotation is created from the valid rows,
+ *       priced like POST /api/quotations. With DryRun only the report is returned.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: "CSV or XLSX file, maximum 5 MB"
+ *               PartyType:
+ *                 type: string
+ *                 enum: [Vendor, Customer]
+ *                 default: Vendor
+ *               VendorID:
+ *                 type: string
+ *               CustomerID:
+ *                 type: string
+ *               AddressType:
+ *                 type: string
+ *                 enum: [Billing, Shipping]
+ *               Currency:
+ *                 type: string
+ *                 example: "USD"
+ *               IsExport:
+ *                 type: string
+ *                 enum: ["true", "false"]
+ *               ExportTaxOption:
+ *                 type: string
+ *                 enum: [LUT, WithIGST]
+ *               RoundOffType:
+ *                 type: string
+ *                 enum: [Nearest, Up, None]
+ *               TCSPercentage:
+ *                 type: number
+ *               ValidTill:
+ *                 type: string
+ *                 format: date
+ *               PaymentTerms:
+ *                 type: string
+ *               DeliveryTerms:
+ *                 type: string
+ *               TermsConditionSetID:
+ *                 type: string
+ *               InternalRemarks:
+ *                 type: string
+ *               CustomerRemarks:
+ *                 type: string
+ *               DryRun:
+ *                 type: string
+ *                 enum: ["true", "false"]
+ *                 description: "Only match and report the rows, without creating a quotation"
+ *     responses:
+ *       201:
+ *         description: Draft quotation created from the valid rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quotation:
+ *                       $ref: '#/components/schemas/Quotation'
+ *                     import:
+ *                       $ref: '#/components/schemas/RfqImportReport'
+ *                 message:
+ *                   type: string
+ *                   example: "Quotation QT/2026/0042 created with 18 of 20 RFQ rows"
+ *       200:
+ *         description: Dry run report
+ *       400:
+ *         description: Unreadable file, missing columns, no valid rows (report included), party missing or quotation number already in use
+ *       404:
+ *         description: Company, party or exchange rate not found
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ *
+ * components:
+ *   schemas:
+ *     RfqImportReport:
+ *       type: object
+ *       properties:
+ *         fileName:
+ *           type: string
+ *           example: "RFQ-ACME-Oct.xlsx"
+ *         summary:
+ *           type: object
+ *           properties:
+ *             totalRows:
+ *               type: number
+ *               example: 20
+ *             importedRows:
+ *               type: number
+ *               example: 18
+ *             invalidQuantity:
+ *               type: number
+ *               example: 0
+ *             unmatched:
+ *               type: number
+ *               example: 1
+ *             missingCosting:
+ *               type: number
+ *               example: 1
+ *             missingTax:
+ *               type: number
+ *               example: 0
+ *             duplicates:
+ *               type: number
+ *               example: 0
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               Row:
+ *                 type: number
+ *                 example: 5
+ *                 description: "Row number in the spreadsheet"
+ *               PartNo:
+ *                 type: string
+ *               CustomerPartNo:
+ *                 type: string
+ *               Description:
+ *                 type: string
+ *               Quantity:
+ *                 type: number
+ *                 nullable: true
+ *               MatchedPartNo:
+ *                 type: string
+ *                 nullable: true
+ *               MatchedBy:
+ *                 type: string
+ *                 enum: [PartNo, CustomerPartNo]
+ *                 nullable: true
+ *               Status:
+ *                 type: string
+ *                 enum: [Imported, Skipped]
+ *               Issue:
+ *                 type: string
+ *                 enum: [InvalidQuantity, Unmatched, MissingCosting, MissingTax, Duplicate]
+ *                 nullable: true
+ *               DuplicateOfRow:
+ *                 type: number
+ *               Message:
+ *                 type: string
+ *                 example: "No active costing for the part"
  */
+router.post('/import', protect, uploadSpreadsheet, importQuotation);
 
 /**
  * @swagger
- * /api/quotations:
+ * /api/quotations/{id}/revisions:
  *   get:
- *     summary: Get all quotations with pagination and filtering
+ *     summary: List all revisions of a quotation
  *     tags: [Quotations]
- *     description: Retrieve all quotations with optional filtering by status, vendor, and date range
+ *     description: Returns every revision sharing the quotation number of the given quotation, ordered by revision number
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Number of items per page
- *       - $ref: '#/components/parameters/statusQueryParam'
- *       - $ref: '#/components/parameters/vendorIdQueryParam'
- *       - $ref: '#/components/parameters/startDateQueryParam'
- *       - $ref: '#/components/parameters/endDateQueryParam'
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [createdAt, updatedAt, QuotationDate, GrandTotal]
- *           default: createdAt
- *         description: Field to sort by
- *       - in: query
- *         name: sortOrder
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
+ *         description: ID of any revision of the quotation
  *     responses:
  *       200:
- *         description: List of quotations retrieved successfully with statistics
+ *         description: Revisions retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -638,63 +2586,50 @@ const { protect } = require('../middleware/authMiddleware');
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Quotation'
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     currentPage:
- *                       type: integer
- *                       example: 1
- *                     totalPages:
- *                       type: integer
- *                       example: 5
- *                     totalItems:
- *                       type: integer
- *                       example: 50
- *                     itemsPerPage:
- *                       type: integer
- *                       example: 10
- *                 statistics:
- *                   type: object
- *                   properties:
- *                     totalQuotations:
- *                       type: integer
- *                       example: 50
- *                     totalAmount:
- *                       type: number
- *                       example: 912804.00
- *                     avgAmount:
- *                       type: number
- *                       example: 18256.08
- *                     draftCount:
- *                       type: integer
- *                       example: 15
- *                     sentCount:
- *                       type: integer
- *                       example: 25
- *                     approvedCount:
- *                       type: integer
- *                       example: 10
+ *       404:
+ *         $ref: '#/components/responses/QuotationNotFound'
  *       401:
  *         description: Not authenticated
  *       500:
  *         description: Server error
  */
-router.get('/', protect, getQuotations);
+router.get('/:id/revisions', protect, getQuotationRevisions);
 
 /**
  * @swagger
- * /api/quotations/vendors:
+ * /api/quotations/{id}/revisions/compare:
  *   get:
- *     summary: Get active vendors for dropdown selection
+ *     summary: Compare two revisions of a quotation
  *     tags: [Quotations]
- *     description: Retrieve active vendors for dropdown with search capability. Used during quotation creation.
+ *     description: |
+ *       Field-level diff of header fields and line-level diff of items (matched by Part No)
+ *       between two revisions of the same quotation number.
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - $ref: '#/components/parameters/searchVendorQueryParam'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of any revision of the quotation
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 0
+ *         description: Revision number to compare from
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *         description: Revision number to compare to
  *     responses:
  *       200:
- *         description: Vendors retrieved successfully
+ *         description: Revision diff
  *         content:
  *           application/json:
  *             schema:
@@ -704,46 +2639,64 @@ router.get('/', protect, getQuotations);
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/VendorDropdown'
+ *                   type: object
+ *                   properties:
+ *                     QuotationNo:
+ *                       type: string
+ *                       example: "QT/2026-27/0001"
+ *                     Fields:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           Field:
+ *                             type: string
+ *                             example: "GrandTotal"
+ *                           From:
+ *                             example: 18255.78
+ *                           To:
+ *                             example: 21500.00
+ *                     Items:
+ *                       type: object
+ *                       properties:
+ *                         added:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/QuotationItem'
+ *                         removed:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/QuotationItem'
+ *                         changed:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               PartNo:
+ *                                 type: string
+ *                                 example: "PN-001"
+ *                               Changes:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *       400:
+ *         description: Revision numbers missing
+ *       404:
+ *         description: Quotation or revision not found
  *       401:
  *         description: Not authenticated
  *       500:
  *         description: Server error
- *     examples:
- *       GetVendorsResponse:
- *         value:
- *           success: true
- *           data:
- *             - _id: "64f8e9b7a1b2c3d4e5f6a7c1"
- *               VendorCode: "V-001"
- *               VendorName: "XYZ Suppliers"
- *               GSTIN: "27XYZAB1234C1D2"
- *               State: "Gujarat"
- *               StateCode: 24
- *               ContactPerson: "Ramesh Patel"
- *               Phone: "9876543210"
- *               Email: "ramesh@xyzsuppliers.com"
- *             - _id: "64f8e9b7a1b2c3d4e5f6a7c3"
- *               VendorCode: "V-002"
- *               VendorName: "ABC Metals"
- *               GSTIN: "24ABCDE5678G9H0"
- *               State: "Maharashtra"
- *               StateCode: 27
- *               ContactPerson: "Suresh Kumar"
- *               Phone: "9876543211"
- *               Email: "suresh@abcmetals.com"
  */
-router.get('/vendors', protect, getVendorsForDropdown);
+router.get('/:id/revisions/compare', protect, compareQuotationRevisions);
 
 /**
  * @swagger
- * /api/quotations/{id}:
+ * /api/quotations/{id}/sales-orders:
  *   get:
- *     summary: Get single quotation by ID with detailed calculations
+ *     summary: Get sales orders created from a quotation
  *     tags: [Quotations]
- *     description: Retrieve detailed information about a specific quotation including item details and calculations
+ *     description: Lists the sales orders that consumed the quotation and the ordered / open quantity of each line
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -752,10 +2705,9 @@ router.get('/vendors', protect, getVendorsForDropdown);
  *         required: true
  *         schema:
  *           type: string
- *         description: Quotation ID
  *     responses:
  *       200:
- *         description: Quotation retrieved successfully
+ *         description: Sales orders retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -767,53 +2719,51 @@ router.get('/vendors', protect, getVendorsForDropdown);
  *                 data:
  *                   type: object
  *                   properties:
- *                     _id:
- *                       type: string
- *                       example: "64f8e9b7a1b2c3d4e5f6a7b8"
  *                     QuotationNo:
  *                       type: string
- *                       example: "QT-202401-1234"
- *                     QuotationDate:
+ *                       example: "QT/2026-27/0001"
+ *                     Status:
  *                       type: string
- *                       format: date-time
- *                       example: "2024-01-15T10:30:00.000Z"
+ *                       example: "Approved"
+ *                     IsFullyOrdered:
+ *                       type: boolean
+ *                       example: false
  *                     Items:
  *                       type: array
  *                       items:
  *                         type: object
  *                         properties:
+ *                           _id:
+ *                             type: string
  *                           PartNo:
  *                             type: string
- *                             example: "PN-001"
  *                           PartName:
  *                             type: string
- *                             example: "Copper Bushing"
  *                           Quantity:
  *                             type: number
  *                             example: 100
- *                           FinalRate:
+ *                           QuantitySlabs:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 Quantity:
+ *                                   type: number
+ *                                 FinalRate:
+ *                                   type: number
+ *                           SelectedSlabQuantity:
  *                             type: number
- *                             example: 154.71
- *                           Amount:
+ *                             nullable: true
+ *                           OrderedQuantity:
  *                             type: number
- *                             example: 15471.00
- *                           ItemDetails:
- *                             type: object
- *                     Calculations:
- *                       type: object
- *                       properties:
- *                         subTotal:
- *                           type: number
- *                           example: 15471.00
- *                         gstAmount:
- *                           type: number
- *                           example: 2784.78
- *                         grandTotal:
- *                           type: number
- *                           example: 18255.78
- *                         gstPercentage:
- *                           type: number
- *                           example: 18.0
+ *                             example: 60
+ *                           OpenQuantity:
+ *                             type: number
+ *                             example: 40
+ *                     SalesOrders:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SalesOrder'
  *       404:
  *         $ref: '#/components/responses/QuotationNotFound'
  *       401:
@@ -821,7 +2771,7 @@ router.get('/vendors', protect, getVendorsForDropdown);
  *       500:
  *         description: Server error
  */
-router.get('/:id', protect, getQuotation);
+router.get('/:id/sales-orders', protect, getQuotationSalesOrders);
 
 /**
  * @swagger
@@ -840,19 +2790,21 @@ router.get('/:id', protect, getQuotation);
  *       2. **Auto Calculations**:
  *          - **Line Item**: Amount = Quantity × Final Rate (from Costing Master)
  *          - **Sub Total**: Σ(All Item Amounts)
- *          - **GST Amount**: Sub Total × GST % (from Tax Master based on HSN Code)
+ *          - **Line GST**: Item Amount × GST % of the item's HSN Code (from Tax Master)
+ *          - **GST Amount**: Σ(Line CGST + SGST + IGST), with HSN-wise tax summary
  *          - **Grand Total**: Sub Total + GST Amount
  *          - **Amount in Words**: Auto-generated
  *       
  *       3. **Auto GST Logic**:
- *          - **Same State**: CGST + SGST (GST% split equally)
- *          - **Different State**: IGST (full GST%)
+ *          - **Same State**: CGST + SGST (per line, rates from Tax Master)
+ *          - **Different State**: IGST (per line, rates from Tax Master)
  *       
  *       4. **Auto-loaded Data**:
  *          - Company details from Company Master
  *          - Terms & Conditions from T&C Master
  *       
- *       **Important**: All items must have active costing in Costing Master.
+ *       **Important**: All items must have active costing in Costing Master and an active tax rate for their HSN code.
+ *       A customer's own costing of a part is used over the generic costing (one without a customer).
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -860,7 +2812,11 @@ router.get('/:id', protect, getQuotation);
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/QuotationCreate'
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuotationCreate'
+ *               - $ref: '#/components/schemas/QuotationTermsInput'
+ *               - $ref: '#/components/schemas/QuotationCurrencyInput'
+ *               - $ref: '#/components/schemas/QuotationTotalsInput'
  *     responses:
  *       201:
  *         description: Quotation created successfully
@@ -943,9 +2899,10 @@ router.post('/', protect, createQuotation);
  *       1. Line Item Amount = Quantity × Final Rate
  *       2. Sub Total = Σ(Item Amounts)
  *       3. GST Logic: Compare vendor state with company state
- *       4. GST Amount = Sub Total × GST %
- *       5. Grand Total = Sub Total + GST Amount
- *       6. Amount in Words
+ *       4. Line GST = Item Amount × GST % of the item's HSN code (CGST + SGST or IGST)
+ *       5. GST Amount = Σ(Line GST), summarised HSN-wise in `taxSummary`
+ *       6. Grand Total = Sub Total + GST Amount
+ *       7. Amount in Words
  *       
  *       Returns detailed breakdown including GST logic explanation.
  *     security:
@@ -955,7 +2912,11 @@ router.post('/', protect, createQuotation);
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/QuotationPreview'
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuotationPreview'
+ *               - $ref: '#/components/schemas/QuotationTermsInput'
+ *               - $ref: '#/components/schemas/QuotationCurrencyInput'
+ *               - $ref: '#/components/schemas/QuotationTotalsInput'
  *     responses:
  *       200:
  *         description: Quotation calculated successfully
@@ -1023,6 +2984,18 @@ router.post('/', protect, createQuotation);
  *                           Amount:
  *                             type: number
  *                             example: 15471.00
+ *                           GSTPercentage:
+ *                             type: number
+ *                             example: 18
+ *                           CGSTAmount:
+ *                             type: number
+ *                             example: 0
+ *                           SGSTAmount:
+ *                             type: number
+ *                             example: 0
+ *                           IGSTAmount:
+ *                             type: number
+ *                             example: 2784.78
  *                     calculations:
  *                       type: object
  *                       properties:
@@ -1035,17 +3008,91 @@ router.post('/', protect, createQuotation);
  *                         gstPercentage:
  *                           type: number
  *                           example: 18.0
+ *                           description: "Effective GST rate across all lines"
+ *                         cgstAmount:
+ *                           type: number
+ *                           example: 0
+ *                         sgstAmount:
+ *                           type: number
+ *                           example: 0
+ *                         igstAmount:
+ *                           type: number
+ *                           example: 2784.78
  *                         gstAmount:
  *                           type: number
  *                           example: 2784.78
+ *                         totalAmount:
+ *                           type: number
+ *                           example: 18255.78
+ *                           description: "Before TCS and round-off"
+ *                         tcsPercentage:
+ *                           type: number
+ *                           example: 0
+ *                         tcsAmount:
+ *                           type: number
+ *                           example: 0
+ *                         roundOffType:
+ *                           type: string
+ *                           example: "Nearest"
+ *                         roundOffAmount:
+ *                           type: number
+ *                           example: 0.22
  *                         grandTotal:
  *                           type: number
- *                           example: 18255.78
- *                         amountInWords:
+ *                           example: 18256
+ *                         baseGrandTotal:
+ *                           type: number
+ *                           example: 18255.78
+ *                           description: "Grand total in INR"
+ *                         amountInWords:
+ *                           type: string
+ *                           example: "Eighteen Thousand Two Hundred Fifty Five Rupees and Seventy Eight Paise Only"
+ *                     currency:
+ *                       type: object
+ *                       properties:
+ *                         currency:
+ *                           type: string
+ *                         exchangeRate:
+ *                           type: number
+ *                         exchangeRateDate:
+ *                           type: string
+ *                           format: date-time
+ *                         isExport:
+ *                           type: boolean
+ *                         exportTaxOption:
+ *                           type: string
+ *                         lutNumber:
+ *                           type: string
+ *                         exportError:
+ *                           type: string
+ *                           nullable: true
+ *                           description: "Why the quotation could not be saved as an export under LUT"
+ *                     taxSummary:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/QuotationTaxSummary'
+ *                     rateAnalysis:
+ *                       $ref: '#/components/schemas/QuotationRateAnalysis'
+ *                     pricing:
+ *                       type: object
+ *                       properties:
+ *                         minimumMarginPercentage:
+ *                           type: number
+ *                         belowFloorAction:
  *                           type: string
- *                           example: "Eighteen Thousand Two Hundred Fifty Five Rupees and Seventy Eight Paise Only"
+ *                           enum: [Approval, Block]
+ *                         belowFloorParts:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         priceApprovalRequired:
+ *                           type: boolean
+ *                     termsConditionSetId:
+ *                       type: string
+ *                       nullable: true
  *                     termsConditions:
  *                       type: array
+ *                       description: "Clauses with placeholders resolved (unknown values left as tokens)"
  *                       items:
  *                         type: object
  *                     gstLogic:
@@ -1059,6 +3106,7 @@ router.post('/', protect, createQuotation);
  *               - $ref: '#/components/responses/ValidationError'
  *               - $ref: '#/components/responses/ItemNotFound'
  *               - $ref: '#/components/responses/CostingNotFound'
+ *               - $ref: '#/components/responses/TaxNotFound'
  *       404:
  *         $ref: '#/components/responses/CompanyNotFound'
  *       401:
@@ -1096,7 +3144,11 @@ router.post('/preview', protect, calculateQuotation);
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/QuotationUpdate'
+ *             allOf:
+ *               - $ref: '#/components/schemas/QuotationUpdate'
+ *               - $ref: '#/components/schemas/QuotationTermsInput'
+ *               - $ref: '#/components/schemas/QuotationCurrencyInput'
+ *               - $ref: '#/components/schemas/QuotationTotalsInput'
  *     responses:
  *       200:
  *         description: Quotation updated successfully
@@ -1131,6 +3183,356 @@ router.post('/preview', protect, calculateQuotation);
  */
 router.put('/:id', protect, updateQuotation);
 
+/**
+ * @swagger
+ * /api/quotations/{id}/status:
+ *   put:
+ *     summary: Change quotation status
+ *     tags: [Quotations]
+ *     description: |
+ *       Status changes follow an explicit transition model:
+ *       - **Draft** → Sent, Cancelled
+ *       - **Sent** → Approved, Rejected, Expired, Cancelled
+ *       - **Approved, Rejected, Expired, Cancelled** are final
+ *       
+ *       Sending needs price approval when lines are quoted below the floor rate
+ *       (see PUT /api/quotations/{id}/price-approval).
+ *       A reason is required for Rejected and Cancelled. Every change is recorded in
+ *       `StatusHistory` with the user and time. Sent quotations are moved to Expired
+ *       automatically once `ValidTill` has passed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quotation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Status
+ *             properties:
+ *               Status:
+ *                 type: string
+ *                 enum: [Sent, Approved, Rejected, Expired, Cancelled]
+ *                 example: "Rejected"
+ *               Reason:
+ *                 type: string
+ *                 example: "Price too high compared to competitor"
+ *     responses:
+ *       200:
+ *         description: Status changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Quotation'
+ *                 message:
+ *                   type: string
+ *                   example: "Quotation marked as Rejected"
+ *       400:
+ *         description: Transition not allowed, reason missing, price approval pending or quotation expired
+ *       404:
+ *         $ref: '#/components/responses/QuotationNotFound'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/status', protect, changeQuotationStatus);
+
+/**
+ * @swagger
+ * /api/quotations/{id}/price-approval:
+ *   put:
+ *     summary: Approve or reject below-floor prices
+ *     tags: [Quotations]
+ *     description: |
+ *       Lines whose net rate is below the floor rate (cost without margin plus the
+ *       company's `MinimumMarginPercentage`) put the quotation in `PriceApprovalStatus`
+ *       Pending when the company's `BelowFloorAction` is Approval (with Block they are
+ *       rejected on save). The quotation can only be sent once the price is Approved.
+ *       Changing the lines again resets the approval. Only SuperAdmin and Admin users may
+ *       decide, and not on a quotation they created or last updated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quotation ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Decision
+ *             properties:
+ *               Decision:
+ *                 type: string
+ *                 enum: [Approved, Rejected]
+ *               Remarks:
+ *                 type: string
+ *                 example: "Approved for annual contract volume"
+ *                 description: "Required when rejecting"
+ *     responses:
+ *       200:
+ *         description: Price approval recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Quotation'
+ *                 message:
+ *                   type: string
+ *                   example: "Quotation price approved"
+ *       400:
+ *         description: Invalid decision, remarks missing or no approval pending
+ *       403:
+ *         description: Not an approver role, or the approver created or last updated the quotation
+ *       404:
+ *         $ref: '#/components/responses/QuotationNotFound'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/price-approval', protect, authorize('SuperAdmin', 'Admin'), reviewQuotationPrice);
+
+/**
+ * @swagger
+ * /api/quotations/{id}/send:
+ *   post:
+ *     summary: Email the quotation document to the party
+ *     tags: [Quotations]
+ *     description: |
+ *       Emails the quotation PDF through the configured SMTP transport
+ *       (`SMTP_HOST`, `SMTP_PORT`, `SMTP_SECURE`, `SMTP_USER`, `SMTP_PASS`, `MAIL_FROM`;
+ *       point it at a local capture server such as MailHog for testing).
+ *       Subject and body come from the request, the chosen email template, the default
+ *       Quotation template or a built-in text, in that order, with placeholders filled in.
+ *       A Draft quotation moves to Sent (same rules as the status change, including price
+ *       approval); a Sent quotation can be emailed again. Every attempt is logged
+ *       (see GET /api/quotations/{id}/emails).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quotation ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               To:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["purchase@customer.com"]
+ *                 description: "Defaults to the party email on the quotation"
+ *               Cc:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["sales@company.com"]
+ *               TemplateID:
+ *                 type: string
+ *                 description: "Email template; the default Quotation template is used when omitted"
+ *               Subject:
+ *                 type: string
+ *                 description: "Overrides the template subject (placeholders allowed)"
+ *               Body:
+ *                 type: string
+ *                 description: "Overrides the template body (placeholders allowed)"
+ *     responses:
+ *       200:
+ *         description: Quotation emailed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quotation:
+ *                       $ref: '#/components/schemas/Quotation'
+ *                     emailLog:
+ *                       $ref: '#/components/schemas/QuotationEmailLog'
+ *                 message:
+ *                   type: string
+ *                   example: "Quotation emailed to purchase@customer.com"
+ *       400:
+ *         description: Not sendable in its status, price approval pending, or recipients missing/invalid
+ *       404:
+ *         description: Quotation or email template not found
+ *       401:
+ *         description: Not authenticated
+ *       502:
+ *         description: Mail transport failed (the attempt is logged as Failed)
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/send', protect, sendQuotation);
+
+/**
+ * @swagger
+ * /api/quotations/{id}/emails:
+ *   get:
+ *     summary: Get email dispatch history of a quotation
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quotation ID
+ *     responses:
+ *       200:
+ *         description: Email attempts, latest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuotationEmailLog'
+ *                 count:
+ *                   type: integer
+ *       404:
+ *         $ref: '#/components/responses/QuotationNotFound'
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/:id/emails', protect, getQuotationEmails);
+
+/**
+ * @swagger
+ * /api/quotations/{id}/public-link:
+ *   post:
+ *     summary: Create a customer-facing link to view and accept/reject the quotation
+ *     tags: [Quotations]
+ *     description: |
+ *       Creates a signed link the party can open without logging in to view the quotation
+ *       and accept it (with their PO number) or reject it (with a reason); see
+ *       /api/public/quotations/{token}. Only the latest revision of a Sent quotation that
+ *       is still valid can be linked. The link expires after `ExpiresInDays` or at the end
+ *       of the validity date. Creating a new link replaces the previous one.
+ *       Links are signed with `QUOTATION_LINK_SECRET` (falls back to `JWT_SECRET`);
+ *       `QUOTATION_LINK_BASE_URL` sets the URL prefix of the customer-facing page.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quotation ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ExpiresInDays:
+ *                 type: number
+ *                 minimum: 1
+ *                 example: 7
+ *                 description: "Defaults to the end of the validity date"
+ *     responses:
+ *       201:
+ *         description: Link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     QuotationNo:
+ *                       type: string
+ *                       example: "QT/2026-27/0001-R1"
+ *                     Url:
+ *                       type: string
+ *                       example: "https://erp.example.com/api/public/quotations/eyJhbGciOi..."
+ *                     Token:
+ *                       type: string
+ *                     ExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Not the latest revision, not Sent, validity ended or invalid ExpiresInDays
+ *       404:
+ *         $ref: '#/components/responses/QuotationNotFound'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Revoke the customer-facing link of a quotation
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quotation ID
+ *     responses:
+ *       200:
+ *         description: Link revoked; the previous link stops working
+ *       404:
+ *         $ref: '#/components/responses/QuotationNotFound'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/public-link', protect, createQuotationLink);
+router.delete('/:id/public-link', protect, revokeQuotationLink);
+
 /**
  * @swagger
  * /api/quotations/{id}:
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getQuotationTemplates,
+  getQuotationTemplate,
+  createQuotationTemplate,
+  updateQuotationTemplate,
+  deleteQuotationTemplate
+} = require('../controllers/quotationTemplateController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuotationTemplate:
+ *       type: object
+ *       required:
+ *         - TemplateName
+ *         - Items
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7e1"
+ *         TemplateName:
+ *           type: string
+ *           example: "Busbar kit - standard"
+ *         Description:
+ *           type: string
+ *           example: "Standard busbar set for panel builders"
+ *         Items:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: object
+ *             required:
+ *               - PartNo
+ *               - Quantity
+ *             properties:
+ *               PartNo:
+ *                 type: string
+ *                 example: "PN-001"
+ *               Quantity:
+ *                 type: number
+ *                 example: 100
+ *                 description: "Default quantity"
+ *               DiscountType:
+ *                 type: string
+ *                 enum: [Percentage, Amount]
+ *               DiscountValue:
+ *                 type: number
+ *                 example: 0
+ *         Charges:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuotationChargeInput'
+ *         InternalRemarks:
+ *           type: string
+ *         CustomerRemarks:
+ *           type: string
+ *         TermsConditionSetID:
+ *           type: string
+ *           description: "T&C set for quotations from this template (takes precedence over TermsConditionIDs)"
+ *         TermsConditionIDs:
+ *           type: array
+ *           description: "Selected terms & conditions; the party's default set is used when empty"
+ *           items:
+ *             type: string
+ *         IsActive:
+ *           type: boolean
+ *           example: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Quotation Templates
+ *   description: Reusable item sets for creating quotations (use TemplateID in POST /api/quotations)
+ */
+
+/**
+ * @swagger
+ * /api/quotation-templates:
+ *   get:
+ *     summary: Get quotation templates
+ *     tags: [Quotation Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by template name or part number
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuotationTemplate'
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getQuotationTemplates);
+
+/**
+ * @swagger
+ * /api/quotation-templates/{id}:
+ *   get:
+ *     summary: Get quotation template by ID
+ *     tags: [Quotation Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template retrieved successfully
+ *       404:
+ *         description: Quotation template not found
+ */
+router.get('/:id', protect, getQuotationTemplate);
+
+/**
+ * @swagger
+ * /api/quotation-templates:
+ *   post:
+ *     summary: Create a quotation template
+ *     tags: [Quotation Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuotationTemplate'
+ *     responses:
+ *       201:
+ *         description: Template created successfully
+ *       400:
+ *         description: Validation error, unknown part number or duplicate name
+ */
+router.post('/', protect, createQuotationTemplate);
+
+/**
+ * @swagger
+ * /api/quotation-templates/{id}:
+ *   put:
+ *     summary: Update a quotation template
+ *     tags: [Quotation Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuotationTemplate'
+ *     responses:
+ *       200:
+ *         description: Template updated successfully
+ *       400:
+ *         description: Validation error, unknown part number or duplicate name
+ *       404:
+ *         description: Quotation template not found
+ */
+router.put('/:id', protect, updateQuotationTemplate);
+
+/**
+ * @swagger
+ * /api/quotation-templates/{id}:
+ *   delete:
+ *     summary: Deactivate a quotation template
+ *     tags: [Quotation Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted successfully
+ *       404:
+ *         description: Quotation template not found
+ */
+router.delete('/:id', protect, deleteQuotationTemplate);
+
+module.exports = router;
@@ -414,7 +414,9 @@ router.get('/:id', protect, getRawMaterial);
  *   post:
  *     summary: Create a new raw material rate entry
  *     tags: [Raw Materials]
- *     description: Create a new raw material rate. EffectiveRate is automatically calculated based on RatePerKG, ScrapPercentage, and TransportLossPercentage.
+ *     description: |
+ *       Create a new raw material rate. EffectiveRate is automatically calculated based on RatePerKG, ScrapPercentage, and TransportLossPercentage.
+ *       Existing costings keep their RMRate; re-cost them with POST /api/recost-batches/preview.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -0,0 +1,412 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRecostBatches,
+  getRecostBatch,
+  previewRecost,
+  applyRecostBatch,
+  cancelRecostBatch
+} = require('../controllers/recostController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecostLine:
+ *       type: object
+ *       description: "One costing of a re-cost batch at the new raw material rate"
+ *       properties:
+ *         CostingID:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7c3"
+ *         ItemID:
+ *           type: string
+ *         PartNo:
+ *           type: string
+ *           example: "PN001"
+ *         PartName:
+ *           type: string
+ *           example: "Bearing Housing"
+ *         VersionNo:
+ *           type: number
+ *           example: 3
+ *           description: "Costing version the preview was taken from"
+ *         RMWeight:
+ *           type: number
+ *           example: 2.5
+ *         OldRMRate:
+ *           type: number
+ *           example: 150.75
+ *         NewRMRate:
+ *           type: number
+ *           example: 162.4
+ *         OldOverheadPercentage:
+ *           type: number
+ *           example: 10
+ *         NewOverheadPercentage:
+ *           type: number
+ *           example: 8
+ *           description: "From the costing policy now applicable, unless the percentage was entered by hand"
+ *         OldMarginPercentage:
+ *           type: number
+ *           example: 15
+ *         NewMarginPercentage:
+ *           type: number
+ *           example: 12
+ *         CostingPolicyID:
+ *           type: string
+ *           nullable: true
+ *         CostingPolicyName:
+ *           type: string
+ *           example: "ABC Motors - bus bars, high volume"
+ *         OldFinalRate:
+ *           type: number
+ *           example: 591.75
+ *         NewFinalRate:
+ *           type: number
+ *           example: 628.16
+ *         Difference:
+ *           type: number
+ *           example: 36.41
+ *         ImpactPercentage:
+ *           type: number
+ *           example: 6.15
+ *         Status:
+ *           type: string
+ *           enum: [Pending, Applied, Skipped, Excluded]
+ *         NewVersionNo:
+ *           type: number
+ *           example: 4
+ *           description: "Costing version created when applied"
+ *         Remarks:
+ *           type: string
+ *           example: "Costing changed since the preview (now version 4)"
+ *     RecostBatch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a901"
+ *         RawMaterialID:
+ *           type: string
+ *         MaterialName:
+ *           type: string
+ *           example: "Steel"
+ *         Grade:
+ *           type: string
+ *           example: "EN8"
+ *         EffectiveRate:
+ *           type: number
+ *           example: 162.4
+ *         DateEffective:
+ *           type: string
+ *           format: date-time
+ *         Status:
+ *           type: string
+ *           enum: [Preview, Applying, Applied, Cancelled]
+ *         Lines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/RecostLine'
+ *         UnchangedCount:
+ *           type: number
+ *           description: "Active costings of the material already at the latest rate"
+ *         ChangeReason:
+ *           type: string
+ *           example: "Raw material rate revision: Steel EN8 @ ₹162.4/Kg from 19-10-2026"
+ *         AppliedCount:
+ *           type: number
+ *         SkippedCount:
+ *           type: number
+ *         AppliedAt:
+ *           type: string
+ *           format: date-time
+ *         AppliedBy:
+ *           type: string
+ *         CancelledAt:
+ *           type: string
+ *           format: date-time
+ *         CreatedBy:
+ *           type: string
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ *     RecostSummary:
+ *       type: object
+ *       description: "Totals of the batch lines (excluded lines not counted)"
+ *       properties:
+ *         CostingCount:
+ *           type: number
+ *           example: 42
+ *         UnchangedCount:
+ *           type: number
+ *           example: 3
+ *         IncreasedCount:
+ *           type: number
+ *           example: 42
+ *         DecreasedCount:
+ *           type: number
+ *           example: 0
+ *         TotalOldFinalRate:
+ *           type: number
+ *         TotalNewFinalRate:
+ *           type: number
+ *         AverageImpactPercentage:
+ *           type: number
+ *           example: 5.8
+ *         MaxImpactPercentage:
+ *           type: number
+ *           example: 9.2
+ *         MinImpactPercentage:
+ *           type: number
+ *           example: 1.1
+ *   responses:
+ *     RecostBatchNotFound:
+ *       description: Re-cost batch not found
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Re-costing
+ *   description: |
+ *     Bulk re-costing after a raw material rate change. A preview recalculates every active
+ *     costing whose item material matches the raw material against its latest EffectiveRate
+ *     and shows old vs new FinalRate per part. Overhead and margin % not entered by hand are
+ *     re-defaulted from the costing policy then applicable (kept when none applies).
+ *     Costings change only when the batch is applied; each gets a new costing version with
+ *     the batch's change reason.
+ */
+
+/**
+ * @swagger
+ * /api/recost-batches:
+ *   get:
+ *     summary: Get re-cost batches (without lines), newest first
+ *     tags: [Re-costing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: materialName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Preview, Applying, Applied, Cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Re-cost batches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RecostBatch'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getRecostBatches);
+
+/**
+ * @swagger
+ * /api/recost-batches/preview:
+ *   post:
+ *     summary: Preview re-costing of a raw material's costings at its latest rate
+ *     tags: [Re-costing]
+ *     description: |
+ *       Saves a batch in Preview status with one line per active costing of the material
+ *       whose RMRate differs from the latest EffectiveRate. No costing is changed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - MaterialName
+ *             properties:
+ *               MaterialName:
+ *                 type: string
+ *                 enum: [Copper, Steel, Aluminium, Brass]
+ *                 example: "Steel"
+ *     responses:
+ *       201:
+ *         description: Re-cost preview created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RecostBatch'
+ *                 summary:
+ *                   $ref: '#/components/schemas/RecostSummary'
+ *                 message:
+ *                   type: string
+ *                   example: "42 costings to re-cost at ₹162.4/Kg. Apply the batch to update them"
+ *       400:
+ *         description: MaterialName missing
+ *       404:
+ *         description: No active raw material rate for the material
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/preview', protect, previewRecost);
+
+/**
+ * @swagger
+ * /api/recost-batches/{id}:
+ *   get:
+ *     summary: Get a re-cost batch with its lines and summary
+ *     tags: [Re-costing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Re-cost batch ID
+ *     responses:
+ *       200:
+ *         description: Re-cost batch retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/RecostBatch'
+ *                 summary:
+ *                   $ref: '#/components/schemas/RecostSummary'
+ *       404:
+ *         $ref: '#/components/responses/RecostBatchNotFound'
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/:id', protect, getRecostBatch);
+
+/**
+ * @swagger
+ * /api/recost-batches/{id}/apply:
+ *   post:
+ *     summary: Apply a previewed re-cost batch
+ *     tags: [Re-costing]
+ *     description: |
+ *       Sets each costing's RMRate (and the previewed overhead and margin %) to the new
+ *       values, creating a new costing version.
+ *       The batch is refused when a newer rate of the material has been added since the
+ *       preview. A costing deleted, deactivated or changed since the preview is skipped
+ *       and the reason recorded on its line.
+ *       The batch is Applying while its lines are processed, and each line is saved as it
+ *       is done. An apply that was interrupted (no progress for 5 minutes) is resumed by
+ *       applying the batch again: only its Pending lines are processed, with the original
+ *       ChangeReason and rate.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Re-cost batch ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ChangeReason:
+ *                 type: string
+ *                 example: "Steel price revision Q3"
+ *                 description: "Defaults to the raw material, grade, rate and effective date"
+ *               ExcludeCostingIDs:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: "Costings of the preview to leave unchanged"
+ *     responses:
+ *       200:
+ *         description: Re-cost batch applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/RecostBatch'
+ *                 summary:
+ *                   $ref: '#/components/schemas/RecostSummary'
+ *                 message:
+ *                   type: string
+ *                   example: "40 costings re-costed, 2 skipped"
+ *       400:
+ *         description: Batch already applied, cancelled or being applied, the rate changed since the preview, or ExcludeCostingIDs is not an array
+ *       404:
+ *         $ref: '#/components/responses/RecostBatchNotFound'
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/:id/apply', protect, applyRecostBatch);
+
+/**
+ * @swagger
+ * /api/recost-batches/{id}/cancel:
+ *   post:
+ *     summary: Cancel a previewed re-cost batch
+ *     tags: [Re-costing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Re-cost batch ID
+ *     responses:
+ *       200:
+ *         description: Re-cost batch cancelled
+ *       400:
+ *         description: Batch already applied or cancelled
+ *       404:
+ *         $ref: '#/components/responses/RecostBatchNotFound'
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/:id/cancel', protect, cancelRecostBatch);
+
+module.exports = router;
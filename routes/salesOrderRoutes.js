@@ -0,0 +1,492 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSalesOrders,
+  getSalesOrder,
+  createSalesOrder,
+  updateSalesOrder,
+  cancelSalesOrder
+} = require('../controllers/salesOrderController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SalesOrderDelivery:
+ *       type: object
+ *       required:
+ *         - DeliveryDate
+ *         - Quantity
+ *       properties:
+ *         DeliveryDate:
+ *           type: string
+ *           format: date
+ *           example: "2026-11-15"
+ *         Quantity:
+ *           type: number
+ *           example: 30
+ *         Remarks:
+ *           type: string
+ *           example: "First lot"
+ *
+ *     SalesOrderItem:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         QuotationItemID:
+ *           type: string
+ *           description: "Quotation line the order line was created from"
+ *         PartNo:
+ *           type: string
+ *           example: "P-1001"
+ *         PartName:
+ *           type: string
+ *           example: "Copper Busbar"
+ *         HSNCode:
+ *           type: string
+ *           example: "7407"
+ *         Unit:
+ *           type: string
+ *           example: "Nos"
+ *         Quantity:
+ *           type: number
+ *           example: 60
+ *         FinalRate:
+ *           type: number
+ *           example: 154.71
+ *         SlabQuantity:
+ *           type: number
+ *           example: 1000
+ *           description: "Quantity slab of the quotation line the rate was taken from (slab-priced lines only)"
+ *         DiscountType:
+ *           type: string
+ *           enum: [Percentage, Amount]
+ *         DiscountValue:
+ *           type: number
+ *           description: "Flat discounts are prorated to the ordered quantity"
+ *         DiscountAmount:
+ *           type: number
+ *         Amount:
+ *           type: number
+ *           example: 9282.6
+ *         GSTPercentage:
+ *           type: number
+ *           example: 18
+ *         TaxAmount:
+ *           type: number
+ *           example: 1670.87
+ *         TotalAmount:
+ *           type: number
+ *           example: 10953.47
+ *         DeliverySchedule:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SalesOrderDelivery'
+ *
+ *     SalesOrder:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         SalesOrderNo:
+ *           type: string
+ *           example: "SO/2026-27/0001"
+ *         SalesOrderDate:
+ *           type: string
+ *           format: date-time
+ *         QuotationID:
+ *           type: string
+ *         QuotationNo:
+ *           type: string
+ *           example: "QT/2026-27/0001"
+ *         QuotationRevisionNo:
+ *           type: number
+ *           example: 1
+ *         CustomerPONo:
+ *           type: string
+ *           example: "PO-45821"
+ *         CustomerPODate:
+ *           type: string
+ *           format: date
+ *         CompanyName:
+ *           type: string
+ *         PartyType:
+ *           type: string
+ *           enum: [Vendor, Customer]
+ *         CustomerID:
+ *           type: string
+ *         VendorName:
+ *           type: string
+ *           description: "Party name (vendor or customer)"
+ *         VendorGSTIN:
+ *           type: string
+ *         VendorState:
+ *           type: string
+ *         BillingAddress:
+ *           type: string
+ *         ShippingAddress:
+ *           type: string
+ *         PlaceOfSupply:
+ *           type: string
+ *         PlaceOfSupplyStateCode:
+ *           type: number
+ *         GSTType:
+ *           type: string
+ *           enum: [CGST/SGST, IGST]
+ *         Items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SalesOrderItem'
+ *         Charges:
+ *           type: array
+ *           description: "Quotation charges, billed once on the first order against the quotation (again on the next order if that one is cancelled)"
+ *           items:
+ *             $ref: '#/components/schemas/QuotationCharge'
+ *         GrossAmount:
+ *           type: number
+ *         DiscountAmount:
+ *           type: number
+ *         SubTotal:
+ *           type: number
+ *         ChargesAmount:
+ *           type: number
+ *         TaxableAmount:
+ *           type: number
+ *         CGSTAmount:
+ *           type: number
+ *         SGSTAmount:
+ *           type: number
+ *         IGSTAmount:
+ *           type: number
+ *         GSTAmount:
+ *           type: number
+ *         TaxSummary:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/QuotationTaxSummary'
+ *         TotalAmount:
+ *           type: number
+ *           description: "Before TCS and round-off"
+ *         TCSPercentage:
+ *           type: number
+ *         TCSAmount:
+ *           type: number
+ *         RoundOffType:
+ *           type: string
+ *           enum: [Nearest, Up, None]
+ *         RoundOffAmount:
+ *           type: number
+ *         GrandTotal:
+ *           type: number
+ *         AmountInWords:
+ *           type: string
+ *         Remarks:
+ *           type: string
+ *         Status:
+ *           type: string
+ *           enum: [Open, Cancelled]
+ *         CancelledAt:
+ *           type: string
+ *           format: date-time
+ *         CancellationReason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Sales Orders
+ *   description: Sales orders created from approved quotations
+ */
+
+/**
+ * @swagger
+ * /api/sales-orders:
+ *   get:
+ *     summary: Get all sales orders with pagination and filtering
+ *     tags: [Sales Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by sales order, quotation or customer PO number, or party name
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Open, Cancelled]
+ *       - in: query
+ *         name: quotationId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: vendorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           default: SalesOrderDate
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     responses:
+ *       200:
+ *         description: Sales orders retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SalesOrder'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/', protect, getSalesOrders);
+
+/**
+ * @swagger
+ * /api/sales-orders/{id}:
+ *   get:
+ *     summary: Get sales order by ID
+ *     tags: [Sales Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sales order retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SalesOrder'
+ *       404:
+ *         description: Sales order not found
+ */
+router.get('/:id', protect, getSalesOrder);
+
+/**
+ * @swagger
+ * /api/sales-orders:
+ *   post:
+ *     summary: Create a sales order from an approved quotation
+ *     tags: [Sales Orders]
+ *     description: |
+ *       Copies lines, prices, tax rates and the party snapshot from the quotation.
+ *       Quantities may be partial; each line cannot exceed its open quantity on the quotation.
+ *       When Items is omitted the full open quantity of every line is ordered.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - QuotationID
+ *               - CustomerPONo
+ *               - CustomerPODate
+ *             properties:
+ *               QuotationID:
+ *                 type: string
+ *               CustomerPONo:
+ *                 type: string
+ *                 example: "PO-45821"
+ *               CustomerPODate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-10-18"
+ *               SalesOrderDate:
+ *                 type: string
+ *                 format: date
+ *               Remarks:
+ *                 type: string
+ *               Items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - QuotationItemID
+ *                     - Quantity
+ *                   properties:
+ *                     QuotationItemID:
+ *                       type: string
+ *                     Quantity:
+ *                       type: number
+ *                       example: 60
+ *                     SlabQuantity:
+ *                       type: number
+ *                       example: 1000
+ *                       description: "Quantity slab to order at, for lines quoted with quantity breaks. Chosen on the first order against the line (default the line quantity); the slab's rate applies and its quantity becomes the orderable quantity"
+ *                     DeliverySchedule:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SalesOrderDelivery'
+ *     responses:
+ *       201:
+ *         description: Sales order created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SalesOrder'
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Quotation not approved, quantity exceeds open quantity or validation error
+ *       404:
+ *         description: Quotation not found
+ *       409:
+ *         description: Open quantity changed by a concurrent order
+ */
+router.post('/', protect, createSalesOrder);
+
+/**
+ * @swagger
+ * /api/sales-orders/{id}:
+ *   put:
+ *     summary: Update customer PO details, remarks and delivery schedules
+ *     tags: [Sales Orders]
+ *     description: Quantities and prices are fixed. Only open sales orders can be updated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               CustomerPONo:
+ *                 type: string
+ *               CustomerPODate:
+ *                 type: string
+ *                 format: date
+ *               Remarks:
+ *                 type: string
+ *               Items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       description: Sales order line ID
+ *                     DeliverySchedule:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SalesOrderDelivery'
+ *     responses:
+ *       200:
+ *         description: Sales order updated successfully
+ *       400:
+ *         description: Sales order cancelled or validation error
+ *       404:
+ *         description: Sales order not found
+ */
+router.put('/:id', protect, updateSalesOrder);
+
+/**
+ * @swagger
+ * /api/sales-orders/{id}/cancel:
+ *   put:
+ *     summary: Cancel a sales order
+ *     tags: [Sales Orders]
+ *     description: |
+ *       The ordered quantity is released back to the quotation lines. A line with no quantity
+ *       left on order can be ordered at any of its quantity slabs again, and charges billed on
+ *       this order are billed on the next order against the quotation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Reason
+ *             properties:
+ *               Reason:
+ *                 type: string
+ *                 example: "Customer withdrew PO"
+ *     responses:
+ *       200:
+ *         description: Sales order cancelled successfully
+ *       400:
+ *         description: Reason missing or sales order already cancelled
+ *       404:
+ *         description: Sales order not found
+ */
+router.put('/:id/cancel', protect, cancelSalesOrder);
+
+module.exports = router;
@@ -8,6 +8,39 @@ const {
   deleteTermsCondition
 } = require('../controllers/termsConditionController');
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TermsCondition:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7b8"
+ *         Title:
+ *           type: string
+ *           example: "Validity"
+ *         Description:
+ *           type: string
+ *           example: "This offer is valid for {{ValidityDays}} days, till {{ValidTill}}."
+ *           description: |
+ *             May contain placeholders resolved per quotation: {{QuotationNo}}, {{QuotationDate}},
+ *             {{ValidTill}}, {{ValidityDays}}, {{PartyName}}, {{PlaceOfSupply}}, {{PaymentTerms}},
+ *             {{DeliveryTerms}}, {{Currency}}, {{CompanyName}}
+ *         Sequence:
+ *           type: integer
+ *           minimum: 1
+ *           example: 1
+ *         Category:
+ *           type: string
+ *           default: General
+ *           example: "Commercial"
+ *         IsActive:
+ *           type: boolean
+ *           default: true
+ */
+
 /**
  * @swagger
  * tags:
@@ -21,7 +54,18 @@ const {
  *   get:
  *     summary: Get all terms and conditions
  *     tags: [Terms & Conditions]
- *     description: Retrieve all terms and conditions sorted by sequence
+ *     description: Retrieve active terms and conditions sorted by category and sequence
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
  *         description: List of terms and conditions retrieved successfully
@@ -108,6 +152,10 @@ router.get('/:id', getTermsCondition);
  *                 example: 1
  *                 minimum: 1
  *                 description: Display order sequence
+ *               Category:
+ *                 type: string
+ *                 example: "Commercial"
+ *                 default: General
  *     responses:
  *       201:
  *         description: Term and condition created successfully
@@ -163,6 +211,10 @@ router.post('/', createTermsCondition);
  *                 type: integer
  *                 example: 2
  *                 minimum: 1
+ *               Category:
+ *                 type: string
+ *               IsActive:
+ *                 type: boolean
  *     responses:
  *       200:
  *         description: Term and condition updated successfully
@@ -194,7 +246,7 @@ router.put('/:id', updateTermsCondition);
  *   delete:
  *     summary: Delete a term and condition
  *     tags: [Terms & Conditions]
- *     description: Permanently delete a term and condition (hard delete)
+ *     description: Deactivate a term and condition (soft delete); quotations already issued keep their copy
  *     parameters:
  *       - in: path
  *         name: id
@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTermsConditionSets,
+  getTermsConditionSet,
+  createTermsConditionSet,
+  updateTermsConditionSet,
+  deleteTermsConditionSet
+} = require('../controllers/termsConditionSetController');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TermsConditionSet:
+ *       type: object
+ *       required:
+ *         - SetName
+ *         - Clauses
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "64f8e9b7a1b2c3d4e5f6a7f4"
+ *         SetName:
+ *           type: string
+ *           example: "Export"
+ *         Description:
+ *           type: string
+ *           example: "Terms for export quotations"
+ *         Clauses:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: object
+ *             required:
+ *               - TermsConditionID
+ *             properties:
+ *               TermsConditionID:
+ *                 type: string
+ *                 example: "64f8e9b7a1b2c3d4e5f6a7b8"
+ *               Sequence:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Order within the set (defaults to the clause's own sequence)
+ *         IsDefault:
+ *           type: boolean
+ *           default: false
+ *           description: Used for parties without a default set of their own (only one default set)
+ *         IsActive:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: T&C Sets
+ *   description: Named groups of terms & conditions selectable per party and quotation
+ */
+
+/**
+ * @swagger
+ * /api/terms-condition-sets:
+ *   get:
+ *     summary: Get T&C sets
+ *     tags: [T&C Sets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Sets retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TermsConditionSet'
+ *                 count:
+ *                   type: integer
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', protect, getTermsConditionSets);
+
+/**
+ * @swagger
+ * /api/terms-condition-sets/{id}:
+ *   get:
+ *     summary: Get T&C set by ID (clauses populated)
+ *     tags: [T&C Sets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Set retrieved successfully
+ *       404:
+ *         description: T&C set not found
+ */
+router.get('/:id', protect, getTermsConditionSet);
+
+/**
+ * @swagger
+ * /api/terms-condition-sets:
+ *   post:
+ *     summary: Create a T&C set
+ *     tags: [T&C Sets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TermsConditionSet'
+ *     responses:
+ *       201:
+ *         description: Set created successfully
+ *       400:
+ *         description: Validation error, duplicate name, or an invalid or inactive clause
+ */
+router.post('/', protect, createTermsConditionSet);
+
+/**
+ * @swagger
+ * /api/terms-condition-sets/{id}:
+ *   put:
+ *     summary: Update a T&C set
+ *     tags: [T&C Sets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TermsConditionSet'
+ *     responses:
+ *       200:
+ *         description: Set updated successfully
+ *       400:
+ *         description: Validation error, duplicate name, or an invalid or inactive clause
+ *       404:
+ *         description: T&C set not found
+ */
+router.put('/:id', protect, updateTermsConditionSet);
+
+/**
+ * @swagger
+ * /api/terms-condition-sets/{id}:
+ *   delete:
+ *     summary: Deactivate a T&C set
+ *     tags: [T&C Sets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Set deleted successfully
+ *       404:
+ *         description: T&C set not found
+ */
+router.delete('/:id', protect, deleteTermsConditionSet);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const connectDB = require('./config/database');
 const { setupSwagger } = require('./config/swagger'); // CHANGED THIS
+const { startQuotationJobs } = require('./utils/quotationJobs');
 
 // Load env vars
 dotenv.config();
@@ -10,6 +11,9 @@ dotenv.config();
 // Connect to database
 connectDB();
 
+// Start background jobs (quotation expiry)
+startQuotationJobs();
+
 // Import route files
 const authRoutes = require('./routes/authRoutes');
 const employeeRoutes = require('./routes/employeeRoutes');
@@ -28,7 +32,18 @@ const quotationRoutes = require('./routes/quotationRoutes');
 const rawMaterialRoutes = require('./routes/rawMaterialRoutes');
 const taxRoutes = require('./routes/taxRoutes');
 const termsConditionRoutes = require('./routes/termsConditionRoutes');
+const termsConditionSetRoutes = require('./routes/termsConditionSetRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
 const materialRoutes = require('./routes/materialRoutes');
+const documentSeriesRoutes = require('./routes/documentSeriesRoutes');
+const salesOrderRoutes = require('./routes/salesOrderRoutes');
+const quotationTemplateRoutes = require('./routes/quotationTemplateRoutes');
+const emailTemplateRoutes = require('./routes/emailTemplateRoutes');
+const followUpRoutes = require('./routes/followUpRoutes');
+const publicQuotationRoutes = require('./routes/publicQuotationRoutes');
+const recostRoutes = require('./routes/recostRoutes');
+const costingTemplateRoutes = require('./routes/costingTemplateRoutes');
+const costingPolicyRoutes = require('./routes/costingPolicyRoutes');
 
 const app = express();
 // Body parser
@@ -63,7 +78,18 @@ app.use('/api/quotations', quotationRoutes);
 app.use('/api/raw-materials', rawMaterialRoutes);
 app.use('/api/taxes', taxRoutes);
 app.use('/api/terms-conditions', termsConditionRoutes);
+app.use('/api/terms-condition-sets', termsConditionSetRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
 app.use('/api/materials', materialRoutes);
+app.use('/api/document-series', documentSeriesRoutes);
+app.use('/api/sales-orders', salesOrderRoutes);
+app.use('/api/quotation-templates', quotationTemplateRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
+app.use('/api/follow-ups', followUpRoutes);
+app.use('/api/public/quotations', publicQuotationRoutes);
+app.use('/api/recost-batches', recostRoutes);
+app.use('/api/costing-templates', costingTemplateRoutes);
+app.use('/api/costing-policies', costingPolicyRoutes);
 
 // Default route
 app.get('/', (req, res) => {
@@ -91,7 +117,18 @@ app.get('/', (req, res) => {
         quotations: '/api/quotations',
         rawMaterials: '/api/raw-materials',
         taxes: '/api/taxes',
-        termsConditions: '/api/terms-conditions'
+        termsConditions: '/api/terms-conditions',
+        termsConditionSets: '/api/terms-condition-sets',
+        exchangeRates: '/api/exchange-rates',
+        documentSeries: '/api/document-series',
+        salesOrders: '/api/sales-orders',
+        quotationTemplates: '/api/quotation-templates',
+        emailTemplates: '/api/email-templates',
+        followUps: '/api/follow-ups',
+        publicQuotations: '/api/public/quotations',
+        recostBatches: '/api/recost-batches',
+        costingTemplates: '/api/costing-templates',
+        costingPolicies: '/api/costing-policies'
       }
     }
   });
@@ -153,6 +190,7 @@ const server = app.listen(PORT, HOST, () => {
   console.log(`   Employees:    http://localhost:${port}/api/employees`);
   console.log(`\n📊 Quotation/CRM System:`);
   console.log(`   Quotations:   http://localhost:${port}/api/quotations`);
+  console.log(`   Sales Orders: http://localhost:${port}/api/sales-orders`);
   console.log(`   Customers:    http://localhost:${port}/api/customers`);
   console.log(`   Materials:    http://localhost:${port}/api/materials`);
 });
@@ -84,29 +84,516 @@ const numberToWords = (num) => {
     }
   };
   
-  // Generate quotation number
-  const generateQuotationNumber = async (QuotationModel) => {
-    const currentYear = new Date().getFullYear();
-    const lastQuotation = await QuotationModel.findOne({
-      QuotationNo: new RegExp(`^QT/${currentYear}/`)
-    }).sort({ CreatedAt: -1 });
-    
-    let sequence = 1;
-    if (lastQuotation) {
-      const lastSeq = parseInt(lastQuotation.QuotationNo.split('/').pop());
-      if (!isNaN(lastSeq)) {
-        sequence = lastSeq + 1;
+  // Round monetary values to 2 decimal places
+  const roundAmount = (value) => {
+    return Math.round((value || 0) * 100) / 100;
+  };
+  
+  // Resolve CGST/SGST/IGST rates from a Tax master record
+  const getTaxRates = (tax) => {
+    const gstPercentage = tax.GSTPercentage || 0;
+    return {
+      GSTPercentage: gstPercentage,
+      CGSTPercentage: tax.CGSTPercentage ?? gstPercentage / 2,
+      SGSTPercentage: tax.SGSTPercentage ?? gstPercentage / 2,
+      IGSTPercentage: tax.IGSTPercentage ?? gstPercentage
+    };
+  };
+  
+  // Calculate GST amounts for one taxable line based on GST type
+  const calculateLineGST = (taxableAmount, rates, gstType) => {
+    const isIGST = gstType === 'IGST';
+    const cgstAmount = isIGST ? 0 : roundAmount(taxableAmount * (rates.CGSTPercentage || 0) / 100);
+    const sgstAmount = isIGST ? 0 : roundAmount(taxableAmount * (rates.SGSTPercentage || 0) / 100);
+    const igstAmount = isIGST ? roundAmount(taxableAmount * (rates.IGSTPercentage || 0) / 100) : 0;
+    
+    return {
+      CGSTAmount: cgstAmount,
+      SGSTAmount: sgstAmount,
+      IGSTAmount: igstAmount,
+      TaxAmount: roundAmount(cgstAmount + sgstAmount + igstAmount)
+    };
+  };
+  
+  // Group taxable lines into an HSN-wise tax summary (one row per HSN code and rate)
+  const summarizeTaxByHSN = (lines) => {
+    const summary = new Map();
+    
+    lines.forEach((line) => {
+      const key = `${line.HSNCode}|${line.GSTPercentage}`;
+      if (!summary.has(key)) {
+        summary.set(key, {
+          HSNCode: line.HSNCode,
+          GSTPercentage: line.GSTPercentage,
+          TaxableAmount: 0,
+          CGSTAmount: 0,
+          SGSTAmount: 0,
+          IGSTAmount: 0,
+          TotalTaxAmount: 0
+        });
+      }
+      
+      const row = summary.get(key);
+      row.TaxableAmount = roundAmount(row.TaxableAmount + line.Amount);
+      row.CGSTAmount = roundAmount(row.CGSTAmount + line.CGSTAmount);
+      row.SGSTAmount = roundAmount(row.SGSTAmount + line.SGSTAmount);
+      row.IGSTAmount = roundAmount(row.IGSTAmount + line.IGSTAmount);
+      row.TotalTaxAmount = roundAmount(row.TotalTaxAmount + line.TaxAmount);
+    });
+    
+    return Array.from(summary.values());
+  };
+  
+  // Discount on a line's gross amount (Percentage of gross or flat Amount, capped at gross)
+  const calculateLineDiscount = (grossAmount, discountType, discountValue) => {
+    const value = Math.max(discountValue || 0, 0);
+    const discount = discountType === 'Amount' ? value : grossAmount * Math.min(value, 100) / 100;
+    return roundAmount(Math.min(discount, grossAmount));
+  };
+  
+  // Gap of a quoted line versus its costing. Works on the net unit rate (after line
+  // discount): variance against the costed FinalRate, margin over cost without margin
+  // (CostRate = SubCost + Overhead) and whether the line falls below FloorRate.
+  const calculateRateAnalysis = (line) => {
+    const grossAmount = roundAmount(line.Quantity * line.FinalRate);
+    const discountAmount = calculateLineDiscount(grossAmount, line.DiscountType, line.DiscountValue);
+    const netRate = line.Quantity > 0 ? roundAmount((grossAmount - discountAmount) / line.Quantity) : 0;
+    const percentageOf = (value, base) => (base > 0 ? roundAmount(value / base * 100) : 0);
+    
+    const rateVariance = roundAmount(netRate - line.CostedRate);
+    const marginOverCost = roundAmount(netRate - line.CostRate);
+    
+    return {
+      NetRate: netRate,
+      RateVariance: rateVariance,
+      RateVariancePercentage: percentageOf(rateVariance, line.CostedRate),
+      MarginOverCost: marginOverCost,
+      MarginOverCostPercentage: percentageOf(marginOverCost, line.CostRate),
+      IsBelowFloor: netRate < line.FloorRate
+    };
+  };
+  
+  // Cost of one routing operation by the process RateType: Cost per piece (Per Nos and
+  // Per Kg of the RM weight as charged, Per Hour on cycle time) and SetupCost per batch
+  // (Per Hour on setup time, Fixed charges). Setup is not part of the piece cost; it is
+  // spread over the quoted quantity with the costing's SetupCost (see calculateSlabRate).
+  const calculateOperationCost = (operation, process, rmWeight = 0) => {
+    const rate = process.Rate || 0;
+    const cycleTime = operation.CycleTimeMinutes || 0;
+    const setupTime = operation.SetupTimeMinutes || 0;
+    
+    switch (process.RateType) {
+      case 'Per Nos':
+        return { Cost: roundAmount(rate), SetupCost: 0, Formula: `₹${rate} per piece` };
+      case 'Per Kg':
+        return { Cost: roundAmount(rate * rmWeight), SetupCost: 0, Formula: `₹${rate}/Kg × ${rmWeight} Kg` };
+      case 'Per Hour':
+        return {
+          Cost: roundAmount(rate * cycleTime / 60),
+          SetupCost: roundAmount(rate * setupTime / 60),
+          Formula: `₹${rate}/hr × ${cycleTime} min ÷ 60; setup ₹${rate}/hr × ${setupTime} min ÷ 60 per batch`
+        };
+      case 'Fixed':
+        return { Cost: 0, SetupCost: roundAmount(rate), Formula: `₹${rate} per batch` };
+      default:
+        return { Cost: 0, SetupCost: 0, Formula: '' };
+    }
+  };
+  
+  // Setup cost of routed operations for a quantity: each operation's per-batch setup
+  // once for every batch (BatchSize pieces) the quantity needs
+  const calculateRoutingSetupCost = (operations = [], quantity) => {
+    if (!(quantity > 0)) return 0;
+    return operations.reduce((total, operation) => {
+      const batches = Math.ceil(quantity / (operation.BatchSize || 1));
+      return total + (operation.SetupCost || 0) * batches;
+    }, 0);
+  };
+  
+  // Process cost per piece of an item from its routing, operation by operation in
+  // sequence, and the setup cost of one batch of every operation.
+  // processes maps ProcessID to the Process record.
+  const calculateRoutingCost = (routing, processes, rmWeight = 0) => {
+    const operations = [...routing]
+      .sort((a, b) => a.Sequence - b.Sequence)
+      .map((operation) => {
+        const process = processes.get(operation.ProcessID.toString());
+        return {
+          Sequence: operation.Sequence,
+          ProcessID: process._id,
+          ProcessName: process.ProcessName,
+          RateType: process.RateType,
+          Rate: process.Rate,
+          VendorOrInhouse: operation.VendorOrInhouse || process.VendorOrInhouse,
+          CycleTimeMinutes: operation.CycleTimeMinutes || 0,
+          SetupTimeMinutes: operation.SetupTimeMinutes || 0,
+          BatchSize: operation.BatchSize || 1,
+          ...calculateOperationCost(operation, process, rmWeight)
+        };
+      });
+    
+    return {
+      Operations: operations,
+      ProcessCost: roundAmount(operations.reduce((total, operation) => total + operation.Cost, 0)),
+      SetupCost: roundAmount(operations.reduce((total, operation) => total + operation.SetupCost, 0))
+    };
+  };
+  
+  // Cost bases a costing head can be derived from, besides the heads before it
+  const COST_BASES = {
+    RM: 'RMCost',
+    PROCESS: 'ProcessCost',
+    FINISHING: 'FinishingCost',
+    PACKING: 'PackingCost',
+    SUB: 'SubCost'
+  };
+  
+  // Heads of a costing without a template: overhead and margin both on the sub cost
+  const DEFAULT_COST_HEADS = [
+    { Code: 'OVERHEAD', Name: 'Overhead', Kind: 'Overhead', BasedOn: ['SUB'], Percentage: 10 },
+    { Code: 'MARGIN', Name: 'Margin', Kind: 'Margin', BasedOn: ['SUB'], Percentage: 15 }
+  ];
+  
+  // Percentage of a head: the costing's own overhead/margin % for those heads,
+  // the head's percentage for allowances (ICC, rejection, ...)
+  const getCostHeadPercentage = (head, inputs) => {
+    if (head.Kind === 'Overhead' && inputs.OverheadPercentage !== undefined) return inputs.OverheadPercentage;
+    if (head.Kind === 'Margin' && inputs.MarginPercentage !== undefined) return inputs.MarginPercentage;
+    return head.Percentage || 0;
+  };
+  
+  // Amount of each head in order: Percentage of the sum of its BasedOn bases and
+  // earlier heads. Amounts are not rounded so later heads build on exact values.
+  const applyCostHeads = (bases, heads, inputs) => {
+    const values = { ...bases };
+    
+    return heads.map((head) => {
+      const percentage = getCostHeadPercentage(head, inputs);
+      const base = head.BasedOn.reduce((total, code) => total + (values[code] || 0), 0);
+      const amount = base * percentage / 100;
+      values[head.Code] = amount;
+      
+      return {
+        Code: head.Code,
+        Name: head.Name,
+        Kind: head.Kind,
+        BasedOn: [...head.BasedOn],
+        Percentage: percentage,
+        Base: base,
+        Amount: amount
+      };
+    });
+  };
+  
+  const sumHeads = (heads, margin) => heads
+    .filter((head) => (head.Kind === 'Margin') === margin)
+    .reduce((total, head) => total + head.Amount, 0);
+  
+  // Readable structure of the heads (without the overhead/margin %, which are inputs
+  // of their own), e.g. "Overhead on SUB; ICC 1.5% on RM; Margin on SUB + OVERHEAD"
+  const describeCostHeads = (heads) => heads
+    .map((head) => {
+      const percentage = head.Kind === 'Allowance' ? ` ${head.Percentage}%` : '';
+      return `${head.Name}${percentage} on ${head.BasedOn.join(' + ')}`;
+    })
+    .join('; ');
+  
+  // Cost heads of a costing: its own (from its template) or the default heads
+  const getCostHeads = (costing) => (costing.CostHeads && costing.CostHeads.length > 0
+    ? costing.CostHeads
+    : DEFAULT_COST_HEADS);
+  
+  // Costs of a costing from its inputs and cost heads (the costing's own by default),
+  // each rounded to 2 decimals:
+  // RM Cost = Weight × Effective RM Rate; Sub Cost = RM Cost + Process + Finishing + Packing;
+  // Overhead Cost = overhead and allowance heads; Margin Cost = margin heads;
+  // Final Rate = Sub Cost + Overhead Cost + Margin Cost
+  const calculateCostingRates = (inputs, heads = getCostHeads(inputs)) => {
+    const rmCost = (inputs.RMWeight || 0) * (inputs.RMRate || 0);
+    const subCost = rmCost + (inputs.ProcessCost || 0) + (inputs.FinishingCost || 0) + (inputs.PackingCost || 0);
+    const costHeads = applyCostHeads({
+      RM: rmCost,
+      PROCESS: inputs.ProcessCost || 0,
+      FINISHING: inputs.FinishingCost || 0,
+      PACKING: inputs.PackingCost || 0,
+      SUB: subCost
+    }, heads, inputs);
+    const overheadCost = sumHeads(costHeads, false);
+    const marginCost = sumHeads(costHeads, true);
+    
+    return {
+      RMCost: roundAmount(rmCost),
+      SubCost: roundAmount(subCost),
+      OverheadCost: roundAmount(overheadCost),
+      MarginCost: roundAmount(marginCost),
+      FinalRate: roundAmount(subCost + overheadCost + marginCost),
+      CostHeads: costHeads.map((head) => ({ ...head, Base: roundAmount(head.Base), Amount: roundAmount(head.Amount) }))
+    };
+  };
+  
+  // Costed rates for a quantity slab: the costing's one-time SetupCost and the setup of
+  // its routed operations (per batch, see calculateRoutingSetupCost) are spread over the
+  // slab quantity as part of the sub cost, and carry the heads on the sub cost.
+  // Without a setup cost the rates equal the costing's own FinalRate and cost rate.
+  const calculateSlabRate = (costing, quantity) => {
+    const routingSetupCost = costing.ProcessCostSource === 'Routing'
+      ? calculateRoutingSetupCost(costing.ProcessOperations, quantity)
+      : 0;
+    const setupCostPerUnit = quantity > 0 ? ((costing.SetupCost || 0) + routingSetupCost) / quantity : 0;
+    const setupHeads = applyCostHeads({ SUB: setupCostPerUnit }, getCostHeads(costing), costing);
+    const setupCost = setupCostPerUnit + sumHeads(setupHeads, false);
+    const costRate = (costing.SubCost || 0) + (costing.OverheadCost || 0);
+    
+    return {
+      SetupCostPerUnit: roundAmount(setupCostPerUnit),
+      CostRate: roundAmount(costRate + setupCost),
+      FinalRate: roundAmount((costing.FinalRate || 0) + setupCost + sumHeads(setupHeads, true))
+    };
+  };
+  
+  // Quotation-level view of the rate analysis: item value at costed rate and at
+  // cost without margin, against the net item value actually quoted
+  const summarizeRateAnalysis = (items) => {
+    const sum = (field) => roundAmount(items.reduce((total, item) => total + (item[field] || 0) * item.Quantity, 0));
+    const costedAmount = sum('CostedRate');
+    const costAmount = sum('CostRate');
+    const quotedAmount = roundAmount(items.reduce((total, item) => total + (item.Amount || 0), 0));
+    const marginOverCost = roundAmount(quotedAmount - costAmount);
+    
+    return {
+      costedAmount,
+      costAmount,
+      quotedAmount,
+      rateVariance: roundAmount(quotedAmount - costedAmount),
+      marginOverCost,
+      marginOverCostPercentage: costAmount > 0 ? roundAmount(marginOverCost / costAmount * 100) : 0,
+      overriddenLines: items.filter((item) => item.IsRateOverridden).length,
+      belowFloorLines: items.filter((item) => item.IsBelowFloor).length
+    };
+  };
+  
+  // Round-off of the payable amount: to the nearest whole unit, always up, or none
+  const ROUND_OFF_TYPES = ['Nearest', 'Up', 'None'];
+  
+  // Round-off adjustment (positive or negative) that brings an amount to a whole unit
+  const calculateRoundOff = (amount, roundOffType = 'None') => {
+    // Round to paise first so 100.0000001 does not round up to 101
+    const value = roundAmount(amount);
+    if (roundOffType === 'Nearest') return roundAmount(Math.round(value) - value);
+    if (roundOffType === 'Up') return roundAmount(Math.ceil(value) - value);
+    return 0;
+  };
+  
+  // Calculate line-wise GST and quotation totals.
+  // Each item needs Quantity, FinalRate, HSNCode, optional DiscountType/DiscountValue
+  // and its GST rates (see getTaxRates). Charges (freight, packing etc.) need Amount,
+  // IsTaxable and, when taxable, HSNSACCode and GST rates.
+  // Zero-rated supplies (exports under LUT) keep their GST rates but carry no tax.
+  // TCS is collected on the total including GST and the round-off line brings the
+  // payable amount (grandTotal) to a whole unit.
+  const calculateQuotationTotals = (items, gstType, charges = [], {
+    zeroRated = false,
+    tcsPercentage = 0,
+    roundOffType = 'None'
+  } = {}) => {
+    const lines = items.map((item) => {
+      const grossAmount = roundAmount(item.Quantity * item.FinalRate);
+      const discountAmount = calculateLineDiscount(grossAmount, item.DiscountType, item.DiscountValue);
+      const amount = roundAmount(grossAmount - discountAmount);
+      const gst = calculateLineGST(amount, zeroRated ? {} : item, gstType);
+      
+      return {
+        ...item,
+        GrossAmount: grossAmount,
+        DiscountAmount: discountAmount,
+        Amount: amount,
+        ...gst,
+        TotalAmount: roundAmount(amount + gst.TaxAmount)
+      };
+    });
+    
+    const chargeLines = charges.map((charge) => {
+      const amount = roundAmount(charge.Amount);
+      const gst = calculateLineGST(amount, charge.IsTaxable && !zeroRated ? charge : {}, gstType);
+      
+      return {
+        ...charge,
+        Amount: amount,
+        ...gst,
+        TotalAmount: roundAmount(amount + gst.TaxAmount)
+      };
+    });
+    
+    // Taxable charges join the item lines in the HSN/SAC-wise tax summary
+    const taxableLines = lines.concat(
+      chargeLines
+        .filter((charge) => charge.IsTaxable)
+        .map((charge) => ({ ...charge, HSNCode: charge.HSNSACCode }))
+    );
+    
+    const sum = (rows, field) => roundAmount(rows.reduce((total, row) => total + (row[field] || 0), 0));
+    
+    const grossAmount = sum(lines, 'GrossAmount');
+    const discountAmount = sum(lines, 'DiscountAmount');
+    const subTotal = sum(lines, 'Amount');
+    const chargesAmount = sum(chargeLines, 'Amount');
+    const taxableAmount = sum(taxableLines, 'Amount');
+    const cgstAmount = sum(taxableLines, 'CGSTAmount');
+    const sgstAmount = sum(taxableLines, 'SGSTAmount');
+    const igstAmount = sum(taxableLines, 'IGSTAmount');
+    const gstAmount = roundAmount(cgstAmount + sgstAmount + igstAmount);
+    const totalAmount = roundAmount(subTotal + chargesAmount + gstAmount);
+    const tcsAmount = roundAmount(totalAmount * (tcsPercentage || 0) / 100);
+    const roundOffAmount = calculateRoundOff(totalAmount + tcsAmount, roundOffType);
+    
+    return {
+      items: lines,
+      charges: chargeLines,
+      grossAmount,
+      discountAmount,
+      subTotal,
+      chargesAmount,
+      taxableAmount,
+      cgstAmount,
+      sgstAmount,
+      igstAmount,
+      gstAmount,
+      // Effective GST rate across all taxable lines and charges
+      gstPercentage: taxableAmount > 0 ? roundAmount((gstAmount / taxableAmount) * 100) : 0,
+      totalAmount,
+      tcsPercentage: tcsPercentage || 0,
+      tcsAmount,
+      roundOffAmount,
+      grandTotal: roundAmount(totalAmount + tcsAmount + roundOffAmount),
+      taxSummary: summarizeTaxByHSN(taxableLines)
+    };
+  };
+  
+  // Base (company) currency; quotation amounts in other currencies convert at an exchange rate
+  const BASE_CURRENCY = 'INR';
+  
+  // Currencies a quotation can be made in, with the unit names used for amount in words
+  const CURRENCY_WORDS = {
+    INR: { unit: 'Rupee', units: 'Rupees', subunits: 'Paise' },
+    USD: { unit: 'US Dollar', units: 'US Dollars', subunits: 'Cents' },
+    EUR: { unit: 'Euro', units: 'Euros', subunits: 'Cents' },
+    GBP: { unit: 'Pound Sterling', units: 'Pounds Sterling', subunits: 'Pence' },
+    AED: { unit: 'UAE Dirham', units: 'UAE Dirhams', subunits: 'Fils' },
+    SGD: { unit: 'Singapore Dollar', units: 'Singapore Dollars', subunits: 'Cents' },
+    AUD: { unit: 'Australian Dollar', units: 'Australian Dollars', subunits: 'Cents' }
+  };
+  
+  const CURRENCIES = Object.keys(CURRENCY_WORDS);
+  
+  // Convert an amount to words in the given currency. Rupees use the Indian Number System
+  // (Thousand, Lakh, Crore); other currencies the international one (Thousand, Million, Billion).
+  const amountToWords = (amount, currency = BASE_CURRENCY) => {
+    const names = CURRENCY_WORDS[currency] || CURRENCY_WORDS[BASE_CURRENCY];
+    const isIndian = currency === BASE_CURRENCY || !CURRENCY_WORDS[currency];
+    
+    // Separate whole units and hundredths
+    const whole = Math.floor(amount);
+    const fraction = Math.round((amount - whole) * 100);
+    
+    // Arrays for number words
+    const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 
+                 'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 
+                 'Seventeen', 'Eighteen', 'Nineteen'];
+    
+    const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+    
+    const groupNames = isIndian
+      ? ['', 'Thousand', 'Lakh', 'Crore']
+      : ['', 'Thousand', 'Million', 'Billion', 'Trillion'];
+    
+    // Function to convert a number less than 1000 to words
+    const convertHundreds = (num) => {
+      let result = '';
+      
+      // Handle hundreds
+      if (num >= 100) {
+        result += ones[Math.floor(num / 100)] + ' Hundred ';
+        num %= 100;
+      }
+      
+      // Handle tens and ones
+      if (num >= 20) {
+        result += tens[Math.floor(num / 10)] + ' ';
+        num %= 10;
+      }
+      
+      if (num > 0) {
+        result += ones[num] + ' ';
       }
+      
+      return result.trim();
+    };
+    
+    // Convert a whole number to words: the first group has 3 digits, later groups
+    // 2 digits (lakhs, crores) in the Indian system and 3 digits otherwise
+    const convertNumberToWords = (num) => {
+      if (num === 0) return 'Zero';
+      
+      let result = '';
+      let groupIndex = 0;
+      
+      while (num > 0) {
+        const groupSize = groupIndex === 0 || !isIndian ? 1000 : 100;
+        const group = num % groupSize;
+        num = Math.floor(num / groupSize);
+        
+        if (group > 0) {
+          let groupWords = convertHundreds(group);
+          if (groupNames[groupIndex]) {
+            groupWords += ' ' + groupNames[groupIndex];
+          }
+          result = groupWords + ' ' + result;
+        }
+        
+        groupIndex++;
+      }
+      
+      return result.trim();
+    };
+    
+    // Construct final string
+    let result = convertNumberToWords(whole) + ' ' + (whole === 1 ? names.unit : names.units);
+    
+    if (fraction > 0) {
+      result += ' and ' + convertNumberToWords(fraction) + ' ' + names.subunits;
     }
     
-    return `QT/${currentYear}/${sequence.toString().padStart(4, '0')}`;
+    result += ' Only';
+    
+    return result.replace(/\s+/g, ' ').trim();
   };
   
   module.exports = {
     numberToWords,
+    BASE_CURRENCY,
+    CURRENCIES,
+    amountToWords,
     calculateWeight,
     calculateEffectiveRMRate,
     calculateGSTType,
     calculateGSTPercentages,
-    generateQuotationNumber
+    roundAmount,
+    getTaxRates,
+    calculateLineGST,
+    calculateLineDiscount,
+    ROUND_OFF_TYPES,
+    calculateRoundOff,
+    calculateRateAnalysis,
+    COST_BASES,
+    DEFAULT_COST_HEADS,
+    applyCostHeads,
+    describeCostHeads,
+    calculateCostingRates,
+    calculateSlabRate,
+    calculateOperationCost,
+    calculateRoutingCost,
+    calculateRoutingSetupCost,
+    summarizeRateAnalysis,
+    summarizeTaxByHSN,
+    calculateQuotationTotals
   };
\ No newline at end of file
@@ -0,0 +1,52 @@
+// Compare two values for diff purposes (dates, numbers, strings, ids, arrays)
+const isSameValue = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+};
+
+// Field-level diff between two objects for the given field list
+const diffFields = (from, to, fields) => {
+  return fields
+    .filter((field) => !isSameValue(from[field], to[field]))
+    .map((field) => ({
+      Field: field,
+      From: from[field] ?? null,
+      To: to[field] ?? null
+    }));
+};
+
+// Line-level diff between two arrays matched by a key field
+const diffLines = (fromLines, toLines, keyField, fields) => {
+  const fromMap = new Map(fromLines.map((line) => [line[keyField], line]));
+  const toMap = new Map(toLines.map((line) => [line[keyField], line]));
+
+  const added = toLines.filter((line) => !fromMap.has(line[keyField]));
+  const removed = fromLines.filter((line) => !toMap.has(line[keyField]));
+  const changed = [];
+
+  toLines.forEach((line) => {
+    const previous = fromMap.get(line[keyField]);
+    if (!previous) return;
+
+    const changes = diffFields(previous, line, fields);
+    if (changes.length > 0) {
+      changed.push({ [keyField]: line[keyField], Changes: changes });
+    }
+  });
+
+  return { added, removed, changed };
+};
+
+module.exports = {
+  isSameValue,
+  diffFields,
+  diffLines
+};
@@ -0,0 +1,162 @@
+const DocumentSeries = require('../models/DocumentSeries');
+const DocumentCounter = require('../models/DocumentCounter');
+const Company = require('../models/Company');
+
+// Used when the company has no time zone set
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Used when a company has not configured a series for a document type
+const DEFAULT_SERIES = {
+  Quotation: {
+    Prefix: 'QT',
+    Pattern: '{PREFIX}/{FY}/{SEQ}',
+    Padding: 4,
+    ResetRule: 'FinancialYear',
+    StartNumber: 1
+  },
+  SalesOrder: {
+    Prefix: 'SO',
+    Pattern: '{PREFIX}/{FY}/{SEQ}',
+    Padding: 4,
+    ResetRule: 'FinancialYear',
+    StartNumber: 1
+  }
+};
+
+// Calendar year and month (1-12) of a date in a time zone, independent of the
+// server's own time zone
+const getDateParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric' })
+    .formatToParts(new Date(date));
+  const getPart = (type) => Number(parts.find((part) => part.type === type).value);
+  
+  return { year: getPart('year'), month: getPart('month') };
+};
+
+// Indian financial year runs April to March (e.g. 15-Jan-2027 → 2026-27)
+const getFinancialYear = (date, timeZone) => {
+  const { year, month } = getDateParts(date, timeZone);
+  const startYear = month >= 4 ? year : year - 1;
+  const endYear = (startYear + 1).toString().slice(-2);
+  
+  return {
+    startYear,
+    label: `${startYear}-${endYear}`,
+    shortLabel: `${startYear.toString().slice(-2)}-${endYear}`
+  };
+};
+
+// Counter period the sequence belongs to, based on the reset rule
+const getResetPeriod = (resetRule, date, timeZone) => {
+  const { year, month } = getDateParts(date, timeZone);
+  
+  switch (resetRule) {
+    case 'Monthly':
+      return `${year}-${month.toString().padStart(2, '0')}`;
+    case 'Never':
+      return 'ALL';
+    default:
+      return getFinancialYear(date, timeZone).label;
+  }
+};
+
+// Replace pattern tokens with series and date values
+const formatDocumentNumber = (series, sequence, date, timeZone) => {
+  const { year, month } = getDateParts(date, timeZone);
+  const financialYear = getFinancialYear(date, timeZone);
+  const tokens = {
+    PREFIX: series.Prefix || '',
+    FY: financialYear.label,
+    FYSHORT: financialYear.shortLabel,
+    YYYY: year.toString(),
+    YY: year.toString().slice(-2),
+    MM: month.toString().padStart(2, '0'),
+    SEQ: sequence.toString().padStart(series.Padding || 1, '0')
+  };
+  
+  return series.Pattern.replace(/\{(\w+)\}/g, (match, token) => {
+    return tokens[token] !== undefined ? tokens[token] : match;
+  });
+};
+
+// Active series of the company, falling back to the default for the document type
+const getSeries = async (companyId, documentType) => {
+  const series = await DocumentSeries.findOne({
+    CompanyID: companyId,
+    DocumentType: documentType,
+    IsActive: true
+  });
+  
+  if (series) return series;
+  
+  if (!DEFAULT_SERIES[documentType]) {
+    throw new Error(`Document series not found for ${documentType}`);
+  }
+  
+  return DEFAULT_SERIES[documentType];
+};
+
+// Time zone the company's document dates are read in
+const getCompanyTimeZone = async (companyId) => {
+  const company = await Company.findById(companyId).select('TimeZone');
+  return (company && company.TimeZone) || DEFAULT_TIMEZONE;
+};
+
+// Atomically take the next sequence of the period (upsert creates the counter
+// on first use; a concurrent first insert can hit the unique index, so retry once)
+const incrementCounter = async (filter, attempt = 1) => {
+  try {
+    return await DocumentCounter.findOneAndUpdate(
+      filter,
+      { $inc: { Sequence: 1 } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000 && attempt < 2) {
+      return incrementCounter(filter, attempt + 1);
+    }
+    throw error;
+  }
+};
+
+// Generate the next document number for a company and document type
+const generateDocumentNumber = async (companyId, documentType, date = new Date()) => {
+  const series = await getSeries(companyId, documentType);
+  const timeZone = await getCompanyTimeZone(companyId);
+  const period = getResetPeriod(series.ResetRule, date, timeZone);
+  
+  const counter = await incrementCounter({
+    CompanyID: companyId,
+    DocumentType: documentType,
+    Period: period
+  });
+  
+  const sequence = counter.Sequence + (series.StartNumber || 1) - 1;
+  return formatDocumentNumber(series, sequence, date, timeZone);
+};
+
+// Next document number without consuming it (for display only)
+const previewDocumentNumber = async (companyId, documentType, date = new Date()) => {
+  const series = await getSeries(companyId, documentType);
+  const timeZone = await getCompanyTimeZone(companyId);
+  const period = getResetPeriod(series.ResetRule, date, timeZone);
+  
+  const counter = await DocumentCounter.findOne({
+    CompanyID: companyId,
+    DocumentType: documentType,
+    Period: period
+  });
+  
+  const sequence = (counter ? counter.Sequence : 0) + (series.StartNumber || 1);
+  return formatDocumentNumber(series, sequence, date, timeZone);
+};
+
+module.exports = {
+  DEFAULT_SERIES,
+  DEFAULT_TIMEZONE,
+  getFinancialYear,
+  getResetPeriod,
+  formatDocumentNumber,
+  generateDocumentNumber,
+  previewDocumentNumber
+};
@@ -0,0 +1,30 @@
+// Format amount with 2 decimals: Indian style for rupees (e.g. 1,23,456.00),
+// international grouping for other currencies (e.g. 123,456.00)
+const formatAmount = (value, currency = 'INR') => {
+  return Number(value || 0).toLocaleString(currency === 'INR' ? 'en-IN' : 'en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+};
+
+// Format date as DD-MM-YYYY
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const day = date.getDate().toString().padStart(2, '0');
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  return `${day}-${month}-${date.getFullYear()}`;
+};
+
+// Replace {{Placeholder}} tokens with values; unknown tokens are left as-is
+const renderTemplate = (text, values) => {
+  return (text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    return values[key] !== undefined && values[key] !== null ? String(values[key]) : match;
+  });
+};
+
+module.exports = {
+  formatAmount,
+  formatDate,
+  renderTemplate
+};
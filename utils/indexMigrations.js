@@ -0,0 +1,32 @@
+const Quotation = require('../models/Quotation');
+
+// Indexes dropped from the schemas that databases created before the change still
+// have. Mongoose creates new indexes on startup but never drops old ones.
+const OBSOLETE_INDEXES = [
+  // QuotationNo was unique before revisions shared it (now unique with RevisionNo)
+  { model: Quotation, name: 'QuotationNo_1', isObsolete: (index) => index.unique === true }
+];
+
+// Drop obsolete indexes, then create the schema's indexes in their place. A failure
+// is logged and leaves the index for the next start.
+const migrateIndexes = async () => {
+  for (const { model, name, isObsolete } of OBSOLETE_INDEXES) {
+    const collectionName = model.collection.collectionName;
+    try {
+      const indexes = await model.collection.indexes();
+      const index = indexes.find((existing) => existing.name === name);
+
+      if (index && isObsolete(index)) {
+        await model.collection.dropIndex(name);
+        await model.createIndexes();
+        console.log(`🗂️  Dropped obsolete index ${collectionName}.${name}`);
+      }
+    } catch (error) {
+      // No collection yet: nothing to migrate
+      if (error.codeName === 'NamespaceNotFound') continue;
+      console.error(`Index migration ${collectionName}.${name} error:`, error);
+    }
+  }
+};
+
+module.exports = { migrateIndexes };
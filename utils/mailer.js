@@ -0,0 +1,53 @@
+const nodemailer = require('nodemailer');
+
+// SMTP settings come from the environment. For local testing point SMTP_HOST/SMTP_PORT
+// at a capture server (e.g. MailHog or smtp4dev on localhost:1025).
+const getSmtpOptions = () => ({
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT || 587),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined
+});
+
+let transport = null;
+
+// Replace the transport used for all outgoing mail (any nodemailer transport,
+// e.g. a stream/JSON transport in scripts). Pass null to go back to SMTP.
+const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const getMailTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport(getSmtpOptions());
+  }
+  return transport;
+};
+
+// Send one message. Resolves with the nodemailer info (messageId, accepted, rejected).
+const sendMail = (message) => {
+  return getMailTransport().sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER,
+    ...message
+  });
+};
+
+// Split a recipient list given as an array or comma/semicolon separated string
+const parseRecipients = (value) => {
+  const list = Array.isArray(value) ? value : (value || '').split(/[,;]/);
+  return [...new Set(list.map((email) => String(email).trim().toLowerCase()).filter(Boolean))];
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isValidEmail = (email) => EMAIL_PATTERN.test(email);
+
+module.exports = {
+  sendMail,
+  setMailTransport,
+  getMailTransport,
+  parseRecipients,
+  isValidEmail
+};
@@ -0,0 +1,58 @@
+const { formatAmount, formatDate } = require('./helpers');
+
+// Used when no email template is chosen and no default template exists
+const DEFAULT_QUOTATION_EMAIL = {
+  Subject: 'Quotation {{QuotationNo}} from {{CompanyName}}',
+  Body: [
+    'Dear {{ContactPerson}},',
+    '',
+    'Please find attached our quotation {{QuotationNo}} dated {{QuotationDate}} for a total of {{Currency}} {{GrandTotal}}.',
+    'The quotation is valid till {{ValidTill}}.',
+    '',
+    'Regards,',
+    '{{CompanyName}}'
+  ].join('\n')
+};
+
+// Follow-up reminder to the party when no QuotationFollowUp template is set as default
+const DEFAULT_FOLLOW_UP_EMAIL = {
+  Subject: 'Follow-up: Quotation {{QuotationNo}} from {{CompanyName}}',
+  Body: [
+    'Dear {{ContactPerson}},',
+    '',
+    'We would like to follow up on our quotation {{QuotationNo}} dated {{QuotationDate}} for a total of {{Currency}} {{GrandTotal}}.',
+    'The quotation is valid till {{ValidTill}}. Please let us know if you need any clarification.',
+    '',
+    'Regards,',
+    '{{CompanyName}}'
+  ].join('\n')
+};
+
+// Placeholder values available to quotation email templates
+const getQuotationEmailValues = (quotation, company) => ({
+  QuotationNo: quotation.FullQuotationNo,
+  RevisionNo: quotation.RevisionNo,
+  QuotationDate: formatDate(quotation.QuotationDate),
+  ValidTill: formatDate(quotation.ValidTill),
+  PartyName: quotation.VendorName,
+  ContactPerson: quotation.VendorContactPerson || quotation.VendorName,
+  Currency: quotation.Currency || 'INR',
+  GrandTotal: formatAmount(quotation.GrandTotal, quotation.Currency),
+  AmountInWords: quotation.AmountInWords,
+  CustomerRemarks: quotation.CustomerRemarks,
+  CompanyName: company ? company.CompanyName : quotation.CompanyName,
+  CompanyPhone: company ? company.Phone : '',
+  CompanyEmail: company ? company.Email : ''
+});
+
+const QUOTATION_EMAIL_PLACEHOLDERS = [
+  'QuotationNo', 'RevisionNo', 'QuotationDate', 'ValidTill', 'PartyName', 'ContactPerson',
+  'Currency', 'GrandTotal', 'AmountInWords', 'CustomerRemarks', 'CompanyName', 'CompanyPhone', 'CompanyEmail'
+];
+
+module.exports = {
+  DEFAULT_QUOTATION_EMAIL,
+  DEFAULT_FOLLOW_UP_EMAIL,
+  QUOTATION_EMAIL_PLACEHOLDERS,
+  getQuotationEmailValues
+};
@@ -0,0 +1,183 @@
+const Quotation = require('../models/Quotation');
+const Company = require('../models/Company');
+const FollowUp = require('../models/FollowUp');
+const EmailTemplate = require('../models/EmailTemplate');
+const EmailLog = require('../models/EmailLog');
+const { scheduleJob } = require('./scheduler');
+const { sendMail, parseRecipients, isValidEmail } = require('./mailer');
+const { renderTemplate } = require('./helpers');
+const { DEFAULT_FOLLOW_UP_EMAIL, getQuotationEmailValues } = require('./quotationEmail');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Move sent quotations past their ValidTill date to Expired
+const expireQuotations = async () => {
+  const result = await Quotation.expireOverdue();
+  if (result.modifiedCount > 0) {
+    console.log(`⏰ Expired ${result.modifiedCount} quotation(s)`);
+  }
+};
+
+// Comma separated day counts from configuration (e.g. "3,7")
+const parseDays = (value) => {
+  return (value || '')
+    .split(',')
+    .map((days) => parseInt(days.trim()))
+    .filter((days) => days >= 0);
+};
+
+// Reminder stages: days after SentAt (QUOTATION_FOLLOW_UP_DAYS) and
+// days before ValidTill (QUOTATION_EXPIRY_REMINDER_DAYS)
+const getFollowUpStages = () => [
+  ...parseDays(process.env.QUOTATION_FOLLOW_UP_DAYS ?? '3,7').map((days) => ({
+    ReminderType: 'AfterSent',
+    Stage: `Sent+${days}d`,
+    getDueAt: (quotation) => new Date(quotation.SentAt.getTime() + days * DAY)
+  })),
+  ...parseDays(process.env.QUOTATION_EXPIRY_REMINDER_DAYS ?? '2').map((days) => ({
+    ReminderType: 'BeforeExpiry',
+    Stage: `Expiry-${days}d`,
+    getDueAt: (quotation) => new Date(quotation.ValidTill.getTime() - days * DAY)
+  }))
+];
+
+// Email a follow-up reminder to the party and record the attempt
+const emailFollowUpToParty = async (quotation, followUp, template) => {
+  const to = parseRecipients(quotation.VendorEmail).filter(isValidEmail);
+  if (to.length === 0) return;
+  
+  const company = await Company.findById(quotation.CompanyID);
+  const values = getQuotationEmailValues(quotation, company);
+  const subject = renderTemplate((template || DEFAULT_FOLLOW_UP_EMAIL).Subject, values);
+  const body = renderTemplate((template || DEFAULT_FOLLOW_UP_EMAIL).Body, values);
+  
+  const logData = {
+    QuotationID: quotation._id,
+    Purpose: 'FollowUp',
+    FollowUpID: followUp._id,
+    DocumentNo: quotation.FullQuotationNo,
+    TemplateID: template ? template._id : undefined,
+    To: to,
+    Subject: subject,
+    Body: body
+  };
+  
+  try {
+    const info = await sendMail({
+      to,
+      replyTo: company ? company.Email : undefined,
+      subject,
+      text: body
+    });
+    await EmailLog.create({
+      ...logData,
+      Status: 'Sent',
+      MessageID: info.messageId || '',
+      Accepted: (info.accepted || []).map(String),
+      Rejected: (info.rejected || []).map(String)
+    });
+    followUp.PartyEmailStatus = 'Sent';
+  } catch (error) {
+    console.error('Follow-up email error:', error);
+    await EmailLog.create({ ...logData, Status: 'Failed', Error: error.message });
+    followUp.PartyEmailStatus = 'Failed';
+  }
+  await followUp.save();
+};
+
+// Create follow-up reminders for sent quotations. Each quotation gets a record for
+// its latest due stage (earlier open reminders are superseded), so a reminder is
+// created once per stage however often the job runs.
+const createFollowUps = async () => {
+  const now = new Date();
+  const stages = getFollowUpStages();
+  
+  // Snoozed follow-ups become pending again once the snooze ends
+  await FollowUp.updateMany(
+    { Status: 'Snoozed', DueAt: { $lte: now } },
+    { Status: 'Pending' }
+  );
+  
+  // Quotations that are no longer open need no follow-up
+  const followedUpIds = await FollowUp.distinct('QuotationID', { Status: { $in: FollowUp.OPEN_STATUSES } });
+  const openIds = await Quotation.find({
+    _id: { $in: followedUpIds },
+    Status: 'Sent',
+    IsLatestRevision: { $ne: false }
+  }).distinct('_id');
+  await FollowUp.updateMany(
+    { Status: { $in: FollowUp.OPEN_STATUSES }, QuotationID: { $nin: openIds } },
+    { Status: 'Cancelled', CancelledAt: now, Remarks: 'Quotation is no longer open' }
+  );
+  
+  if (stages.length === 0) return;
+  
+  const quotations = await Quotation.find({
+    Status: 'Sent',
+    IsLatestRevision: { $ne: false },
+    SentAt: { $ne: null },
+    ValidTill: { $gte: now }
+  });
+  
+  const emailParty = process.env.QUOTATION_FOLLOW_UP_EMAIL_PARTY === 'true';
+  const template = emailParty
+    ? await EmailTemplate.findOne({ DocumentType: 'QuotationFollowUp', IsDefault: true, IsActive: true })
+    : null;
+  
+  let created = 0;
+  for (const quotation of quotations) {
+    const dueStage = stages
+      .map((stage) => ({ ...stage, DueAt: stage.getDueAt(quotation) }))
+      .filter((stage) => stage.DueAt <= now && stage.DueAt >= quotation.SentAt)
+      .sort((a, b) => b.DueAt - a.DueAt)[0];
+    
+    if (!dueStage) continue;
+    
+    const result = await FollowUp.updateOne(
+      { QuotationID: quotation._id, Stage: dueStage.Stage },
+      {
+        $setOnInsert: {
+          QuotationNo: quotation.FullQuotationNo,
+          PartyName: quotation.VendorName,
+          AssignedTo: quotation.CreatedBy || quotation.SentBy,
+          ReminderType: dueStage.ReminderType,
+          DueAt: dueStage.DueAt,
+          Status: 'Pending'
+        }
+      },
+      { upsert: true }
+    );
+    
+    if (result.upsertedCount === 0) continue;
+    created++;
+    
+    await FollowUp.updateMany(
+      { QuotationID: quotation._id, Status: { $in: FollowUp.OPEN_STATUSES }, _id: { $ne: result.upsertedId } },
+      { Status: 'Cancelled', CancelledAt: now, Remarks: `Superseded by ${dueStage.Stage} follow-up` }
+    );
+    
+    if (emailParty) {
+      const followUp = await FollowUp.findById(result.upsertedId);
+      await emailFollowUpToParty(quotation, followUp, template);
+    }
+  }
+  
+  if (created > 0) {
+    console.log(`🔔 Created ${created} quotation follow-up(s)`);
+  }
+};
+
+const startQuotationJobs = () => {
+  const expiryInterval = parseInt(process.env.QUOTATION_EXPIRY_CHECK_MINUTES || 60) * MINUTE;
+  scheduleJob('Quotation expiry', expiryInterval, expireQuotations);
+  
+  const followUpInterval = parseInt(process.env.QUOTATION_FOLLOW_UP_CHECK_MINUTES || 60) * MINUTE;
+  scheduleJob('Quotation follow-up', followUpInterval, createFollowUps);
+};
+
+module.exports = {
+  startQuotationJobs,
+  expireQuotations,
+  createFollowUps
+};
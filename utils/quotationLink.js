@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Quotation links are JWTs for this purpose only, so login tokens cannot be used as links
+const LINK_PURPOSE = 'quotation-link';
+
+const getLinkSecret = () => process.env.QUOTATION_LINK_SECRET || process.env.JWT_SECRET;
+
+// Random value stored on the quotation and carried in its link token
+const createLinkNonce = () => crypto.randomBytes(16).toString('hex');
+
+// Link expiry: ExpiresInDays from now, or the end of the quotation's validity
+const getLinkExpiry = (quotation, expiresInDays) => {
+  if (expiresInDays) {
+    return new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000);
+  }
+  const validTill = new Date(quotation.ValidTill);
+  validTill.setHours(23, 59, 59, 999);
+  return validTill;
+};
+
+// Signed token for the quotation's current link nonce, valid until expiresAt
+const signQuotationLink = (quotation, nonce, expiresAt) => {
+  return jwt.sign(
+    { quotationId: quotation._id.toString(), nonce, purpose: LINK_PURPOSE },
+    getLinkSecret(),
+    { expiresIn: Math.max(Math.floor((expiresAt.getTime() - Date.now()) / 1000), 1) }
+  );
+};
+
+// Public URL of a link token (QUOTATION_LINK_BASE_URL points at the customer-facing page)
+const getQuotationLinkUrl = (req, token) => {
+  const baseUrl = process.env.QUOTATION_LINK_BASE_URL
+    || `${req.protocol}://${req.get('host')}/api/public/quotations`;
+  return `${baseUrl.replace(/\/$/, '')}/${token}`;
+};
+
+// Verify a link token. Returns { quotationId, nonce } or an { error } of
+// 'expired' or 'invalid'.
+const verifyQuotationLink = (token) => {
+  try {
+    const payload = jwt.verify(token, getLinkSecret());
+    if (payload.purpose !== LINK_PURPOSE || !payload.quotationId || !payload.nonce) {
+      return { error: 'invalid' };
+    }
+    return { quotationId: payload.quotationId, nonce: payload.nonce };
+  } catch (error) {
+    return { error: error.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+};
+
+module.exports = {
+  createLinkNonce,
+  getLinkExpiry,
+  signQuotationLink,
+  getQuotationLinkUrl,
+  verifyQuotationLink
+};
@@ -0,0 +1,366 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { formatAmount, formatDate } = require('./helpers');
+
+// Generated quotation documents are stored relative to the project root
+const PDF_DIR = process.env.QUOTATION_PDF_DIR || 'uploads/quotations';
+const ROOT_DIR = path.join(__dirname, '..');
+
+const PAGE_MARGIN = 40;
+
+// Line discount as shown in the item table (e.g. "10%" or "250.00")
+const formatDiscount = (item, currency) => {
+  if (!item.DiscountValue) return '-';
+  return item.DiscountType === 'Amount' ? formatAmount(item.DiscountValue, currency) : `${item.DiscountValue}%`;
+};
+
+// Resolve stored PDFPath (relative) to an absolute file path
+const resolvePdfPath = (pdfPath) => {
+  return path.isAbsolute(pdfPath) ? pdfPath : path.join(ROOT_DIR, pdfPath);
+};
+
+// Build relative file path for a quotation document
+const getQuotationPdfPath = (quotation) => {
+  const fileName = `${quotation.FullQuotationNo.replace(/[^A-Za-z0-9_-]/g, '-')}.pdf`;
+  return path.join(PDF_DIR, fileName);
+};
+
+// Check whether the stored document still exists on disk
+const pdfExists = (pdfPath) => {
+  return Boolean(pdfPath) && fs.existsSync(resolvePdfPath(pdfPath));
+};
+
+// Letterhead: company name, address, statutory and contact details
+const drawLetterhead = (doc, company, quotation) => {
+  doc.font('Helvetica-Bold').fontSize(16)
+    .text(company ? company.CompanyName : quotation.CompanyName, { align: 'center' });
+
+  doc.font('Helvetica').fontSize(9);
+  if (company) {
+    doc.text(company.Address, { align: 'center' });
+    doc.text(`GSTIN: ${company.GSTIN}   PAN: ${company.PAN}   State: ${company.State} (${company.StateCode})`, { align: 'center' });
+    doc.text(`Phone: ${company.Phone}   Email: ${company.Email}`, { align: 'center' });
+  } else {
+    doc.text(`GSTIN: ${quotation.CompanyGSTIN}   State: ${quotation.CompanyState} (${quotation.CompanyStateCode})`, { align: 'center' });
+  }
+
+  doc.moveDown(0.5);
+  drawRule(doc);
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(13).text('QUOTATION', { align: 'center' });
+  doc.moveDown(0.5);
+};
+
+// Quotation reference details and party (vendor or customer) block side by side
+const drawPartyBlock = (doc, quotation) => {
+  const top = doc.y;
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const leftWidth = width * 0.6;
+
+  doc.font('Helvetica-Bold').fontSize(9).text('To,', PAGE_MARGIN, top);
+  doc.font('Helvetica-Bold').text(quotation.VendorName, { width: leftWidth });
+  doc.font('Helvetica');
+  const addressLine = [quotation.VendorAddress, quotation.VendorCity, quotation.VendorPincode]
+    .filter(Boolean)
+    .join(', ');
+  if (addressLine) doc.text(addressLine, { width: leftWidth });
+  doc.text(`State: ${quotation.VendorState} (${quotation.VendorStateCode})`, { width: leftWidth });
+  if (quotation.VendorGSTIN) doc.text(`GSTIN: ${quotation.VendorGSTIN}`, { width: leftWidth });
+  if (quotation.VendorContactPerson) doc.text(`Kind Attn: ${quotation.VendorContactPerson}`, { width: leftWidth });
+  const contactLine = [quotation.VendorPhone, quotation.VendorEmail].filter(Boolean).join(' / ');
+  if (contactLine) doc.text(contactLine, { width: leftWidth });
+  // Customers: show the other address when it differs from the one addressed to
+  const otherAddress = quotation.AddressType === 'Shipping' ? quotation.BillingAddress : quotation.ShippingAddress;
+  if (quotation.PartyType === 'Customer' && otherAddress && otherAddress !== quotation.VendorAddress) {
+    const otherLabel = quotation.AddressType === 'Shipping' ? 'Bill To' : 'Ship To';
+    doc.font('Helvetica-Bold').text(`${otherLabel}: `, { width: leftWidth, continued: true })
+      .font('Helvetica').text(otherAddress);
+  }
+  const leftBottom = doc.y;
+
+  const rightX = PAGE_MARGIN + leftWidth + 10;
+  const rightWidth = width - leftWidth - 10;
+  doc.font('Helvetica').fontSize(9);
+  doc.text(`Quotation No: ${quotation.FullQuotationNo}`, rightX, top, { width: rightWidth });
+  doc.text(`Date: ${formatDate(quotation.QuotationDate)}`, rightX, doc.y, { width: rightWidth });
+  doc.text(`Valid Till: ${formatDate(quotation.ValidTill)}`, rightX, doc.y, { width: rightWidth });
+  if (quotation.PlaceOfSupply) {
+    doc.text(`Place of Supply: ${quotation.PlaceOfSupply} (${quotation.PlaceOfSupplyStateCode})`, rightX, doc.y, { width: rightWidth });
+  }
+  doc.text(`GST Type: ${quotation.GSTType}`, rightX, doc.y, { width: rightWidth });
+  if (quotation.Currency && quotation.Currency !== 'INR') {
+    doc.text(`Currency: ${quotation.Currency}`, rightX, doc.y, { width: rightWidth });
+  }
+  if (quotation.PaymentTerms) {
+    doc.text(`Payment Terms: ${quotation.PaymentTerms}`, rightX, doc.y, { width: rightWidth });
+  }
+  if (quotation.DeliveryTerms) {
+    doc.text(`Delivery Terms: ${quotation.DeliveryTerms}`, rightX, doc.y, { width: rightWidth });
+  }
+
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 10;
+};
+
+const ITEM_COLUMNS = [
+  { header: 'Sr.', key: 'sr', width: 25, align: 'left' },
+  { header: 'Part No', key: 'PartNo', width: 65, align: 'left' },
+  { header: 'Description', key: 'PartName', width: 95, align: 'left' },
+  { header: 'HSN', key: 'HSNCode', width: 45, align: 'left' },
+  { header: 'Qty', key: 'Quantity', width: 40, align: 'right' },
+  { header: 'Unit', key: 'Unit', width: 30, align: 'left' },
+  { header: 'Rate', key: 'FinalRate', width: 65, align: 'right' },
+  { header: 'Disc.', key: 'Discount', width: 40, align: 'right' },
+  { header: 'GST %', key: 'GSTPercentage', width: 40, align: 'right' },
+  { header: 'Amount', key: 'Amount', width: 70, align: 'right' }
+];
+
+const TAX_SUMMARY_COLUMNS = [
+  { header: 'HSN/SAC', key: 'HSNCode', width: 80, align: 'left' },
+  { header: 'Taxable Value', key: 'TaxableAmount', width: 90, align: 'right' },
+  { header: 'GST %', key: 'GSTPercentage', width: 50, align: 'right' },
+  { header: 'CGST', key: 'CGSTAmount', width: 70, align: 'right' },
+  { header: 'SGST', key: 'SGSTAmount', width: 70, align: 'right' },
+  { header: 'IGST', key: 'IGSTAmount', width: 70, align: 'right' },
+  { header: 'Total Tax', key: 'TotalTaxAmount', width: 85, align: 'right' }
+];
+
+const drawTableRow = (doc, columns, values, options = {}) => {
+  const top = doc.y;
+  let x = PAGE_MARGIN;
+  let rowHeight = 0;
+
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  columns.forEach((column) => {
+    const text = String(values[column.key] ?? '');
+    const height = doc.heightOfString(text, { width: column.width - 4 });
+    rowHeight = Math.max(rowHeight, height);
+    doc.text(text, x + 2, top, { width: column.width - 4, align: column.align });
+    x += column.width;
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + rowHeight + 4;
+};
+
+const drawTableHeader = (doc, columns) => {
+  drawRule(doc);
+  drawTableRow(doc, columns, columns.reduce((row, column) => {
+    row[column.key] = column.header;
+    return row;
+  }, {}), { bold: true });
+  drawRule(doc);
+};
+
+// Quantity-break rates of a line side by side, below its row in the item table
+const drawQuantitySlabs = (doc, item, currency) => {
+  if (!item.QuantitySlabs || item.QuantitySlabs.length === 0) return;
+
+  const rates = item.QuantitySlabs
+    .map((slab) => `${slab.Quantity} ${item.Unit} @ ${formatAmount(slab.FinalRate, currency)}`)
+    .join('   |   ');
+  const indent = ITEM_COLUMNS[0].width + ITEM_COLUMNS[1].width;
+
+  doc.font('Helvetica-Oblique').fontSize(7.5)
+    .text(`Quantity breaks: ${rates}`, PAGE_MARGIN + indent + 2, doc.y - 2, {
+      width: doc.page.width - PAGE_MARGIN * 2 - indent - 4
+    });
+  doc.x = PAGE_MARGIN;
+  doc.moveDown(0.3);
+};
+
+// Item table with header row; starts a new page when the table overflows
+const drawItemTable = (doc, quotation) => {
+  drawTableHeader(doc, ITEM_COLUMNS);
+
+  quotation.Items.forEach((item, index) => {
+    if (doc.y > doc.page.height - PAGE_MARGIN * 3) {
+      doc.addPage();
+    }
+    drawTableRow(doc, ITEM_COLUMNS, {
+      sr: index + 1,
+      PartNo: item.PartNo,
+      PartName: item.Description ? `${item.PartName}\n${item.Description}` : item.PartName,
+      HSNCode: item.HSNCode,
+      Quantity: item.Quantity,
+      Unit: item.Unit,
+      FinalRate: formatAmount(item.FinalRate, quotation.Currency),
+      Discount: formatDiscount(item, quotation.Currency),
+      GSTPercentage: item.GSTPercentage,
+      Amount: formatAmount(item.Amount, quotation.Currency)
+    });
+    drawQuantitySlabs(doc, item, quotation.Currency);
+  });
+
+  drawRule(doc);
+};
+
+const drawTotalLine = (doc, label, value, bold = false) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const top = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  doc.text(label, PAGE_MARGIN, top, { width: width - 90, align: 'right' });
+  doc.text(value, PAGE_MARGIN + width - 85, top, { width: 85, align: 'right' });
+  doc.x = PAGE_MARGIN;
+};
+
+// Sub total, GST split (CGST + SGST or IGST), TCS, round-off, grand total and amount in words
+const drawTotals = (doc, quotation) => {
+  doc.moveDown(0.3);
+
+  if (quotation.DiscountAmount > 0) {
+    drawTotalLine(doc, 'Gross Amount', formatAmount(quotation.GrossAmount, quotation.Currency));
+    drawTotalLine(doc, 'Less: Discount', formatAmount(quotation.DiscountAmount, quotation.Currency));
+  }
+  drawTotalLine(doc, 'Sub Total', formatAmount(quotation.SubTotal, quotation.Currency));
+
+  (quotation.Charges || []).forEach((charge) => {
+    drawTotalLine(doc, charge.Description || charge.ChargeType, formatAmount(charge.Amount, quotation.Currency));
+  });
+
+  if (quotation.GSTType === 'IGST') {
+    drawTotalLine(doc, 'IGST', formatAmount(quotation.IGSTAmount, quotation.Currency));
+  } else {
+    drawTotalLine(doc, 'CGST', formatAmount(quotation.CGSTAmount, quotation.Currency));
+    drawTotalLine(doc, 'SGST', formatAmount(quotation.SGSTAmount, quotation.Currency));
+  }
+
+  if (quotation.TCSAmount > 0) {
+    drawTotalLine(doc, `TCS @ ${quotation.TCSPercentage}%`, formatAmount(quotation.TCSAmount, quotation.Currency));
+  }
+  if (quotation.RoundOffAmount) {
+    drawTotalLine(doc, 'Round Off', formatAmount(quotation.RoundOffAmount, quotation.Currency));
+  }
+
+  const currencyLabel = !quotation.Currency || quotation.Currency === 'INR' ? 'Rs.' : quotation.Currency;
+  drawTotalLine(doc, `Grand Total (${currencyLabel})`, formatAmount(quotation.GrandTotal, quotation.Currency), true);
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(9).text('Amount in Words: ', { continued: true })
+    .font('Helvetica').text(quotation.AmountInWords || '');
+  doc.moveDown(0.5);
+
+  if (quotation.IsExport) {
+    const declaration = quotation.ExportTaxOption === 'LUT'
+      ? `Supply meant for export under LUT${quotation.LUTNumber ? ` No. ${quotation.LUTNumber}` : ''} without payment of IGST`
+      : 'Supply meant for export on payment of IGST';
+    doc.font('Helvetica-Oblique').fontSize(8).text(declaration);
+    doc.moveDown(0.5);
+  }
+};
+
+// HSN-wise tax summary
+const drawTaxSummary = (doc, quotation) => {
+  if (!quotation.TaxSummary || quotation.TaxSummary.length === 0) return;
+
+  if (doc.y > doc.page.height - PAGE_MARGIN * 4) {
+    doc.addPage();
+  }
+
+  doc.font('Helvetica-Bold').fontSize(9).text('Tax Summary:');
+  drawTableHeader(doc, TAX_SUMMARY_COLUMNS);
+
+  quotation.TaxSummary.forEach((row) => {
+    drawTableRow(doc, TAX_SUMMARY_COLUMNS, {
+      HSNCode: row.HSNCode,
+      TaxableAmount: formatAmount(row.TaxableAmount, quotation.Currency),
+      GSTPercentage: row.GSTPercentage,
+      CGSTAmount: formatAmount(row.CGSTAmount, quotation.Currency),
+      SGSTAmount: formatAmount(row.SGSTAmount, quotation.Currency),
+      IGSTAmount: formatAmount(row.IGSTAmount, quotation.Currency),
+      TotalTaxAmount: formatAmount(row.TotalTaxAmount, quotation.Currency)
+    });
+  });
+
+  drawRule(doc);
+  doc.moveDown(0.5);
+};
+
+const drawRemarks = (doc, quotation) => {
+  if (!quotation.CustomerRemarks) return;
+
+  doc.font('Helvetica-Bold').fontSize(9).text('Remarks: ', { continued: true })
+    .font('Helvetica').text(quotation.CustomerRemarks);
+  doc.moveDown(0.5);
+};
+
+const drawTermsConditions = (doc, quotation) => {
+  if (!quotation.TermsConditions || quotation.TermsConditions.length === 0) return;
+
+  doc.font('Helvetica-Bold').fontSize(9).text('Terms & Conditions:');
+  doc.font('Helvetica').fontSize(8);
+  [...quotation.TermsConditions]
+    .sort((a, b) => (a.Sequence || 0) - (b.Sequence || 0))
+    .forEach((term, index) => {
+      doc.text(`${index + 1}. ${term.Title}: ${term.Description}`);
+    });
+  doc.moveDown(0.5);
+};
+
+const drawBankDetailsAndSignature = (doc, company, quotation) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  if (doc.y > doc.page.height - PAGE_MARGIN * 5) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  if (company) {
+    doc.font('Helvetica-Bold').fontSize(9).text('Bank Details:', PAGE_MARGIN, top);
+    doc.font('Helvetica').fontSize(8);
+    doc.text(`Bank Name: ${company.BankName}`);
+    doc.text(`Account No: ${company.AccountNo}`);
+    doc.text(`IFSC: ${company.IFSC}`);
+  }
+
+  const companyName = company ? company.CompanyName : quotation.CompanyName;
+  doc.font('Helvetica-Bold').fontSize(9)
+    .text(`For ${companyName}`, PAGE_MARGIN + width / 2, top, { width: width / 2, align: 'right' });
+  doc.moveDown(3);
+  doc.font('Helvetica').fontSize(8)
+    .text('Authorised Signatory', PAGE_MARGIN + width / 2, doc.y, { width: width / 2, align: 'right' });
+  doc.x = PAGE_MARGIN;
+};
+
+const drawRule = (doc) => {
+  doc.moveTo(PAGE_MARGIN, doc.y)
+    .lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+    .lineWidth(0.5)
+    .stroke();
+  doc.moveDown(0.2);
+};
+
+// Render the quotation document and write it to disk.
+// Resolves with the relative path of the generated file.
+const renderQuotationPdf = (quotation, company) => {
+  return new Promise((resolve, reject) => {
+    const relativePath = getQuotationPdfPath(quotation);
+    const absolutePath = resolvePdfPath(relativePath);
+
+    fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const stream = fs.createWriteStream(absolutePath);
+
+    stream.on('finish', () => resolve(relativePath));
+    stream.on('error', reject);
+    doc.on('error', reject);
+
+    doc.pipe(stream);
+    drawLetterhead(doc, company, quotation);
+    drawPartyBlock(doc, quotation);
+    drawItemTable(doc, quotation);
+    drawTotals(doc, quotation);
+    drawTaxSummary(doc, quotation);
+    drawRemarks(doc, quotation);
+    drawTermsConditions(doc, quotation);
+    drawBankDetailsAndSignature(doc, company, quotation);
+    doc.end();
+  });
+};
+
+module.exports = {
+  renderQuotationPdf,
+  getQuotationPdfPath,
+  resolvePdfPath,
+  pdfExists
+};
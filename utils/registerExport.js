@@ -0,0 +1,111 @@
+const ExcelJS = require('exceljs');
+const { formatDate } = require('./helpers');
+
+const REGISTER_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Quote a CSV value when it contains a separator, quote or line break
+const toCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Cell value of a column for one document. Columns are { header, value(doc), type }
+// where type 'date' or 'amount' controls formatting.
+const getColumnValue = (column, doc, format) => {
+  const value = column.value(doc);
+  if (value === null || value === undefined || value === '') return format === 'csv' ? '' : null;
+
+  if (column.type === 'date') {
+    return format === 'csv' ? formatDate(value) : new Date(value);
+  }
+  if (column.type === 'amount') {
+    return format === 'csv' ? Number(value).toFixed(2) : Number(value);
+  }
+  return value;
+};
+
+// Wait until the response takes more data, or is closed or fails (a response the
+// client has gone from never drains)
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    res.off('error', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+  res.on('error', done);
+});
+
+const writeCsv = async (res, columns, cursor) => {
+  // BOM so Excel opens UTF-8 (party names, ₹) correctly
+  res.write(`\uFEFF${columns.map((column) => toCsvValue(column.header)).join(',')}\r\n`);
+
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    const line = columns.map((column) => toCsvValue(getColumnValue(column, doc, 'csv'))).join(',');
+    if (!res.write(`${line}\r\n`)) {
+      await waitForDrain(res);
+    }
+  }
+
+  if (!res.destroyed) res.end();
+};
+
+const writeXlsx = async (res, columns, cursor, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map((column, index) => ({
+    header: column.header,
+    key: `c${index}`,
+    width: column.width || 15,
+    style: column.type === 'date'
+      ? { numFmt: 'dd-mm-yyyy' }
+      : column.type === 'amount' ? { numFmt: '#,##0.00' } : {}
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    worksheet.addRow(columns.map((column) => getColumnValue(column, doc, 'xlsx'))).commit();
+  }
+
+  if (res.destroyed) return;
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Stream a register as a CSV or XLSX download, one row per document read from a
+// query cursor, so large registers are never held in memory
+const streamRegister = async (res, { format, fileName, sheetName = 'Register', columns, cursor }) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+
+  // Stop reading from the database when the client goes away
+  const closeCursor = () => cursor.close().catch(() => {});
+  res.on('close', closeCursor);
+
+  try {
+    if (format === 'csv') {
+      await writeCsv(res, columns, cursor);
+    } else {
+      await writeXlsx(res, columns, cursor, sheetName);
+    }
+  } finally {
+    res.off('close', closeCursor);
+    await closeCursor();
+  }
+};
+
+module.exports = {
+  REGISTER_FORMATS,
+  streamRegister
+};
@@ -0,0 +1,115 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+// Accepted header names per RFQ column (compared without case, spaces or punctuation)
+const RFQ_COLUMNS = {
+  PartNo: ['partno', 'partnumber', 'part', 'itemcode', 'itemno'],
+  CustomerPartNo: ['customerpartno', 'customerpartnumber', 'custpartno', 'yourpartno'],
+  Quantity: ['quantity', 'qty', 'reqqty', 'requiredqty', 'requiredquantity'],
+  Description: ['description', 'partname', 'itemdescription', 'itemname']
+};
+
+// Header row is looked for within the first rows (RFQs often start with a title block)
+const HEADER_SEARCH_ROWS = 10;
+
+const normalizeHeader = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Plain text of a cell value (rich text, hyperlinks and formula results included)
+const getCellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('').trim();
+    if (value.text !== undefined) return getCellText(value.text);
+    if (value.result !== undefined) return getCellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+// Column number of each known RFQ column in a header row
+const getColumnMap = (row) => {
+  const columns = {};
+  row.eachCell((cell, columnNumber) => {
+    const header = normalizeHeader(getCellText(cell.value));
+    Object.entries(RFQ_COLUMNS).forEach(([field, names]) => {
+      if (!columns[field] && names.includes(header)) {
+        columns[field] = columnNumber;
+      }
+    });
+  });
+  return columns;
+};
+
+// Load the first worksheet of an uploaded CSV or XLSX file
+const readWorksheet = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  try {
+    if (extension === '.csv') {
+      // Keep CSV values as text so part numbers like 00123 are not turned into numbers
+      await workbook.csv.read(Readable.from(file.buffer), { map: (value) => value });
+    } else {
+      await workbook.xlsx.load(file.buffer);
+    }
+  } catch (error) {
+    throw new Error('Unable to read the file. Please upload a valid CSV or XLSX file');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error('The file has no worksheet');
+  }
+  return worksheet;
+};
+
+// Parse RFQ rows from an uploaded spreadsheet. The header row needs a part number
+// (PartNo or CustomerPartNo) and a quantity column. Returns one entry per non-empty
+// row with its spreadsheet row number; quantities are left unchecked (Number or NaN).
+const parseRfqFile = async (file) => {
+  const worksheet = await readWorksheet(file);
+
+  let headerRowNumber = null;
+  let columns = {};
+  for (let rowNumber = 1; rowNumber <= Math.min(worksheet.rowCount, HEADER_SEARCH_ROWS); rowNumber += 1) {
+    const rowColumns = getColumnMap(worksheet.getRow(rowNumber));
+    if ((rowColumns.PartNo || rowColumns.CustomerPartNo) && rowColumns.Quantity) {
+      headerRowNumber = rowNumber;
+      columns = rowColumns;
+      break;
+    }
+  }
+
+  if (!headerRowNumber) {
+    throw new Error('Header row with a part number and quantity column not found');
+  }
+
+  const cellText = (row, field) => (columns[field] ? getCellText(row.getCell(columns[field]).value) : '');
+  const rows = [];
+
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber <= headerRowNumber) return;
+
+    const partNo = cellText(row, 'PartNo').toUpperCase();
+    const customerPartNo = cellText(row, 'CustomerPartNo').toUpperCase();
+    const quantity = cellText(row, 'Quantity');
+    if (!partNo && !customerPartNo && !quantity) return;
+
+    rows.push({
+      Row: rowNumber,
+      PartNo: partNo,
+      CustomerPartNo: customerPartNo,
+      Description: cellText(row, 'Description'),
+      Quantity: quantity === '' ? NaN : Number(quantity.replace(/,/g, ''))
+    });
+  });
+
+  return rows;
+};
+
+module.exports = {
+  RFQ_COLUMNS,
+  parseRfqFile
+};
@@ -0,0 +1,20 @@
+// Run a background task immediately and then at a fixed interval.
+// Errors are logged so a failing run does not stop later runs.
+const scheduleJob = (name, intervalMs, task) => {
+  const run = async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${name} job error:`, error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+
+  // Do not keep the process alive just for scheduled jobs
+  timer.unref();
+  return timer;
+};
+
+module.exports = { scheduleJob };